@@ -0,0 +1,404 @@
+/**
+ * Local Handoff Relay
+ * Stand-in for the live chat relay between students and support agents, so
+ * the handoff flow can be developed and tested offline. Speaks the same
+ * protocol as src/services/HandoffTransport.js over a WebSocket at /handoff
+ * and over long polling at /handoff/poll and /handoff/send. Uses only Node
+ * built-ins and keeps everything in memory.
+ *
+ * Usage: node server/handoff-server.js [port]   (default 8787, or HANDOFF_PORT)
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.argv[2] || process.env.HANDOFF_PORT || 8787);
+
+// How long a long-poll request is held open when there's nothing to send
+const POLL_TIMEOUT = 25 * 1000;
+
+// Frames kept per handoff for replay
+const LOG_LIMIT = 1000;
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// handoffId -> { seq, log, sockets, waiters }
+const channels = new Map();
+
+/**
+ * Get or create the state of a handoff channel
+ * @param {string} handoffId - Handoff identifier
+ * @returns {Object} Channel
+ */
+function getChannel(handoffId) {
+    if (!channels.has(handoffId)) {
+        channels.set(handoffId, { seq: 0, log: [], sockets: new Set(), waiters: new Set() });
+    }
+    return channels.get(handoffId);
+}
+
+/**
+ * Frames a client with the given role hasn't seen yet
+ * @param {Object} channel - Channel
+ * @param {string} role - 'student' or 'agent'
+ * @param {number} since - Last sequence number the client has
+ * @param {boolean} includeTyping - Include typing frames (stale ones are useless on replay)
+ * @returns {Array} Frames
+ */
+function framesSince(channel, role, since, includeTyping) {
+    return channel.log.filter(frame =>
+        frame.seq > since &&
+        (frame.type === 'message' || frame.role !== role) &&
+        (includeTyping || frame.type !== 'typing'));
+}
+
+/**
+ * Record a frame and pass it to everyone else in the channel
+ * @param {Object} channel - Channel
+ * @param {Object} frame - Frame with seq assigned
+ * @param {Object} [origin] - WebSocket client that sent it
+ */
+function broadcast(channel, frame, origin) {
+    channel.log.push(frame);
+    if (channel.log.length > LOG_LIMIT) {
+        channel.log.splice(0, channel.log.length - LOG_LIMIT);
+    }
+
+    channel.sockets.forEach(client => {
+        if (client === origin) return;
+        if (frame.type !== 'message' && frame.role === client.role) return;
+        client.send(frame);
+    });
+
+    channel.waiters.forEach(waiter => waiter.wake());
+}
+
+/**
+ * Handle a frame sent by a client over either transport
+ * @param {Object} frame - Client frame
+ * @param {Object} [origin] - WebSocket client, absent for long polling
+ * @returns {Array} Frames to return to the sender
+ */
+function handleClientFrame(frame, origin) {
+    if (!frame || !frame.handoffId || !frame.role) {
+        return [{ type: 'error', error: 'handoffId and role are required' }];
+    }
+    const channel = getChannel(frame.handoffId);
+
+    switch (frame.type) {
+        case 'join': {
+            if (origin) {
+                origin.handoffId = frame.handoffId;
+                origin.role = frame.role;
+                channel.sockets.add(origin);
+            }
+            return framesSince(channel, frame.role, Number(frame.since) || 0, false);
+        }
+        case 'message': {
+            // A resend after reconnecting: acknowledge again without duplicating
+            const existing = channel.log.find(entry => entry.type === 'message' && entry.clientId === frame.clientId);
+            if (existing) {
+                return [{ type: 'ack', clientId: frame.clientId, seq: existing.seq }];
+            }
+            const message = {
+                type: 'message',
+                handoffId: frame.handoffId,
+                role: frame.role,
+                clientId: frame.clientId,
+                sender: frame.sender || frame.role,
+                senderName: frame.senderName,
+                text: String(frame.text || ''),
+                sentAt: new Date().toISOString(),
+                seq: ++channel.seq
+            };
+            broadcast(channel, message, origin);
+            return [{ type: 'ack', clientId: frame.clientId, seq: message.seq }];
+        }
+        case 'typing':
+            broadcast(channel, {
+                type: 'typing',
+                handoffId: frame.handoffId,
+                role: frame.role,
+                name: frame.name,
+                typing: Boolean(frame.typing),
+                seq: ++channel.seq
+            }, origin);
+            return [];
+        case 'receipt':
+            broadcast(channel, {
+                type: 'receipt',
+                handoffId: frame.handoffId,
+                role: frame.role,
+                clientIds: frame.clientIds || [],
+                status: frame.status,
+                seq: ++channel.seq
+            }, origin);
+            return [];
+        default:
+            return [{ type: 'error', error: `Unknown frame type: ${frame.type}` }];
+    }
+}
+
+/**
+ * Encode a frame (server frames are never masked)
+ * @param {string} text - Payload
+ * @param {number} [opcode] - Frame opcode, text by default
+ * @returns {Buffer} Frame
+ */
+function encodeFrame(text, opcode = 0x1) {
+    const payload = Buffer.from(text);
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decode as many complete client frames as the buffer holds
+ * @param {Buffer} buffer - Received bytes
+ * @returns {{ frames: Array, rest: Buffer }} Decoded frames and leftover bytes
+ */
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+
+    while (buffer.length - offset >= 2) {
+        const first = buffer[offset];
+        const second = buffer[offset + 1];
+        let length = second & 0x7f;
+        let position = offset + 2;
+
+        if (length === 126) {
+            if (buffer.length < position + 2) break;
+            length = buffer.readUInt16BE(position);
+            position += 2;
+        } else if (length === 127) {
+            if (buffer.length < position + 8) break;
+            length = Number(buffer.readBigUInt64BE(position));
+            position += 8;
+        }
+
+        const masked = (second & 0x80) !== 0;
+        const maskLength = masked ? 4 : 0;
+        if (buffer.length < position + maskLength + length) break;
+
+        const mask = buffer.subarray(position, position + maskLength);
+        position += maskLength;
+        const payload = Buffer.from(buffer.subarray(position, position + length));
+        if (masked) {
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i % 4];
+            }
+        }
+
+        frames.push({ fin: (first & 0x80) !== 0, opcode: first & 0x0f, payload });
+        offset = position + length;
+    }
+
+    return { frames, rest: buffer.subarray(offset) };
+}
+
+/**
+ * Accept a WebSocket upgrade on /handoff
+ * @param {http.IncomingMessage} request - Upgrade request
+ * @param {net.Socket} socket - Raw socket
+ */
+function handleUpgrade(request, socket) {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    const key = request.headers['sec-websocket-key'];
+    if (pathname !== '/handoff' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+
+    const client = {
+        handoffId: null,
+        role: null,
+        send: (frame) => {
+            if (!socket.destroyed) socket.write(encodeFrame(JSON.stringify(frame)));
+        }
+    };
+    let buffered = Buffer.alloc(0);
+    let fragments = [];
+
+    const leave = () => {
+        if (client.handoffId) {
+            getChannel(client.handoffId).sockets.delete(client);
+        }
+    };
+
+    socket.on('data', (chunk) => {
+        const { frames, rest } = decodeFrames(Buffer.concat([buffered, chunk]));
+        buffered = rest;
+
+        frames.forEach(({ fin, opcode, payload }) => {
+            if (opcode === 0x8) {
+                socket.end(encodeFrame('', 0x8));
+                return;
+            }
+            if (opcode === 0x9) {
+                socket.write(encodeFrame(payload.toString(), 0xa));
+                return;
+            }
+            if (opcode !== 0x1 && opcode !== 0x0) return;
+
+            fragments.push(payload);
+            if (!fin) return;
+            const text = Buffer.concat(fragments).toString();
+            fragments = [];
+
+            let frame;
+            try {
+                frame = JSON.parse(text);
+            } catch (error) {
+                client.send({ type: 'error', error: 'Invalid JSON' });
+                return;
+            }
+            handleClientFrame(frame, client).forEach(reply => client.send(reply));
+        });
+    });
+    socket.on('close', leave);
+    socket.on('error', leave);
+}
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+/**
+ * Send a JSON response that the dev server origin may read
+ * @param {http.ServerResponse} response - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - JSON body
+ */
+function sendJson(response, status, body) {
+    response.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+}
+
+/**
+ * Hold a long-poll request until there is something new or it times out
+ * @param {http.IncomingMessage} request - Request
+ * @param {http.ServerResponse} response - Response
+ * @param {URLSearchParams} query - handoffId, role, since
+ */
+function handlePoll(request, response, query) {
+    const handoffId = query.get('handoffId');
+    const role = query.get('role');
+    if (!handoffId || !role) {
+        sendJson(response, 400, { error: 'handoffId and role are required' });
+        return;
+    }
+
+    const channel = getChannel(handoffId);
+    const since = Number(query.get('since')) || 0;
+    const pending = framesSince(channel, role, since, true);
+    if (pending.length > 0) {
+        sendJson(response, 200, { frames: pending });
+        return;
+    }
+
+    const waiter = {
+        wake: () => {
+            const frames = framesSince(channel, role, since, true);
+            if (frames.length === 0) return;
+            finish(frames);
+        }
+    };
+    const timer = setTimeout(() => finish([]), POLL_TIMEOUT);
+    const finish = (frames) => {
+        clearTimeout(timer);
+        channel.waiters.delete(waiter);
+        if (!response.writableEnded) sendJson(response, 200, { frames });
+    };
+
+    channel.waiters.add(waiter);
+    request.on('close', () => {
+        clearTimeout(timer);
+        channel.waiters.delete(waiter);
+    });
+}
+
+/**
+ * Read a JSON request body
+ * @param {http.IncomingMessage} request - Request
+ * @returns {Promise<Object>} Parsed body
+ */
+function readJson(request) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        request.on('data', (chunk) => {
+            body += chunk;
+        });
+        request.on('end', () => {
+            try {
+                resolve(JSON.parse(body || '{}'));
+            } catch (error) {
+                reject(error);
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+const server = http.createServer(async (request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204, CORS_HEADERS);
+        response.end();
+        return;
+    }
+
+    if (request.method === 'GET' && url.pathname === '/health') {
+        sendJson(response, 200, { ok: true, channels: channels.size });
+        return;
+    }
+
+    if (request.method === 'GET' && url.pathname === '/handoff/poll') {
+        handlePoll(request, response, url.searchParams);
+        return;
+    }
+
+    if (request.method === 'POST' && url.pathname === '/handoff/send') {
+        try {
+            const frame = await readJson(request);
+            sendJson(response, 200, { frames: handleClientFrame(frame) });
+        } catch (error) {
+            sendJson(response, 400, { error: 'Invalid JSON' });
+        }
+        return;
+    }
+
+    sendJson(response, 404, { error: 'Not found' });
+});
+
+server.on('upgrade', handleUpgrade);
+
+server.listen(PORT, () => {
+    console.log(`Handoff relay listening on http://localhost:${PORT}`);
+    console.log('Set "Live Chat Server" in Settings to this address to use it.');
+});
@@ -6,6 +6,7 @@ import Admin from './pages/Admin';
 import Analytics from './pages/Analytics';
 import Settings from './pages/Settings';
 import CollegeAdmin from './pages/CollegeAdmin';
+import Agent from './pages/Agent';
 import './App.css';
 
 function App() {
@@ -19,6 +20,7 @@ function App() {
           <Route path="/analytics" element={<Layout><Analytics /></Layout>} />
           <Route path="/settings" element={<Layout><Settings /></Layout>} />
           <Route path="/college-admin" element={<Layout><CollegeAdmin /></Layout>} />
+          <Route path="/agent" element={<Layout><Agent /></Layout>} />
         </Routes>
       </div>
     </Router>
@@ -1,30 +1,39 @@
 import React from "react";
 import { Link, useLocation } from "react-router-dom";
-import { MessageCircle, Settings, BarChart3, Database, Users, Globe, Shield } from "lucide-react";
+import { MessageCircle, Settings, BarChart3, Database, Users, Globe, Shield, Headphones } from "lucide-react";
+import { ChatbotSettings } from "@/entities/all";
+import { getPreferredLanguage } from "./i18n";
+import useTranslation from "./i18n/useTranslation";
+import { DEFAULT_SETTINGS, loadSettings } from "./services/SettingsStore";
 
 const navigationItems = [
   {
-    title: "Chat",
+    titleKey: "nav.chat",
     url: "/chat",
     icon: MessageCircle,
   },
   {
-    title: "Knowledge Base",
+    titleKey: "nav.knowledgeBase",
     url: "/admin",
     icon: Database,
   },
   {
-    title: "College Assets",
+    titleKey: "nav.collegeAssets",
     url: "/college-admin",
     icon: Shield,
   },
   {
-    title: "Analytics",
+    titleKey: "nav.agentConsole",
+    url: "/agent",
+    icon: Headphones,
+  },
+  {
+    titleKey: "nav.analytics",
     url: "/analytics",
     icon: BarChart3,
   },
   {
-    title: "Settings",
+    titleKey: "nav.settings",
     url: "/settings",
     icon: Settings,
   },
@@ -32,6 +41,15 @@ const navigationItems = [
 
 export default function Layout({ children, currentPageName }) {
   const location = useLocation();
+  const [language, setLanguage] = React.useState(() => getPreferredLanguage(DEFAULT_SETTINGS.defaultLanguage));
+  const t = useTranslation(language);
+
+  React.useEffect(() => {
+    // Until a student picks a language, navigation follows the admin's default
+    loadSettings(ChatbotSettings)
+      .then((settings) => setLanguage(getPreferredLanguage(settings.defaultLanguage)))
+      .catch((error) => console.error("Error loading settings:", error));
+  }, []);
 
   return (
     <div className="min-h-screen flex w-full bg-gray-50">
@@ -44,8 +62,8 @@ export default function Layout({ children, currentPageName }) {
               <Globe className="w-5 h-5 text-white" />
             </div>
             <div>
-              <h2 className="font-bold text-gray-900">CampusAssist</h2>
-              <p className="text-xs text-gray-500">Multilingual Assistant</p>
+              <h2 className="font-bold text-gray-900">{t('app.name')}</h2>
+              <p className="text-xs text-gray-500">{t('app.tagline')}</p>
             </div>
           </div>
         </div>
@@ -54,14 +72,14 @@ export default function Layout({ children, currentPageName }) {
         <div className="flex-1 p-4">
           <div className="mb-6">
             <h3 className="text-xs font-semibold text-gray-500 uppercase tracking-wider mb-3">
-              NAVIGATION
+              {t('nav.heading')}
             </h3>
             <nav className="space-y-1">
               {navigationItems.map((item) => {
                 const isActive = location.pathname === item.url;
                 return (
                   <Link
-                    key={item.title}
+                    key={item.url}
                     to={item.url}
                     className={`flex items-center gap-3 px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
                       isActive 
@@ -70,7 +88,7 @@ export default function Layout({ children, currentPageName }) {
                     }`}
                   >
                     <item.icon className="w-5 h-5 flex-shrink-0" />
-                    <span>{item.title}</span>
+                    <span>{t(item.titleKey)}</span>
                   </Link>
                 );
               })}
@@ -80,27 +98,27 @@ export default function Layout({ children, currentPageName }) {
           {/* Quick Stats */}
           <div>
             <h3 className="text-xs font-semibold text-gray-500 uppercase tracking-wider mb-3">
-              QUICK STATS
+              {t('stats.heading')}
             </h3>
             <div className="space-y-3">
               <div className="flex items-center justify-between">
                 <div className="flex items-center gap-2">
                   <Users className="w-4 h-4 text-blue-500" />
-                  <span className="text-xs text-gray-600">Active Sessions</span>
+                  <span className="text-xs text-gray-600">{t('stats.activeSessions')}</span>
                 </div>
                 <span className="text-sm font-semibold text-blue-600">12</span>
               </div>
               <div className="flex items-center justify-between">
                 <div className="flex items-center gap-2">
                   <MessageCircle className="w-4 h-4 text-green-500" />
-                  <span className="text-xs text-gray-600">Today's Queries</span>
+                  <span className="text-xs text-gray-600">{t('stats.todaysQueries')}</span>
                 </div>
                 <span className="text-sm font-semibold text-green-600">84</span>
               </div>
               <div className="flex items-center justify-between">
                 <div className="flex items-center gap-2">
                   <Globe className="w-4 h-4 text-purple-500" />
-                  <span className="text-xs text-gray-600">Languages</span>
+                  <span className="text-xs text-gray-600">{t('stats.languages')}</span>
                 </div>
                 <span className="text-sm font-semibold text-purple-600">8</span>
               </div>
@@ -110,8 +128,8 @@ export default function Layout({ children, currentPageName }) {
 
         {/* Footer */}
         <div className="p-4 border-t border-gray-200 text-center">
-          <p className="text-xs text-gray-500">Campus Chatbot v2.0</p>
-          <p className="text-xs text-gray-400">Serving students 24/7</p>
+          <p className="text-xs text-gray-500">{t('app.version')}</p>
+          <p className="text-xs text-gray-400">{t('app.availability')}</p>
         </div>
       </div>
 
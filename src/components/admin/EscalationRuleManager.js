@@ -0,0 +1,379 @@
+import React, { useState, useEffect } from "react";
+import { EscalationRule } from "@/entities/all";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Textarea } from "@/components/ui/textarea";
+import { Switch } from "@/components/ui/switch";
+import { Card, CardContent } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Plus, Edit, Trash2, ArrowUp, ArrowDown } from "lucide-react";
+import { PRIORITY_STYLES } from "../agent/HandoffQueueList";
+import { DEFAULT_DEPARTMENTS, DEFAULT_ESCALATION_RULES, cleanTriggers } from "@/services/EscalationRuleStore";
+import { LANGUAGES } from "@/i18n/languages";
+
+const PRIORITIES = ["urgent", "high", "medium", "low"];
+
+const OFFICE_HOURS_LABELS = {
+  ticket: "Take a ticket for a callback",
+  queue: "Wait in the queue until opening",
+  always: "Connect to agents at any hour"
+};
+
+const emptyRule = {
+  name: "",
+  triggers: {},
+  department: "general",
+  priority: "medium",
+  wait_estimate_minutes: "",
+  office_hours_behaviour: "ticket",
+  order: 0,
+  is_active: true
+};
+
+export default function EscalationRuleManager() {
+  const [rules, setRules] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [showDialog, setShowDialog] = useState(false);
+  const [editingRule, setEditingRule] = useState(null);
+
+  useEffect(() => {
+    loadRules();
+  }, []);
+
+  const loadRules = async () => {
+    setIsLoading(true);
+    try {
+      const data = await EscalationRule.list("order");
+      setRules(data);
+    } catch (error) {
+      console.error("Error loading escalation rules:", error);
+    }
+    setIsLoading(false);
+  };
+
+  const handleSaveRule = async (formData) => {
+    try {
+      if (editingRule) {
+        await EscalationRule.update(editingRule.id, formData);
+      } else {
+        // The chat only falls back to the built-in rules while none are saved,
+        // so copy them in first rather than let the new rule replace them
+        let existing = await EscalationRule.list("order");
+        if (existing.length === 0) {
+          await createDefaultRules();
+          existing = DEFAULT_ESCALATION_RULES;
+        }
+        await EscalationRule.create({ ...formData, order: existing.length });
+      }
+      loadRules();
+      setShowDialog(false);
+      setEditingRule(null);
+    } catch (error) {
+      console.error("Error saving escalation rule:", error);
+    }
+  };
+
+  const handleDeleteRule = async (rule) => {
+    if (window.confirm("Are you sure you want to delete this escalation rule?")) {
+      await EscalationRule.delete(rule.id);
+      loadRules();
+    }
+  };
+
+  const handleMove = async (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= rules.length) return;
+
+    const reordered = [...rules];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    setRules(reordered);
+    try {
+      await Promise.all(reordered
+        .map((rule, order) => ({ rule, order }))
+        .filter(({ rule, order }) => rule.order !== order)
+        .map(({ rule, order }) => EscalationRule.update(rule.id, { order })));
+    } catch (error) {
+      console.error("Error reordering escalation rules:", error);
+    }
+    loadRules();
+  };
+
+  const createDefaultRules = () =>
+    Promise.all(DEFAULT_ESCALATION_RULES.map(({ id, ...rule }) => EscalationRule.create(rule)));
+
+  const handleImportDefaults = async () => {
+    try {
+      await createDefaultRules();
+      loadRules();
+    } catch (error) {
+      console.error("Error importing default escalation rules:", error);
+    }
+  };
+
+  const departments = [...new Set([...DEFAULT_DEPARTMENTS, ...rules.map(rule => rule.department)])];
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-6">
+        <p className="text-gray-600">
+          Messages that match a rule go to its department's agents. Rules are checked in
+          the order listed here and open chats pick up changes within a minute.
+        </p>
+        <Button
+          onClick={() => setShowDialog(true)}
+          className="bg-blue-600 hover:bg-blue-700"
+        >
+          <Plus className="w-4 h-4 mr-2" />
+          Add Rule
+        </Button>
+      </div>
+
+      {!isLoading && rules.length === 0 && (
+        <Card className="mb-4">
+          <CardContent className="p-6 text-center space-y-3">
+            <p className="text-gray-600">
+              No escalation rules configured. The chat uses the built-in finance, technical,
+              academic, admissions and complaint rules, which are copied here when you add a rule.
+            </p>
+            <Button variant="outline" onClick={handleImportDefaults}>
+              Copy built-in rules to edit them
+            </Button>
+          </CardContent>
+        </Card>
+      )}
+
+      <div className="grid gap-3">
+        {rules.map((rule, index) => {
+          const triggerCount = Object.values(rule.triggers || {}).reduce((sum, list) => sum + list.length, 0);
+          return (
+            <Card key={rule.id} className="hover:shadow-md transition-shadow">
+              <CardContent className="p-4 flex items-center gap-4">
+                <div className="flex flex-col">
+                  <Button variant="ghost" size="sm" className="h-6 px-1" disabled={index === 0} onClick={() => handleMove(index, -1)}>
+                    <ArrowUp className="w-3 h-3" />
+                  </Button>
+                  <Button variant="ghost" size="sm" className="h-6 px-1" disabled={index === rules.length - 1} onClick={() => handleMove(index, 1)}>
+                    <ArrowDown className="w-3 h-3" />
+                  </Button>
+                </div>
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-2 mb-1">
+                    <h3 className="font-semibold text-gray-900 truncate">{rule.name}</h3>
+                    <Badge variant="secondary">{rule.department}</Badge>
+                    <Badge className={PRIORITY_STYLES[rule.priority]}>{rule.priority}</Badge>
+                    {rule.is_active === false && <Badge variant="outline">Disabled</Badge>}
+                  </div>
+                  <p className="text-sm text-gray-600 truncate">
+                    {(rule.triggers?.en || Object.values(rule.triggers || {})[0] || []).join(", ")}
+                  </p>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {triggerCount} triggers in {Object.keys(rule.triggers || {}).map(lang => lang.toUpperCase()).join(", ")}
+                    {rule.wait_estimate_minutes > 0 && ` · ~${rule.wait_estimate_minutes} min per chat`}
+                    {` · Outside office hours: ${OFFICE_HOURS_LABELS[rule.office_hours_behaviour || "ticket"].toLowerCase()}`}
+                  </p>
+                </div>
+                <div className="flex gap-2">
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => {
+                      setEditingRule(rule);
+                      setShowDialog(true);
+                    }}
+                  >
+                    <Edit className="w-4 h-4" />
+                  </Button>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => handleDeleteRule(rule)}
+                    className="text-red-600 hover:text-red-800"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </Button>
+                </div>
+              </CardContent>
+            </Card>
+          );
+        })}
+      </div>
+
+      <EscalationRuleDialog
+        open={showDialog}
+        onClose={() => {
+          setShowDialog(false);
+          setEditingRule(null);
+        }}
+        onSave={handleSaveRule}
+        rule={editingRule}
+        departments={departments}
+        takenNames={(rules.length > 0 ? rules : DEFAULT_ESCALATION_RULES)
+          .filter(rule => rule.id !== editingRule?.id).map(rule => rule.name)}
+      />
+    </div>
+  );
+}
+
+function EscalationRuleDialog({ open, onClose, onSave, rule, departments, takenNames }) {
+  const [formData, setFormData] = useState(emptyRule);
+  // Triggers are edited one phrase per line
+  const [triggerText, setTriggerText] = useState({});
+
+  useEffect(() => {
+    const initial = rule ? { ...emptyRule, ...rule } : emptyRule;
+    setFormData(initial);
+    setTriggerText(Object.fromEntries(
+      Object.entries(initial.triggers || {}).map(([lang, phrases]) => [lang, phrases.join("\n")])
+    ));
+  }, [rule, open]);
+
+  const triggers = cleanTriggers(Object.fromEntries(
+    Object.entries(triggerText).map(([lang, text]) => [lang, text.split("\n")])
+  ));
+  const name = formData.name.trim();
+  const nameTaken = takenNames.includes(name);
+  const canSave = name && !nameTaken && formData.department.trim() && Object.keys(triggers).length > 0;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!canSave) return;
+    const { id, created_date, updated_date, created_by, ...fields } = formData;
+    onSave({
+      ...fields,
+      name,
+      department: formData.department.trim(),
+      triggers,
+      wait_estimate_minutes: Number(formData.wait_estimate_minutes) > 0 ? Number(formData.wait_estimate_minutes) : null
+    });
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onClose}>
+      <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>
+            {rule ? "Edit Escalation Rule" : "Add New Escalation Rule"}
+          </DialogTitle>
+        </DialogHeader>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-3 gap-4">
+            <div>
+              <label className="text-sm font-medium mb-2 block">Name</label>
+              <Input
+                value={formData.name}
+                onChange={(e) => setFormData(prev => ({ ...prev, name: e.target.value }))}
+                placeholder="e.g. hostel_issues"
+                required
+              />
+              {nameTaken && (
+                <p className="text-xs text-red-600 mt-1">Another rule already has this name.</p>
+              )}
+            </div>
+
+            <div>
+              <label className="text-sm font-medium mb-2 block">Department</label>
+              <Input
+                value={formData.department}
+                onChange={(e) => setFormData(prev => ({ ...prev, department: e.target.value }))}
+                list="escalation-departments"
+                required
+              />
+              <datalist id="escalation-departments">
+                {departments.map(department => (
+                  <option key={department} value={department} />
+                ))}
+              </datalist>
+            </div>
+
+            <div>
+              <label className="text-sm font-medium mb-2 block">Priority</label>
+              <Select
+                value={formData.priority}
+                onValueChange={(value) => setFormData(prev => ({ ...prev, priority: value }))}
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {PRIORITIES.map(priority => (
+                    <SelectItem key={priority} value={priority}>
+                      {priority.charAt(0).toUpperCase() + priority.slice(1)}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-3 gap-4 items-end">
+            <div>
+              <label className="text-sm font-medium mb-2 block">Minutes per Chat</label>
+              <Input
+                type="number"
+                min="1"
+                value={formData.wait_estimate_minutes ?? ""}
+                onChange={(e) => setFormData(prev => ({ ...prev, wait_estimate_minutes: e.target.value }))}
+                placeholder="Measured"
+              />
+            </div>
+            <div>
+              <label className="text-sm font-medium mb-2 block">Outside Office Hours</label>
+              <Select
+                value={formData.office_hours_behaviour}
+                onValueChange={(value) => setFormData(prev => ({ ...prev, office_hours_behaviour: value }))}
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(OFFICE_HOURS_LABELS).map(([value, label]) => (
+                    <SelectItem key={value} value={value}>{label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="flex items-center gap-2 pb-2">
+              <Switch
+                checked={formData.is_active}
+                onCheckedChange={(checked) => setFormData(prev => ({ ...prev, is_active: checked }))}
+              />
+              <label className="text-sm font-medium">Active</label>
+            </div>
+          </div>
+          <p className="text-xs text-gray-500 -mt-2">
+            Minutes per chat feed the wait shown to students until the department has
+            resolved chats to measure it.
+          </p>
+
+          <div className="space-y-3">
+            <p className="text-sm font-medium">
+              Triggers per language <span className="text-gray-500 font-normal">(one word or phrase per line; every language is checked against every message)</span>
+            </p>
+            {LANGUAGES.map(lang => (
+              <div key={lang.code} className="grid grid-cols-[100px_1fr] gap-2 items-start">
+                <span className="text-sm text-gray-700 pt-2">{lang.nativeName}</span>
+                <Textarea
+                  value={triggerText[lang.code] || ""}
+                  onChange={(e) => setTriggerText(prev => ({ ...prev, [lang.code]: e.target.value }))}
+                  rows={2}
+                />
+              </div>
+            ))}
+          </div>
+
+          <div className="flex justify-end gap-3 pt-4">
+            <Button type="button" variant="outline" onClick={onClose}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={!canSave} className="bg-blue-600 hover:bg-blue-700">
+              {rule ? "Update" : "Create"} Rule
+            </Button>
+          </div>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,374 @@
+import React, { useState, useEffect } from "react";
+import { OfficeHours, EscalationRule } from "@/entities/all";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Switch } from "@/components/ui/switch";
+import { Card, CardContent } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Plus, Edit, Trash2, X } from "lucide-react";
+import { DEFAULT_DEPARTMENTS } from "@/services/EscalationRuleStore";
+import { DEFAULT_OFFICE_HOURS, DEFAULT_TIMEZONE, getOfficeStatus, isValidTimeZone } from "@/services/OfficeHoursCalendar";
+
+// Monday first, as the week is read on a timetable
+const DAYS = [
+  ["mon", "Monday"],
+  ["tue", "Tuesday"],
+  ["wed", "Wednesday"],
+  ["thu", "Thursday"],
+  ["fri", "Friday"],
+  ["sat", "Saturday"],
+  ["sun", "Sunday"]
+];
+
+const emptySchedule = {
+  department: "",
+  timezone: DEFAULT_TIMEZONE,
+  weekly_hours: {},
+  holidays: []
+};
+
+/**
+ * One-line summary of a weekly schedule
+ * @param {Object} weeklyHours - OfficeHours.weekly_hours
+ * @returns {string} E.g. "Mon 09:00–17:00 · Sat 09:00–13:00"
+ */
+function summarizeWeek(weeklyHours = {}) {
+  const days = DAYS
+    .filter(([day]) => weeklyHours[day]?.open && weeklyHours[day]?.close)
+    .map(([day, label]) => `${label.slice(0, 3)} ${weeklyHours[day].open}–${weeklyHours[day].close}`);
+  return days.length > 0 ? days.join(" · ") : "Closed every day";
+}
+
+export default function OfficeHoursManager() {
+  const [schedules, setSchedules] = useState([]);
+  const [departments, setDepartments] = useState(DEFAULT_DEPARTMENTS);
+  const [isLoading, setIsLoading] = useState(true);
+  const [showDialog, setShowDialog] = useState(false);
+  const [editingSchedule, setEditingSchedule] = useState(null);
+
+  useEffect(() => {
+    loadSchedules();
+  }, []);
+
+  const loadSchedules = async () => {
+    setIsLoading(true);
+    try {
+      const [data, rules] = await Promise.all([
+        OfficeHours.list("department"),
+        EscalationRule.list("order")
+      ]);
+      setSchedules(data);
+      setDepartments([...new Set([...DEFAULT_DEPARTMENTS, ...rules.map(rule => rule.department)])]);
+    } catch (error) {
+      console.error("Error loading office hours:", error);
+    }
+    setIsLoading(false);
+  };
+
+  const handleSaveSchedule = async (formData) => {
+    try {
+      if (editingSchedule) {
+        await OfficeHours.update(editingSchedule.id, formData);
+      } else {
+        await OfficeHours.create(formData);
+      }
+      loadSchedules();
+      setShowDialog(false);
+      setEditingSchedule(null);
+    } catch (error) {
+      console.error("Error saving office hours:", error);
+    }
+  };
+
+  const handleDeleteSchedule = async (schedule) => {
+    if (window.confirm(`Delete the office hours for ${schedule.department}?`)) {
+      await OfficeHours.delete(schedule.id);
+      loadSchedules();
+    }
+  };
+
+  const handleImportDefaults = async () => {
+    try {
+      await OfficeHours.create(DEFAULT_OFFICE_HOURS);
+      loadSchedules();
+    } catch (error) {
+      console.error("Error importing default office hours:", error);
+    }
+  };
+
+  const hasGeneral = schedules.some(schedule => schedule.department === "general");
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-6">
+        <p className="text-gray-600">
+          Handoffs outside these hours become callback tickets. Departments without their
+          own schedule follow <span className="font-medium">general</span>, and its holidays
+          apply to every department.
+        </p>
+        <Button
+          onClick={() => setShowDialog(true)}
+          className="bg-blue-600 hover:bg-blue-700"
+        >
+          <Plus className="w-4 h-4 mr-2" />
+          Add Schedule
+        </Button>
+      </div>
+
+      {!isLoading && !hasGeneral && (
+        <Card className="mb-4">
+          <CardContent className="p-6 text-center space-y-3">
+            <p className="text-gray-600">
+              No college-wide schedule configured. The chat assumes Monday to Friday,
+              09:00–17:00 India time, with no holidays.
+            </p>
+            <Button variant="outline" onClick={handleImportDefaults}>
+              Copy built-in hours to edit them
+            </Button>
+          </CardContent>
+        </Card>
+      )}
+
+      <div className="grid gap-3">
+        {schedules.map(schedule => {
+          const status = getOfficeStatus(schedules, schedule.department);
+          return (
+            <Card key={schedule.id} className="hover:shadow-md transition-shadow">
+              <CardContent className="p-4 flex items-center gap-4">
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-2 mb-1">
+                    <h3 className="font-semibold text-gray-900 truncate">{schedule.department}</h3>
+                    <Badge variant="secondary">{status.timezone}</Badge>
+                    <Badge className={status.open ? "bg-green-100 text-green-800" : "bg-gray-100 text-gray-700"}>
+                      {status.open ? "Open now" : status.holiday ? "Holiday" : "Closed now"}
+                    </Badge>
+                  </div>
+                  <p className="text-sm text-gray-600 truncate">{summarizeWeek(schedule.weekly_hours)}</p>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {(schedule.holidays || []).length} holidays
+                    {(schedule.holidays || []).length > 0 && `: ${schedule.holidays.map(holiday => holiday.name || holiday.date).join(", ")}`}
+                  </p>
+                </div>
+                <div className="flex gap-2">
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => {
+                      setEditingSchedule(schedule);
+                      setShowDialog(true);
+                    }}
+                  >
+                    <Edit className="w-4 h-4" />
+                  </Button>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => handleDeleteSchedule(schedule)}
+                    className="text-red-600 hover:text-red-800"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </Button>
+                </div>
+              </CardContent>
+            </Card>
+          );
+        })}
+      </div>
+
+      <OfficeHoursDialog
+        open={showDialog}
+        onClose={() => {
+          setShowDialog(false);
+          setEditingSchedule(null);
+        }}
+        onSave={handleSaveSchedule}
+        schedule={editingSchedule}
+        departments={departments}
+        takenDepartments={schedules.filter(schedule => schedule.id !== editingSchedule?.id).map(schedule => schedule.department)}
+      />
+    </div>
+  );
+}
+
+function OfficeHoursDialog({ open, onClose, onSave, schedule, departments, takenDepartments }) {
+  const [formData, setFormData] = useState(emptySchedule);
+
+  useEffect(() => {
+    setFormData(schedule ? { ...emptySchedule, ...schedule } : emptySchedule);
+  }, [schedule, open]);
+
+  const department = formData.department.trim();
+  const departmentTaken = takenDepartments.includes(department);
+  const badDays = DAYS.filter(([day]) => {
+    const hours = formData.weekly_hours[day];
+    return hours && (!hours.open || !hours.close || hours.close <= hours.open);
+  });
+  const timezone = formData.timezone.trim() || DEFAULT_TIMEZONE;
+  const timezoneValid = isValidTimeZone(timezone);
+  const canSave = department && !departmentTaken && timezoneValid && badDays.length === 0;
+
+  const setDay = (day, hours) => {
+    setFormData(prev => {
+      const weeklyHours = { ...prev.weekly_hours };
+      if (hours) {
+        weeklyHours[day] = hours;
+      } else {
+        delete weeklyHours[day];
+      }
+      return { ...prev, weekly_hours: weeklyHours };
+    });
+  };
+
+  const setHoliday = (index, changes) => {
+    setFormData(prev => ({
+      ...prev,
+      holidays: prev.holidays.map((holiday, i) => (i === index ? { ...holiday, ...changes } : holiday))
+    }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!canSave) return;
+    const { id, created_date, updated_date, created_by, ...fields } = formData;
+    onSave({
+      ...fields,
+      department,
+      timezone,
+      holidays: formData.holidays
+        .filter(holiday => holiday.date)
+        .sort((a, b) => a.date.localeCompare(b.date))
+    });
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onClose}>
+      <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>
+            {schedule ? "Edit Office Hours" : "Add Office Hours"}
+          </DialogTitle>
+        </DialogHeader>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="text-sm font-medium mb-2 block">Department</label>
+              <Input
+                value={formData.department}
+                onChange={(e) => setFormData(prev => ({ ...prev, department: e.target.value }))}
+                list="office-hours-departments"
+                placeholder="general"
+                required
+              />
+              <datalist id="office-hours-departments">
+                {departments.map(name => (
+                  <option key={name} value={name} />
+                ))}
+              </datalist>
+              {departmentTaken && (
+                <p className="text-xs text-red-600 mt-1">This department already has a schedule.</p>
+              )}
+            </div>
+
+            <div>
+              <label className="text-sm font-medium mb-2 block">Time Zone</label>
+              <Input
+                value={formData.timezone}
+                onChange={(e) => setFormData(prev => ({ ...prev, timezone: e.target.value }))}
+                placeholder={DEFAULT_TIMEZONE}
+              />
+              {!timezoneValid && (
+                <p className="text-xs text-red-600 mt-1">Unknown time zone. Use an IANA name such as {DEFAULT_TIMEZONE}.</p>
+              )}
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <p className="text-sm font-medium">Weekly hours</p>
+            {DAYS.map(([day, label]) => {
+              const hours = formData.weekly_hours[day];
+              return (
+                <div key={day} className="grid grid-cols-[110px_60px_1fr_1fr] gap-2 items-center">
+                  <span className="text-sm text-gray-700">{label}</span>
+                  <Switch
+                    checked={!!hours}
+                    onCheckedChange={(checked) => setDay(day, checked ? { open: "09:00", close: "17:00" } : null)}
+                  />
+                  {hours ? (
+                    <>
+                      <Input
+                        type="time"
+                        value={hours.open}
+                        onChange={(e) => setDay(day, { ...hours, open: e.target.value })}
+                      />
+                      <Input
+                        type="time"
+                        value={hours.close}
+                        onChange={(e) => setDay(day, { ...hours, close: e.target.value })}
+                      />
+                    </>
+                  ) : (
+                    <span className="text-sm text-gray-500 col-span-2">Closed</span>
+                  )}
+                </div>
+              );
+            })}
+            {badDays.length > 0 && (
+              <p className="text-xs text-red-600">Closing time must be after opening time on {badDays.map(([, label]) => label).join(", ")}.</p>
+            )}
+          </div>
+
+          <div className="space-y-2">
+            <div className="flex items-center justify-between">
+              <p className="text-sm font-medium">Holidays</p>
+              <Button
+                type="button"
+                variant="outline"
+                size="sm"
+                onClick={() => setFormData(prev => ({ ...prev, holidays: [...prev.holidays, { date: "", name: "" }] }))}
+              >
+                <Plus className="w-4 h-4 mr-1" />
+                Add Holiday
+              </Button>
+            </div>
+            {formData.holidays.length === 0 && (
+              <p className="text-xs text-gray-500">No holidays. Closed days can also be switched off above.</p>
+            )}
+            {formData.holidays.map((holiday, index) => (
+              <div key={index} className="grid grid-cols-[160px_1fr_auto] gap-2 items-center">
+                <Input
+                  type="date"
+                  value={holiday.date}
+                  onChange={(e) => setHoliday(index, { date: e.target.value })}
+                />
+                <Input
+                  value={holiday.name || ""}
+                  onChange={(e) => setHoliday(index, { name: e.target.value })}
+                  placeholder="e.g. Diwali"
+                />
+                <Button
+                  type="button"
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => setFormData(prev => ({ ...prev, holidays: prev.holidays.filter((_, i) => i !== index) }))}
+                >
+                  <X className="w-4 h-4" />
+                </Button>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex justify-end gap-3 pt-4">
+            <Button type="button" variant="outline" onClick={onClose}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={!canSave} className="bg-blue-600 hover:bg-blue-700">
+              {schedule ? "Update" : "Create"} Schedule
+            </Button>
+          </div>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
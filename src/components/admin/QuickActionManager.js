@@ -0,0 +1,356 @@
+import React, { useState, useEffect } from "react";
+import { QuickAction } from "@/entities/all";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Switch } from "@/components/ui/switch";
+import { Card, CardContent } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Plus, Edit, Trash2, ArrowUp, ArrowDown, HelpCircle } from "lucide-react";
+import { QUICK_ACTION_ICONS } from "../chat/QuickActions";
+import { isQuickActionActive, DEFAULT_QUICK_ACTIONS } from "@/services/QuickActionStore";
+import { LANGUAGES } from "@/i18n/languages";
+
+const categories = ["fees", "scholarships", "timetable", "admissions", "exams", "general"];
+
+const emptyAction = {
+  labels: { en: "" },
+  queries: { en: "" },
+  icon: "HelpCircle",
+  category: "general",
+  order: 0,
+  is_active: true,
+  start_date: "",
+  end_date: ""
+};
+
+export default function QuickActionManager() {
+  const [actions, setActions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [showDialog, setShowDialog] = useState(false);
+  const [editingAction, setEditingAction] = useState(null);
+
+  useEffect(() => {
+    loadActions();
+  }, []);
+
+  const loadActions = async () => {
+    setIsLoading(true);
+    try {
+      const data = await QuickAction.list("order");
+      setActions(data);
+    } catch (error) {
+      console.error("Error loading quick actions:", error);
+    }
+    setIsLoading(false);
+  };
+
+  const handleSaveAction = async (formData) => {
+    try {
+      if (editingAction) {
+        await QuickAction.update(editingAction.id, formData);
+      } else {
+        await QuickAction.create({ ...formData, order: formData.order || actions.length });
+      }
+      loadActions();
+      setShowDialog(false);
+      setEditingAction(null);
+    } catch (error) {
+      console.error("Error saving quick action:", error);
+    }
+  };
+
+  const handleDeleteAction = async (action) => {
+    if (window.confirm("Are you sure you want to delete this quick action?")) {
+      await QuickAction.delete(action.id);
+      loadActions();
+    }
+  };
+
+  const handleMove = async (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= actions.length) return;
+
+    // Renumber everything so records created with equal order values move predictably
+    const reordered = [...actions];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    setActions(reordered);
+    try {
+      await Promise.all(reordered
+        .map((action, order) => ({ action, order }))
+        .filter(({ action, order }) => action.order !== order)
+        .map(({ action, order }) => QuickAction.update(action.id, { order })));
+    } catch (error) {
+      console.error("Error reordering quick actions:", error);
+    }
+    loadActions();
+  };
+
+  const handleImportDefaults = async () => {
+    try {
+      await Promise.all(DEFAULT_QUICK_ACTIONS.map(({ id, ...action }) => QuickAction.create(action)));
+      loadActions();
+    } catch (error) {
+      console.error("Error importing default quick actions:", error);
+    }
+  };
+
+  const getStatus = (action) => {
+    if (action.is_active === false) return { label: "Disabled", variant: "outline" };
+    if (isQuickActionActive(action)) return { label: "Live", variant: "default" };
+    return !isQuickActionActive({ ...action, end_date: null })
+      ? { label: "Scheduled", variant: "secondary" }
+      : { label: "Expired", variant: "destructive" };
+  };
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-6">
+        <p className="text-gray-600">
+          Shortcuts shown under the chat greeting, in the order listed here
+        </p>
+        <Button
+          onClick={() => setShowDialog(true)}
+          className="bg-blue-600 hover:bg-blue-700"
+        >
+          <Plus className="w-4 h-4 mr-2" />
+          Add Quick Action
+        </Button>
+      </div>
+
+      {!isLoading && actions.length === 0 && (
+        <Card className="mb-4">
+          <CardContent className="p-6 text-center space-y-3">
+            <p className="text-gray-600">
+              No quick actions configured. The chat shows the built-in fees, scholarships,
+              timetable, admissions, exams and help shortcuts.
+            </p>
+            <Button variant="outline" onClick={handleImportDefaults}>
+              Copy built-in shortcuts to edit them
+            </Button>
+          </CardContent>
+        </Card>
+      )}
+
+      <div className="grid gap-3">
+        {actions.map((action, index) => {
+          const Icon = QUICK_ACTION_ICONS[action.icon] || HelpCircle;
+          const status = getStatus(action);
+          return (
+            <Card key={action.id} className="hover:shadow-md transition-shadow">
+              <CardContent className="p-4 flex items-center gap-4">
+                <div className="flex flex-col">
+                  <Button variant="ghost" size="sm" className="h-6 px-1" disabled={index === 0} onClick={() => handleMove(index, -1)}>
+                    <ArrowUp className="w-3 h-3" />
+                  </Button>
+                  <Button variant="ghost" size="sm" className="h-6 px-1" disabled={index === actions.length - 1} onClick={() => handleMove(index, 1)}>
+                    <ArrowDown className="w-3 h-3" />
+                  </Button>
+                </div>
+                <Icon className="w-5 h-5 text-blue-500 flex-shrink-0" />
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-2 mb-1">
+                    <h3 className="font-semibold text-gray-900 truncate">{action.labels?.en}</h3>
+                    <Badge variant="secondary">{action.category}</Badge>
+                    <Badge variant={status.variant}>{status.label}</Badge>
+                  </div>
+                  <p className="text-sm text-gray-600 truncate">{action.queries?.en}</p>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {Object.keys(action.labels || {}).filter(lang => action.labels[lang]).map(lang => lang.toUpperCase()).join(", ")}
+                    {(action.start_date || action.end_date) &&
+                      ` · ${action.start_date || "…"} to ${action.end_date || "…"}`}
+                  </p>
+                </div>
+                <div className="flex gap-2">
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => {
+                      setEditingAction(action);
+                      setShowDialog(true);
+                    }}
+                  >
+                    <Edit className="w-4 h-4" />
+                  </Button>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => handleDeleteAction(action)}
+                    className="text-red-600 hover:text-red-800"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </Button>
+                </div>
+              </CardContent>
+            </Card>
+          );
+        })}
+      </div>
+
+      <QuickActionDialog
+        open={showDialog}
+        onClose={() => {
+          setShowDialog(false);
+          setEditingAction(null);
+        }}
+        onSave={handleSaveAction}
+        action={editingAction}
+      />
+    </div>
+  );
+}
+
+function QuickActionDialog({ open, onClose, onSave, action }) {
+  const [formData, setFormData] = useState(emptyAction);
+
+  useEffect(() => {
+    setFormData(action ? { ...emptyAction, ...action } : emptyAction);
+  }, [action, open]);
+
+  const setText = (field, lang, value) => {
+    setFormData(prev => ({ ...prev, [field]: { ...prev[field], [lang]: value } }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    // Drop empty translations so those languages fall back to English
+    const compact = texts => Object.fromEntries(
+      Object.entries(texts).map(([lang, text]) => [lang, text.trim()]).filter(([, text]) => text)
+    );
+    const { id, created_date, updated_date, created_by, ...fields } = formData;
+    onSave({
+      ...fields,
+      labels: compact(formData.labels),
+      queries: compact(formData.queries),
+      start_date: formData.start_date || null,
+      end_date: formData.end_date || null
+    });
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onClose}>
+      <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>
+            {action ? "Edit Quick Action" : "Add New Quick Action"}
+          </DialogTitle>
+        </DialogHeader>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-3 gap-4">
+            <div>
+              <label className="text-sm font-medium mb-2 block">Icon</label>
+              <Select
+                value={formData.icon}
+                onValueChange={(value) => setFormData(prev => ({ ...prev, icon: value }))}
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(QUICK_ACTION_ICONS).map(([name, Icon]) => (
+                    <SelectItem key={name} value={name}>
+                      <span className="flex items-center gap-2">
+                        <Icon className="w-4 h-4" />
+                        {name}
+                      </span>
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div>
+              <label className="text-sm font-medium mb-2 block">Answer Category</label>
+              <Select
+                value={formData.category}
+                onValueChange={(value) => setFormData(prev => ({ ...prev, category: value }))}
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {categories.map(cat => (
+                    <SelectItem key={cat} value={cat}>
+                      {cat.charAt(0).toUpperCase() + cat.slice(1)}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div>
+              <label className="text-sm font-medium mb-2 block">Order</label>
+              <Input
+                type="number"
+                min="0"
+                value={formData.order}
+                onChange={(e) => setFormData(prev => ({ ...prev, order: parseInt(e.target.value) || 0 }))}
+              />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-3 gap-4 items-end">
+            <div>
+              <label className="text-sm font-medium mb-2 block">Show From</label>
+              <Input
+                type="date"
+                value={formData.start_date || ""}
+                onChange={(e) => setFormData(prev => ({ ...prev, start_date: e.target.value }))}
+              />
+            </div>
+            <div>
+              <label className="text-sm font-medium mb-2 block">Show Until</label>
+              <Input
+                type="date"
+                value={formData.end_date || ""}
+                min={formData.start_date || undefined}
+                onChange={(e) => setFormData(prev => ({ ...prev, end_date: e.target.value }))}
+              />
+            </div>
+            <div className="flex items-center gap-2 pb-2">
+              <Switch
+                checked={formData.is_active}
+                onCheckedChange={(checked) => setFormData(prev => ({ ...prev, is_active: checked }))}
+              />
+              <label className="text-sm font-medium">Active</label>
+            </div>
+          </div>
+
+          <div className="space-y-3">
+            <p className="text-sm font-medium">
+              Label and query per language <span className="text-gray-500 font-normal">(English required; empty languages use English)</span>
+            </p>
+            {LANGUAGES.map(lang => (
+              <div key={lang.code} className="grid grid-cols-[100px_1fr_2fr] gap-2 items-center">
+                <span className="text-sm text-gray-700">{lang.nativeName}</span>
+                <Input
+                  value={formData.labels[lang.code] || ""}
+                  onChange={(e) => setText("labels", lang.code, e.target.value)}
+                  placeholder="Button label"
+                  required={lang.code === "en"}
+                />
+                <Input
+                  value={formData.queries[lang.code] || ""}
+                  onChange={(e) => setText("queries", lang.code, e.target.value)}
+                  placeholder="Question sent to the chatbot"
+                  required={lang.code === "en"}
+                />
+              </div>
+            ))}
+          </div>
+
+          <div className="flex justify-end gap-3 pt-4">
+            <Button type="button" variant="outline" onClick={onClose}>
+              Cancel
+            </Button>
+            <Button type="submit" className="bg-blue-600 hover:bg-blue-700">
+              {action ? "Update" : "Create"} Quick Action
+            </Button>
+          </div>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,131 @@
+import React from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { UserCog, Save } from "lucide-react";
+import { LANGUAGES } from "@/i18n/languages";
+import { DEFAULT_DEPARTMENTS } from "@/services/EscalationRuleStore";
+
+const STATUS_COLORS = {
+  online: "bg-green-500",
+  away: "bg-yellow-500",
+  offline: "bg-gray-400"
+};
+
+export default function AgentProfileCard({ profile, departments = DEFAULT_DEPARTMENTS, saving, onSave, onStatusChange }) {
+  const [draft, setDraft] = React.useState(profile);
+
+  React.useEffect(() => {
+    setDraft(profile);
+  }, [profile]);
+
+  const toggle = (key, value) => {
+    setDraft(prev => ({
+      ...prev,
+      [key]: prev[key].includes(value)
+        ? prev[key].filter(item => item !== value)
+        : [...prev[key], value]
+    }));
+  };
+
+  const chipClass = (active) => `px-2 py-1 rounded-md border text-xs transition-colors ${
+    active ? "border-blue-500 bg-blue-50 text-blue-800" : "border-gray-200 text-gray-600 hover:bg-gray-50"
+  }`;
+
+  const canSave = draft.departments.length > 0 && draft.languages.length > 0 && !saving;
+
+  return (
+    <Card>
+      <CardHeader className="pb-3">
+        <CardTitle className="flex items-center gap-2 text-base">
+          <UserCog className="w-5 h-5" />
+          My availability
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div>
+          <label className="text-sm font-medium mb-2 block">Status</label>
+          <Select
+            value={draft.status}
+            onValueChange={onStatusChange}
+            disabled={!profile.id || saving}
+          >
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {["online", "away", "offline"].map(status => (
+                <SelectItem key={status} value={status}>
+                  <span className="flex items-center gap-2">
+                    <span className={`w-2 h-2 rounded-full ${STATUS_COLORS[status]}`} />
+                    {status === "online" ? "Online: take new chats" : status === "away" ? "Away: keep my chats" : "Offline"}
+                  </span>
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          {!profile.id && (
+            <p className="text-xs text-gray-500 mt-1">Save your profile to start receiving chats.</p>
+          )}
+        </div>
+
+        <div>
+          <label className="text-sm font-medium mb-2 block">Departments</label>
+          <div className="flex flex-wrap gap-1">
+            {departments.map(department => (
+              <button
+                key={department}
+                type="button"
+                onClick={() => toggle("departments", department)}
+                className={chipClass(draft.departments.includes(department))}
+              >
+                {department}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <label className="text-sm font-medium mb-2 block">Languages I chat in</label>
+          <div className="flex flex-wrap gap-1">
+            {LANGUAGES.map(language => (
+              <button
+                key={language.code}
+                type="button"
+                onClick={() => toggle("languages", language.code)}
+                title={language.name}
+                className={chipClass(draft.languages.includes(language.code))}
+              >
+                {language.nativeName}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <label className="text-sm font-medium mb-2 block">Chats at once</label>
+          <Input
+            type="number"
+            min="1"
+            max="10"
+            value={draft.max_concurrent_chats}
+            onChange={(e) => setDraft(prev => ({
+              ...prev,
+              max_concurrent_chats: Math.max(1, parseInt(e.target.value) || 1)
+            }))}
+          />
+        </div>
+
+        <Button
+          onClick={() => onSave(draft)}
+          disabled={!canSave}
+          className="w-full bg-blue-600 hover:bg-blue-700"
+        >
+          <Save className="w-4 h-4 mr-2" />
+          {profile.id ? "Update profile" : "Register as agent"}
+        </Button>
+      </CardContent>
+    </Card>
+  );
+}
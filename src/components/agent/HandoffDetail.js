@@ -0,0 +1,234 @@
+import React from "react";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Textarea } from "@/components/ui/textarea";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Send, UserCheck, CheckCircle, ArrowRightLeft } from "lucide-react";
+import { format } from "date-fns";
+import { translate } from "@/i18n";
+import { getLanguage } from "@/i18n/languages";
+import MessageContent from "@/components/chat/MessageContent";
+import { DEFAULT_DEPARTMENTS } from "@/services/EscalationRuleStore";
+import { PRIORITY_STYLES } from "./HandoffQueueList";
+
+const CANNED_RESPONSES = ["greeting", "enrollment", "checking", "followUp", "closing"];
+
+const CONNECTION_LABELS = {
+  open: { label: "Live", className: "bg-green-100 text-green-800" },
+  polling: { label: "Live (polling)", className: "bg-green-100 text-green-800" },
+  connecting: { label: "Connecting...", className: "bg-yellow-100 text-yellow-800" },
+  reconnecting: { label: "Reconnecting...", className: "bg-yellow-100 text-yellow-800" }
+};
+
+const RECEIPT_LABELS = { sent: "Sent", delivered: "Delivered", read: "Read" };
+
+const TICKET_REASONS = {
+  closed: "Asked outside office hours",
+  holiday: "Asked on a holiday",
+  no_agents: "No agent was available"
+};
+
+export default function HandoffDetail({
+  record,
+  messages,
+  agent,
+  agents = [],
+  loads = new Map(),
+  departments = DEFAULT_DEPARTMENTS,
+  busy,
+  onClaim,
+  onAssign,
+  onTransfer,
+  onResolve,
+  onReply,
+  onTyping,
+  connection,
+  studentTyping = false,
+  receipts = {}
+}) {
+  const [reply, setReply] = React.useState("");
+  const assignedToMe = record.status === "assigned" && record.assigned_agent === agent?.email;
+  const isTicket = record.status === "ticket";
+  const agentName = agent?.full_name || agent?.email;
+  const connectionBadge = CONNECTION_LABELS[connection] || {
+    label: "Syncing every few seconds",
+    className: "bg-gray-100 text-gray-700"
+  };
+
+  React.useEffect(() => {
+    setReply("");
+  }, [record.id]);
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    if (!reply.trim()) return;
+    await onReply(reply.trim());
+    setReply("");
+  };
+
+  // Canned replies are inserted in the student's language; the menu shows them in English
+  const insertCanned = (key) => {
+    setReply(translate(record.language, `cannedResponses.${key}`, { agent: agentName }));
+  };
+
+  return (
+    <div className="flex flex-col h-full">
+      <div className="p-4 border-b border-gray-200 space-y-3">
+        <div className="flex items-center gap-2 flex-wrap">
+          <h2 className="font-semibold text-gray-900">{record.handoff_id}</h2>
+          <Badge className={PRIORITY_STYLES[record.priority] || PRIORITY_STYLES.low}>{record.priority}</Badge>
+          <Badge variant="outline">{record.department}</Badge>
+          <Badge variant="secondary">{getLanguage(record.language).nativeName}</Badge>
+          <Badge className={`ml-auto ${connectionBadge.className}`}>{connectionBadge.label}</Badge>
+        </div>
+        {record.reason && <p className="text-xs text-gray-500">{record.reason}</p>}
+
+        {isTicket && (
+          <div className="rounded-lg border border-amber-200 bg-amber-50 p-3 text-sm text-amber-900 space-y-1">
+            <p className="font-medium">
+              {TICKET_REASONS[record.ticket_reason] || "Waiting for a callback"} · call back by{" "}
+              {record.callback_by ? format(new Date(record.callback_by), "EEE d MMM, HH:mm") : "the next working day"}
+            </p>
+            <p>Email: {record.contact_email || "not given"}</p>
+            <p>Phone: {record.contact_phone || "not given"}</p>
+          </div>
+        )}
+
+        <div className="flex items-center gap-2 flex-wrap">
+          {!assignedToMe && !isTicket && (
+            <Button size="sm" onClick={onClaim} disabled={busy} className="bg-blue-600 hover:bg-blue-700">
+              <UserCheck className="w-4 h-4 mr-1" />
+              {record.status === "assigned" ? "Take over" : "Claim"}
+            </Button>
+          )}
+          {agents.length > 0 && !isTicket && (
+            <Select onValueChange={onAssign} disabled={busy} value="">
+              <SelectTrigger className="w-44 h-9">
+                <SelectValue placeholder="Assign to..." />
+              </SelectTrigger>
+              <SelectContent>
+                {agents.filter(item => item.email !== record.assigned_agent).map(item => (
+                  <SelectItem key={item.email} value={item.email}>
+                    {item.full_name || item.email} ({item.status}, {loads.get(item.email) || 0}/{item.max_concurrent_chats || 3})
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          )}
+          {!isTicket && (
+            <Select onValueChange={onTransfer} disabled={busy} value="">
+              <SelectTrigger className="w-44 h-9">
+                <ArrowRightLeft className="w-4 h-4 mr-1" />
+                <SelectValue placeholder="Transfer to..." />
+              </SelectTrigger>
+              <SelectContent>
+                {departments.filter(department => department !== record.department).map(department => (
+                  <SelectItem key={department} value={department}>{department}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          )}
+          <Button size="sm" variant="outline" onClick={onResolve} disabled={busy} className="ml-auto">
+            <CheckCircle className="w-4 h-4 mr-1" />
+            {isTicket ? "Mark called back" : "Resolve"}
+          </Button>
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-4 space-y-4">
+        <div>
+          <h3 className="text-xs font-semibold text-gray-500 uppercase mb-2">Conversation with the assistant</h3>
+          {(record.context || []).length === 0 && (
+            <p className="text-sm text-gray-500">The student asked for a person before asking anything.</p>
+          )}
+          <div className="space-y-3">
+            {(record.context || []).map((turn, index) => (
+              <div key={index} className="text-sm space-y-1">
+                <p className="text-gray-900">
+                  <span className="font-medium">Student: </span>{turn.message}
+                </p>
+                {turn.response && (
+                  <div className="pl-3 border-l-2 border-blue-200 text-gray-600">
+                    <MessageContent text={turn.response} />
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {messages.length > 0 && (
+          <div>
+            <h3 className="text-xs font-semibold text-gray-500 uppercase mb-2">Support chat</h3>
+            <div className="space-y-2">
+              {messages.map(message => (
+                <div
+                  key={message.id}
+                  className={`text-sm rounded-lg px-3 py-2 max-w-[85%] ${
+                    message.sender === "agent"
+                      ? "ml-auto bg-blue-600 text-white"
+                      : message.sender === "system"
+                        ? "mx-auto bg-gray-100 text-gray-500 text-xs text-center"
+                        : "bg-white border border-gray-200 text-gray-900"
+                  }`}
+                >
+                  {message.sender === "system"
+                    ? <MessageContent text={message.text} />
+                    : <p className="whitespace-pre-wrap">{message.text}</p>}
+                  {message.sender !== "system" && (
+                    <p className={`text-xs mt-1 ${message.sender === "agent" ? "text-blue-100" : "text-gray-400"}`}>
+                      {message.sender === "agent" ? message.sender_name : "Student"} · {format(new Date(message.created_date), "HH:mm")}
+                      {message.sender === "agent" && receipts[message.client_id] && ` · ${RECEIPT_LABELS[receipts[message.client_id]]}`}
+                    </p>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {studentTyping && (
+          <p className="text-xs text-gray-500 italic" aria-live="polite">Student is typing...</p>
+        )}
+      </div>
+
+      <form onSubmit={handleSend} className="p-4 border-t border-gray-200 space-y-2">
+        <div className="flex items-center gap-2">
+          <Select onValueChange={insertCanned} disabled={!assignedToMe} value="">
+            <SelectTrigger className="w-56 h-8 text-xs">
+              <SelectValue placeholder="Canned response..." />
+            </SelectTrigger>
+            <SelectContent>
+              {CANNED_RESPONSES.map(key => (
+                <SelectItem key={key} value={key}>
+                  {translate("en", `cannedResponses.${key}`, { agent: agentName })}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          {!assignedToMe && (
+            <span className="text-xs text-gray-500">
+              {isTicket ? "Call the student back using the details above." : "Claim this request to reply."}
+            </span>
+          )}
+        </div>
+        <div className="flex gap-2">
+          <Textarea
+            value={reply}
+            onChange={(e) => {
+              setReply(e.target.value);
+              onTyping?.(e.target.value.length > 0);
+            }}
+            rows={2}
+            disabled={!assignedToMe || busy}
+            placeholder={`Reply to the student (they're chatting in ${getLanguage(record.language).name})`}
+            className="text-sm"
+          />
+          <Button type="submit" disabled={!assignedToMe || busy || !reply.trim()} className="bg-blue-600 hover:bg-blue-700 self-end">
+            <Send className="w-4 h-4" />
+          </Button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,77 @@
+import React from "react";
+import { Badge } from "@/components/ui/badge";
+import { format, formatDistanceToNow } from "date-fns";
+import { getLanguage } from "@/i18n/languages";
+
+export const PRIORITY_STYLES = {
+  urgent: "bg-red-100 text-red-800",
+  high: "bg-orange-100 text-orange-800",
+  medium: "bg-yellow-100 text-yellow-800",
+  low: "bg-gray-100 text-gray-700"
+};
+
+/**
+ * Summary of a ticket: when the student was promised a call and how to reach them
+ * @param {Object} record - HandoffRequest record with status "ticket"
+ * @returns {string} Status line
+ */
+function callbackLine(record) {
+  const due = record.callback_by ? ` by ${format(new Date(record.callback_by), "EEE d MMM, HH:mm")}` : "";
+  const contact = record.contact_phone || record.contact_email || "no contact details yet";
+  return `Call back${due} · ${contact}`;
+}
+
+export default function HandoffQueueList({ records, selectedId, onSelect, currentAgentEmail, suggestions = {} }) {
+  if (records.length === 0) {
+    return (
+      <p className="text-sm text-gray-500 text-center py-8">
+        No students are waiting right now.
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-2">
+      {records.map(record => {
+        const firstQuestion = record.context?.[0]?.message;
+        const mine = record.assigned_agent === currentAgentEmail;
+        return (
+          <button
+            key={record.id}
+            onClick={() => onSelect(record)}
+            className={`w-full text-left p-3 rounded-lg border transition-colors ${
+              record.id === selectedId
+                ? "border-blue-500 bg-blue-50"
+                : "border-gray-200 bg-white hover:bg-gray-50"
+            }`}
+          >
+            <div className="flex items-center gap-2 mb-1 flex-wrap">
+              <Badge className={PRIORITY_STYLES[record.priority] || PRIORITY_STYLES.low}>
+                {record.priority}
+              </Badge>
+              <Badge variant="outline">{record.department}</Badge>
+              <Badge variant="secondary">{getLanguage(record.language).nativeName}</Badge>
+              <span className="text-xs text-gray-500 ml-auto">
+                {formatDistanceToNow(new Date(record.created_date), { addSuffix: true })}
+              </span>
+            </div>
+            <p className="text-sm text-gray-900 truncate">
+              {firstQuestion || record.reason || record.handoff_id}
+            </p>
+            <p className="text-xs text-gray-500 mt-1">
+              {record.status === "ticket"
+                ? callbackLine(record)
+                : record.status === "assigned"
+                ? `With ${mine ? "you" : record.assigned_agent_name || record.assigned_agent}`
+                : suggestions[record.id]
+                  ? `Waiting · best match: ${suggestions[record.id]}`
+                  : "Waiting · no matching agent online"}
+              {record.status === "pending" && record.estimated_wait_time != null &&
+                ` · ~${Math.ceil(record.estimated_wait_time / 60)} min`}
+            </p>
+          </button>
+        );
+      })}
+    </div>
+  );
+}
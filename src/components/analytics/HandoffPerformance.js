@@ -0,0 +1,119 @@
+import React from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { Timer, Clock, CheckCircle, Star } from "lucide-react";
+import { computeHandoffMetrics } from "@/services/HandoffMetrics";
+
+/**
+ * Format a duration for the metrics tables
+ * @param {number|null} seconds - Duration
+ * @returns {string} E.g. "45s", "12m" or "1h 5m"; "—" when unknown
+ */
+function formatDuration(seconds) {
+  if (seconds === null) return "—";
+  if (seconds < 60) return `${Math.round(seconds)}s`;
+  const minutes = Math.round(seconds / 60);
+  return minutes < 60 ? `${minutes}m` : `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+/**
+ * Format a 0-1 share as a percentage
+ * @param {number|null} rate - Share
+ * @returns {string} E.g. "87%"; "—" when unknown
+ */
+function formatRate(rate) {
+  return rate === null ? "—" : `${Math.round(rate * 100)}%`;
+}
+
+function MetricsTable({ title, rows, emptyText }) {
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>{title}</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <div className="rounded-md border">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Name</TableHead>
+                <TableHead className="text-right">Requests</TableHead>
+                <TableHead className="text-right">First Response</TableHead>
+                <TableHead className="text-right">Handle Time</TableHead>
+                <TableHead className="text-right">Resolution Rate</TableHead>
+                <TableHead className="text-right">CSAT</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {rows.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={6} className="text-center py-8 text-gray-500">{emptyText}</TableCell>
+                </TableRow>
+              ) : (
+                rows.map(row => (
+                  <TableRow key={row.key}>
+                    <TableCell className="font-medium">{row.name}</TableCell>
+                    <TableCell className="text-right">{row.requests}</TableCell>
+                    <TableCell className="text-right">{formatDuration(row.firstResponseTime)}</TableCell>
+                    <TableCell className="text-right">{formatDuration(row.handleTime)}</TableCell>
+                    <TableCell className="text-right">
+                      {formatRate(row.resolutionRate)}
+                      {row.closed > 0 && <span className="text-xs text-gray-500 ml-1">({row.resolved}/{row.closed})</span>}
+                    </TableCell>
+                    <TableCell className="text-right">
+                      {row.csat === null ? "—" : (
+                        <>
+                          {row.csat.toFixed(1)}
+                          <span className="text-xs text-gray-500 ml-1">({row.surveys})</span>
+                        </>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))
+              )}
+            </TableBody>
+          </Table>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+export default function HandoffPerformance({ records }) {
+  const { overall, agents, departments } = computeHandoffMetrics(records);
+
+  const summary = [
+    { title: "First Response", value: formatDuration(overall.firstResponseTime), note: "Median time until an agent replies", icon: Timer, color: "text-blue-600" },
+    { title: "Handle Time", value: formatDuration(overall.handleTime), note: "Median time from pickup to resolution", icon: Clock, color: "text-orange-600" },
+    { title: "Resolution Rate", value: formatRate(overall.resolutionRate), note: `${overall.resolved} of ${overall.closed} closed requests resolved`, icon: CheckCircle, color: "text-green-600" },
+    { title: "CSAT", value: overall.csat === null ? "—" : `${overall.csat.toFixed(1)} / 5`, note: `${formatRate(overall.satisfiedRate)} satisfied from ${overall.surveys} surveys`, icon: Star, color: "text-purple-600" }
+  ];
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+        {summary.map(({ title, value, note, icon: Icon, color }) => (
+          <Card key={title}>
+            <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+              <CardTitle className="text-sm font-medium">{title}</CardTitle>
+              <Icon className={`h-4 w-4 ${color}`} />
+            </CardHeader>
+            <CardContent>
+              <div className="text-2xl font-bold">{value}</div>
+              <p className="text-xs text-muted-foreground">{note}</p>
+            </CardContent>
+          </Card>
+        ))}
+      </div>
+
+      <MetricsTable title="Agents" rows={agents} emptyText="No agent has picked up a request yet." />
+      <MetricsTable title="Departments" rows={departments} emptyText="No handoff requests yet." />
+
+      <p className="text-xs text-gray-500">
+        Based on the last {overall.requests} handoff requests. Cancelled requests and tickets count as
+        closed without resolution until an agent marks them resolved or called back. CSAT comes from
+        the survey students see when an agent resolves their chat.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,57 @@
+import React from "react";
+import { FileText, Download, ExternalLink, Image as ImageIcon } from "lucide-react";
+
+export default function AssetCard({ asset }) {
+  const isImage = asset.file_type?.startsWith("image/");
+  const isPdf = asset.file_type === "application/pdf";
+  const Icon = isImage ? ImageIcon : FileText;
+
+  return (
+    <div className="mt-2 border border-gray-200 rounded-lg overflow-hidden bg-gray-50 max-w-sm">
+      {isImage && (
+        <a href={asset.file_url} target="_blank" rel="noopener noreferrer">
+          <img
+            src={asset.file_url}
+            alt={asset.description || asset.file_name}
+            className="w-full max-h-48 object-cover bg-white"
+            loading="lazy"
+          />
+        </a>
+      )}
+      {isPdf && (
+        <object
+          data={`${asset.file_url}#toolbar=0&view=FitH`}
+          type="application/pdf"
+          className="w-full h-48 bg-white hidden md:block"
+          aria-label={asset.file_name}
+        />
+      )}
+      <div className="flex items-center gap-2 p-2">
+        <Icon className="w-4 h-4 text-blue-500 flex-shrink-0" />
+        <div className="flex-1 min-w-0">
+          <p className="text-xs font-medium text-gray-800 truncate">{asset.file_name}</p>
+          {asset.description && (
+            <p className="text-xs text-gray-500 truncate">{asset.description}</p>
+          )}
+        </div>
+        <a
+          href={asset.file_url}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="p-1 text-gray-500 hover:text-blue-600"
+          title={asset.file_name}
+        >
+          <ExternalLink className="w-3 h-3" />
+        </a>
+        <a
+          href={asset.file_url}
+          download={asset.file_name}
+          className="p-1 text-gray-500 hover:text-blue-600"
+          title={asset.file_name}
+        >
+          <Download className="w-3 h-3" />
+        </a>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,107 @@
+import React from "react";
+import { FileText, FileDown, Link as LinkIcon, Mail, Check, Loader2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription } from "@/components/ui/dialog";
+import { SendEmail, UploadFile } from "@/integrations/Core";
+import {
+  buildTranscript,
+  downloadTranscriptText,
+  printTranscript,
+  shareTranscript,
+  emailTranscript
+} from "@/services/TranscriptExporter";
+import useTranslation from "@/i18n/useTranslation";
+
+export default function ExportTranscriptDialog({ open, onClose, messages, assets = [], language, supportEmail }) {
+  const t = useTranslation(language);
+  // Action in progress, and the outcome shown next to each action
+  const [busy, setBusy] = React.useState(null);
+  const [status, setStatus] = React.useState({});
+
+  React.useEffect(() => {
+    if (open) setStatus({});
+  }, [open]);
+
+  const transcript = () => buildTranscript(messages, { language, assets });
+  const hasMessages = messages.some(message => !message.isBot);
+
+  const run = async (action, task) => {
+    setBusy(action);
+    setStatus(prev => ({ ...prev, [action]: null }));
+    try {
+      const result = await task();
+      setStatus(prev => ({ ...prev, [action]: result }));
+    } catch (error) {
+      console.error(`Error exporting transcript (${action}):`, error);
+      setStatus(prev => ({ ...prev, [action]: { error: t('transcript.failed') } }));
+    }
+    setBusy(null);
+  };
+
+  const handlePdf = () => run("pdf", async () => (
+    printTranscript(transcript()) ? null : { error: t('transcript.popupBlocked') }
+  ));
+
+  const handleText = () => run("text", async () => {
+    downloadTranscriptText(transcript());
+    return null;
+  });
+
+  const handleShare = () => run("share", async () => {
+    const url = await shareTranscript(transcript(), UploadFile);
+    await navigator.clipboard.writeText(url);
+    return { done: t('transcript.linkCopied'), url };
+  });
+
+  const handleEmail = () => run("email", async () => {
+    await emailTranscript(transcript(), { to: supportEmail, SendEmail });
+    return { done: t('transcript.emailSent') };
+  });
+
+  const actions = [
+    { id: "pdf", icon: FileDown, label: t('transcript.pdf'), onClick: handlePdf },
+    { id: "text", icon: FileText, label: t('transcript.text'), onClick: handleText },
+    { id: "share", icon: LinkIcon, label: t('transcript.share'), onClick: handleShare },
+    supportEmail && { id: "email", icon: Mail, label: t('transcript.email', { email: supportEmail }), onClick: handleEmail }
+  ].filter(Boolean);
+
+  return (
+    <Dialog open={open} onOpenChange={onClose}>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle>{t('transcript.export')}</DialogTitle>
+          <DialogDescription>{t('transcript.description')}</DialogDescription>
+        </DialogHeader>
+
+        {!hasMessages ? (
+          <p className="text-sm text-gray-500">{t('transcript.empty')}</p>
+        ) : (
+          <div className="space-y-2">
+            {actions.map(({ id, icon: Icon, label, onClick }) => (
+              <div key={id}>
+                <Button
+                  variant="outline"
+                  className="w-full justify-start"
+                  onClick={onClick}
+                  disabled={busy !== null}
+                >
+                  {busy === id ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Icon className="w-4 h-4 mr-2" />}
+                  <span className="truncate">{label}</span>
+                  {status[id]?.done && <Check className="w-4 h-4 ml-auto text-green-600" />}
+                </Button>
+                {status[id]?.done && (
+                  <p className="text-xs text-green-700 mt-1 break-all">
+                    {status[id].done}{status[id].url && `: ${status[id].url}`}
+                  </p>
+                )}
+                {status[id]?.error && (
+                  <p className="text-xs text-red-600 mt-1">{status[id].error}</p>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,50 @@
+import React from "react";
+import { Button } from "@/components/ui/button";
+import { X } from "lucide-react";
+import useTranslation from "@/i18n/useTranslation";
+
+export default function HandoffStatus({ status, onCancel, language }) {
+  const [cancelling, setCancelling] = React.useState(false);
+  const t = useTranslation(language);
+
+  const waiting = status.status === "pending";
+  const wait = t('handoff.minutes', { count: Math.max(1, Math.ceil((status.estimatedWaitTime || 0) / 60)) });
+
+  const handleCancel = async () => {
+    setCancelling(true);
+    await onCancel();
+    setCancelling(false);
+  };
+
+  return (
+    <div className="bg-amber-50 border-b border-amber-200 px-4 py-2 flex items-center gap-3">
+      <span
+        className={`w-2 h-2 rounded-full flex-shrink-0 ${waiting ? "bg-amber-500 animate-pulse" : "bg-green-500"}`}
+        aria-hidden="true"
+      />
+      {/* Screen readers hear each queue update and the agent joining */}
+      <div className="flex-1 min-w-0 text-sm" role="status" aria-live="polite" aria-atomic="true">
+        {waiting ? (
+          <>
+            <p className="font-medium text-gray-900">{t('handoff.connecting')}</p>
+            <p className="text-xs text-gray-600">
+              {[
+                status.queuePosition && t('handoff.queuePosition', { position: status.queuePosition }),
+                status.estimatedWaitTime !== null && t('handoff.estimatedWait', { wait }),
+                t('handoff.reference', { reference: status.handoffId })
+              ].filter(Boolean).join(" · ")}
+            </p>
+          </>
+        ) : (
+          <p className="font-medium text-gray-900">{t('handoff.withAgent', { name: status.agentName })}</p>
+        )}
+      </div>
+      {waiting && (
+        <Button variant="outline" size="sm" onClick={handleCancel} disabled={cancelling}>
+          <X className="w-4 h-4 mr-1" />
+          {t('handoff.cancel')}
+        </Button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+import React from "react";
+import { Star } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Textarea } from "@/components/ui/textarea";
+import useTranslation from "@/i18n/useTranslation";
+
+export default function HandoffSurvey({ agentName, onSubmit, onSkip, language }) {
+  const [rating, setRating] = React.useState(0);
+  const [hovered, setHovered] = React.useState(0);
+  const [comment, setComment] = React.useState("");
+  const [submitted, setSubmitted] = React.useState(false);
+  const t = useTranslation(language);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!rating) return;
+    setSubmitted(true);
+    onSubmit({ rating, comment: comment.trim() });
+  };
+
+  if (submitted) {
+    return (
+      <div className="ml-11 mb-4 max-w-md bg-green-50 border border-green-200 rounded-xl p-3 text-sm text-green-800 text-center" role="status">
+        {t('handoff.surveyThanks')}
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="ml-11 mb-4 max-w-md bg-white border border-gray-200 rounded-xl p-3 space-y-2">
+      <p className="text-xs font-medium text-gray-700" id="handoff-survey-question">
+        {t('handoff.surveyQuestion', { name: agentName || t('handoff.surveyAgent') })}
+      </p>
+      <div
+        className="flex items-center gap-1"
+        role="radiogroup"
+        aria-labelledby="handoff-survey-question"
+        onMouseLeave={() => setHovered(0)}
+      >
+        {[1, 2, 3, 4, 5].map((score) => (
+          <button
+            key={score}
+            type="button"
+            role="radio"
+            aria-checked={rating === score}
+            aria-label={`${score} / 5`}
+            onMouseEnter={() => setHovered(score)}
+            onClick={() => setRating(score)}
+            className="p-1"
+          >
+            <Star className={`w-5 h-5 ${score <= (hovered || rating) ? 'text-yellow-400 fill-yellow-400' : 'text-gray-300'}`} />
+          </button>
+        ))}
+      </div>
+      {rating > 0 && (
+        <Textarea
+          value={comment}
+          onChange={(e) => setComment(e.target.value)}
+          rows={2}
+          className="text-sm"
+          placeholder={t('handoff.surveyComment')}
+        />
+      )}
+      <div className="flex justify-end gap-2">
+        <Button type="button" variant="ghost" size="sm" onClick={onSkip}>
+          {t('feedback.skip')}
+        </Button>
+        <Button type="submit" size="sm" className="bg-blue-600 hover:bg-blue-700" disabled={!rating}>
+          {t('feedback.send')}
+        </Button>
+      </div>
+    </form>
+  );
+}
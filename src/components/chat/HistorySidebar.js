@@ -0,0 +1,104 @@
+import React from "react";
+import { Plus, Search, Trash2, MessageSquare } from "lucide-react";
+import { format } from "date-fns";
+import useTranslation from "@/i18n/useTranslation";
+
+export default function HistorySidebar({
+  sessions,
+  query,
+  onQueryChange,
+  activeSessionId,
+  onSelect,
+  onDelete,
+  onNewChat,
+  expanded,
+  language
+}) {
+  const t = useTranslation(language);
+
+  const handleDelete = (e, session) => {
+    e.stopPropagation();
+    if (window.confirm(t('history.confirmDelete', { title: session.title }))) {
+      onDelete(session.session_id);
+    }
+  };
+
+  if (!expanded) {
+    return (
+      <div className="px-2">
+        <button
+          onClick={onNewChat}
+          title={t('history.newChat')}
+          aria-label={t('history.newChat')}
+          className="w-full flex items-center gap-3 px-3 py-2 text-gray-600 hover:bg-gray-100 rounded-lg"
+        >
+          <Plus className="w-5 h-5" />
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex flex-col min-h-0 flex-1 px-2">
+      <div className="flex items-center justify-between px-3 pt-2 pb-1">
+        <h3 className="text-xs font-semibold text-gray-500 uppercase tracking-wide">{t('history.title')}</h3>
+        <button
+          onClick={onNewChat}
+          title={t('history.newChat')}
+          aria-label={t('history.newChat')}
+          className="p-1 text-gray-500 hover:text-blue-600 hover:bg-gray-100 rounded"
+        >
+          <Plus className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="relative px-1 pb-2">
+        <Search className="w-3 h-3 absolute left-3 top-2.5 text-gray-400" />
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => onQueryChange(e.target.value)}
+          placeholder={t('history.search')}
+          aria-label={t('history.search')}
+          className="w-full pl-7 pr-2 py-1.5 text-xs border border-gray-200 rounded-md focus:outline-none focus:ring-1 focus:ring-blue-500"
+        />
+      </div>
+
+      <div className="flex-1 overflow-y-auto space-y-1 pb-4">
+        {sessions.length === 0 && (
+          <p className="px-3 py-2 text-xs text-gray-400">
+            {query.trim() ? t('history.noResults') : t('history.empty')}
+          </p>
+        )}
+        {sessions.map(session => (
+          <div
+            key={session.session_id}
+            role="button"
+            tabIndex={0}
+            onClick={() => onSelect(session.session_id)}
+            onKeyDown={(e) => e.key === "Enter" && onSelect(session.session_id)}
+            className={`group flex items-start gap-2 px-3 py-2 rounded-lg cursor-pointer ${
+              session.session_id === activeSessionId ? 'bg-blue-50 text-blue-700' : 'text-gray-700 hover:bg-gray-100'
+            }`}
+          >
+            <MessageSquare className="w-4 h-4 mt-0.5 flex-shrink-0 text-gray-400" />
+            <div className="flex-1 min-w-0">
+              <p className="text-sm truncate">{session.title}</p>
+              <p className="text-xs text-gray-400 truncate">
+                {session.snippet || format(new Date(session.updated_at), 'dd MMM, HH:mm')}
+              </p>
+            </div>
+            <button
+              onClick={(e) => handleDelete(e, session)}
+              title={t('history.delete')}
+              aria-label={t('history.delete')}
+              className="p-1 text-gray-400 hover:text-red-600 opacity-0 group-hover:opacity-100 focus:opacity-100"
+            >
+              <Trash2 className="w-3 h-3" />
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -1,28 +1,21 @@
 import React from "react";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { Globe } from "lucide-react";
-
-const languages = [
-  { code: "en", name: "English", nativeName: "English" },
-  { code: "hi", name: "Hindi", nativeName: "हिंदी" },
-  { code: "mr", name: "Marathi", nativeName: "मराठी" },
-  { code: "gu", name: "Gujarati", nativeName: "ગુજરાતી" },
-  { code: "bn", name: "Bengali", nativeName: "বাংলা" },
-  { code: "ta", name: "Tamil", nativeName: "தமிழ்" },
-  { code: "te", name: "Telugu", nativeName: "తెలుగు" },
-  { code: "kn", name: "Kannada", nativeName: "ಕನ್ನಡ" }
-];
+import { LANGUAGES } from "@/i18n/languages";
+import useTranslation from "@/i18n/useTranslation";
 
 export default function LanguageSelector({ selectedLanguage, onLanguageChange }) {
+  const t = useTranslation(selectedLanguage);
+
   return (
     <div className="flex items-center gap-2">
       <Globe className="w-4 h-4 text-gray-500" />
       <Select value={selectedLanguage} onValueChange={onLanguageChange}>
-        <SelectTrigger className="w-32 h-8 text-xs border-gray-200">
-          <SelectValue placeholder="Language" />
+        <SelectTrigger className="w-32 h-8 text-xs border-gray-200" aria-label={t('language.label')}>
+          <SelectValue placeholder={t('language.label')} />
         </SelectTrigger>
         <SelectContent>
-          {languages.map((lang) => (
+          {LANGUAGES.map((lang) => (
             <SelectItem key={lang.code} value={lang.code}>
               <span className="text-sm">{lang.nativeName}</span>
             </SelectItem>
@@ -1,47 +1,66 @@
 import React from "react";
 import { motion } from "framer-motion";
-import { Bot, User, ThumbsUp, ThumbsDown, Copy, Volume2 } from "lucide-react";
+import { Bot, User, ThumbsUp, ThumbsDown, Copy, Check, Volume2, RotateCcw, AlertCircle, Headphones, CheckCheck, Clock } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
 import { format } from "date-fns";
-
-const languageNames = {
-  en: "English",
-  hi: "हिंदी",
-  mr: "मराठी", 
-  gu: "ગુજરાતી",
-  bn: "বাংলা",
-  ta: "தமிழ்",
-  te: "తెలుగు",
-  kn: "ಕನ್ನಡ"
-};
+import { getLanguage } from "@/i18n/languages";
+import useTranslation from "@/i18n/useTranslation";
+import { toPlainText } from "@/services/MarkdownParser";
+import SpeechOutput, { speechOutput } from "@/services/SpeechOutput";
+import MessageContent from "./MessageContent";
+import SpeechControls from "./SpeechControls";
+import useSpeechOutput from "./useSpeechOutput";
 
 export default function MessageBubble({ 
+  messageId,
   message, 
   isBot, 
   timestamp, 
   language, 
   confidence, 
+  agentName,
+  receipt,
+  uiLanguage = "en",
+  assets,
+  rating,
+  streaming = false,
+  stopped = false,
+  error = false,
+  onRetry,
   onRate, 
   onCopy,
   onSpeak 
 }) {
-  const [rating, setRating] = React.useState(null);
+  const [localRating, setLocalRating] = React.useState(null);
+  const [copied, setCopied] = React.useState(false);
+  const t = useTranslation(uiLanguage);
+  const currentRating = rating ?? localRating;
+  const canSpeak = SpeechOutput.isSupported();
+  const speech = useSpeechOutput();
+  const fallbackId = React.useId();
+  const speechId = messageId ?? fallbackId;
+  const isSpeaking = isBot && speech.messageId === speechId;
 
   const handleRate = (score) => {
-    setRating(score);
+    setLocalRating(score);
     onRate?.(score);
   };
 
-  const handleCopy = () => {
-    navigator.clipboard.writeText(message);
-    onCopy?.();
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(isBot ? toPlainText(message) : message);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+      onCopy?.();
+    } catch (error) {
+      console.error("Error copying message:", error);
+    }
   };
 
   const handleSpeak = () => {
-    const utterance = new SpeechSynthesisUtterance(message);
-    utterance.lang = language === 'hi' ? 'hi-IN' : 'en-US';
-    speechSynthesis.speak(utterance);
+    // Replaces whatever is being read so taps on different bubbles don't queue up
+    speechOutput.speak(toPlainText(message), { language, messageId: speechId });
     onSpeak?.();
   };
 
@@ -53,9 +72,11 @@ export default function MessageBubble({
     >
       <div className={`flex gap-3 max-w-[80%] ${isBot ? '' : 'flex-row-reverse'}`}>
         <div className={`flex-shrink-0 w-8 h-8 rounded-full flex items-center justify-center ${
-          isBot ? 'bg-blue-100' : 'bg-gray-100'
+          agentName ? 'bg-green-100' : isBot ? 'bg-blue-100' : 'bg-gray-100'
         }`}>
-          {isBot ? (
+          {agentName ? (
+            <Headphones className="w-4 h-4 text-green-600" />
+          ) : isBot ? (
             <Bot className="w-4 h-4 text-blue-600" />
           ) : (
             <User className="w-4 h-4 text-gray-600" />
@@ -63,73 +84,142 @@ export default function MessageBubble({
         </div>
 
         <div className={`rounded-2xl px-4 py-3 ${
-          isBot 
-            ? 'bg-white border border-blue-200 shadow-sm' 
-            : 'bg-blue-500 text-white'
+          error
+            ? 'bg-red-50 border border-red-200'
+            : isBot 
+              ? 'bg-white border border-blue-200 shadow-sm' 
+              : 'bg-blue-500 text-white'
         }`}>
           <div className="flex flex-col gap-2">
-            {isBot && language && (
+            {isBot && language && !error && !streaming && (
               <div className="flex items-center gap-2 mb-2">
+                {agentName && (
+                  <span className="text-xs font-medium text-green-700">{agentName}</span>
+                )}
                 <Badge variant="secondary" className="text-xs">
-                  {languageNames[language]}
+                  {getLanguage(language).nativeName}
                 </Badge>
-                {confidence && (
+                {confidence > 0 && (
                   <Badge 
                     variant={confidence > 0.8 ? "default" : confidence > 0.5 ? "secondary" : "destructive"}
                     className="text-xs"
                   >
-                    {Math.round(confidence * 100)}% confident
+                    {t('message.confidence', { percent: Math.round(confidence * 100) })}
                   </Badge>
                 )}
               </div>
             )}
 
-            <p className={`text-sm leading-relaxed ${isBot ? 'text-gray-800' : 'text-white'}`}>
-              {message}
-            </p>
+            {isSpeaking ? (
+              <p className="text-sm leading-relaxed text-gray-800" aria-live="polite">
+                {speech.sentences.map((sentence, index) => (
+                  <React.Fragment key={index}>
+                    {index > 0 && " "}
+                    <span className={index === speech.sentenceIndex ? "bg-yellow-100 rounded" : undefined}>
+                      {sentence}
+                    </span>
+                  </React.Fragment>
+                ))}
+              </p>
+            ) : error ? (
+              <div className="flex items-start gap-2 text-sm text-red-700" role="alert">
+                <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                <p>{message}</p>
+              </div>
+            ) : isBot ? (
+              <div aria-busy={streaming}>
+                <MessageContent text={message} assets={assets} className="text-gray-800" />
+                {streaming && (
+                  <span className="inline-block w-2 h-4 ml-0.5 align-text-bottom bg-blue-400 animate-pulse" aria-hidden="true" />
+                )}
+              </div>
+            ) : (
+              <p className="text-sm leading-relaxed text-white whitespace-pre-wrap">
+                {message}
+              </p>
+            )}
 
             {timestamp && (
               <span className={`text-xs ${isBot ? 'text-gray-500' : 'text-blue-100'}`}>
                 {format(new Date(timestamp), 'HH:mm')}
+                {stopped && ` · ${t('chat.stopped')}`}
+                {receipt && (
+                  <span
+                    className={`inline-flex align-middle ml-1 ${receipt === 'read' ? 'text-white' : ''}`}
+                    title={t(`message.${receipt}`)}
+                    aria-label={t(`message.${receipt}`)}
+                  >
+                    {receipt === 'sending' ? <Clock className="w-3 h-3" />
+                      : receipt === 'sent' ? <Check className="w-3 h-3" />
+                      : <CheckCheck className="w-3 h-3" />}
+                  </span>
+                )}
               </span>
             )}
 
-            {isBot && (
+            {error && onRetry && (
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={onRetry}
+                className="self-start h-7 px-3 text-xs border-red-200 text-red-700 hover:bg-red-100"
+              >
+                <RotateCcw className="w-3 h-3 mr-1" />
+                {t('chat.retry')}
+              </Button>
+            )}
+
+            {isBot && !error && !streaming && (
               <div className="flex items-center gap-1 mt-2 pt-2 border-t border-gray-100">
-                <Button
-                  variant="ghost"
-                  size="sm"
-                  onClick={handleSpeak}
-                  className="h-6 px-2 text-gray-500 hover:text-gray-700"
-                >
-                  <Volume2 className="w-3 h-3" />
-                </Button>
+                {canSpeak && isSpeaking && (
+                  <SpeechControls state={speech} language={language} uiLanguage={uiLanguage} />
+                )}
+                {canSpeak && !isSpeaking && (
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={handleSpeak}
+                    title={t('message.speak')}
+                    aria-label={t('message.speak')}
+                    className="h-6 px-2 text-gray-500 hover:text-gray-700"
+                  >
+                    <Volume2 className="w-3 h-3" />
+                  </Button>
+                )}
                 <Button
                   variant="ghost"
                   size="sm"
                   onClick={handleCopy}
+                  title={t('message.copy')}
+                  aria-label={t('message.copy')}
                   className="h-6 px-2 text-gray-500 hover:text-gray-700"
                 >
-                  <Copy className="w-3 h-3" />
+                  {copied ? <Check className="w-3 h-3 text-green-500" /> : <Copy className="w-3 h-3" />}
                 </Button>
-                <div className="flex items-center gap-1 ml-2">
-                  <Button
-                    variant="ghost"
-                    size="sm"
-                    onClick={() => handleRate(1)}
-                    className={`h-6 px-1 ${rating === 1 ? 'text-red-500' : 'text-gray-400 hover:text-red-500'}`}
-                  >
-                    <ThumbsDown className="w-3 h-3" />
-                  </Button>
-                  <Button
-                    variant="ghost"
-                    size="sm"
-                    onClick={() => handleRate(5)}
-                    className={`h-6 px-1 ${rating === 5 ? 'text-green-500' : 'text-gray-400 hover:text-green-500'}`}
-                  >
-                    <ThumbsUp className="w-3 h-3" />
-                  </Button>
-                </div>
+                {onRate && (
+                  <div className="flex items-center gap-1 ml-2">
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => handleRate(1)}
+                      title={t('message.notHelpful')}
+                      aria-label={t('message.notHelpful')}
+                      className={`h-6 px-1 ${currentRating === 1 ? 'text-red-500' : 'text-gray-400 hover:text-red-500'}`}
+                    >
+                      <ThumbsDown className="w-3 h-3" />
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => handleRate(5)}
+                      title={t('message.helpful')}
+                      aria-label={t('message.helpful')}
+                      className={`h-6 px-1 ${currentRating === 5 ? 'text-green-500' : 'text-gray-400 hover:text-green-500'}`}
+                    >
+                      <ThumbsUp className="w-3 h-3" />
+                    </Button>
+                  </div>
+                )}
               </div>
             )}
           </div>
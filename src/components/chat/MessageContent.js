@@ -0,0 +1,123 @@
+import React from "react";
+import { parseMarkdown, collectLinks } from "@/services/MarkdownParser";
+import AssetCard from "./AssetCard";
+
+/**
+ * Resolve a link to a CollegeAsset, either "asset:<id>" or the asset's own file URL
+ */
+function findAsset(href, assets) {
+  if (href.startsWith("asset:")) {
+    const id = href.slice("asset:".length);
+    return assets.find(asset => asset.id === id) || null;
+  }
+  return assets.find(asset => asset.file_url === href) || null;
+}
+
+function renderInline(nodes, assets) {
+  return nodes.map((node, index) => {
+    switch (node.type) {
+      case "bold":
+        return <strong key={index}>{renderInline(node.children, assets)}</strong>;
+      case "italic":
+        return <em key={index}>{renderInline(node.children, assets)}</em>;
+      case "code":
+        return <code key={index} className="px-1 rounded bg-gray-100 text-xs">{node.text}</code>;
+      case "link": {
+        const asset = findAsset(node.href, assets);
+        const href = asset ? asset.file_url : node.href;
+        // An asset id nobody can resolve has nowhere to go
+        if (node.href.startsWith("asset:") && !asset) {
+          return <span key={index}>{renderInline(node.children, assets)}</span>;
+        }
+        const external = /^https?:/i.test(href);
+        return (
+          <a
+            key={index}
+            href={href}
+            className="text-blue-600 underline hover:text-blue-800 break-words"
+            {...(external ? { target: "_blank", rel: "noopener noreferrer" } : {})}
+          >
+            {renderInline(node.children, assets)}
+          </a>
+        );
+      }
+      default:
+        return <React.Fragment key={index}>{node.text}</React.Fragment>;
+    }
+  });
+}
+
+export default function MessageContent({ text, assets = [], className = "" }) {
+  const blocks = React.useMemo(() => parseMarkdown(text), [text]);
+  const linkedAssets = React.useMemo(() => {
+    const found = collectLinks(blocks).map(href => findAsset(href, assets)).filter(Boolean);
+    return [...new Map(found.map(asset => [asset.id, asset])).values()];
+  }, [blocks, assets]);
+
+  return (
+    <div className={`text-sm leading-relaxed space-y-2 ${className}`}>
+      {blocks.map((block, index) => {
+        switch (block.type) {
+          case "heading":
+            return (
+              <p key={index} className="font-semibold">
+                {renderInline(block.children, assets)}
+              </p>
+            );
+          case "list": {
+            const List = block.ordered ? "ol" : "ul";
+            return (
+              <List key={index} className={`pl-5 space-y-1 ${block.ordered ? "list-decimal" : "list-disc"}`}>
+                {block.items.map((item, itemIndex) => (
+                  <li key={itemIndex}>{renderInline(item, assets)}</li>
+                ))}
+              </List>
+            );
+          }
+          case "table":
+            return (
+              <div key={index} className="overflow-x-auto">
+                <table className="min-w-full text-xs border border-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      {block.header.map((cell, cellIndex) => (
+                        <th key={cellIndex} className="px-2 py-1 text-left font-semibold border-b border-gray-200">
+                          {renderInline(cell, assets)}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {block.rows.map((row, rowIndex) => (
+                      <tr key={rowIndex} className="border-b border-gray-100 last:border-0">
+                        {row.map((cell, cellIndex) => (
+                          <td key={cellIndex} className="px-2 py-1">
+                            {renderInline(cell, assets)}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            );
+          default:
+            return (
+              <p key={index}>
+                {block.lines.map((line, lineIndex) => (
+                  <React.Fragment key={lineIndex}>
+                    {lineIndex > 0 && <br />}
+                    {renderInline(line, assets)}
+                  </React.Fragment>
+                ))}
+              </p>
+            );
+        }
+      })}
+
+      {linkedAssets.map(asset => (
+        <AssetCard key={asset.id} asset={asset} />
+      ))}
+    </div>
+  );
+}
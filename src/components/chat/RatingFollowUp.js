@@ -0,0 +1,37 @@
+import React from "react";
+import { Button } from "@/components/ui/button";
+import { Textarea } from "@/components/ui/textarea";
+import useTranslation from "@/i18n/useTranslation";
+
+export default function RatingFollowUp({ onSubmit, onSkip, language }) {
+  const [comment, setComment] = React.useState("");
+  const t = useTranslation(language);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit(comment.trim());
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="ml-11 mb-4 max-w-md bg-white border border-gray-200 rounded-xl p-3 space-y-2">
+      <label className="text-xs font-medium text-gray-700 block">
+        {t('feedback.whatWrong')}
+      </label>
+      <Textarea
+        value={comment}
+        onChange={(e) => setComment(e.target.value)}
+        rows={2}
+        className="text-sm"
+        placeholder={t('feedback.placeholder')}
+      />
+      <div className="flex justify-end gap-2">
+        <Button type="button" variant="ghost" size="sm" onClick={onSkip}>
+          {t('feedback.skip')}
+        </Button>
+        <Button type="submit" size="sm" className="bg-blue-600 hover:bg-blue-700" disabled={!comment.trim()}>
+          {t('feedback.send')}
+        </Button>
+      </div>
+    </form>
+  );
+}
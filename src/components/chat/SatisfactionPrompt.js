@@ -0,0 +1,48 @@
+import React from "react";
+import { Star, X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import useTranslation from "@/i18n/useTranslation";
+
+export default function SatisfactionPrompt({ onRate, onDismiss, language }) {
+  const [hovered, setHovered] = React.useState(0);
+  const [submitted, setSubmitted] = React.useState(false);
+  const t = useTranslation(language);
+
+  const handleRate = (score) => {
+    setSubmitted(true);
+    onRate(score);
+  };
+
+  if (submitted) {
+    return (
+      <div className="bg-green-50 border border-green-200 rounded-xl p-3 text-sm text-green-800 text-center">
+        {t('satisfaction.thanks')}
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-xl p-3 flex items-center justify-between gap-3">
+      <span className="text-sm text-gray-700">
+        {t('satisfaction.question')}
+      </span>
+      <div className="flex items-center gap-1" onMouseLeave={() => setHovered(0)}>
+        {[1, 2, 3, 4, 5].map((score) => (
+          <button
+            key={score}
+            type="button"
+            aria-label={`${score} / 5`}
+            onMouseEnter={() => setHovered(score)}
+            onClick={() => handleRate(score)}
+            className="p-1"
+          >
+            <Star className={`w-5 h-5 ${score <= hovered ? 'text-yellow-400 fill-yellow-400' : 'text-gray-300'}`} />
+          </button>
+        ))}
+        <Button variant="ghost" size="sm" onClick={onDismiss} className="h-6 px-1 ml-2 text-gray-400">
+          <X className="w-4 h-4" />
+        </Button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+import React from "react";
+import { Pause, Play, Square } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { speechOutput, SPEECH_RATES } from "@/services/SpeechOutput";
+import useTranslation from "@/i18n/useTranslation";
+
+export default function SpeechControls({ state, language, uiLanguage = "en" }) {
+  const t = useTranslation(uiLanguage);
+  const voices = speechOutput.getVoices(language);
+  const selectedVoice = speechOutput.getVoice(language);
+  const paused = state.status === "paused";
+
+  const cycleRate = () => {
+    const next = SPEECH_RATES[(SPEECH_RATES.indexOf(state.rate) + 1) % SPEECH_RATES.length];
+    speechOutput.setRate(next);
+  };
+
+  return (
+    <div className="flex items-center gap-1 flex-wrap">
+      <Button
+        variant="ghost"
+        size="sm"
+        onClick={() => (paused ? speechOutput.resume() : speechOutput.pause())}
+        title={paused ? t('message.resume') : t('message.pause')}
+        aria-label={paused ? t('message.resume') : t('message.pause')}
+        className="h-6 px-2 text-blue-600 hover:text-blue-800"
+      >
+        {paused ? <Play className="w-3 h-3" /> : <Pause className="w-3 h-3" />}
+      </Button>
+      <Button
+        variant="ghost"
+        size="sm"
+        onClick={() => speechOutput.stop()}
+        title={t('message.stop')}
+        aria-label={t('message.stop')}
+        className="h-6 px-2 text-blue-600 hover:text-blue-800"
+      >
+        <Square className="w-3 h-3" />
+      </Button>
+      <Button
+        variant="ghost"
+        size="sm"
+        onClick={cycleRate}
+        title={t('message.rate')}
+        aria-label={t('message.rate')}
+        className="h-6 px-2 text-xs text-blue-600 hover:text-blue-800 tabular-nums"
+      >
+        {state.rate}×
+      </Button>
+      {voices.length > 1 && (
+        <select
+          value={selectedVoice?.voiceURI || ""}
+          onChange={(e) => speechOutput.setVoice(language, e.target.value || null)}
+          title={t('message.voice')}
+          aria-label={t('message.voice')}
+          className="h-6 max-w-[10rem] text-xs border border-gray-200 rounded px-1 bg-white text-gray-600"
+        >
+          {voices.map(voice => (
+            <option key={voice.voiceURI} value={voice.voiceURI}>
+              {voice.name}
+            </option>
+          ))}
+        </select>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,47 @@
+import React from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import useTranslation from "@/i18n/useTranslation";
+
+export default function TicketContactForm({ reference, email = "", phone = "", onSave, language }) {
+  const [contact, setContact] = React.useState({ email, phone });
+  const [saving, setSaving] = React.useState(false);
+  const t = useTranslation(language);
+
+  const canSave = (contact.email.trim() || contact.phone.trim()) && !saving;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!canSave) return;
+    setSaving(true);
+    await onSave({ email: contact.email.trim(), phone: contact.phone.trim() });
+    setSaving(false);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="ml-11 mb-4 max-w-md bg-white border border-gray-200 rounded-xl p-3 space-y-2">
+      <label className="text-xs font-medium text-gray-700 block">
+        {t('handoff.contactTitle', { reference })}
+      </label>
+      <Input
+        type="email"
+        value={contact.email}
+        onChange={(e) => setContact(prev => ({ ...prev, email: e.target.value }))}
+        placeholder={t('handoff.contactEmail')}
+        className="text-sm"
+      />
+      <Input
+        type="tel"
+        value={contact.phone}
+        onChange={(e) => setContact(prev => ({ ...prev, phone: e.target.value }))}
+        placeholder={t('handoff.contactPhone')}
+        className="text-sm"
+      />
+      <div className="flex justify-end">
+        <Button type="submit" size="sm" className="bg-blue-600 hover:bg-blue-700" disabled={!canSave}>
+          {t('handoff.contactSave')}
+        </Button>
+      </div>
+    </form>
+  );
+}
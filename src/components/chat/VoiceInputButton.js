@@ -0,0 +1,71 @@
+import React from "react";
+import { Mic, MicOff, Square } from "lucide-react";
+import SpeechInput from "@/services/SpeechInput";
+import useTranslation from "@/i18n/useTranslation";
+
+export default function VoiceInputButton({ language, onInterim, onSubmit, onError, onListeningChange, disabled }) {
+  const [listening, setListening] = React.useState(false);
+  const t = useTranslation(language);
+  const supported = SpeechInput.isSupported();
+  const speechInputRef = React.useRef(null);
+  // Keep the latest callbacks without recreating the recognizer on every render
+  const handlersRef = React.useRef({});
+  handlersRef.current = { onInterim, onSubmit, onError, onListeningChange };
+
+  if (!speechInputRef.current) {
+    speechInputRef.current = new SpeechInput({
+      onInterim: (transcript) => handlersRef.current.onInterim?.(transcript),
+      onFinal: (transcript) => handlersRef.current.onSubmit?.(transcript),
+      onError: (type) => handlersRef.current.onError?.(type),
+      onStateChange: (isListening) => {
+        setListening(isListening);
+        handlersRef.current.onListeningChange?.(isListening);
+      }
+    });
+  }
+
+  React.useEffect(() => {
+    const speechInput = speechInputRef.current;
+    return () => speechInput.abort();
+  }, []);
+
+  React.useEffect(() => {
+    // A transcript in the old language would be misrecognized, so start over
+    speechInputRef.current.abort();
+  }, [language]);
+
+  const handleClick = () => {
+    if (!supported) {
+      onError?.("unsupported");
+      return;
+    }
+    if (listening) {
+      speechInputRef.current.stop();
+    } else {
+      onError?.(null);
+      speechInputRef.current.start(language);
+    }
+  };
+
+  const label = !supported ? t("voice.unsupported") : listening ? t("voice.stop") : t("voice.start");
+
+  return (
+    <button
+      type="button"
+      onClick={handleClick}
+      disabled={disabled && !listening}
+      title={label}
+      aria-label={label}
+      aria-pressed={listening}
+      className={`px-3 py-3 rounded-lg border transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+        listening
+          ? "bg-red-50 border-red-300 text-red-600 animate-pulse"
+          : supported
+            ? "border-gray-200 text-gray-600 hover:bg-gray-50"
+            : "border-gray-200 text-gray-300"
+      }`}
+    >
+      {listening ? <Square className="w-5 h-5" /> : supported ? <Mic className="w-5 h-5" /> : <MicOff className="w-5 h-5" />}
+    </button>
+  );
+}
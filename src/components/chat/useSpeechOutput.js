@@ -0,0 +1,12 @@
+import { useSyncExternalStore } from "react";
+import { speechOutput } from "@/services/SpeechOutput";
+
+const subscribe = (listener) => speechOutput.subscribe(listener);
+const getSnapshot = () => speechOutput.getState();
+
+/**
+ * Subscribe a component to the shared read-aloud playback state
+ */
+export default function useSpeechOutput() {
+  return useSyncExternalStore(subscribe, getSnapshot);
+}
@@ -0,0 +1,155 @@
+// Bengali UI messages
+const bn = {
+    app: {
+        name: "CampusAssist",
+        tagline: "বহুভাষিক সহকারী",
+        version: "ক্যাম্পাস চ্যাটবট v2.0",
+        availability: "শিক্ষার্থীদের সেবায় 24/7"
+    },
+    nav: {
+        heading: "নেভিগেশন",
+        chat: "চ্যাট",
+        knowledgeBase: "জ্ঞানভান্ডার",
+        collegeAssets: "কলেজের সম্পদ",
+        analytics: "বিশ্লেষণ",
+        admin: "অ্যাডমিন",
+        agentConsole: "এজেন্ট কনসোল",
+        settings: "সেটিংস"
+    },
+    stats: {
+        heading: "দ্রুত পরিসংখ্যান",
+        activeSessions: "সক্রিয় সেশন",
+        todaysQueries: "আজকের প্রশ্ন",
+        languages: "ভাষা"
+    },
+    chat: {
+        title: "বহুভাষিক ক্যাম্পাস সহকারী",
+        subtitle: "স্মার্ট ইন্ডিয়া হ্যাকাথন 2024 - ক্যাম্পাস প্রশ্ন সমাধান",
+        greeting: "নমস্কার! আমি আপনার বহুভাষিক ক্যাম্পাস সহকারী। ফি, বৃত্তি, সময়সূচি, ভর্তি এবং কলেজের অন্যান্য তথ্যে আমি আপনাকে সাহায্য করতে পারি। আপনি আমার সাথে বাংলা, হিন্দি, ইংরেজি বা অন্য যেকোনো সমর্থিত আঞ্চলিক ভাষায় কথা বলতে পারেন!",
+        thinking: "আপনার প্রশ্ন বোঝার চেষ্টা করছি...",
+        stop: "উত্তর থামান",
+        stopped: "উত্তর থামানো হয়েছে",
+        timeout: "প্রত্যাশার চেয়ে বেশি সময় লাগছে। অনুগ্রহ করে আবার চেষ্টা করুন।",
+        failed: "দুঃখিত, উত্তর দেওয়ার সময় কিছু ভুল হয়েছে। অনুগ্রহ করে আবার চেষ্টা করুন।",
+        retry: "আবার চেষ্টা করুন",
+        helpPrompt: "আজ আমি আপনাকে কীভাবে সাহায্য করতে পারি?",
+        fallback: "আমি আপনাকে সাহায্য করতে এখানে আছি। ফি, বৃত্তি, সময়সূচি, ভর্তি, পরীক্ষার সময়সূচি এবং কলেজের সাধারণ তথ্যে আমি সাহায্য করতে পারি।",
+        humanHelp: "মানব সহায়তা",
+        placeholder: "এখানে আপনার প্রশ্ন লিখুন...",
+        inputHint: "আপনি বাংলা, হিন্দি, ইংরেজি বা অন্যান্য ভারতীয় ভাষায় প্রশ্ন করতে পারেন"
+    },
+    history: {
+        title: "সাম্প্রতিক চ্যাট",
+        newChat: "নতুন চ্যাট",
+        search: "চ্যাট খুঁজুন",
+        empty: "আপনার আগের চ্যাটগুলি এখানে দেখা যাবে",
+        noResults: "আপনার খোঁজের সাথে কোনো চ্যাট মেলেনি",
+        delete: "চ্যাট মুছুন",
+        confirmDelete: "\"{title}\" মুছবেন? এটি আর ফেরানো যাবে না।"
+    },
+    transcript: {
+        title: "{name} চ্যাট প্রতিলিপি",
+        exportedAt: "{time}-এ রপ্তানি করা হয়েছে",
+        student: "ছাত্র",
+        assistant: "সহায়ক",
+        sources: "সূত্র",
+        emailSubject: "{time}-এর চ্যাট প্রতিলিপি",
+        export: "চ্যাট রপ্তানি করুন",
+        description: "এই কথোপকথন সংরক্ষণ করুন বা এমন কাউকে পাঠান যিনি সাহায্য করতে পারেন।",
+        pdf: "PDF হিসেবে সংরক্ষণ করুন",
+        text: "টেক্সট হিসেবে ডাউনলোড করুন",
+        share: "শেয়ার করার লিঙ্ক কপি করুন",
+        linkCopied: "লিঙ্ক কপি হয়েছে",
+        email: "সহায়তায় ইমেল করুন ({email})",
+        emailSent: "সহায়তায় পাঠানো হয়েছে",
+        popupBlocked: "PDF সংরক্ষণ করতে এই সাইটের পপ-আপ চালু করুন।",
+        failed: "এটি কাজ করেনি। অনুগ্রহ করে আবার চেষ্টা করুন।",
+        empty: "এখনও রপ্তানি করার মতো কিছু নেই।"
+    },
+    message: {
+        confidence: "{percent}% নিশ্চিত",
+        speak: "পড়ে শোনান",
+        pause: "থামান",
+        resume: "আবার শুরু করুন",
+        stop: "পড়া বন্ধ করুন",
+        rate: "পড়ার গতি",
+        voice: "কণ্ঠস্বর",
+        copy: "কপি করুন",
+        helpful: "সহায়ক",
+        notHelpful: "সহায়ক নয়",
+        sending: "পাঠানো হচ্ছে",
+        sent: "পাঠানো হয়েছে",
+        delivered: "পৌঁছেছে",
+        read: "পড়া হয়েছে"
+    },
+    language: {
+        label: "ভাষা"
+    },
+    voice: {
+        start: "আপনার প্রশ্ন বলুন",
+        stop: "শোনা বন্ধ করুন",
+        listening: "শুনছি… এখন বলুন",
+        unsupported: "এই ব্রাউজারে ভয়েস ইনপুট সমর্থিত নয়। অনুগ্রহ করে আপনার প্রশ্ন লিখুন।",
+        permissionDenied: "মাইক্রোফোনের অনুমতি বন্ধ আছে। ভয়েস ইনপুটের জন্য ব্রাউজার সেটিংসে অনুমতি দিন।",
+        noSpeech: "কিছু শোনা যায়নি। মাইক্রোফোনে চাপ দিয়ে আবার চেষ্টা করুন।",
+        failed: "ভয়েস ইনপুট হঠাৎ বন্ধ হয়ে গেছে। আবার চেষ্টা করুন বা প্রশ্ন লিখুন।"
+    },
+    quickActions: {
+        title: "দ্রুত সহায়তা",
+        hint: "উপরের যেকোনো বিষয়ে ক্লিক করুন বা নিজের প্রশ্ন লিখুন",
+        fees: { label: "ফি সংক্রান্ত তথ্য", query: "ফি কাঠামো এবং জমা দেওয়ার শেষ তারিখ জানান" },
+        scholarships: { label: "বৃত্তি", query: "শিক্ষার্থীদের জন্য কোন কোন বৃত্তি পাওয়া যায়?" },
+        timetable: { label: "সময়সূচি", query: "বর্তমান ক্লাসের সময়সূচি দেখান" },
+        admissions: { label: "ভর্তি", query: "ভর্তির জন্য কীভাবে আবেদন করব? কী কী প্রয়োজন?" },
+        exams: { label: "পরীক্ষার সময়সূচি", query: "আসন্ন পরীক্ষা এবং ফলাফল কবে?" },
+        general: { label: "সাধারণ সহায়তা", query: "আপনি কোন বিষয়ে সাহায্য করতে পারেন? সব পরিষেবা দেখান" }
+    },
+    feedback: {
+        whatWrong: "কী ভুল ছিল? (ঐচ্ছিক)",
+        placeholder: "উত্তরে কী অনুপস্থিত বা ভুল ছিল জানান",
+        skip: "বাদ দিন",
+        send: "পাঠান"
+    },
+    satisfaction: {
+        question: "আজকের কথোপকথন আপনার কেমন লাগল?",
+        thanks: "আপনার মতামতের জন্য ধন্যবাদ!"
+    },
+    handoff: {
+        confirmation: "আপনাকে আমাদের সহায়তা সারিতে যুক্ত করা হয়েছে। একজন মানব এজেন্ট শীঘ্রই আপনাকে সাহায্য করবেন। সহায়তা দল আপনার অনুরোধ দেখলেই সারিতে আপনার অবস্থান ও আনুমানিক অপেক্ষার সময় চ্যাটের উপরে দেখা যাবে। আপনার রেফারেন্স নম্বর **{reference}**।",
+        minutes: { one: "{count} মিনিট", other: "{count} মিনিট" },
+        connecting: "মানব এজেন্টের সাথে সংযোগ করা হচ্ছে",
+        queuePosition: "সারিতে অবস্থান: {position}",
+        estimatedWait: "আনুমানিক অপেক্ষা: {wait}",
+        reference: "রেফারেন্স: {reference}",
+        withAgent: "{name}-এর সঙ্গে কথা চলছে",
+        agentTyping: "{name} লিখছেন…",
+        agentJoined: "ছাত্র সহায়তা দল থেকে **{name}** চ্যাটে যোগ দিয়েছেন।",
+        resolved: "সহায়তা চ্যাট শেষ হয়েছে। এখন সহায়ক আবার আপনার প্রশ্নের উত্তর দেবে।",
+        transferred: "আপনার অনুরোধ অন্য বিভাগে পাঠানো হয়েছে। সেখান থেকে কেউ শীঘ্রই যোগ দেবেন।",
+        ticketClosed: "আমাদের সহায়তা অফিস এখন বন্ধ, তাই আপনার প্রশ্নটি টিকিট হিসেবে সংরক্ষণ করা হয়েছে। আপনার রেফারেন্স নম্বর **{reference}**। টিমের কেউ **{callback}**-এর মধ্যে আপনার সঙ্গে যোগাযোগ করবেন।",
+        ticketHoliday: "{holiday} উপলক্ষে সহায়তা অফিস আজ বন্ধ, তাই আপনার প্রশ্নটি টিকিট হিসেবে সংরক্ষণ করা হয়েছে। আপনার রেফারেন্স নম্বর **{reference}**। টিমের কেউ **{callback}**-এর মধ্যে আপনার সঙ্গে যোগাযোগ করবেন।",
+        ticketNoAgents: "এই মুহূর্তে চ্যাট করার মতো কোনো এজেন্ট নেই, তাই আপনার অনুরোধটি টিকিটে পরিণত করা হয়েছে। আপনার রেফারেন্স নম্বর **{reference}**। টিমের কেউ **{callback}**-এর মধ্যে আপনার সঙ্গে যোগাযোগ করবেন।",
+        callbackSoon: "পরের কার্যদিবস",
+        queuedUntilOpen: "সহায়তা অফিস এখন বন্ধ। আপনি সারিতে আছেন, অফিস **{opens}**-এ খুললেই একজন এজেন্ট আপনার চ্যাট নেবেন। আপনার রেফারেন্স নম্বর **{reference}**।",
+        contactTitle: "টিকিট {reference} নিয়ে আমরা কীভাবে আপনার সঙ্গে যোগাযোগ করব?",
+        contactEmail: "ইমেল",
+        contactPhone: "ফোন নম্বর",
+        contactSave: "সংরক্ষণ করুন",
+        contactSaved: "ধন্যবাদ! আমরা {contact}-এ আপনার সঙ্গে যোগাযোগ করব।",
+        cancel: "অনুরোধ বাতিল করুন",
+        cancelled: "আপনি কর্মীর জন্য আপনার অনুরোধ বাতিল করেছেন। প্রয়োজন হলে যেকোনো সময় **মানব সহায়তা** ব্যবহার করুন।",
+        surveyQuestion: "{name}-এর কাছ থেকে পাওয়া সাহায্যকে আপনি কেমন রেটিং দেবেন?",
+        surveyAgent: "সহায়তা দল",
+        surveyComment: "আমরা আর কী ভালো করতে পারতাম? (ঐচ্ছিক)",
+        surveyThanks: "ধন্যবাদ! আপনার মতামত আমাদের সহায়তা দলকে সাহায্য করে।"
+    },
+    cannedResponses: {
+        greeting: "নমস্কার, আমি ছাত্র সহায়তা থেকে {agent}। সহায়কের সঙ্গে আপনার কথোপকথন আমি পড়েছি এবং এখন বিষয়টি দেখছি।",
+        enrollment: "আপনার রেকর্ড দেখার জন্য আপনার নথিভুক্তি নম্বরটি জানাবেন?",
+        checking: "অপেক্ষা করার জন্য ধন্যবাদ। আমি বিভাগের সঙ্গে বিষয়টি যাচাই করছি এবং কয়েক মিনিটের মধ্যে উত্তর দেব।",
+        followUp: "আর কোনো বিষয়ে কি আমি সাহায্য করতে পারি?",
+        closing: "ছাত্র সহায়তায় যোগাযোগের জন্য ধন্যবাদ। আমি এখন এই চ্যাট বন্ধ করছি; মানব সহায়তা বোতাম দিয়ে যেকোনো সময় আবার যোগাযোগ করতে পারেন।"
+    }
+};
+
+export default bn;
@@ -0,0 +1,155 @@
+// English UI messages; the reference catalog every other language falls back to
+const en = {
+    app: {
+        name: "CampusAssist",
+        tagline: "Multilingual Assistant",
+        version: "Campus Chatbot v2.0",
+        availability: "Serving students 24/7"
+    },
+    nav: {
+        heading: "Navigation",
+        chat: "Chat",
+        knowledgeBase: "Knowledge Base",
+        collegeAssets: "College Assets",
+        analytics: "Analytics",
+        admin: "Admin",
+        agentConsole: "Agent Console",
+        settings: "Settings"
+    },
+    stats: {
+        heading: "Quick Stats",
+        activeSessions: "Active Sessions",
+        todaysQueries: "Today's Queries",
+        languages: "Languages"
+    },
+    chat: {
+        title: "Multilingual Campus Assistant",
+        subtitle: "Smart India Hackathon 2024 - Campus Query Solution",
+        greeting: "Hello! I'm your multilingual campus assistant. I can help you with fees, scholarships, timetables, admissions, and other college information. You can talk to me in Hindi, English, or any of our supported regional languages!",
+        thinking: "Processing your query...",
+        stop: "Stop answering",
+        stopped: "Answer stopped",
+        timeout: "This is taking longer than expected. Please try again.",
+        failed: "Sorry, something went wrong while answering. Please try again.",
+        retry: "Try again",
+        helpPrompt: "How can I assist you today?",
+        fallback: "How can I assist you today? I can help you with fees, scholarships, timetables, admissions, exam schedules, and general college information.",
+        humanHelp: "Human Help",
+        placeholder: "Type your question here...",
+        inputHint: "You can ask questions in Hindi, English, or other Indian languages"
+    },
+    history: {
+        title: "Recent chats",
+        newChat: "New chat",
+        search: "Search chats",
+        empty: "Your past chats will appear here",
+        noResults: "No chats match your search",
+        delete: "Delete chat",
+        confirmDelete: "Delete \"{title}\"? This can't be undone."
+    },
+    transcript: {
+        title: "{name} chat transcript",
+        exportedAt: "Exported on {time}",
+        student: "Student",
+        assistant: "Assistant",
+        sources: "Sources",
+        emailSubject: "Chat transcript from {time}",
+        export: "Export chat",
+        description: "Save this conversation or send it to someone who can help.",
+        pdf: "Save as PDF",
+        text: "Download as text",
+        share: "Copy shareable link",
+        linkCopied: "Link copied",
+        email: "Email to support ({email})",
+        emailSent: "Sent to support",
+        popupBlocked: "Allow pop-ups for this site to save the PDF.",
+        failed: "That didn't work. Please try again.",
+        empty: "There's nothing to export yet."
+    },
+    message: {
+        confidence: "{percent}% confident",
+        speak: "Read aloud",
+        pause: "Pause",
+        resume: "Resume",
+        stop: "Stop reading",
+        rate: "Reading speed",
+        voice: "Voice",
+        copy: "Copy",
+        helpful: "Helpful",
+        notHelpful: "Not helpful",
+        sending: "Sending",
+        sent: "Sent",
+        delivered: "Delivered",
+        read: "Read"
+    },
+    language: {
+        label: "Language"
+    },
+    voice: {
+        start: "Speak your question",
+        stop: "Stop listening",
+        listening: "Listening… speak now",
+        unsupported: "Voice input isn't supported in this browser. Please type your question.",
+        permissionDenied: "Microphone access was blocked. Allow it in your browser settings to use voice input.",
+        noSpeech: "Didn't catch that. Tap the microphone and try again.",
+        failed: "Voice input stopped unexpectedly. Please try again or type your question."
+    },
+    quickActions: {
+        title: "Quick Actions",
+        hint: "Click any topic above or type your own question",
+        fees: { label: "Fee Information", query: "Tell me about fee structure and payment deadlines" },
+        scholarships: { label: "Scholarships", query: "What scholarships are available for students?" },
+        timetable: { label: "Timetable", query: "Show me the current class timetable and schedule" },
+        admissions: { label: "Admissions", query: "How do I apply for admission? What are the requirements?" },
+        exams: { label: "Exam Schedule", query: "When are the upcoming exams and results?" },
+        general: { label: "General Help", query: "What can you help me with? Show me all services" }
+    },
+    feedback: {
+        whatWrong: "What was wrong? (optional)",
+        placeholder: "Tell us what was missing or incorrect",
+        skip: "Skip",
+        send: "Send"
+    },
+    satisfaction: {
+        question: "How satisfied were you with your last chat?",
+        thanks: "Thanks for your feedback!"
+    },
+    handoff: {
+        confirmation: "You've been connected to our support queue. A human agent will assist you shortly, and your place in the queue and the expected wait will appear above the chat as soon as the support team sees your request. Your reference number is **{reference}**.",
+        minutes: { one: "{count} minute", other: "{count} minutes" },
+        connecting: "Connecting to Human Agent",
+        queuePosition: "Queue Position: {position}",
+        estimatedWait: "Est. Wait: {wait}",
+        reference: "Reference: {reference}",
+        withAgent: "Chatting with {name}",
+        agentTyping: "{name} is typing…",
+        agentJoined: "**{name}** from the student support team has joined the chat.",
+        resolved: "The support chat has ended. The assistant will answer your questions again.",
+        transferred: "Your request has been passed to another department. Someone there will join shortly.",
+        ticketClosed: "Our support office is closed right now, so we've saved your question as a ticket. Your reference number is **{reference}**. Someone from the team will contact you by **{callback}**.",
+        ticketHoliday: "The support office is closed today for {holiday}, so we've saved your question as a ticket. Your reference number is **{reference}**. Someone from the team will contact you by **{callback}**.",
+        ticketNoAgents: "No agent is free to chat right now, so we've turned your request into a ticket. Your reference number is **{reference}**. Someone from the team will contact you by **{callback}**.",
+        callbackSoon: "the next working day",
+        queuedUntilOpen: "The support office is closed right now. You're in the queue and an agent will pick up your chat when it opens on **{opens}**. Your reference number is **{reference}**.",
+        contactTitle: "How should we contact you about ticket {reference}?",
+        contactEmail: "Email",
+        contactPhone: "Phone number",
+        contactSave: "Save",
+        contactSaved: "Thanks! We'll contact you at {contact}.",
+        cancel: "Cancel request",
+        cancelled: "You've cancelled your request for a staff member. Use **Human Help** whenever you need one.",
+        surveyQuestion: "How would you rate the help you got from {name}?",
+        surveyAgent: "the support team",
+        surveyComment: "Anything we could have done better? (optional)",
+        surveyThanks: "Thanks! Your feedback helps our support team."
+    },
+    cannedResponses: {
+        greeting: "Hello, I'm {agent} from student support. I've read your conversation with the assistant and I'm looking into it now.",
+        enrollment: "Could you share your enrollment number so I can check your records?",
+        checking: "Thanks for waiting. I'm checking this with the department and will reply in a few minutes.",
+        followUp: "Is there anything else I can help you with?",
+        closing: "Thank you for contacting student support. I'm closing this chat now; you can reach us again any time with the Human Help button."
+    }
+};
+
+export default en;
@@ -0,0 +1,155 @@
+// Gujarati UI messages
+const gu = {
+    app: {
+        name: "CampusAssist",
+        tagline: "બહુભાષી સહાયક",
+        version: "કેમ્પસ ચેટબોટ v2.0",
+        availability: "વિદ્યાર્થીઓની સેવામાં 24/7"
+    },
+    nav: {
+        heading: "નેવિગેશન",
+        chat: "ચેટ",
+        knowledgeBase: "જ્ઞાનકોશ",
+        collegeAssets: "કોલેજ સંસાધનો",
+        analytics: "વિશ્લેષણ",
+        admin: "એડમિન",
+        agentConsole: "એજન્ટ કન્સોલ",
+        settings: "સેટિંગ્સ"
+    },
+    stats: {
+        heading: "ઝડપી આંકડા",
+        activeSessions: "સક્રિય સત્રો",
+        todaysQueries: "આજના પ્રશ્નો",
+        languages: "ભાષાઓ"
+    },
+    chat: {
+        title: "બહુભાષી કેમ્પસ સહાયક",
+        subtitle: "સ્માર્ટ ઇન્ડિયા હેકાથોન 2024 - કેમ્પસ પ્રશ્ન ઉકેલ",
+        greeting: "નમસ્તે! હું તમારો બહુભાષી કેમ્પસ સહાયક છું. હું ફી, શિષ્યવૃત્તિ, સમયપત્રક, પ્રવેશ અને કોલેજની અન્ય માહિતીમાં તમારી મદદ કરી શકું છું. તમે મારી સાથે ગુજરાતી, હિન્દી, અંગ્રેજી કે અન્ય સમર્થિત પ્રાદેશિક ભાષામાં વાત કરી શકો છો!",
+        thinking: "તમારો પ્રશ્ન સમજી રહ્યો છું...",
+        stop: "જવાબ રોકો",
+        stopped: "જવાબ રોકાયો",
+        timeout: "આમાં અપેક્ષા કરતાં વધુ સમય લાગી રહ્યો છે. કૃપા કરીને ફરી પ્રયાસ કરો.",
+        failed: "માફ કરશો, જવાબ આપતી વખતે કંઈક ખોટું થયું. કૃપા કરીને ફરી પ્રયાસ કરો.",
+        retry: "ફરી પ્રયાસ કરો",
+        helpPrompt: "આજે હું તમારી કેવી રીતે મદદ કરી શકું?",
+        fallback: "હું તમારી મદદ માટે અહીં છું. હું ફી, શિષ્યવૃત્તિ, સમયપત્રક, પ્રવેશ, પરીક્ષા સમયપત્રક અને કોલેજની સામાન્ય માહિતીમાં મદદ કરી શકું છું.",
+        humanHelp: "માનવ સહાય",
+        placeholder: "તમારો પ્રશ્ન અહીં લખો...",
+        inputHint: "તમે ગુજરાતી, હિન્દી, અંગ્રેજી કે અન્ય ભારતીય ભાષાઓમાં પ્રશ્ન પૂછી શકો છો"
+    },
+    history: {
+        title: "તાજેતરની વાતચીત",
+        newChat: "નવી વાતચીત",
+        search: "વાતચીત શોધો",
+        empty: "તમારી અગાઉની વાતચીત અહીં દેખાશે",
+        noResults: "તમારી શોધ સાથે કોઈ વાતચીત મેળ ખાતી નથી",
+        delete: "વાતચીત કાઢી નાખો",
+        confirmDelete: "\"{title}\" કાઢી નાખવી છે? આ પાછું લાવી શકાશે નહીં."
+    },
+    transcript: {
+        title: "{name} ચેટ ટ્રાન્સક્રિપ્ટ",
+        exportedAt: "{time} એ નિકાસ કર્યું",
+        student: "વિદ્યાર્થી",
+        assistant: "સહાયક",
+        sources: "સ્રોતો",
+        emailSubject: "{time} નું ચેટ ટ્રાન્સક્રિપ્ટ",
+        export: "ચેટ નિકાસ કરો",
+        description: "આ વાતચીત સાચવો અથવા મદદ કરી શકે તેવી વ્યક્તિને મોકલો.",
+        pdf: "PDF તરીકે સાચવો",
+        text: "ટેક્સ્ટ તરીકે ડાઉનલોડ કરો",
+        share: "શેર કરી શકાય તેવી લિંક કૉપિ કરો",
+        linkCopied: "લિંક કૉપિ થઈ",
+        email: "સહાયને ઈમેલ કરો ({email})",
+        emailSent: "સહાયને મોકલ્યું",
+        popupBlocked: "PDF સાચવવા માટે આ સાઇટના પૉપ-અપને મંજૂરી આપો.",
+        failed: "આ કામ ન કર્યું. કૃપા કરીને ફરી પ્રયાસ કરો.",
+        empty: "હજી નિકાસ કરવા માટે કંઈ નથી."
+    },
+    message: {
+        confidence: "{percent}% વિશ્વાસ",
+        speak: "વાંચી સંભળાવો",
+        pause: "થોભાવો",
+        resume: "ફરી શરૂ કરો",
+        stop: "વાંચવાનું બંધ કરો",
+        rate: "વાંચવાની ઝડપ",
+        voice: "અવાજ",
+        copy: "કૉપિ કરો",
+        helpful: "ઉપયોગી",
+        notHelpful: "ઉપયોગી નથી",
+        sending: "મોકલાઈ રહ્યું છે",
+        sent: "મોકલાયું",
+        delivered: "પહોંચ્યું",
+        read: "વાંચ્યું"
+    },
+    language: {
+        label: "ભાષા"
+    },
+    voice: {
+        start: "તમારો પ્રશ્ન બોલો",
+        stop: "સાંભળવાનું બંધ કરો",
+        listening: "સાંભળી રહ્યો છું… હવે બોલો",
+        unsupported: "આ બ્રાઉઝરમાં અવાજ દ્વારા ઇનપુટ સમર્થિત નથી. કૃપા કરીને તમારો પ્રશ્ન લખો.",
+        permissionDenied: "માઇક્રોફોનની પરવાનગી અવરોધિત છે. અવાજ ઇનપુટ માટે બ્રાઉઝર સેટિંગ્સમાં પરવાનગી આપો.",
+        noSpeech: "અવાજ સંભળાયો નહીં. માઇક્રોફોન દબાવીને ફરી પ્રયાસ કરો.",
+        failed: "અવાજ ઇનપુટ અચાનક બંધ થઈ ગયું. ફરી પ્રયાસ કરો અથવા પ્રશ્ન લખો."
+    },
+    quickActions: {
+        title: "ઝડપી સહાય",
+        hint: "ઉપરના કોઈપણ વિષય પર ક્લિક કરો અથવા તમારો પ્રશ્ન લખો",
+        fees: { label: "ફીની માહિતી", query: "ફીનું માળખું અને ભરવાની છેલ્લી તારીખ જણાવો" },
+        scholarships: { label: "શિષ્યવૃત્તિ", query: "વિદ્યાર્થીઓ માટે કઈ શિષ્યવૃત્તિઓ ઉપલબ્ધ છે?" },
+        timetable: { label: "સમયપત્રક", query: "હાલનું વર્ગ સમયપત્રક બતાવો" },
+        admissions: { label: "પ્રવેશ", query: "પ્રવેશ માટે અરજી કેવી રીતે કરવી? શું જરૂરી છે?" },
+        exams: { label: "પરીક્ષા સમયપત્રક", query: "આગામી પરીક્ષાઓ અને પરિણામ ક્યારે છે?" },
+        general: { label: "સામાન્ય સહાય", query: "તમે શેમાં મદદ કરી શકો? બધી સેવાઓ બતાવો" }
+    },
+    feedback: {
+        whatWrong: "શું ખોટું હતું? (વૈકલ્પિક)",
+        placeholder: "જવાબમાં શું ખૂટતું કે ખોટું હતું તે જણાવો",
+        skip: "છોડો",
+        send: "મોકલો"
+    },
+    satisfaction: {
+        question: "આજની વાતચીત તમને કેવી લાગી?",
+        thanks: "તમારા પ્રતિસાદ બદલ આભાર!"
+    },
+    handoff: {
+        confirmation: "તમને અમારી સપોર્ટ કતારમાં જોડવામાં આવ્યા છે. એક માનવ એજન્ટ ટૂંક સમયમાં તમારી મદદ કરશે. સપોર્ટ ટીમને તમારી વિનંતી દેખાતાં જ કતારમાં તમારું સ્થાન અને અંદાજિત રાહ સમય ચેટની ઉપર દેખાશે. તમારો સંદર્ભ નંબર **{reference}** છે.",
+        minutes: { one: "{count} મિનિટ", other: "{count} મિનિટ" },
+        connecting: "માનવ એજન્ટ સાથે જોડાઈ રહ્યા છીએ",
+        queuePosition: "કતારમાં સ્થાન: {position}",
+        estimatedWait: "અંદાજિત રાહ: {wait}",
+        reference: "સંદર્ભ: {reference}",
+        withAgent: "{name} સાથે વાતચીત ચાલુ",
+        agentTyping: "{name} લખી રહ્યા છે…",
+        agentJoined: "વિદ્યાર્થી સહાય ટીમમાંથી **{name}** વાતચીતમાં જોડાયા છે.",
+        resolved: "સહાય ચેટ પૂરી થઈ છે. હવે સહાયક ફરીથી તમારા પ્રશ્નોના જવાબ આપશે.",
+        transferred: "તમારી વિનંતી બીજા વિભાગને મોકલવામાં આવી છે. ત્યાંથી કોઈ ટૂંક સમયમાં જોડાશે.",
+        ticketClosed: "અમારી સહાય કચેરી હાલ બંધ છે, તેથી અમે તમારો પ્રશ્ન ટિકિટ તરીકે સાચવ્યો છે. તમારો સંદર્ભ નંબર **{reference}** છે. ટીમમાંથી કોઈ **{callback}** સુધીમાં તમારો સંપર્ક કરશે.",
+        ticketHoliday: "સહાય કચેરી આજે {holiday} નિમિત્તે બંધ છે, તેથી અમે તમારો પ્રશ્ન ટિકિટ તરીકે સાચવ્યો છે. તમારો સંદર્ભ નંબર **{reference}** છે. ટીમમાંથી કોઈ **{callback}** સુધીમાં તમારો સંપર્ક કરશે.",
+        ticketNoAgents: "હાલ કોઈ એજન્ટ ચેટ માટે ઉપલબ્ધ નથી, તેથી તમારી વિનંતી ટિકિટમાં ફેરવાઈ છે. તમારો સંદર્ભ નંબર **{reference}** છે. ટીમમાંથી કોઈ **{callback}** સુધીમાં તમારો સંપર્ક કરશે.",
+        callbackSoon: "આગામી કામકાજના દિવસ",
+        queuedUntilOpen: "સહાય કચેરી હાલ બંધ છે. તમે કતારમાં છો અને કચેરી **{opens}** એ ખુલતાં જ એજન્ટ તમારી ચેટ લેશે. તમારો સંદર્ભ નંબર **{reference}** છે.",
+        contactTitle: "ટિકિટ {reference} વિશે અમે તમારો સંપર્ક કેવી રીતે કરીએ?",
+        contactEmail: "ઇમેઇલ",
+        contactPhone: "ફોન નંબર",
+        contactSave: "સાચવો",
+        contactSaved: "આભાર! અમે તમારો {contact} પર સંપર્ક કરીશું.",
+        cancel: "વિનંતી રદ કરો",
+        cancelled: "તમે સ્ટાફ સભ્ય માટેની તમારી વિનંતી રદ કરી છે. જરૂર પડે ત્યારે **માનવ સહાય** નો ઉપયોગ કરો.",
+        surveyQuestion: "{name} પાસેથી મળેલી મદદને તમે કેવી રીતે રેટ કરશો?",
+        surveyAgent: "સહાય ટીમ",
+        surveyComment: "અમે શું વધુ સારું કરી શક્યા હોત? (વૈકલ્પિક)",
+        surveyThanks: "આભાર! તમારો પ્રતિસાદ અમારી સહાય ટીમને મદદ કરે છે."
+    },
+    cannedResponses: {
+        greeting: "નમસ્તે, હું વિદ્યાર્થી સહાયમાંથી {agent} છું. મેં સહાયક સાથેની તમારી વાતચીત વાંચી છે અને હવે તેની તપાસ કરી રહ્યો/રહી છું.",
+        enrollment: "શું તમે તમારો નોંધણી નંબર જણાવશો જેથી હું તમારા રેકોર્ડ તપાસી શકું?",
+        checking: "રાહ જોવા બદલ આભાર. હું વિભાગ સાથે આ તપાસી રહ્યો/રહી છું અને થોડી મિનિટોમાં જવાબ આપીશ.",
+        followUp: "શું હું બીજી કોઈ બાબતમાં મદદ કરી શકું?",
+        closing: "વિદ્યાર્થી સહાયનો સંપર્ક કરવા બદલ આભાર. હું હવે આ ચેટ બંધ કરું છું; તમે માનવ સહાય બટનથી ગમે ત્યારે ફરી સંપર્ક કરી શકો છો."
+    }
+};
+
+export default gu;
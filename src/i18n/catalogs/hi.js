@@ -0,0 +1,155 @@
+// Hindi UI messages
+const hi = {
+    app: {
+        name: "CampusAssist",
+        tagline: "बहुभाषी सहायक",
+        version: "कैंपस चैटबॉट v2.0",
+        availability: "छात्रों की सेवा में 24/7"
+    },
+    nav: {
+        heading: "नेविगेशन",
+        chat: "चैट",
+        knowledgeBase: "ज्ञानकोश",
+        collegeAssets: "कॉलेज संसाधन",
+        analytics: "विश्लेषण",
+        admin: "एडमिन",
+        agentConsole: "एजेंट कंसोल",
+        settings: "सेटिंग्स"
+    },
+    stats: {
+        heading: "त्वरित आँकड़े",
+        activeSessions: "सक्रिय सत्र",
+        todaysQueries: "आज के प्रश्न",
+        languages: "भाषाएँ"
+    },
+    chat: {
+        title: "बहुभाषी कैंपस सहायक",
+        subtitle: "स्मार्ट इंडिया हैकाथॉन 2024 - कैंपस प्रश्न समाधान",
+        greeting: "नमस्ते! मैं आपका बहुभाषी कैंपस असिस्टेंट हूँ। मैं फीस, छात्रवृत्ति, समय सारणी, प्रवेश और अन्य कॉलेज की जानकारी में आपकी मदद कर सकता हूँ। आप हिंदी, अंग्रेजी या हमारी किसी भी समर्थित क्षेत्रीय भाषा में मुझसे बात कर सकते हैं!",
+        thinking: "आपके प्रश्न को समझ रहा हूँ...",
+        stop: "उत्तर रोकें",
+        stopped: "उत्तर रोका गया",
+        timeout: "इसमें अपेक्षा से अधिक समय लग रहा है। कृपया फिर से प्रयास करें।",
+        failed: "क्षमा करें, उत्तर देते समय कुछ गड़बड़ हो गई। कृपया फिर से प्रयास करें।",
+        retry: "फिर से प्रयास करें",
+        helpPrompt: "आज मैं आपकी कैसे सहायता कर सकता हूँ?",
+        fallback: "मैं आपकी सहायता के लिए यहाँ हूँ। मैं फीस, छात्रवृत्ति, समय सारणी, प्रवेश, परीक्षा कार्यक्रम और सामान्य कॉलेज की जानकारी में मदद कर सकता हूँ।",
+        humanHelp: "मानव सहायता",
+        placeholder: "यहाँ अपना प्रश्न लिखें...",
+        inputHint: "आप हिंदी, अंग्रेजी या अन्य भारतीय भाषाओं में प्रश्न पूछ सकते हैं"
+    },
+    history: {
+        title: "हाल की बातचीत",
+        newChat: "नई बातचीत",
+        search: "बातचीत खोजें",
+        empty: "आपकी पिछली बातचीत यहाँ दिखाई देंगी",
+        noResults: "आपकी खोज से कोई बातचीत नहीं मिली",
+        delete: "बातचीत हटाएँ",
+        confirmDelete: "\"{title}\" हटाएँ? इसे वापस नहीं लाया जा सकता।"
+    },
+    transcript: {
+        title: "{name} चैट प्रतिलेख",
+        exportedAt: "{time} को निर्यात किया गया",
+        student: "छात्र",
+        assistant: "सहायक",
+        sources: "स्रोत",
+        emailSubject: "{time} का चैट प्रतिलेख",
+        export: "चैट निर्यात करें",
+        description: "इस बातचीत को सहेजें या किसी ऐसे व्यक्ति को भेजें जो मदद कर सके।",
+        pdf: "PDF के रूप में सहेजें",
+        text: "टेक्स्ट के रूप में डाउनलोड करें",
+        share: "साझा करने योग्य लिंक कॉपी करें",
+        linkCopied: "लिंक कॉपी हो गया",
+        email: "सहायता को ईमेल करें ({email})",
+        emailSent: "सहायता को भेज दिया गया",
+        popupBlocked: "PDF सहेजने के लिए इस साइट के पॉप-अप की अनुमति दें।",
+        failed: "यह काम नहीं किया। कृपया फिर से प्रयास करें।",
+        empty: "अभी निर्यात करने के लिए कुछ नहीं है।"
+    },
+    message: {
+        confidence: "{percent}% विश्वास",
+        speak: "पढ़कर सुनाएँ",
+        pause: "रोकें",
+        resume: "फिर से शुरू करें",
+        stop: "पढ़ना बंद करें",
+        rate: "पढ़ने की गति",
+        voice: "आवाज़",
+        copy: "कॉपी करें",
+        helpful: "उपयोगी",
+        notHelpful: "उपयोगी नहीं",
+        sending: "भेजा जा रहा है",
+        sent: "भेजा गया",
+        delivered: "पहुँच गया",
+        read: "पढ़ लिया गया"
+    },
+    language: {
+        label: "भाषा"
+    },
+    voice: {
+        start: "अपना प्रश्न बोलें",
+        stop: "सुनना बंद करें",
+        listening: "सुन रहा हूँ… अब बोलें",
+        unsupported: "इस ब्राउज़र में आवाज़ से इनपुट समर्थित नहीं है। कृपया अपना प्रश्न टाइप करें।",
+        permissionDenied: "माइक्रोफ़ोन की अनुमति नहीं मिली। आवाज़ से इनपुट के लिए ब्राउज़र सेटिंग्स में अनुमति दें।",
+        noSpeech: "आवाज़ सुनाई नहीं दी। माइक्रोफ़ोन दबाकर फिर से कोशिश करें।",
+        failed: "आवाज़ इनपुट अचानक रुक गया। फिर से कोशिश करें या प्रश्न टाइप करें।"
+    },
+    quickActions: {
+        title: "त्वरित सहायता",
+        hint: "ऊपर किसी भी विषय पर क्लिक करें या अपना प्रश्न टाइप करें",
+        fees: { label: "फीस की जानकारी", query: "फीस संरचना और भुगतान की अंतिम तारीख बताइए" },
+        scholarships: { label: "छात्रवृत्ति", query: "छात्रों के लिए कौन सी छात्रवृत्ति उपलब्ध हैं?" },
+        timetable: { label: "समय सारणी", query: "वर्तमान कक्षा की समय सारणी दिखाइए" },
+        admissions: { label: "प्रवेश", query: "प्रवेश के लिए आवेदन कैसे करें? क्या आवश्यकताएँ हैं?" },
+        exams: { label: "परीक्षा समय", query: "आगामी परीक्षा और परिणाम कब हैं?" },
+        general: { label: "सामान्य सहायता", query: "आप किन बातों में मदद कर सकते हैं? सभी सेवाएँ दिखाइए" }
+    },
+    feedback: {
+        whatWrong: "क्या गलत था? (वैकल्पिक)",
+        placeholder: "हमें बताएं कि उत्तर में क्या कमी थी",
+        skip: "छोड़ें",
+        send: "भेजें"
+    },
+    satisfaction: {
+        question: "आज की बातचीत आपको कैसी लगी?",
+        thanks: "आपकी प्रतिक्रिया के लिए धन्यवाद!"
+    },
+    handoff: {
+        confirmation: "आपको हमारी सपोर्ट क्यू से जोड़ दिया गया है। एक मानव एजेंट जल्द ही आपकी सहायता करेगा। सपोर्ट टीम को आपका अनुरोध दिखते ही क्यू में आपकी स्थिति और अनुमानित प्रतीक्षा समय चैट के ऊपर दिखाई देगा। आपका संदर्भ नंबर **{reference}** है।",
+        minutes: { one: "{count} मिनट", other: "{count} मिनट" },
+        connecting: "मानव एजेंट से जोड़ा जा रहा है",
+        queuePosition: "क्यू में स्थिति: {position}",
+        estimatedWait: "अनुमानित प्रतीक्षा: {wait}",
+        reference: "संदर्भ: {reference}",
+        withAgent: "{name} से बातचीत जारी",
+        agentTyping: "{name} टाइप कर रहे हैं…",
+        agentJoined: "छात्र सहायता टीम से **{name}** बातचीत में शामिल हुए हैं।",
+        resolved: "सहायता चैट समाप्त हो गई है। अब सहायक फिर से आपके प्रश्नों का उत्तर देगा।",
+        transferred: "आपका अनुरोध दूसरे विभाग को भेजा गया है। वहाँ से कोई जल्द ही जुड़ेगा।",
+        ticketClosed: "हमारा सहायता कार्यालय अभी बंद है, इसलिए हमने आपका प्रश्न टिकट के रूप में सहेज लिया है। आपका संदर्भ नंबर **{reference}** है। टीम से कोई **{callback}** तक आपसे संपर्क करेगा।",
+        ticketHoliday: "सहायता कार्यालय आज {holiday} के कारण बंद है, इसलिए हमने आपका प्रश्न टिकट के रूप में सहेज लिया है। आपका संदर्भ नंबर **{reference}** है। टीम से कोई **{callback}** तक आपसे संपर्क करेगा।",
+        ticketNoAgents: "अभी कोई एजेंट चैट के लिए उपलब्ध नहीं है, इसलिए आपका अनुरोध टिकट में बदल दिया गया है। आपका संदर्भ नंबर **{reference}** है। टीम से कोई **{callback}** तक आपसे संपर्क करेगा।",
+        callbackSoon: "अगले कार्य दिवस",
+        queuedUntilOpen: "सहायता कार्यालय अभी बंद है। आप क्यू में हैं और कार्यालय **{opens}** पर खुलते ही एक एजेंट आपकी चैट लेगा। आपका संदर्भ नंबर **{reference}** है।",
+        contactTitle: "टिकट {reference} के बारे में हम आपसे कैसे संपर्क करें?",
+        contactEmail: "ईमेल",
+        contactPhone: "फ़ोन नंबर",
+        contactSave: "सहेजें",
+        contactSaved: "धन्यवाद! हम आपसे {contact} पर संपर्क करेंगे।",
+        cancel: "अनुरोध रद्द करें",
+        cancelled: "आपने स्टाफ़ सदस्य के लिए अपना अनुरोध रद्द कर दिया है। जब भी ज़रूरत हो, **मानव सहायता** का उपयोग करें।",
+        surveyQuestion: "{name} से मिली मदद को आप कैसे आंकेंगे?",
+        surveyAgent: "सहायता टीम",
+        surveyComment: "हम और बेहतर क्या कर सकते थे? (वैकल्पिक)",
+        surveyThanks: "धन्यवाद! आपकी प्रतिक्रिया हमारी सहायता टीम की मदद करती है।"
+    },
+    cannedResponses: {
+        greeting: "नमस्ते, मैं छात्र सहायता से {agent} हूँ। मैंने सहायक के साथ आपकी बातचीत पढ़ ली है और अभी इसे देख रहा/रही हूँ।",
+        enrollment: "क्या आप अपना नामांकन संख्या बता सकते हैं ताकि मैं आपके रिकॉर्ड देख सकूँ?",
+        checking: "प्रतीक्षा के लिए धन्यवाद। मैं विभाग से इसकी जाँच कर रहा/रही हूँ और कुछ मिनटों में उत्तर दूँगा/दूँगी।",
+        followUp: "क्या मैं आपकी किसी और चीज़ में मदद कर सकता/सकती हूँ?",
+        closing: "छात्र सहायता से संपर्क करने के लिए धन्यवाद। मैं अब यह चैट बंद कर रहा/रही हूँ; आप कभी भी मानव सहायता बटन से हमसे फिर संपर्क कर सकते हैं।"
+    }
+};
+
+export default hi;
@@ -0,0 +1,155 @@
+// Kannada UI messages
+const kn = {
+    app: {
+        name: "CampusAssist",
+        tagline: "ಬಹುಭಾಷಾ ಸಹಾಯಕ",
+        version: "ಕ್ಯಾಂಪಸ್ ಚಾಟ್‌ಬಾಟ್ v2.0",
+        availability: "ವಿದ್ಯಾರ್ಥಿಗಳ ಸೇವೆಯಲ್ಲಿ 24/7"
+    },
+    nav: {
+        heading: "ನ್ಯಾವಿಗೇಶನ್",
+        chat: "ಚಾಟ್",
+        knowledgeBase: "ಜ್ಞಾನ ಭಂಡಾರ",
+        collegeAssets: "ಕಾಲೇಜು ಸಂಪನ್ಮೂಲಗಳು",
+        analytics: "ವಿಶ್ಲೇಷಣೆ",
+        admin: "ನಿರ್ವಹಣೆ",
+        agentConsole: "ಏಜೆಂಟ್ ಕನ್ಸೋಲ್",
+        settings: "ಸೆಟ್ಟಿಂಗ್‌ಗಳು"
+    },
+    stats: {
+        heading: "ತ್ವರಿತ ಅಂಕಿಅಂಶಗಳು",
+        activeSessions: "ಸಕ್ರಿಯ ಸೆಷನ್‌ಗಳು",
+        todaysQueries: "ಇಂದಿನ ಪ್ರಶ್ನೆಗಳು",
+        languages: "ಭಾಷೆಗಳು"
+    },
+    chat: {
+        title: "ಬಹುಭಾಷಾ ಕ್ಯಾಂಪಸ್ ಸಹಾಯಕ",
+        subtitle: "ಸ್ಮಾರ್ಟ್ ಇಂಡಿಯಾ ಹ್ಯಾಕಥಾನ್ 2024 - ಕ್ಯಾಂಪಸ್ ಪ್ರಶ್ನೆ ಪರಿಹಾರ",
+        greeting: "ನಮಸ್ಕಾರ! ನಾನು ನಿಮ್ಮ ಬಹುಭಾಷಾ ಕ್ಯಾಂಪಸ್ ಸಹಾಯಕ. ಶುಲ್ಕ, ವಿದ್ಯಾರ್ಥಿವೇತನ, ವೇಳಾಪಟ್ಟಿ, ಪ್ರವೇಶ ಮತ್ತು ಇತರ ಕಾಲೇಜು ಮಾಹಿತಿಯಲ್ಲಿ ನಾನು ನಿಮಗೆ ಸಹಾಯ ಮಾಡಬಲ್ಲೆ. ನೀವು ನನ್ನೊಂದಿಗೆ ಕನ್ನಡ, ಹಿಂದಿ, ಇಂಗ್ಲಿಷ್ ಅಥವಾ ಬೆಂಬಲಿತ ಯಾವುದೇ ಪ್ರಾದೇಶಿಕ ಭಾಷೆಯಲ್ಲಿ ಮಾತನಾಡಬಹುದು!",
+        thinking: "ನಿಮ್ಮ ಪ್ರಶ್ನೆಯನ್ನು ಪರಿಶೀಲಿಸುತ್ತಿದ್ದೇನೆ...",
+        stop: "ಉತ್ತರ ನಿಲ್ಲಿಸು",
+        stopped: "ಉತ್ತರ ನಿಲ್ಲಿಸಲಾಗಿದೆ",
+        timeout: "ನಿರೀಕ್ಷೆಗಿಂತ ಹೆಚ್ಚು ಸಮಯ ತೆಗೆದುಕೊಳ್ಳುತ್ತಿದೆ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+        failed: "ಕ್ಷಮಿಸಿ, ಉತ್ತರಿಸುವಾಗ ಏನೋ ತಪ್ಪಾಗಿದೆ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+        retry: "ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ",
+        helpPrompt: "ಇಂದು ನಾನು ನಿಮಗೆ ಹೇಗೆ ಸಹಾಯ ಮಾಡಬಹುದು?",
+        fallback: "ನಿಮಗೆ ಸಹಾಯ ಮಾಡಲು ನಾನು ಇಲ್ಲಿದ್ದೇನೆ. ಶುಲ್ಕ, ವಿದ್ಯಾರ್ಥಿವೇತನ, ವೇಳಾಪಟ್ಟಿ, ಪ್ರವೇಶ, ಪರೀಕ್ಷಾ ವೇಳಾಪಟ್ಟಿ ಮತ್ತು ಸಾಮಾನ್ಯ ಕಾಲೇಜು ಮಾಹಿತಿಯಲ್ಲಿ ನಾನು ಸಹಾಯ ಮಾಡಬಲ್ಲೆ.",
+        humanHelp: "ಮಾನವ ಸಹಾಯ",
+        placeholder: "ನಿಮ್ಮ ಪ್ರಶ್ನೆಯನ್ನು ಇಲ್ಲಿ ಟೈಪ್ ಮಾಡಿ...",
+        inputHint: "ನೀವು ಕನ್ನಡ, ಹಿಂದಿ, ಇಂಗ್ಲಿಷ್ ಅಥವಾ ಇತರ ಭಾರತೀಯ ಭಾಷೆಗಳಲ್ಲಿ ಪ್ರಶ್ನೆ ಕೇಳಬಹುದು"
+    },
+    history: {
+        title: "ಇತ್ತೀಚಿನ ಚಾಟ್‌ಗಳು",
+        newChat: "ಹೊಸ ಚಾಟ್",
+        search: "ಚಾಟ್‌ಗಳನ್ನು ಹುಡುಕಿ",
+        empty: "ನಿಮ್ಮ ಹಿಂದಿನ ಚಾಟ್‌ಗಳು ಇಲ್ಲಿ ಕಾಣಿಸುತ್ತವೆ",
+        noResults: "ನಿಮ್ಮ ಹುಡುಕಾಟಕ್ಕೆ ಹೊಂದುವ ಚಾಟ್ ಇಲ್ಲ",
+        delete: "ಚಾಟ್ ಅಳಿಸು",
+        confirmDelete: "\"{title}\" ಅಳಿಸಬೇಕೆ? ಇದನ್ನು ಹಿಂಪಡೆಯಲು ಸಾಧ್ಯವಿಲ್ಲ."
+    },
+    transcript: {
+        title: "{name} ಚಾಟ್ ಪ್ರತಿಲಿಪಿ",
+        exportedAt: "{time} ರಂದು ರಫ್ತು ಮಾಡಲಾಗಿದೆ",
+        student: "ವಿದ್ಯಾರ್ಥಿ",
+        assistant: "ಸಹಾಯಕ",
+        sources: "ಮೂಲಗಳು",
+        emailSubject: "{time} ರ ಚಾಟ್ ಪ್ರತಿಲಿಪಿ",
+        export: "ಚಾಟ್ ರಫ್ತು ಮಾಡು",
+        description: "ಈ ಸಂಭಾಷಣೆಯನ್ನು ಉಳಿಸಿ ಅಥವಾ ಸಹಾಯ ಮಾಡಬಲ್ಲವರಿಗೆ ಕಳುಹಿಸಿ.",
+        pdf: "PDF ಆಗಿ ಉಳಿಸು",
+        text: "ಪಠ್ಯವಾಗಿ ಡೌನ್‌ಲೋಡ್ ಮಾಡು",
+        share: "ಹಂಚಿಕೊಳ್ಳಬಹುದಾದ ಲಿಂಕ್ ನಕಲಿಸು",
+        linkCopied: "ಲಿಂಕ್ ನಕಲಿಸಲಾಗಿದೆ",
+        email: "ಸಹಾಯ ಕೇಂದ್ರಕ್ಕೆ ಇಮೇಲ್ ({email})",
+        emailSent: "ಸಹಾಯ ಕೇಂದ್ರಕ್ಕೆ ಕಳುಹಿಸಲಾಗಿದೆ",
+        popupBlocked: "PDF ಉಳಿಸಲು ಈ ಸೈಟ್‌ನ ಪಾಪ್-ಅಪ್‌ಗಳನ್ನು ಅನುಮತಿಸಿ.",
+        failed: "ಇದು ಕೆಲಸ ಮಾಡಲಿಲ್ಲ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+        empty: "ಇನ್ನೂ ರಫ್ತು ಮಾಡಲು ಏನೂ ಇಲ್ಲ."
+    },
+    message: {
+        confidence: "{percent}% ವಿಶ್ವಾಸ",
+        speak: "ಓದಿ ಕೇಳಿಸು",
+        pause: "ವಿರಾಮ",
+        resume: "ಮುಂದುವರಿಸು",
+        stop: "ಓದುವುದನ್ನು ನಿಲ್ಲಿಸು",
+        rate: "ಓದುವ ವೇಗ",
+        voice: "ಧ್ವನಿ",
+        copy: "ನಕಲಿಸು",
+        helpful: "ಉಪಯುಕ್ತ",
+        notHelpful: "ಉಪಯುಕ್ತವಲ್ಲ",
+        sending: "ಕಳುಹಿಸಲಾಗುತ್ತಿದೆ",
+        sent: "ಕಳುಹಿಸಲಾಗಿದೆ",
+        delivered: "ತಲುಪಿದೆ",
+        read: "ಓದಲಾಗಿದೆ"
+    },
+    language: {
+        label: "ಭಾಷೆ"
+    },
+    voice: {
+        start: "ನಿಮ್ಮ ಪ್ರಶ್ನೆಯನ್ನು ಹೇಳಿ",
+        stop: "ಕೇಳುವುದನ್ನು ನಿಲ್ಲಿಸಿ",
+        listening: "ಕೇಳುತ್ತಿದ್ದೇನೆ… ಈಗ ಮಾತನಾಡಿ",
+        unsupported: "ಈ ಬ್ರೌಸರ್‌ನಲ್ಲಿ ಧ್ವನಿ ಇನ್‌ಪುಟ್ ಬೆಂಬಲಿತವಾಗಿಲ್ಲ. ದಯವಿಟ್ಟು ನಿಮ್ಮ ಪ್ರಶ್ನೆಯನ್ನು ಟೈಪ್ ಮಾಡಿ.",
+        permissionDenied: "ಮೈಕ್ರೊಫೋನ್ ಅನುಮತಿ ನಿರ್ಬಂಧಿಸಲಾಗಿದೆ. ಧ್ವನಿ ಇನ್‌ಪುಟ್‌ಗಾಗಿ ಬ್ರೌಸರ್ ಸೆಟ್ಟಿಂಗ್‌ಗಳಲ್ಲಿ ಅನುಮತಿ ನೀಡಿ.",
+        noSpeech: "ಏನೂ ಕೇಳಿಸಲಿಲ್ಲ. ಮೈಕ್ರೊಫೋನ್ ಒತ್ತಿ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+        failed: "ಧ್ವನಿ ಇನ್‌ಪುಟ್ ಅನಿರೀಕ್ಷಿತವಾಗಿ ನಿಂತಿತು. ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ ಅಥವಾ ಪ್ರಶ್ನೆಯನ್ನು ಟೈಪ್ ಮಾಡಿ."
+    },
+    quickActions: {
+        title: "ತ್ವರಿತ ಸಹಾಯ",
+        hint: "ಮೇಲಿನ ಯಾವುದೇ ವಿಷಯದ ಮೇಲೆ ಕ್ಲಿಕ್ ಮಾಡಿ ಅಥವಾ ನಿಮ್ಮ ಪ್ರಶ್ನೆಯನ್ನು ಟೈಪ್ ಮಾಡಿ",
+        fees: { label: "ಶುಲ್ಕ ಮಾಹಿತಿ", query: "ಶುಲ್ಕ ರಚನೆ ಮತ್ತು ಪಾವತಿಯ ಕೊನೆಯ ದಿನಾಂಕ ತಿಳಿಸಿ" },
+        scholarships: { label: "ವಿದ್ಯಾರ್ಥಿವೇತನ", query: "ವಿದ್ಯಾರ್ಥಿಗಳಿಗೆ ಯಾವ ವಿದ್ಯಾರ್ಥಿವೇತನಗಳು ಲಭ್ಯವಿವೆ?" },
+        timetable: { label: "ವೇಳಾಪಟ್ಟಿ", query: "ಪ್ರಸ್ತುತ ತರಗತಿ ವೇಳಾಪಟ್ಟಿಯನ್ನು ತೋರಿಸಿ" },
+        admissions: { label: "ಪ್ರವೇಶ", query: "ಪ್ರವೇಶಕ್ಕೆ ಹೇಗೆ ಅರ್ಜಿ ಸಲ್ಲಿಸುವುದು? ಏನು ಅಗತ್ಯವಿದೆ?" },
+        exams: { label: "ಪರೀಕ್ಷಾ ವೇಳಾಪಟ್ಟಿ", query: "ಮುಂಬರುವ ಪರೀಕ್ಷೆಗಳು ಮತ್ತು ಫಲಿತಾಂಶಗಳು ಯಾವಾಗ?" },
+        general: { label: "ಸಾಮಾನ್ಯ ಸಹಾಯ", query: "ನೀವು ಯಾವುದರಲ್ಲಿ ಸಹಾಯ ಮಾಡಬಹುದು? ಎಲ್ಲಾ ಸೇವೆಗಳನ್ನು ತೋರಿಸಿ" }
+    },
+    feedback: {
+        whatWrong: "ಏನು ತಪ್ಪಾಗಿತ್ತು? (ಐಚ್ಛಿಕ)",
+        placeholder: "ಉತ್ತರದಲ್ಲಿ ಏನು ಕೊರತೆ ಅಥವಾ ತಪ್ಪು ಇತ್ತು ಎಂದು ತಿಳಿಸಿ",
+        skip: "ಬಿಟ್ಟುಬಿಡಿ",
+        send: "ಕಳುಹಿಸಿ"
+    },
+    satisfaction: {
+        question: "ಇಂದಿನ ಸಂಭಾಷಣೆ ನಿಮಗೆ ಹೇಗನಿಸಿತು?",
+        thanks: "ನಿಮ್ಮ ಪ್ರತಿಕ್ರಿಯೆಗೆ ಧನ್ಯವಾದಗಳು!"
+    },
+    handoff: {
+        confirmation: "ನಿಮ್ಮನ್ನು ನಮ್ಮ ಬೆಂಬಲ ಸರತಿಗೆ ಸೇರಿಸಲಾಗಿದೆ. ಮಾನವ ಏಜೆಂಟ್ ಶೀಘ್ರದಲ್ಲೇ ನಿಮಗೆ ಸಹಾಯ ಮಾಡುತ್ತಾರೆ. ಬೆಂಬಲ ತಂಡ ನಿಮ್ಮ ವಿನಂತಿಯನ್ನು ನೋಡಿದ ತಕ್ಷಣ ಸರತಿಯಲ್ಲಿ ನಿಮ್ಮ ಸ್ಥಾನ ಮತ್ತು ಅಂದಾಜು ಕಾಯುವ ಸಮಯ ಚಾಟ್‌ನ ಮೇಲೆ ಕಾಣಿಸುತ್ತದೆ. ನಿಮ್ಮ ಉಲ್ಲೇಖ ಸಂಖ್ಯೆ **{reference}**.",
+        minutes: { one: "{count} ನಿಮಿಷ", other: "{count} ನಿಮಿಷಗಳು" },
+        connecting: "ಮಾನವ ಏಜೆಂಟ್‌ಗೆ ಸಂಪರ್ಕಿಸಲಾಗುತ್ತಿದೆ",
+        queuePosition: "ಸರತಿಯಲ್ಲಿ ಸ್ಥಾನ: {position}",
+        estimatedWait: "ಅಂದಾಜು ಕಾಯುವಿಕೆ: {wait}",
+        reference: "ಉಲ್ಲೇಖ: {reference}",
+        withAgent: "{name} ಅವರೊಂದಿಗೆ ಸಂಭಾಷಣೆ",
+        agentTyping: "{name} ಟೈಪ್ ಮಾಡುತ್ತಿದ್ದಾರೆ…",
+        agentJoined: "ವಿದ್ಯಾರ್ಥಿ ಸಹಾಯ ತಂಡದಿಂದ **{name}** ಚಾಟ್‌ಗೆ ಸೇರಿದ್ದಾರೆ.",
+        resolved: "ಸಹಾಯ ಚಾಟ್ ಮುಗಿದಿದೆ. ಇನ್ನು ಸಹಾಯಕ ಮತ್ತೆ ನಿಮ್ಮ ಪ್ರಶ್ನೆಗಳಿಗೆ ಉತ್ತರಿಸುತ್ತದೆ.",
+        transferred: "ನಿಮ್ಮ ವಿನಂತಿಯನ್ನು ಬೇರೆ ವಿಭಾಗಕ್ಕೆ ಕಳುಹಿಸಲಾಗಿದೆ. ಅಲ್ಲಿಂದ ಯಾರಾದರೂ ಶೀಘ್ರದಲ್ಲೇ ಸೇರುತ್ತಾರೆ.",
+        ticketClosed: "ನಮ್ಮ ಸಹಾಯ ಕಚೇರಿ ಈಗ ಮುಚ್ಚಿದೆ, ಆದ್ದರಿಂದ ನಿಮ್ಮ ಪ್ರಶ್ನೆಯನ್ನು ಟಿಕೆಟ್ ಆಗಿ ಉಳಿಸಲಾಗಿದೆ. ನಿಮ್ಮ ಉಲ್ಲೇಖ ಸಂಖ್ಯೆ **{reference}**. ತಂಡದ ಒಬ್ಬರು **{callback}** ಒಳಗೆ ನಿಮ್ಮನ್ನು ಸಂಪರ್ಕಿಸುತ್ತಾರೆ.",
+        ticketHoliday: "{holiday} ಪ್ರಯುಕ್ತ ಸಹಾಯ ಕಚೇರಿ ಇಂದು ಮುಚ್ಚಿದೆ, ಆದ್ದರಿಂದ ನಿಮ್ಮ ಪ್ರಶ್ನೆಯನ್ನು ಟಿಕೆಟ್ ಆಗಿ ಉಳಿಸಲಾಗಿದೆ. ನಿಮ್ಮ ಉಲ್ಲೇಖ ಸಂಖ್ಯೆ **{reference}**. ತಂಡದ ಒಬ್ಬರು **{callback}** ಒಳಗೆ ನಿಮ್ಮನ್ನು ಸಂಪರ್ಕಿಸುತ್ತಾರೆ.",
+        ticketNoAgents: "ಈಗ ಚಾಟ್ ಮಾಡಲು ಯಾವುದೇ ಏಜೆಂಟ್ ಲಭ್ಯವಿಲ್ಲ, ಆದ್ದರಿಂದ ನಿಮ್ಮ ವಿನಂತಿಯನ್ನು ಟಿಕೆಟ್ ಆಗಿ ಬದಲಾಯಿಸಲಾಗಿದೆ. ನಿಮ್ಮ ಉಲ್ಲೇಖ ಸಂಖ್ಯೆ **{reference}**. ತಂಡದ ಒಬ್ಬರು **{callback}** ಒಳಗೆ ನಿಮ್ಮನ್ನು ಸಂಪರ್ಕಿಸುತ್ತಾರೆ.",
+        callbackSoon: "ಮುಂದಿನ ಕೆಲಸದ ದಿನ",
+        queuedUntilOpen: "ಸಹಾಯ ಕಚೇರಿ ಈಗ ಮುಚ್ಚಿದೆ. ನೀವು ಸರದಿಯಲ್ಲಿದ್ದೀರಿ; ಕಚೇರಿ **{opens}** ರಂದು ತೆರೆದ ತಕ್ಷಣ ಏಜೆಂಟ್ ನಿಮ್ಮ ಚಾಟ್ ತೆಗೆದುಕೊಳ್ಳುತ್ತಾರೆ. ನಿಮ್ಮ ಉಲ್ಲೇಖ ಸಂಖ್ಯೆ **{reference}**.",
+        contactTitle: "ಟಿಕೆಟ್ {reference} ಕುರಿತು ನಿಮ್ಮನ್ನು ಹೇಗೆ ಸಂಪರ್ಕಿಸಬೇಕು?",
+        contactEmail: "ಇಮೇಲ್",
+        contactPhone: "ಫೋನ್ ಸಂಖ್ಯೆ",
+        contactSave: "ಉಳಿಸಿ",
+        contactSaved: "ಧನ್ಯವಾದಗಳು! ನಿಮ್ಮನ್ನು {contact} ನಲ್ಲಿ ಸಂಪರ್ಕಿಸುತ್ತೇವೆ.",
+        cancel: "ವಿನಂತಿಯನ್ನು ರದ್ದುಮಾಡಿ",
+        cancelled: "ಸಿಬ್ಬಂದಿಗಾಗಿ ನಿಮ್ಮ ವಿನಂತಿಯನ್ನು ರದ್ದುಗೊಳಿಸಿದ್ದೀರಿ. ಅಗತ್ಯವಿದ್ದಾಗ **ಮಾನವ ಸಹಾಯ** ಬಳಸಿ.",
+        surveyQuestion: "{name} ಅವರಿಂದ ಸಿಕ್ಕ ಸಹಾಯಕ್ಕೆ ನೀವು ಎಷ್ಟು ರೇಟಿಂಗ್ ನೀಡುತ್ತೀರಿ?",
+        surveyAgent: "ಸಹಾಯ ತಂಡ",
+        surveyComment: "ನಾವು ಇನ್ನೂ ಉತ್ತಮವಾಗಿ ಏನು ಮಾಡಬಹುದಿತ್ತು? (ಐಚ್ಛಿಕ)",
+        surveyThanks: "ಧನ್ಯವಾದಗಳು! ನಿಮ್ಮ ಪ್ರತಿಕ್ರಿಯೆ ನಮ್ಮ ಸಹಾಯ ತಂಡಕ್ಕೆ ನೆರವಾಗುತ್ತದೆ."
+    },
+    cannedResponses: {
+        greeting: "ನಮಸ್ಕಾರ, ನಾನು ವಿದ್ಯಾರ್ಥಿ ಸಹಾಯದಿಂದ {agent}. ಸಹಾಯಕನೊಂದಿಗಿನ ನಿಮ್ಮ ಸಂಭಾಷಣೆಯನ್ನು ಓದಿದ್ದೇನೆ, ಈಗ ಅದನ್ನು ಪರಿಶೀಲಿಸುತ್ತಿದ್ದೇನೆ.",
+        enrollment: "ನಿಮ್ಮ ದಾಖಲೆಗಳನ್ನು ಪರಿಶೀಲಿಸಲು ನಿಮ್ಮ ನೋಂದಣಿ ಸಂಖ್ಯೆಯನ್ನು ತಿಳಿಸುವಿರಾ?",
+        checking: "ಕಾಯ್ದದ್ದಕ್ಕೆ ಧನ್ಯವಾದಗಳು. ವಿಭಾಗದೊಂದಿಗೆ ಇದನ್ನು ಪರಿಶೀಲಿಸುತ್ತಿದ್ದೇನೆ, ಕೆಲವು ನಿಮಿಷಗಳಲ್ಲಿ ಉತ್ತರಿಸುತ್ತೇನೆ.",
+        followUp: "ಬೇರೆ ಏನಾದರೂ ಸಹಾಯ ಬೇಕೇ?",
+        closing: "ವಿದ್ಯಾರ್ಥಿ ಸಹಾಯವನ್ನು ಸಂಪರ್ಕಿಸಿದ್ದಕ್ಕೆ ಧನ್ಯವಾದಗಳು. ಈ ಚಾಟ್ ಅನ್ನು ಈಗ ಮುಚ್ಚುತ್ತಿದ್ದೇನೆ; ಮಾನವ ಸಹಾಯ ಬಟನ್ ಮೂಲಕ ಯಾವಾಗ ಬೇಕಾದರೂ ಮತ್ತೆ ಸಂಪರ್ಕಿಸಬಹುದು."
+    }
+};
+
+export default kn;
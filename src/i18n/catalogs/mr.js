@@ -0,0 +1,155 @@
+// Marathi UI messages
+const mr = {
+    app: {
+        name: "CampusAssist",
+        tagline: "बहुभाषिक सहाय्यक",
+        version: "कॅम्पस चॅटबॉट v2.0",
+        availability: "विद्यार्थ्यांच्या सेवेत 24/7"
+    },
+    nav: {
+        heading: "नेव्हिगेशन",
+        chat: "चॅट",
+        knowledgeBase: "ज्ञानकोश",
+        collegeAssets: "महाविद्यालय संसाधने",
+        analytics: "विश्लेषण",
+        admin: "प्रशासन",
+        agentConsole: "एजंट कन्सोल",
+        settings: "सेटिंग्ज"
+    },
+    stats: {
+        heading: "झटपट आकडेवारी",
+        activeSessions: "सक्रिय सत्रे",
+        todaysQueries: "आजचे प्रश्न",
+        languages: "भाषा"
+    },
+    chat: {
+        title: "बहुभाषिक कॅम्पस सहाय्यक",
+        subtitle: "स्मार्ट इंडिया हॅकेथॉन 2024 - कॅम्पस प्रश्न समाधान",
+        greeting: "नमस्कार! मी तुमचा बहुभाषिक कॅम्पस सहाय्यक आहे. फी, शिष्यवृत्ती, वेळापत्रक, प्रवेश आणि महाविद्यालयाच्या इतर माहितीसाठी मी तुम्हाला मदत करू शकतो. तुम्ही माझ्याशी मराठी, हिंदी, इंग्रजी किंवा इतर समर्थित प्रादेशिक भाषेत बोलू शकता!",
+        thinking: "तुमचा प्रश्न समजून घेत आहे...",
+        stop: "उत्तर थांबवा",
+        stopped: "उत्तर थांबवले",
+        timeout: "याला अपेक्षेपेक्षा जास्त वेळ लागत आहे. कृपया पुन्हा प्रयत्न करा.",
+        failed: "क्षमस्व, उत्तर देताना काहीतरी चूक झाली. कृपया पुन्हा प्रयत्न करा.",
+        retry: "पुन्हा प्रयत्न करा",
+        helpPrompt: "आज मी तुम्हाला कशी मदत करू शकतो?",
+        fallback: "मी तुमच्या मदतीसाठी येथे आहे. फी, शिष्यवृत्ती, वेळापत्रक, प्रवेश, परीक्षा वेळापत्रक आणि महाविद्यालयाच्या सामान्य माहितीसाठी मी मदत करू शकतो.",
+        humanHelp: "मानवी मदत",
+        placeholder: "तुमचा प्रश्न येथे लिहा...",
+        inputHint: "तुम्ही मराठी, हिंदी, इंग्रजी किंवा इतर भारतीय भाषांमध्ये प्रश्न विचारू शकता"
+    },
+    history: {
+        title: "अलीकडील संभाषणे",
+        newChat: "नवीन संभाषण",
+        search: "संभाषणे शोधा",
+        empty: "तुमची मागील संभाषणे येथे दिसतील",
+        noResults: "तुमच्या शोधाशी जुळणारे संभाषण नाही",
+        delete: "संभाषण हटवा",
+        confirmDelete: "\"{title}\" हटवायचे? हे पूर्ववत करता येणार नाही."
+    },
+    transcript: {
+        title: "{name} चॅट प्रतिलेख",
+        exportedAt: "{time} रोजी निर्यात केले",
+        student: "विद्यार्थी",
+        assistant: "सहाय्यक",
+        sources: "स्रोत",
+        emailSubject: "{time} चा चॅट प्रतिलेख",
+        export: "चॅट निर्यात करा",
+        description: "हे संभाषण जतन करा किंवा मदत करू शकणाऱ्या व्यक्तीला पाठवा.",
+        pdf: "PDF म्हणून जतन करा",
+        text: "मजकूर म्हणून डाउनलोड करा",
+        share: "शेअर करण्यायोग्य लिंक कॉपी करा",
+        linkCopied: "लिंक कॉपी झाली",
+        email: "सहाय्यकडे ईमेल करा ({email})",
+        emailSent: "सहाय्यकडे पाठवले",
+        popupBlocked: "PDF जतन करण्यासाठी या साइटचे पॉप-अप सुरू करा.",
+        failed: "हे झाले नाही. कृपया पुन्हा प्रयत्न करा.",
+        empty: "अजून निर्यात करण्यासारखे काही नाही."
+    },
+    message: {
+        confidence: "{percent}% खात्री",
+        speak: "वाचून दाखवा",
+        pause: "थांबवा",
+        resume: "पुन्हा सुरू करा",
+        stop: "वाचन थांबवा",
+        rate: "वाचनाचा वेग",
+        voice: "आवाज",
+        copy: "कॉपी करा",
+        helpful: "उपयुक्त",
+        notHelpful: "उपयुक्त नाही",
+        sending: "पाठवत आहे",
+        sent: "पाठवले",
+        delivered: "पोहोचले",
+        read: "वाचले"
+    },
+    language: {
+        label: "भाषा"
+    },
+    voice: {
+        start: "तुमचा प्रश्न बोला",
+        stop: "ऐकणे थांबवा",
+        listening: "ऐकत आहे… आता बोला",
+        unsupported: "या ब्राउझरमध्ये आवाजाद्वारे इनपुट उपलब्ध नाही. कृपया तुमचा प्रश्न टाइप करा.",
+        permissionDenied: "मायक्रोफोनची परवानगी नाकारली गेली. आवाज इनपुटसाठी ब्राउझर सेटिंग्जमध्ये परवानगी द्या.",
+        noSpeech: "आवाज ऐकू आला नाही. मायक्रोफोन दाबून पुन्हा प्रयत्न करा.",
+        failed: "आवाज इनपुट अचानक थांबले. पुन्हा प्रयत्न करा किंवा प्रश्न टाइप करा."
+    },
+    quickActions: {
+        title: "झटपट मदत",
+        hint: "वरील कोणत्याही विषयावर क्लिक करा किंवा तुमचा प्रश्न टाइप करा",
+        fees: { label: "फी माहिती", query: "फी रचना आणि भरण्याची शेवटची तारीख सांगा" },
+        scholarships: { label: "शिष्यवृत्ती", query: "विद्यार्थ्यांसाठी कोणत्या शिष्यवृत्ती उपलब्ध आहेत?" },
+        timetable: { label: "वेळापत्रक", query: "सध्याचे वर्गाचे वेळापत्रक दाखवा" },
+        admissions: { label: "प्रवेश", query: "प्रवेशासाठी अर्ज कसा करावा? काय आवश्यक आहे?" },
+        exams: { label: "परीक्षा वेळापत्रक", query: "आगामी परीक्षा आणि निकाल कधी आहेत?" },
+        general: { label: "सामान्य मदत", query: "तुम्ही कशात मदत करू शकता? सर्व सेवा दाखवा" }
+    },
+    feedback: {
+        whatWrong: "काय चुकले? (ऐच्छिक)",
+        placeholder: "उत्तरात काय कमी किंवा चुकीचे होते ते सांगा",
+        skip: "वगळा",
+        send: "पाठवा"
+    },
+    satisfaction: {
+        question: "आजचा संवाद तुम्हाला कसा वाटला?",
+        thanks: "तुमच्या अभिप्रायाबद्दल धन्यवाद!"
+    },
+    handoff: {
+        confirmation: "तुम्हाला आमच्या सपोर्ट रांगेत जोडले गेले आहे। एक मानवी एजेंट लवकरच तुमची मदत करेल। सपोर्ट टीमला तुमची विनंती दिसताच रांगेतील तुमची स्थिती आणि अंदाजे प्रतीक्षा वेळ चॅटच्या वर दिसेल। तुमचा संदर्भ क्रमांक **{reference}** आहे।",
+        minutes: { one: "{count} मिनिट", other: "{count} मिनिटे" },
+        connecting: "मानवी एजेंटशी जोडत आहे",
+        queuePosition: "रांगेतील स्थिती: {position}",
+        estimatedWait: "अंदाजे प्रतीक्षा: {wait}",
+        reference: "संदर्भ: {reference}",
+        withAgent: "{name} यांच्याशी संवाद सुरू",
+        agentTyping: "{name} टाइप करत आहेत…",
+        agentJoined: "विद्यार्थी सहाय्य टीममधील **{name}** संभाषणात सामील झाले आहेत.",
+        resolved: "सहाय्य चॅट संपली आहे. आता सहाय्यक पुन्हा तुमच्या प्रश्नांची उत्तरे देईल.",
+        transferred: "तुमची विनंती दुसऱ्या विभागाकडे पाठवली आहे. तिथून कोणीतरी लवकरच सामील होईल.",
+        ticketClosed: "आमचे सहाय्य कार्यालय सध्या बंद आहे, म्हणून तुमचा प्रश्न तिकीट म्हणून जतन केला आहे. तुमचा संदर्भ क्रमांक **{reference}** आहे. टीममधील कोणीतरी **{callback}** पर्यंत तुमच्याशी संपर्क साधेल.",
+        ticketHoliday: "सहाय्य कार्यालय आज {holiday} निमित्त बंद आहे, म्हणून तुमचा प्रश्न तिकीट म्हणून जतन केला आहे. तुमचा संदर्भ क्रमांक **{reference}** आहे. टीममधील कोणीतरी **{callback}** पर्यंत तुमच्याशी संपर्क साधेल.",
+        ticketNoAgents: "सध्या चॅटसाठी कोणताही एजंट उपलब्ध नाही, म्हणून तुमची विनंती तिकिटात बदलली आहे. तुमचा संदर्भ क्रमांक **{reference}** आहे. टीममधील कोणीतरी **{callback}** पर्यंत तुमच्याशी संपर्क साधेल.",
+        callbackSoon: "पुढील कामकाजाचा दिवस",
+        queuedUntilOpen: "सहाय्य कार्यालय सध्या बंद आहे. तुम्ही रांगेत आहात आणि कार्यालय **{opens}** रोजी उघडताच एजंट तुमची चॅट घेईल. तुमचा संदर्भ क्रमांक **{reference}** आहे.",
+        contactTitle: "तिकीट {reference} बद्दल आम्ही तुमच्याशी कसा संपर्क साधावा?",
+        contactEmail: "ईमेल",
+        contactPhone: "फोन नंबर",
+        contactSave: "जतन करा",
+        contactSaved: "धन्यवाद! आम्ही तुमच्याशी {contact} वर संपर्क साधू.",
+        cancel: "विनंती रद्द करा",
+        cancelled: "तुम्ही कर्मचाऱ्यासाठीची तुमची विनंती रद्द केली आहे. गरज असेल तेव्हा **मानवी मदत** वापरा.",
+        surveyQuestion: "{name} यांच्याकडून मिळालेल्या मदतीला तुम्ही किती गुण द्याल?",
+        surveyAgent: "सहाय्य टीम",
+        surveyComment: "आम्ही अधिक चांगले काय करू शकलो असतो? (ऐच्छिक)",
+        surveyThanks: "धन्यवाद! तुमच्या अभिप्रायामुळे आमच्या सहाय्य टीमला मदत होते."
+    },
+    cannedResponses: {
+        greeting: "नमस्कार, मी विद्यार्थी सहाय्य विभागातून {agent} बोलत आहे. मी सहाय्यकासोबतचे तुमचे संभाषण वाचले आहे आणि आता ते पाहत आहे.",
+        enrollment: "तुमचा नोंदणी क्रमांक सांगाल का, म्हणजे मी तुमच्या नोंदी तपासू शकेन?",
+        checking: "थांबल्याबद्दल धन्यवाद. मी विभागाकडे हे तपासत आहे आणि काही मिनिटांत उत्तर देईन.",
+        followUp: "आणखी काही मदत हवी आहे का?",
+        closing: "विद्यार्थी सहाय्याशी संपर्क साधल्याबद्दल धन्यवाद. मी आता ही चॅट बंद करत आहे; मानवी मदत बटणाने तुम्ही कधीही पुन्हा संपर्क करू शकता."
+    }
+};
+
+export default mr;
@@ -0,0 +1,155 @@
+// Tamil UI messages
+const ta = {
+    app: {
+        name: "CampusAssist",
+        tagline: "பன்மொழி உதவியாளர்",
+        version: "வளாக சாட்பாட் v2.0",
+        availability: "மாணவர்களுக்கு 24/7 சேவை"
+    },
+    nav: {
+        heading: "வழிசெலுத்தல்",
+        chat: "அரட்டை",
+        knowledgeBase: "அறிவுத் தளம்",
+        collegeAssets: "கல்லூரி வளங்கள்",
+        analytics: "பகுப்பாய்வு",
+        admin: "நிர்வாகம்",
+        agentConsole: "முகவர் பணியகம்",
+        settings: "அமைப்புகள்"
+    },
+    stats: {
+        heading: "விரைவு புள்ளிவிவரங்கள்",
+        activeSessions: "செயலில் உள்ள அமர்வுகள்",
+        todaysQueries: "இன்றைய கேள்விகள்",
+        languages: "மொழிகள்"
+    },
+    chat: {
+        title: "பன்மொழி வளாக உதவியாளர்",
+        subtitle: "ஸ்மார்ட் இந்தியா ஹேக்கத்தான் 2024 - வளாக கேள்வித் தீர்வு",
+        greeting: "வணக்கம்! நான் உங்கள் பன்மொழி வளாக உதவியாளர். கட்டணம், உதவித்தொகை, கால அட்டவணை, சேர்க்கை மற்றும் பிற கல்லூரி தகவல்களில் நான் உங்களுக்கு உதவ முடியும். நீங்கள் தமிழ், இந்தி, ஆங்கிலம் அல்லது ஆதரிக்கப்படும் எந்த பிராந்திய மொழியிலும் என்னுடன் பேசலாம்!",
+        thinking: "உங்கள் கேள்வியைச் செயலாக்குகிறேன்...",
+        stop: "பதிலை நிறுத்து",
+        stopped: "பதில் நிறுத்தப்பட்டது",
+        timeout: "எதிர்பார்த்ததை விட அதிக நேரம் ஆகிறது. மீண்டும் முயற்சிக்கவும்.",
+        failed: "மன்னிக்கவும், பதிலளிக்கும்போது ஏதோ தவறு நடந்தது. மீண்டும் முயற்சிக்கவும்.",
+        retry: "மீண்டும் முயற்சி செய்",
+        helpPrompt: "இன்று நான் உங்களுக்கு எப்படி உதவ முடியும்?",
+        fallback: "உங்களுக்கு உதவ நான் இங்கே இருக்கிறேன். கட்டணம், உதவித்தொகை, கால அட்டவணை, சேர்க்கை, தேர்வு அட்டவணை மற்றும் பொதுவான கல்லூரி தகவல்களில் நான் உதவ முடியும்.",
+        humanHelp: "மனித உதவி",
+        placeholder: "உங்கள் கேள்வியை இங்கே தட்டச்சு செய்யவும்...",
+        inputHint: "நீங்கள் தமிழ், இந்தி, ஆங்கிலம் அல்லது பிற இந்திய மொழிகளில் கேள்வி கேட்கலாம்"
+    },
+    history: {
+        title: "சமீபத்திய உரையாடல்கள்",
+        newChat: "புதிய உரையாடல்",
+        search: "உரையாடல்களைத் தேடு",
+        empty: "உங்கள் முந்தைய உரையாடல்கள் இங்கே தோன்றும்",
+        noResults: "உங்கள் தேடலுக்குப் பொருந்தும் உரையாடல் இல்லை",
+        delete: "உரையாடலை நீக்கு",
+        confirmDelete: "\"{title}\" நீக்கவா? இதைத் திரும்பப் பெற முடியாது."
+    },
+    transcript: {
+        title: "{name} உரையாடல் பதிவு",
+        exportedAt: "{time} அன்று ஏற்றுமதி செய்யப்பட்டது",
+        student: "மாணவர்",
+        assistant: "உதவியாளர்",
+        sources: "ஆதாரங்கள்",
+        emailSubject: "{time} உரையாடல் பதிவு",
+        export: "உரையாடலை ஏற்றுமதி செய்",
+        description: "இந்த உரையாடலைச் சேமிக்கவும் அல்லது உதவக்கூடியவருக்கு அனுப்பவும்.",
+        pdf: "PDF ஆகச் சேமி",
+        text: "உரையாகப் பதிவிறக்கு",
+        share: "பகிரக்கூடிய இணைப்பை நகலெடு",
+        linkCopied: "இணைப்பு நகலெடுக்கப்பட்டது",
+        email: "உதவி மையத்திற்கு மின்னஞ்சல் ({email})",
+        emailSent: "உதவி மையத்திற்கு அனுப்பப்பட்டது",
+        popupBlocked: "PDF சேமிக்க இந்தத் தளத்தின் பாப்-அப்களை அனுமதிக்கவும்.",
+        failed: "இது வேலை செய்யவில்லை. மீண்டும் முயற்சிக்கவும்.",
+        empty: "இன்னும் ஏற்றுமதி செய்ய எதுவும் இல்லை."
+    },
+    message: {
+        confidence: "{percent}% நம்பிக்கை",
+        speak: "உரக்கப் படிக்கவும்",
+        pause: "இடைநிறுத்து",
+        resume: "தொடரவும்",
+        stop: "படிப்பதை நிறுத்து",
+        rate: "படிக்கும் வேகம்",
+        voice: "குரல்",
+        copy: "நகலெடு",
+        helpful: "பயனுள்ளது",
+        notHelpful: "பயனில்லை",
+        sending: "அனுப்பப்படுகிறது",
+        sent: "அனுப்பப்பட்டது",
+        delivered: "சென்றடைந்தது",
+        read: "படிக்கப்பட்டது"
+    },
+    language: {
+        label: "மொழி"
+    },
+    voice: {
+        start: "உங்கள் கேள்வியைப் பேசுங்கள்",
+        stop: "கேட்பதை நிறுத்து",
+        listening: "கேட்கிறேன்… இப்போது பேசுங்கள்",
+        unsupported: "இந்த உலாவியில் குரல் உள்ளீடு ஆதரிக்கப்படவில்லை. உங்கள் கேள்வியைத் தட்டச்சு செய்யவும்.",
+        permissionDenied: "மைக்ரோஃபோன் அனுமதி தடுக்கப்பட்டுள்ளது. குரல் உள்ளீட்டிற்கு உலாவி அமைப்புகளில் அனுமதி வழங்கவும்.",
+        noSpeech: "எதுவும் கேட்கவில்லை. மைக்ரோஃபோனைத் தட்டி மீண்டும் முயற்சிக்கவும்.",
+        failed: "குரல் உள்ளீடு எதிர்பாராமல் நின்றது. மீண்டும் முயற்சிக்கவும் அல்லது கேள்வியைத் தட்டச்சு செய்யவும்."
+    },
+    quickActions: {
+        title: "விரைவு உதவி",
+        hint: "மேலே உள்ள எந்த தலைப்பையும் கிளிக் செய்யவும் அல்லது உங்கள் கேள்வியைத் தட்டச்சு செய்யவும்",
+        fees: { label: "கட்டணத் தகவல்", query: "கட்டண அமைப்பு மற்றும் செலுத்த வேண்டிய கடைசி தேதி பற்றி சொல்லுங்கள்" },
+        scholarships: { label: "உதவித்தொகை", query: "மாணவர்களுக்கு என்ன உதவித்தொகைகள் உள்ளன?" },
+        timetable: { label: "கால அட்டவணை", query: "தற்போதைய வகுப்பு கால அட்டவணையைக் காட்டுங்கள்" },
+        admissions: { label: "சேர்க்கை", query: "சேர்க்கைக்கு எப்படி விண்ணப்பிப்பது? என்ன தேவைகள்?" },
+        exams: { label: "தேர்வு அட்டவணை", query: "வரவிருக்கும் தேர்வுகள் மற்றும் முடிவுகள் எப்போது?" },
+        general: { label: "பொது உதவி", query: "நீங்கள் எதில் உதவ முடியும்? அனைத்து சேவைகளையும் காட்டுங்கள்" }
+    },
+    feedback: {
+        whatWrong: "என்ன தவறு? (விருப்பத்தேர்வு)",
+        placeholder: "பதிலில் என்ன குறை அல்லது பிழை இருந்தது என்று சொல்லுங்கள்",
+        skip: "தவிர்",
+        send: "அனுப்பு"
+    },
+    satisfaction: {
+        question: "இன்றைய உரையாடல் உங்களுக்கு எப்படி இருந்தது?",
+        thanks: "உங்கள் கருத்துக்கு நன்றி!"
+    },
+    handoff: {
+        confirmation: "நீங்கள் எங்கள் உதவி வரிசையில் இணைக்கப்பட்டுள்ளீர்கள். ஒரு மனித முகவர் விரைவில் உங்களுக்கு உதவுவார். உதவிக் குழு உங்கள் கோரிக்கையைப் பார்த்தவுடன் வரிசையில் உங்கள் இடமும் மதிப்பிடப்பட்ட காத்திருப்பு நேரமும் அரட்டைக்கு மேலே தோன்றும். உங்கள் குறிப்பு எண் **{reference}**.",
+        minutes: { one: "{count} நிமிடம்", other: "{count} நிமிடங்கள்" },
+        connecting: "மனித முகவருடன் இணைக்கிறது",
+        queuePosition: "வரிசையில் இடம்: {position}",
+        estimatedWait: "மதிப்பிடப்பட்ட காத்திருப்பு: {wait}",
+        reference: "குறிப்பு: {reference}",
+        withAgent: "{name} உடன் உரையாடல்",
+        agentTyping: "{name} தட்டச்சு செய்கிறார்…",
+        agentJoined: "மாணவர் உதவிக் குழுவிலிருந்து **{name}** உரையாடலில் இணைந்துள்ளார்.",
+        resolved: "உதவி உரையாடல் முடிந்தது. இனி உதவியாளர் மீண்டும் உங்கள் கேள்விகளுக்குப் பதிலளிக்கும்.",
+        transferred: "உங்கள் கோரிக்கை வேறு துறைக்கு அனுப்பப்பட்டது. அங்கிருந்து ஒருவர் விரைவில் இணைவார்.",
+        ticketClosed: "எங்கள் உதவி அலுவலகம் இப்போது மூடப்பட்டுள்ளது, எனவே உங்கள் கேள்வி டிக்கெட்டாகச் சேமிக்கப்பட்டுள்ளது. உங்கள் குறிப்பு எண் **{reference}**. குழுவில் ஒருவர் **{callback}**க்குள் உங்களைத் தொடர்புகொள்வார்.",
+        ticketHoliday: "{holiday} காரணமாக உதவி அலுவலகம் இன்று மூடப்பட்டுள்ளது, எனவே உங்கள் கேள்வி டிக்கெட்டாகச் சேமிக்கப்பட்டுள்ளது. உங்கள் குறிப்பு எண் **{reference}**. குழுவில் ஒருவர் **{callback}**க்குள் உங்களைத் தொடர்புகொள்வார்.",
+        ticketNoAgents: "இப்போது அரட்டைக்கு எந்த முகவரும் இல்லை, எனவே உங்கள் கோரிக்கை டிக்கெட்டாக மாற்றப்பட்டுள்ளது. உங்கள் குறிப்பு எண் **{reference}**. குழுவில் ஒருவர் **{callback}**க்குள் உங்களைத் தொடர்புகொள்வார்.",
+        callbackSoon: "அடுத்த வேலை நாள்",
+        queuedUntilOpen: "உதவி அலுவலகம் இப்போது மூடப்பட்டுள்ளது. நீங்கள் வரிசையில் உள்ளீர்கள்; அலுவலகம் **{opens}** அன்று திறந்ததும் ஒரு முகவர் உங்கள் அரட்டையை எடுப்பார். உங்கள் குறிப்பு எண் **{reference}**.",
+        contactTitle: "டிக்கெட் {reference} பற்றி உங்களை எப்படித் தொடர்புகொள்வது?",
+        contactEmail: "மின்னஞ்சல்",
+        contactPhone: "தொலைபேசி எண்",
+        contactSave: "சேமி",
+        contactSaved: "நன்றி! உங்களை {contact} இல் தொடர்புகொள்வோம்.",
+        cancel: "கோரிக்கையை ரத்துசெய்",
+        cancelled: "ஊழியருக்கான உங்கள் கோரிக்கையை ரத்துசெய்துவிட்டீர்கள். தேவைப்படும்போது **மனித உதவி** ஐப் பயன்படுத்தவும்.",
+        surveyQuestion: "{name} அளித்த உதவியை எப்படி மதிப்பிடுவீர்கள்?",
+        surveyAgent: "உதவிக் குழு",
+        surveyComment: "நாங்கள் இன்னும் சிறப்பாக என்ன செய்திருக்கலாம்? (விருப்பத்தேர்வு)",
+        surveyThanks: "நன்றி! உங்கள் கருத்து எங்கள் உதவிக் குழுவுக்கு உதவுகிறது."
+    },
+    cannedResponses: {
+        greeting: "வணக்கம், நான் மாணவர் உதவியிலிருந்து {agent}. உதவியாளருடனான உங்கள் உரையாடலைப் படித்துவிட்டேன், இப்போது அதைப் பார்க்கிறேன்.",
+        enrollment: "உங்கள் பதிவுகளைச் சரிபார்க்க உங்கள் சேர்க்கை எண்ணைப் பகிர முடியுமா?",
+        checking: "காத்திருந்ததற்கு நன்றி. துறையுடன் இதைச் சரிபார்த்து சில நிமிடங்களில் பதிலளிக்கிறேன்.",
+        followUp: "வேறு ஏதாவது உதவி தேவையா?",
+        closing: "மாணவர் உதவியைத் தொடர்பு கொண்டதற்கு நன்றி. இந்த உரையாடலை இப்போது முடிக்கிறேன்; மனித உதவி பொத்தான் மூலம் எப்போது வேண்டுமானாலும் மீண்டும் தொடர்பு கொள்ளலாம்."
+    }
+};
+
+export default ta;
@@ -0,0 +1,155 @@
+// Telugu UI messages
+const te = {
+    app: {
+        name: "CampusAssist",
+        tagline: "బహుభాషా సహాయకుడు",
+        version: "క్యాంపస్ చాట్‌బాట్ v2.0",
+        availability: "విద్యార్థులకు 24/7 సేవ"
+    },
+    nav: {
+        heading: "నావిగేషన్",
+        chat: "చాట్",
+        knowledgeBase: "జ్ఞాన భాండాగారం",
+        collegeAssets: "కళాశాల వనరులు",
+        analytics: "విశ్లేషణ",
+        admin: "నిర్వాహణ",
+        agentConsole: "ఏజెంట్ కన్సోల్",
+        settings: "సెట్టింగ్‌లు"
+    },
+    stats: {
+        heading: "త్వరిత గణాంకాలు",
+        activeSessions: "క్రియాశీల సెషన్‌లు",
+        todaysQueries: "ఈరోజు ప్రశ్నలు",
+        languages: "భాషలు"
+    },
+    chat: {
+        title: "బహుభాషా క్యాంపస్ సహాయకుడు",
+        subtitle: "స్మార్ట్ ఇండియా హ్యాకథాన్ 2024 - క్యాంపస్ ప్రశ్నల పరిష్కారం",
+        greeting: "నమస్కారం! నేను మీ బహుభాషా క్యాంపస్ సహాయకుడిని. ఫీజులు, స్కాలర్‌షిప్‌లు, టైమ్‌టేబుల్, ప్రవేశాలు మరియు ఇతర కళాశాల సమాచారంలో నేను మీకు సహాయం చేయగలను. మీరు తెలుగు, హిందీ, ఇంగ్లీష్ లేదా మద్దతు ఉన్న ఏ ప్రాంతీయ భాషలోనైనా నాతో మాట్లాడవచ్చు!",
+        thinking: "మీ ప్రశ్నను ప్రాసెస్ చేస్తున్నాను...",
+        stop: "సమాధానం ఆపు",
+        stopped: "సమాధానం ఆపబడింది",
+        timeout: "ఊహించిన దానికంటే ఎక్కువ సమయం పడుతోంది. దయచేసి మళ్లీ ప్రయత్నించండి.",
+        failed: "క్షమించండి, సమాధానం ఇస్తున్నప్పుడు ఏదో తప్పు జరిగింది. దయచేసి మళ్లీ ప్రయత్నించండి.",
+        retry: "మళ్లీ ప్రయత్నించు",
+        helpPrompt: "ఈరోజు నేను మీకు ఎలా సహాయం చేయగలను?",
+        fallback: "మీకు సహాయం చేయడానికి నేను ఇక్కడ ఉన్నాను. ఫీజులు, స్కాలర్‌షిప్‌లు, టైమ్‌టేబుల్, ప్రవేశాలు, పరీక్షల షెడ్యూల్ మరియు సాధారణ కళాశాల సమాచారంలో నేను సహాయం చేయగలను.",
+        humanHelp: "మానవ సహాయం",
+        placeholder: "మీ ప్రశ్నను ఇక్కడ టైప్ చేయండి...",
+        inputHint: "మీరు తెలుగు, హిందీ, ఇంగ్లీష్ లేదా ఇతర భారతీయ భాషలలో ప్రశ్నలు అడగవచ్చు"
+    },
+    history: {
+        title: "ఇటీవలి చాట్‌లు",
+        newChat: "కొత్త చాట్",
+        search: "చాట్‌లను వెతకండి",
+        empty: "మీ గత చాట్‌లు ఇక్కడ కనిపిస్తాయి",
+        noResults: "మీ శోధనకు సరిపోలే చాట్‌లు లేవు",
+        delete: "చాట్ తొలగించు",
+        confirmDelete: "\"{title}\" తొలగించాలా? దీన్ని తిరిగి పొందలేరు."
+    },
+    transcript: {
+        title: "{name} చాట్ ట్రాన్‌స్క్రిప్ట్",
+        exportedAt: "{time}న ఎగుమతి చేయబడింది",
+        student: "విద్యార్థి",
+        assistant: "సహాయకుడు",
+        sources: "మూలాలు",
+        emailSubject: "{time} చాట్ ట్రాన్‌స్క్రిప్ట్",
+        export: "చాట్ ఎగుమతి చేయి",
+        description: "ఈ సంభాషణను సేవ్ చేయండి లేదా సహాయం చేయగల వారికి పంపండి.",
+        pdf: "PDFగా సేవ్ చేయి",
+        text: "టెక్స్ట్‌గా డౌన్‌లోడ్ చేయి",
+        share: "షేర్ చేయగల లింక్ కాపీ చేయి",
+        linkCopied: "లింక్ కాపీ అయింది",
+        email: "సహాయ కేంద్రానికి ఈమెయిల్ ({email})",
+        emailSent: "సహాయ కేంద్రానికి పంపబడింది",
+        popupBlocked: "PDF సేవ్ చేయడానికి ఈ సైట్ పాప్-అప్‌లను అనుమతించండి.",
+        failed: "ఇది పని చేయలేదు. దయచేసి మళ్లీ ప్రయత్నించండి.",
+        empty: "ఇంకా ఎగుమతి చేయడానికి ఏమీ లేదు."
+    },
+    message: {
+        confidence: "{percent}% నమ్మకం",
+        speak: "చదివి వినిపించు",
+        pause: "ఆపు",
+        resume: "కొనసాగించు",
+        stop: "చదవడం ఆపు",
+        rate: "చదివే వేగం",
+        voice: "స్వరం",
+        copy: "కాపీ చేయి",
+        helpful: "ఉపయోగకరం",
+        notHelpful: "ఉపయోగకరం కాదు",
+        sending: "పంపుతోంది",
+        sent: "పంపబడింది",
+        delivered: "చేరింది",
+        read: "చదవబడింది"
+    },
+    language: {
+        label: "భాష"
+    },
+    voice: {
+        start: "మీ ప్రశ్నను మాట్లాడండి",
+        stop: "వినడం ఆపు",
+        listening: "వింటున్నాను… ఇప్పుడు మాట్లాడండి",
+        unsupported: "ఈ బ్రౌజర్‌లో వాయిస్ ఇన్‌పుట్‌కు మద్దతు లేదు. దయచేసి మీ ప్రశ్నను టైప్ చేయండి.",
+        permissionDenied: "మైక్రోఫోన్ అనుమతి నిరోధించబడింది. వాయిస్ ఇన్‌పుట్ కోసం బ్రౌజర్ సెట్టింగ్‌లలో అనుమతించండి.",
+        noSpeech: "ఏమీ వినిపించలేదు. మైక్రోఫోన్‌ను నొక్కి మళ్ళీ ప్రయత్నించండి.",
+        failed: "వాయిస్ ఇన్‌పుట్ అనుకోకుండా ఆగిపోయింది. మళ్ళీ ప్రయత్నించండి లేదా ప్రశ్నను టైప్ చేయండి."
+    },
+    quickActions: {
+        title: "త్వరిత సహాయం",
+        hint: "పైన ఏదైనా అంశంపై క్లిక్ చేయండి లేదా మీ ప్రశ్నను టైప్ చేయండి",
+        fees: { label: "ఫీజు సమాచారం", query: "ఫీజు వివరాలు మరియు చెల్లింపు చివరి తేదీ చెప్పండి" },
+        scholarships: { label: "స్కాలర్‌షిప్‌లు", query: "విద్యార్థులకు ఏ స్కాలర్‌షిప్‌లు అందుబాటులో ఉన్నాయి?" },
+        timetable: { label: "టైమ్‌టేబుల్", query: "ప్రస్తుత తరగతి టైమ్‌టేబుల్ చూపించండి" },
+        admissions: { label: "ప్రవేశాలు", query: "ప్రవేశానికి ఎలా దరఖాస్తు చేయాలి? అవసరాలు ఏమిటి?" },
+        exams: { label: "పరీక్షల షెడ్యూల్", query: "రాబోయే పరీక్షలు మరియు ఫలితాలు ఎప్పుడు?" },
+        general: { label: "సాధారణ సహాయం", query: "మీరు దేనిలో సహాయం చేయగలరు? అన్ని సేవలను చూపించండి" }
+    },
+    feedback: {
+        whatWrong: "ఏమి తప్పు జరిగింది? (ఐచ్ఛికం)",
+        placeholder: "సమాధానంలో ఏమి లోపించిందో లేదా తప్పుగా ఉందో చెప్పండి",
+        skip: "దాటవేయి",
+        send: "పంపు"
+    },
+    satisfaction: {
+        question: "ఈరోజు సంభాషణ మీకు ఎలా అనిపించింది?",
+        thanks: "మీ అభిప్రాయానికి ధన్యవాదాలు!"
+    },
+    handoff: {
+        confirmation: "మీరు మా సహాయ వరుసలో చేర్చబడ్డారు. ఒక మానవ ఏజెంట్ త్వరలో మీకు సహాయం చేస్తారు. సహాయ బృందం మీ అభ్యర్థనను చూడగానే వరుసలో మీ స్థానం మరియు అంచనా వేచి ఉండే సమయం చాట్ పైన కనిపిస్తాయి. మీ రిఫరెన్స్ నంబర్ **{reference}**.",
+        minutes: { one: "{count} నిమిషం", other: "{count} నిమిషాలు" },
+        connecting: "మానవ ఏజెంట్‌తో కనెక్ట్ అవుతోంది",
+        queuePosition: "వరుసలో స్థానం: {position}",
+        estimatedWait: "అంచనా వేచి ఉండటం: {wait}",
+        reference: "రిఫరెన్స్: {reference}",
+        withAgent: "{name}తో సంభాషణ",
+        agentTyping: "{name} టైప్ చేస్తున్నారు…",
+        agentJoined: "విద్యార్థి సహాయ బృందం నుండి **{name}** చాట్‌లో చేరారు.",
+        resolved: "సహాయ చాట్ ముగిసింది. ఇకపై సహాయకుడు మళ్లీ మీ ప్రశ్నలకు సమాధానం ఇస్తాడు.",
+        transferred: "మీ అభ్యర్థన మరో విభాగానికి పంపబడింది. అక్కడి నుండి ఎవరో త్వరలో చేరతారు.",
+        ticketClosed: "మా సహాయ కార్యాలయం ప్రస్తుతం మూసి ఉంది, అందువల్ల మీ ప్రశ్నను టికెట్‌గా సేవ్ చేశాం. మీ రిఫరెన్స్ నంబర్ **{reference}**. బృందంలో ఎవరో ఒకరు **{callback}** లోపు మిమ్మల్ని సంప్రదిస్తారు.",
+        ticketHoliday: "{holiday} సందర్భంగా సహాయ కార్యాలయం ఈరోజు మూసి ఉంది, అందువల్ల మీ ప్రశ్నను టికెట్‌గా సేవ్ చేశాం. మీ రిఫరెన్స్ నంబర్ **{reference}**. బృందంలో ఎవరో ఒకరు **{callback}** లోపు మిమ్మల్ని సంప్రదిస్తారు.",
+        ticketNoAgents: "ప్రస్తుతం చాట్ చేయడానికి ఏ ఏజెంట్ అందుబాటులో లేరు, అందువల్ల మీ అభ్యర్థనను టికెట్‌గా మార్చాం. మీ రిఫరెన్స్ నంబర్ **{reference}**. బృందంలో ఎవరో ఒకరు **{callback}** లోపు మిమ్మల్ని సంప్రదిస్తారు.",
+        callbackSoon: "తదుపరి పని దినం",
+        queuedUntilOpen: "సహాయ కార్యాలయం ప్రస్తుతం మూసి ఉంది. మీరు క్యూలో ఉన్నారు; కార్యాలయం **{opens}** న తెరిచిన వెంటనే ఒక ఏజెంట్ మీ చాట్‌ను తీసుకుంటారు. మీ రిఫరెన్స్ నంబర్ **{reference}**.",
+        contactTitle: "టికెట్ {reference} గురించి మిమ్మల్ని ఎలా సంప్రదించాలి?",
+        contactEmail: "ఇమెయిల్",
+        contactPhone: "ఫోన్ నంబర్",
+        contactSave: "సేవ్ చేయండి",
+        contactSaved: "ధన్యవాదాలు! మిమ్మల్ని {contact} లో సంప్రదిస్తాం.",
+        cancel: "అభ్యర్థనను రద్దు చేయండి",
+        cancelled: "సిబ్బంది కోసం మీ అభ్యర్థనను రద్దు చేశారు. అవసరమైనప్పుడు **మానవ సహాయం** ఉపయోగించండి.",
+        surveyQuestion: "{name} నుండి పొందిన సహాయానికి మీరు ఎంత రేటింగ్ ఇస్తారు?",
+        surveyAgent: "సహాయ బృందం",
+        surveyComment: "మేము ఇంకా బాగా ఏమి చేయగలిగేవాళ్ళం? (ఐచ్ఛికం)",
+        surveyThanks: "ధన్యవాదాలు! మీ అభిప్రాయం మా సహాయ బృందానికి ఉపయోగపడుతుంది."
+    },
+    cannedResponses: {
+        greeting: "నమస్తే, నేను విద్యార్థి సహాయం నుండి {agent}. సహాయకుడితో మీ సంభాషణను చదివాను, ఇప్పుడు దాన్ని పరిశీలిస్తున్నాను.",
+        enrollment: "మీ రికార్డులను తనిఖీ చేయడానికి మీ నమోదు సంఖ్యను చెప్పగలరా?",
+        checking: "వేచి ఉన్నందుకు ధన్యవాదాలు. నేను విభాగంతో దీన్ని తనిఖీ చేస్తున్నాను, కొన్ని నిమిషాల్లో సమాధానం ఇస్తాను.",
+        followUp: "ఇంకేమైనా సహాయం కావాలా?",
+        closing: "విద్యార్థి సహాయాన్ని సంప్రదించినందుకు ధన్యవాదాలు. ఈ చాట్‌ను ఇప్పుడు ముగిస్తున్నాను; మానవ సహాయం బటన్‌తో ఎప్పుడైనా మళ్లీ సంప్రదించవచ్చు."
+    }
+};
+
+export default te;
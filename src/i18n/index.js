@@ -0,0 +1,113 @@
+/**
+ * Message Catalog based Localization
+ * Looks up UI strings by dotted key in per-language catalogs, falling back to
+ * English and then to the key itself. Supports {param} interpolation and
+ * plural forms selected with Intl.PluralRules from a `count` param.
+ */
+
+import en from './catalogs/en';
+import hi from './catalogs/hi';
+import mr from './catalogs/mr';
+import gu from './catalogs/gu';
+import bn from './catalogs/bn';
+import ta from './catalogs/ta';
+import te from './catalogs/te';
+import kn from './catalogs/kn';
+import { DEFAULT_LANGUAGE, getLocale, LANGUAGES } from './languages';
+
+export { LANGUAGES, DEFAULT_LANGUAGE, getLanguage, getLocale } from './languages';
+
+const catalogs = { en, hi, mr, gu, bn, ta, te, kn };
+
+const PREFERRED_LANGUAGE_KEY = 'campus-assist:language';
+
+/**
+ * Resolve a dotted key in a catalog
+ * @param {Object} catalog - Message catalog
+ * @param {string} key - Dotted message key, e.g. "chat.greeting"
+ * @returns {string|Object|undefined} Message or plural forms
+ */
+function lookup(catalog, key) {
+    return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+}
+
+/**
+ * Pick the plural form for a count
+ * @param {Object} forms - Plural forms keyed by Intl.PluralRules category
+ * @param {number} count - Quantity
+ * @param {string} language - Language code
+ * @returns {string} Message for the count
+ */
+function selectPlural(forms, count, language) {
+    const category = new Intl.PluralRules(getLocale(language)).select(count);
+    return forms[category] ?? forms.other;
+}
+
+/**
+ * Translate a message
+ * @param {string} language - Language code
+ * @param {string} key - Dotted message key
+ * @param {Object} [params] - Values for {param} placeholders; `count` selects plural forms
+ * @returns {string} Localized message
+ */
+export function translate(language, key, params = {}) {
+    let message = lookup(catalogs[language], key);
+    let messageLanguage = language;
+    if (message === undefined) {
+        message = lookup(catalogs[DEFAULT_LANGUAGE], key);
+        messageLanguage = DEFAULT_LANGUAGE;
+    }
+    if (message === undefined) return key;
+
+    if (typeof message === 'object') {
+        message = selectPlural(message, params.count ?? 0, messageLanguage);
+    }
+
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+        params[name] !== undefined ? String(params[name]) : placeholder
+    );
+}
+
+/**
+ * Create a translate function bound to one language
+ * @param {string} language - Language code
+ * @returns {Function} t(key, params)
+ */
+export function createTranslator(language) {
+    return (key, params) => translate(language, key, params);
+}
+
+/**
+ * Collect one message in every supported language
+ * @param {string} key - Dotted message key
+ * @returns {Object} Messages keyed by language code
+ */
+export function translationsOf(key) {
+    return Object.fromEntries(LANGUAGES.map(({ code }) => [code, translate(code, key)]));
+}
+
+/**
+ * Get the interface language last chosen in this browser
+ * @param {string} [fallback] - Language to use when none was chosen
+ * @returns {string} Language code
+ */
+export function getPreferredLanguage(fallback = DEFAULT_LANGUAGE) {
+    try {
+        const saved = localStorage.getItem(PREFERRED_LANGUAGE_KEY);
+        return saved && catalogs[saved] ? saved : fallback;
+    } catch (error) {
+        return fallback;
+    }
+}
+
+/**
+ * Remember the interface language for other pages
+ * @param {string} language - Language code
+ */
+export function setPreferredLanguage(language) {
+    try {
+        localStorage.setItem(PREFERRED_LANGUAGE_KEY, language);
+    } catch (error) {
+        console.error('Failed to save preferred language:', error);
+    }
+}
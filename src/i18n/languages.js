@@ -0,0 +1,36 @@
+/**
+ * Supported languages for the Campus Chatbot
+ * Single list shared by the language picker, message badges and speech features.
+ */
+
+// Multilingual support for 8 Indian languages as per SIH requirements
+export const LANGUAGES = [
+    { code: "en", name: "English", nativeName: "English", locale: "en-IN" },
+    { code: "hi", name: "Hindi", nativeName: "हिंदी", locale: "hi-IN" },
+    { code: "mr", name: "Marathi", nativeName: "मराठी", locale: "mr-IN" },
+    { code: "gu", name: "Gujarati", nativeName: "ગુજરાતી", locale: "gu-IN" },
+    { code: "bn", name: "Bengali", nativeName: "বাংলা", locale: "bn-IN" },
+    { code: "ta", name: "Tamil", nativeName: "தமிழ்", locale: "ta-IN" },
+    { code: "te", name: "Telugu", nativeName: "తెలుగు", locale: "te-IN" },
+    { code: "kn", name: "Kannada", nativeName: "ಕನ್ನಡ", locale: "kn-IN" }
+];
+
+export const DEFAULT_LANGUAGE = "en";
+
+/**
+ * Look up a supported language
+ * @param {string} code - Language code
+ * @returns {Object} Language entry, English when the code is unknown
+ */
+export function getLanguage(code) {
+    return LANGUAGES.find(lang => lang.code === code) || LANGUAGES[0];
+}
+
+/**
+ * Get the BCP-47 locale for a language code
+ * @param {string} code - Language code
+ * @returns {string} Locale such as "ta-IN"
+ */
+export function getLocale(code) {
+    return getLanguage(code).locale;
+}
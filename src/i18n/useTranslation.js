@@ -0,0 +1,6 @@
+import { useMemo } from "react";
+import { createTranslator } from "./index";
+
+export default function useTranslation(language) {
+  return useMemo(() => createTranslator(language), [language]);
+}
@@ -9,6 +9,9 @@ import { Badge } from "@/components/ui/badge";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import { Plus, Edit, Trash2, Search, Filter } from "lucide-react";
 import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import QuickActionManager from "../components/admin/QuickActionManager";
+import EscalationRuleManager from "../components/admin/EscalationRuleManager";
+import OfficeHoursManager from "../components/admin/OfficeHoursManager";
 
 export default function Admin() {
   const [knowledgeItems, setKnowledgeItems] = useState([]);
@@ -18,6 +21,7 @@ export default function Admin() {
   const [searchTerm, setSearchTerm] = useState("");
   const [filterCategory, setFilterCategory] = useState("all");
   const [filterLanguage, setFilterLanguage] = useState("all");
+  const [activeTab, setActiveTab] = useState("knowledge");
 
   const categories = ["fees", "scholarships", "timetable", "admissions", "exams", "general"];
   const languages = ["en", "hi", "mr", "gu", "bn", "ta", "te", "kn"];
@@ -74,123 +78,148 @@ export default function Admin() {
         <div className="flex justify-between items-center mb-8">
           <div>
             <h1 className="text-3xl font-bold text-gray-900">Knowledge Base Management</h1>
-            <p className="text-gray-600 mt-2">Manage FAQs and responses for the chatbot</p>
+            <p className="text-gray-600 mt-2">Manage FAQs, responses, quick actions and escalation rules for the chatbot</p>
           </div>
-          <Button
-            onClick={() => setShowAddDialog(true)}
-            className="bg-blue-600 hover:bg-blue-700"
-          >
-            <Plus className="w-4 h-4 mr-2" />
-            Add New Item
-          </Button>
+          {activeTab === "knowledge" && (
+            <Button
+              onClick={() => setShowAddDialog(true)}
+              className="bg-blue-600 hover:bg-blue-700"
+            >
+              <Plus className="w-4 h-4 mr-2" />
+              Add New Item
+            </Button>
+          )}
         </div>
 
-        {/* Filters */}
-        <Card className="mb-6">
-          <CardHeader>
-            <CardTitle className="text-lg">Search & Filter</CardTitle>
-          </CardHeader>
-          <CardContent>
-            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
-              <div className="relative">
-                <Search className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
-                <Input
-                  placeholder="Search questions or answers..."
-                  value={searchTerm}
-                  onChange={(e) => setSearchTerm(e.target.value)}
-                  className="pl-10"
-                />
-              </div>
-              <Select value={filterCategory} onValueChange={setFilterCategory}>
-                <SelectTrigger>
-                  <SelectValue placeholder="All Categories" />
-                </SelectTrigger>
-                <SelectContent>
-                  <SelectItem value="all">All Categories</SelectItem>
-                  {categories.map(cat => (
-                    <SelectItem key={cat} value={cat}>
-                      {cat.charAt(0).toUpperCase() + cat.slice(1)}
-                    </SelectItem>
-                  ))}
-                </SelectContent>
-              </Select>
-              <Select value={filterLanguage} onValueChange={setFilterLanguage}>
-                <SelectTrigger>
-                  <SelectValue placeholder="All Languages" />
-                </SelectTrigger>
-                <SelectContent>
-                  <SelectItem value="all">All Languages</SelectItem>
-                  {languages.map(lang => (
-                    <SelectItem key={lang} value={lang}>{lang.toUpperCase()}</SelectItem>
-                  ))}
-                </SelectContent>
-              </Select>
-              <div className="flex items-center">
-                <Filter className="w-4 h-4 mr-2 text-gray-500" />
-                <span className="text-sm text-gray-600">
-                  {filteredItems.length} items found
-                </span>
-              </div>
-            </div>
-          </CardContent>
-        </Card>
+        <Tabs value={activeTab} onValueChange={setActiveTab} className="space-y-6">
+          <TabsList>
+            <TabsTrigger value="knowledge">Knowledge Base</TabsTrigger>
+            <TabsTrigger value="quick-actions">Quick Actions</TabsTrigger>
+            <TabsTrigger value="escalation">Escalation Rules</TabsTrigger>
+            <TabsTrigger value="office-hours">Office Hours</TabsTrigger>
+          </TabsList>
 
-        {/* Knowledge Items */}
-        <div className="grid gap-4">
-          {filteredItems.map((item) => (
-            <Card key={item.id} className="hover:shadow-md transition-shadow">
-              <CardContent className="p-6">
-                <div className="flex justify-between items-start mb-4">
-                  <div className="flex gap-2">
-                    <Badge variant="secondary">{item.category}</Badge>
-                    <Badge variant="outline">{item.language.toUpperCase()}</Badge>
-                    {item.priority > 7 && <Badge variant="destructive">High Priority</Badge>}
-                  </div>
-                  <div className="flex gap-2">
-                    <Button
-                      variant="outline"
-                      size="sm"
-                      onClick={() => handleEditItem(item)}
-                    >
-                      <Edit className="w-4 h-4" />
-                    </Button>
-                    <Button
-                      variant="outline"
-                      size="sm"
-                      onClick={() => handleDeleteItem(item)}
-                      className="text-red-600 hover:text-red-800"
-                    >
-                      <Trash2 className="w-4 h-4" />
-                    </Button>
+          <TabsContent value="knowledge">
+            {/* Filters */}
+            <Card className="mb-6">
+              <CardHeader>
+                <CardTitle className="text-lg">Search & Filter</CardTitle>
+              </CardHeader>
+              <CardContent>
+                <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                  <div className="relative">
+                    <Search className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
+                    <Input
+                      placeholder="Search questions or answers..."
+                      value={searchTerm}
+                      onChange={(e) => setSearchTerm(e.target.value)}
+                      className="pl-10"
+                    />
                   </div>
-                </div>
-                
-                <div className="space-y-3">
-                  <div>
-                    <h3 className="font-semibold text-gray-900 mb-1">Question:</h3>
-                    <p className="text-gray-700">{item.question}</p>
+                  <Select value={filterCategory} onValueChange={setFilterCategory}>
+                    <SelectTrigger>
+                      <SelectValue placeholder="All Categories" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="all">All Categories</SelectItem>
+                      {categories.map(cat => (
+                        <SelectItem key={cat} value={cat}>
+                          {cat.charAt(0).toUpperCase() + cat.slice(1)}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <Select value={filterLanguage} onValueChange={setFilterLanguage}>
+                    <SelectTrigger>
+                      <SelectValue placeholder="All Languages" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="all">All Languages</SelectItem>
+                      {languages.map(lang => (
+                        <SelectItem key={lang} value={lang}>{lang.toUpperCase()}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <div className="flex items-center">
+                    <Filter className="w-4 h-4 mr-2 text-gray-500" />
+                    <span className="text-sm text-gray-600">
+                      {filteredItems.length} items found
+                    </span>
                   </div>
-                  <div>
-                    <h3 className="font-semibold text-gray-900 mb-1">Answer:</h3>
-                    <p className="text-gray-700">{item.answer}</p>
-                  </div>
-                  {item.keywords && item.keywords.length > 0 && (
-                    <div>
-                      <h3 className="font-semibold text-gray-900 mb-1">Keywords:</h3>
-                      <div className="flex flex-wrap gap-1">
-                        {item.keywords.map((keyword, index) => (
-                          <Badge key={index} variant="outline" className="text-xs">
-                            {keyword}
-                          </Badge>
-                        ))}
-                      </div>
-                    </div>
-                  )}
                 </div>
               </CardContent>
             </Card>
-          ))}
-        </div>
+
+            {/* Knowledge Items */}
+            <div className="grid gap-4">
+              {filteredItems.map((item) => (
+                <Card key={item.id} className="hover:shadow-md transition-shadow">
+                  <CardContent className="p-6">
+                    <div className="flex justify-between items-start mb-4">
+                      <div className="flex gap-2">
+                        <Badge variant="secondary">{item.category}</Badge>
+                        <Badge variant="outline">{item.language.toUpperCase()}</Badge>
+                        {item.priority > 7 && <Badge variant="destructive">High Priority</Badge>}
+                      </div>
+                      <div className="flex gap-2">
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => handleEditItem(item)}
+                        >
+                          <Edit className="w-4 h-4" />
+                        </Button>
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => handleDeleteItem(item)}
+                          className="text-red-600 hover:text-red-800"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </Button>
+                      </div>
+                    </div>
+
+                    <div className="space-y-3">
+                      <div>
+                        <h3 className="font-semibold text-gray-900 mb-1">Question:</h3>
+                        <p className="text-gray-700">{item.question}</p>
+                      </div>
+                      <div>
+                        <h3 className="font-semibold text-gray-900 mb-1">Answer:</h3>
+                        <p className="text-gray-700">{item.answer}</p>
+                      </div>
+                      {item.keywords && item.keywords.length > 0 && (
+                        <div>
+                          <h3 className="font-semibold text-gray-900 mb-1">Keywords:</h3>
+                          <div className="flex flex-wrap gap-1">
+                            {item.keywords.map((keyword, index) => (
+                              <Badge key={index} variant="outline" className="text-xs">
+                                {keyword}
+                              </Badge>
+                            ))}
+                          </div>
+                        </div>
+                      )}
+                    </div>
+                  </CardContent>
+                </Card>
+              ))}
+            </div>
+          </TabsContent>
+
+          <TabsContent value="quick-actions">
+            <QuickActionManager />
+          </TabsContent>
+
+          <TabsContent value="escalation">
+            <EscalationRuleManager />
+          </TabsContent>
+
+          <TabsContent value="office-hours">
+            <OfficeHoursManager />
+          </TabsContent>
+        </Tabs>
 
         {/* Add/Edit Dialog */}
         <KnowledgeItemDialog
@@ -311,7 +340,7 @@ function KnowledgeItemDialog({ open, onClose, onSave, item, categories, language
             <Textarea
               value={formData.answer}
               onChange={(e) => setFormData(prev => ({ ...prev, answer: e.target.value }))}
-              placeholder="Enter the response"
+              placeholder="Enter the response. Supports **bold**, - lists, | tables | and links; paste a College Asset URL to attach it"
               rows={4}
               required
             />
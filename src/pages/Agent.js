@@ -0,0 +1,448 @@
+import React, { useState, useEffect, useRef, useCallback } from "react";
+import { HandoffRequest, HandoffMessage, SupportAgent, EscalationRule, OfficeHours, ChatbotSettings, User } from "@/entities/all";
+import HandoffQueueList from "../components/agent/HandoffQueueList";
+import HandoffDetail from "../components/agent/HandoffDetail";
+import AgentProfileCard from "../components/agent/AgentProfileCard";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Button } from "@/components/ui/button";
+import { Headphones, RefreshCw, AlertCircle, PhoneCall } from "lucide-react";
+import { translate } from "../i18n";
+import { HumanHandoffManager } from "../services/HumanHandoffManager";
+import { BUILD_HANDOFF_SERVER_URL, getHandoffServerUrl, loadSettings } from "../services/SettingsStore";
+
+const POLL_INTERVAL = 5000;
+
+// How often an open console tells the registry the agent is still there
+const HEARTBEAT_INTERVAL = 60 * 1000;
+
+/**
+ * Merge handoff messages from the database and the live channel, oldest first
+ * @param {Array} current - Messages on screen
+ * @param {Array} incoming - New or updated messages
+ * @returns {Array} Messages without duplicates
+ */
+function mergeMessages(current, incoming) {
+  const byId = new Map(current.map(message => [message.client_id || message.id, message]));
+  incoming.forEach(message => byId.set(message.client_id || message.id, message));
+  return [...byId.values()].sort((a, b) => new Date(a.created_date) - new Date(b.created_date));
+}
+
+export default function Agent() {
+  const managerRef = useRef(null);
+  if (!managerRef.current) {
+    managerRef.current = new HumanHandoffManager({
+      HandoffRequest,
+      HandoffMessage,
+      SupportAgent,
+      EscalationRule,
+      OfficeHours,
+      serverUrl: BUILD_HANDOFF_SERVER_URL
+    });
+  }
+
+  const [agent, setAgent] = useState(null);
+  // Registry entry of the signed-in agent (unsaved until they register) and everyone else
+  const [profile, setProfile] = useState(null);
+  const [registry, setRegistry] = useState([]);
+  const [queue, setQueue] = useState([]);
+  const [tickets, setTickets] = useState([]);
+  const [suggestions, setSuggestions] = useState({});
+  const [department, setDepartment] = useState("all");
+  const [departments, setDepartments] = useState(() => managerRef.current.getDepartments());
+  const [selected, setSelected] = useState(null);
+  const [messages, setMessages] = useState([]);
+  // Live channel state, whether the student is typing, and receipts of agent messages
+  const [connection, setConnection] = useState(null);
+  const [studentTyping, setStudentTyping] = useState(false);
+  const [receipts, setReceipts] = useState({});
+  // Live chat relay from the shared settings; messages sync through the database without one
+  const [serverUrl, setServerUrl] = useState(BUILD_HANDOFF_SERVER_URL);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const profileRef = useRef(null);
+  profileRef.current = profile;
+  const queueRefreshRef = useRef(null);
+
+  useEffect(() => {
+    loadSettings(ChatbotSettings)
+      .then((settings) => {
+        managerRef.current.setServerUrl(getHandoffServerUrl(settings));
+        setServerUrl(getHandoffServerUrl(settings));
+      })
+      .catch((error) => console.error("Error loading settings:", error));
+  }, []);
+
+  useEffect(() => {
+    User.me()
+      .then(async (user) => {
+        setAgent(user);
+        const agents = await managerRef.current.loadAgents();
+        setRegistry(agents);
+        setProfile(agents.find(item => item.email === user.email) || {
+          email: user.email,
+          full_name: user.full_name,
+          departments: ["general"],
+          languages: ["en"],
+          max_concurrent_chats: 3,
+          status: "offline"
+        });
+      })
+      .catch(error => {
+        console.error("Error loading current user:", error);
+        setError("Sign in with a staff account to pick up student requests.");
+      });
+  }, []);
+
+  const announceAgent = useCallback((record, assignee) => managerRef.current.postMessage(record, {
+    sender: "system",
+    text: translate(record.language, "handoff.agentJoined", { name: assignee.full_name || assignee.email })
+  }), []);
+
+  // Claim the waiting requests the router picks this agent for. Each console only
+  // routes to its own agent, so two consoles never hand out the same student.
+  const routeToMe = useCallback(async (records) => {
+    const manager = managerRef.current;
+    const me = profileRef.current;
+    const plan = manager.planRouting(records);
+    setSuggestions(Object.fromEntries(plan.map(({ record, agent: suggested }) => [
+      record.id,
+      suggested.full_name || suggested.email
+    ])));
+    if (!me?.id || !manager.isAgentAvailable(me)) return [];
+
+    const claimed = [];
+    for (const { record, agent: suggested } of plan) {
+      if (suggested.email !== me.email) continue;
+      try {
+        const assigned = await manager.assignHandoff(record, me);
+        await announceAgent(assigned, me);
+        claimed.push(assigned);
+      } catch (error) {
+        // Someone else got there first
+        console.warn("Could not take routed request:", error.message);
+      }
+    }
+    return claimed;
+  }, [announceAgent]);
+
+  const refreshQueue = useCallback(async () => {
+    const manager = managerRef.current;
+    try {
+      const agents = await manager.loadAgents();
+      setRegistry(agents);
+      await manager.loadOfficeHours();
+      let records = await manager.listQueue();
+      const claimed = await routeToMe(records);
+      // Students nobody online can help get a callback instead of waiting
+      const ticketed = await manager.ticketUnservedRequests(records);
+      if (claimed.length > 0 || ticketed.length > 0) {
+        records = await manager.listQueue();
+        if (claimed.length > 0) setSelected(prev => prev || claimed[0]);
+      }
+      const openTickets = await manager.listTickets();
+      setTickets(openTickets);
+      await manager.loadHandleTimes();
+      await manager.loadEscalationRules();
+      setDepartments(manager.getDepartments());
+      records = await manager.publishQueueEstimates(records);
+      setQueue(records);
+      // Keep the open request in step with what other agents did to it
+      setSelected(prev => (prev ? [...records, ...openTickets].find(record => record.id === prev.id) || prev : prev));
+    } catch (error) {
+      console.error("Error loading handoff queue:", error);
+      setError("Failed to load the queue. Retrying...");
+    }
+    setIsLoading(false);
+  }, [routeToMe]);
+
+  // Start after the refresh in progress rather than alongside it: routing plans from the
+  // records a refresh reads, and two plans from the same records would claim twice
+  const loadQueue = useCallback(() => {
+    const refresh = (queueRefreshRef.current || Promise.resolve()).then(refreshQueue);
+    queueRefreshRef.current = refresh;
+    refresh.finally(() => {
+      if (queueRefreshRef.current === refresh) queueRefreshRef.current = null;
+    });
+    return refresh;
+  }, [refreshQueue]);
+
+  useEffect(() => {
+    // Poll again only once a refresh has finished, however long it took
+    let timer = null;
+    let cancelled = false;
+    const poll = () => loadQueue().finally(() => {
+      if (!cancelled) timer = setTimeout(poll, POLL_INTERVAL);
+    });
+    poll();
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [loadQueue]);
+
+  useEffect(() => {
+    if (!profile?.id || profile.status === "offline") return;
+    const timer = setInterval(() => {
+      managerRef.current.heartbeat(profileRef.current)
+        .then(setProfile)
+        .catch(error => console.error("Error sending agent heartbeat:", error));
+    }, HEARTBEAT_INTERVAL);
+    return () => clearInterval(timer);
+  }, [profile?.id, profile?.status]);
+
+  const visibleQueue = department === "all"
+    ? queue
+    : queue.filter(record => record.department === department);
+
+  const selectedHandoffId = selected?.handoff_id;
+
+  const agentName = agent?.full_name || agent?.email;
+
+  const loadMessages = useCallback(async () => {
+    if (!selectedHandoffId) return;
+    try {
+      const records = await managerRef.current.loadMessages(selectedHandoffId);
+      setMessages(prev => mergeMessages(prev, records));
+    } catch (error) {
+      console.error("Error loading handoff messages:", error);
+    }
+  }, [selectedHandoffId]);
+
+  useEffect(() => {
+    setMessages([]);
+    setReceipts({});
+    loadMessages();
+    const timer = setInterval(loadMessages, POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }, [loadMessages]);
+
+  useEffect(() => {
+    if (!selectedHandoffId || !agent) return;
+    const manager = managerRef.current;
+    const transport = manager.connect(selectedHandoffId, { role: "agent", name: agentName });
+    if (!transport) return;
+
+    setConnection(transport.state);
+    const unsubscribers = [
+      transport.on("state", setConnection),
+      transport.on("message", (frame) => {
+        setMessages(prev => mergeMessages(prev, [{
+          id: frame.clientId,
+          client_id: frame.clientId,
+          sender: frame.sender,
+          sender_name: frame.senderName,
+          text: frame.text,
+          created_date: frame.sentAt
+        }]));
+        // The console is open on this request, so the student's message has been seen
+        if (frame.role === "student" && document.visibilityState === "visible") {
+          transport.markRead([frame.clientId]);
+        }
+      }),
+      transport.on("typing", ({ typing }) => setStudentTyping(typing)),
+      transport.on("receipt", ({ clientIds, status }) => {
+        setReceipts(prev => {
+          const next = { ...prev };
+          clientIds.forEach(clientId => {
+            if (next[clientId] !== "read") next[clientId] = status;
+          });
+          return next;
+        });
+      })
+    ];
+
+    return () => {
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+      manager.disconnect(selectedHandoffId);
+      setConnection(null);
+      setStudentTyping(false);
+    };
+  }, [selectedHandoffId, agent, agentName, serverUrl]);
+
+  const handleTyping = (typing) => {
+    managerRef.current.getTransport(selectedHandoffId)?.setTyping(typing);
+  };
+
+  const run = async (task, failure) => {
+    setIsBusy(true);
+    setError(null);
+    try {
+      await task();
+      await Promise.all([loadQueue(), loadMessages()]);
+    } catch (error) {
+      console.error(failure, error);
+      setError(error.message || failure);
+    }
+    setIsBusy(false);
+  };
+
+  const handleSaveProfile = (draft) => run(async () => {
+    // Registering is the moment an agent wants chats, so go online straight away
+    const saved = await managerRef.current.registerAgent({
+      ...draft,
+      status: draft.id ? draft.status : "online"
+    });
+    setProfile(saved);
+  }, "Failed to save your profile.");
+
+  const handleStatusChange = (status) => run(async () => {
+    setProfile(await managerRef.current.setAgentStatus(profile, status));
+  }, "Failed to change your status.");
+
+  const handleClaim = () => run(async () => {
+    const takeover = selected.status === "assigned";
+    if (takeover && !window.confirm(`${selected.assigned_agent_name || selected.assigned_agent} is already helping this student. Take over?`)) {
+      return;
+    }
+    const record = await managerRef.current.assignHandoff(selected, agent, { force: takeover });
+    setSelected(record);
+    await announceAgent(record, agent);
+  }, "Failed to claim the request.");
+
+  const handleAssign = (email) => run(async () => {
+    const assignee = registry.find(item => item.email === email);
+    const record = await managerRef.current.assignHandoff(selected, assignee, { force: true });
+    setSelected(record);
+    await announceAgent(record, assignee);
+  }, "Failed to assign the request.");
+
+  const handleTransfer = (target) => run(async () => {
+    setSelected(await managerRef.current.transferHandoff(selected, target, agent));
+  }, "Failed to transfer the request.");
+
+  const handleResolve = () => run(async () => {
+    const question = selected.status === "ticket"
+      ? "Mark this ticket as called back?"
+      : "Mark this request as resolved? The student will be returned to the assistant.";
+    if (!window.confirm(question)) return;
+    // Closed first, so the student's chat sees the new status when the message arrives
+    await managerRef.current.closeHandoff(selected, "resolved");
+    await managerRef.current.postMessage(selected, {
+      sender: "system",
+      text: translate(selected.language, "handoff.resolved")
+    });
+    setSelected(null);
+  }, "Failed to resolve the request.");
+
+  const handleReply = (text) => run(async () => {
+    await managerRef.current.postMessage(selected, {
+      sender: "agent",
+      text,
+      senderName: agentName
+    });
+  }, "Failed to send the reply.");
+
+  return (
+    <div className="p-6 bg-gradient-to-br from-blue-50 to-indigo-50 min-h-screen">
+      <div className="max-w-7xl mx-auto">
+        <div className="flex justify-between items-center mb-6">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Agent Console</h1>
+            <p className="text-gray-600 mt-2">Pick up students who asked for a person and answer them in their chat</p>
+          </div>
+          <Button variant="outline" onClick={loadQueue} disabled={isLoading}>
+            <RefreshCw className={`w-4 h-4 mr-2 ${isLoading ? "animate-spin" : ""}`} />
+            Refresh
+          </Button>
+        </div>
+
+        {error && (
+          <Alert className="mb-6 border-red-200 bg-red-50">
+            <AlertCircle className="h-4 w-4 text-red-600" />
+            <AlertDescription className="text-red-800">{error}</AlertDescription>
+          </Alert>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="lg:col-span-1 space-y-6">
+            {profile && (
+              <AgentProfileCard
+                profile={profile}
+                departments={departments}
+                saving={isBusy}
+                onSave={handleSaveProfile}
+                onStatusChange={handleStatusChange}
+              />
+            )}
+            <Card>
+              <CardHeader className="space-y-3">
+                <CardTitle className="flex items-center gap-2">
+                  <Headphones className="w-5 h-5" />
+                  Queue ({visibleQueue.length})
+                </CardTitle>
+                <Select value={department} onValueChange={setDepartment}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="all">All departments</SelectItem>
+                    {departments.map(item => (
+                      <SelectItem key={item} value={item}>{item}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </CardHeader>
+              <CardContent className="max-h-[70vh] overflow-y-auto">
+                <HandoffQueueList
+                  records={visibleQueue}
+                  selectedId={selected?.id}
+                  onSelect={setSelected}
+                  currentAgentEmail={agent?.email}
+                  suggestions={suggestions}
+                />
+              </CardContent>
+            </Card>
+            {tickets.length > 0 && (
+              <Card>
+                <CardHeader>
+                  <CardTitle className="flex items-center gap-2">
+                    <PhoneCall className="w-5 h-5" />
+                    Callbacks ({tickets.length})
+                  </CardTitle>
+                </CardHeader>
+                <CardContent className="max-h-[50vh] overflow-y-auto">
+                  <HandoffQueueList
+                    records={tickets}
+                    selectedId={selected?.id}
+                    onSelect={setSelected}
+                    currentAgentEmail={agent?.email}
+                  />
+                </CardContent>
+              </Card>
+            )}
+          </div>
+
+          <Card className="lg:col-span-2 h-[80vh] overflow-hidden">
+            {selected ? (
+              <HandoffDetail
+                record={selected}
+                departments={departments}
+                messages={messages}
+                agent={agent}
+                agents={registry}
+                loads={managerRef.current.getAgentLoads(queue)}
+                busy={isBusy || !agent}
+                onClaim={handleClaim}
+                onAssign={handleAssign}
+                onTransfer={handleTransfer}
+                onResolve={handleResolve}
+                onReply={handleReply}
+                onTyping={handleTyping}
+                connection={connection}
+                studentTyping={studentTyping}
+                receipts={receipts}
+              />
+            ) : (
+              <div className="h-full flex items-center justify-center text-gray-500 text-sm">
+                Select a request from the queue to see the conversation.
+              </div>
+            )}
+          </Card>
+        </div>
+      </div>
+    </div>
+  );
+}
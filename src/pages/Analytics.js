@@ -1,20 +1,25 @@
 import React, { useState, useEffect, useCallback } from "react";
-import { Conversation, ChatSession } from "@/entities/all";
+import { Conversation, ChatSession, HandoffRequest } from "@/entities/all";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, PieChart, Pie, Cell } from "recharts";
 import { TrendingUp, MessageCircle, Users, Clock, ThumbsUp, Globe } from "lucide-react";
 import { format, subDays, startOfDay } from "date-fns";
+import HandoffPerformance from "../components/analytics/HandoffPerformance";
 
 export default function Analytics() {
   const [conversations, setConversations] = useState([]);
   const [sessions, setSessions] = useState([]);
+  const [handoffs, setHandoffs] = useState([]);
   const [stats, setStats] = useState({
     totalConversations: 0,
     totalSessions: 0,
     averageResponseTime: 0,
-    satisfactionRate: 0,
+    helpfulRate: null,
+    ratedAnswers: 0,
+    sessionRating: null,
+    ratedSessions: 0,
     topCategories: [],
     languageDistribution: []
   });
@@ -28,10 +33,16 @@ export default function Analytics() {
     // Average response time
     const avgResponseTime = convData.reduce((sum, conv) => sum + (conv.response_time_ms || 0), 0) / convData.length;
     
-    // Satisfaction rate (assuming ratings 4-5 are satisfied)
-    const ratedConversations = convData.filter(conv => conv.user_rating);
-    const satisfiedCount = ratedConversations.filter(conv => conv.user_rating >= 4).length;
-    const satisfactionRate = ratedConversations.length > 0 ? (satisfiedCount / ratedConversations.length) * 100 : 0;
+    // Answers get a thumbs up (stored as 5) or down (1), sessions a 1-5 rating,
+    // so the two are reported apart
+    const answerRatings = convData.map(conv => conv.user_rating).filter(Boolean);
+    const helpfulRate = answerRatings.length > 0
+      ? (answerRatings.filter(rating => rating >= 4).length / answerRatings.length) * 100
+      : null;
+    const sessionRatings = sessionData.map(session => session.satisfaction_rating).filter(Boolean);
+    const sessionRating = sessionRatings.length > 0
+      ? sessionRatings.reduce((sum, rating) => sum + rating, 0) / sessionRatings.length
+      : null;
     
     // Category distribution
     const categoryCount = {};
@@ -56,7 +67,10 @@ export default function Analytics() {
       totalConversations,
       totalSessions,
       averageResponseTime: avgResponseTime / 1000, // Convert to seconds
-      satisfactionRate,
+      helpfulRate,
+      ratedAnswers: answerRatings.length,
+      sessionRating,
+      ratedSessions: sessionRatings.length,
       topCategories,
       languageDistribution
     });
@@ -65,13 +79,15 @@ export default function Analytics() {
   const loadAnalyticsData = useCallback(async () => {
     setIsLoading(true);
     try {
-      const [convData, sessionData] = await Promise.all([
+      const [convData, sessionData, handoffData] = await Promise.all([
         Conversation.list("-created_date", 1000),
-        ChatSession.list("-created_date", 500)
+        ChatSession.list("-created_date", 500),
+        HandoffRequest.list("-created_date", 1000)
       ]);
       
       setConversations(convData);
       setSessions(sessionData);
+      setHandoffs(handoffData);
       calculateStats(convData, sessionData); 
     } catch (error) {
       console.error("Error loading analytics:", error);
@@ -174,14 +190,13 @@ export default function Analytics() {
 
           <Card>
             <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
-              <CardTitle className="text-sm font-medium">Satisfaction Rate</CardTitle>
+              <CardTitle className="text-sm font-medium">Helpful Answers</CardTitle>
               <ThumbsUp className="h-4 w-4 text-purple-600" />
             </CardHeader>
             <CardContent>
-              <div className="text-2xl font-bold">{stats.satisfactionRate.toFixed(1)}%</div>
+              <div className="text-2xl font-bold">{stats.helpfulRate === null ? "—" : `${stats.helpfulRate.toFixed(1)}%`}</div>
               <p className="text-xs text-muted-foreground">
-                <TrendingUp className="h-3 w-3 inline mr-1" />
-                +5% from last week
+                Thumbs up on {stats.ratedAnswers} rated answers
               </p>
             </CardContent>
           </Card>
@@ -193,6 +208,7 @@ export default function Analytics() {
             <TabsTrigger value="categories">Categories</TabsTrigger>
             <TabsTrigger value="languages">Languages</TabsTrigger>
             <TabsTrigger value="performance">Performance</TabsTrigger>
+            <TabsTrigger value="human-support">Human Support</TabsTrigger>
           </TabsList>
 
           <TabsContent value="overview" className="space-y-6">
@@ -344,8 +360,12 @@ export default function Analytics() {
                       <Badge variant="outline">{stats.totalConversations}</Badge>
                     </div>
                     <div className="flex justify-between items-center">
-                      <span>User Satisfaction</span>
-                      <Badge variant="default">{stats.satisfactionRate.toFixed(1)}%</Badge>
+                      <span>Helpful Answers ({stats.ratedAnswers} rated)</span>
+                      <Badge variant="default">{stats.helpfulRate === null ? "—" : `${stats.helpfulRate.toFixed(1)}%`}</Badge>
+                    </div>
+                    <div className="flex justify-between items-center">
+                      <span>Session Rating ({stats.ratedSessions} rated)</span>
+                      <Badge variant="default">{stats.sessionRating === null ? "—" : `${stats.sessionRating.toFixed(1)} / 5`}</Badge>
                     </div>
                   </div>
                 </CardContent>
@@ -374,6 +394,10 @@ export default function Analytics() {
               </Card>
             </div>
           </TabsContent>
+
+          <TabsContent value="human-support">
+            <HandoffPerformance records={handoffs} />
+          </TabsContent>
         </Tabs>
       </div>
     </div>
@@ -1,61 +1,472 @@
-import React, { useState, useRef, useEffect } from "react";
-import { Send, PhoneCall, Globe, Bot, User, MessageCircle, Clock, CreditCard, GraduationCap, FileText, Calendar, HelpCircle, Volume2, Copy, ThumbsUp, ThumbsDown, Menu, Home, BarChart3, Settings, UserCog } from "lucide-react";
-import { Link, useNavigate } from "react-router-dom";
-
-// Multilingual support for 8 Indian languages as per SIH requirements
-const languages = [
-  { code: "en", name: "English", nativeName: "English" },
-  { code: "hi", name: "Hindi", nativeName: "हिंदी" },
-  { code: "mr", name: "Marathi", nativeName: "मराठी" },
-  { code: "gu", name: "Gujarati", nativeName: "ગુજરાતી" },
-  { code: "bn", name: "Bengali", nativeName: "বাংলা" },
-  { code: "ta", name: "Tamil", nativeName: "தமிழ்" },
-  { code: "te", name: "Telugu", nativeName: "తెలుగు" },
-  { code: "kn", name: "Kannada", nativeName: "ಕನ್ನಡ" }
-];
-
-// Quick actions for common campus queries as per SIH requirements
-const quickActions = [
-  { icon: CreditCard, label: "Fee Information", query: "Tell me about fee structure and payment deadlines", labelHi: "फीस की जानकारी" },
-  { icon: GraduationCap, label: "Scholarships", query: "What scholarships are available for students?", labelHi: "छात्रवृत्ति" },
-  { icon: Calendar, label: "Timetable", query: "Show me the current class timetable and schedule", labelHi: "समय सारणी" },
-  { icon: FileText, label: "Admissions", query: "How do I apply for admission? What are the requirements?", labelHi: "प्रवेश" },
-  { icon: Clock, label: "Exam Schedule", query: "When are the upcoming exams and results?", labelHi: "परीक्षा समय" },
-  { icon: HelpCircle, label: "General Help", query: "What can you help me with? Show me all services", labelHi: "सामान्य सहायता" }
-];
-
-// Sample responses in multiple languages
-const sampleResponses = {
-  en: {
-    greeting: "Hello! I'm your multilingual campus assistant. I can help you with fees, scholarships, timetables, admissions, and other college information. You can talk to me in Hindi, English, or any of our supported regional languages!",
-    thinking: "Processing your query...",
-    helpPrompt: "How can I assist you today?"
-  },
-  hi: {
-    greeting: "नमस्ते! मैं आपका बहुभाषी कैंपस असिस्टेंट हूँ। मैं फीस, छात्रवृत्ति, समय सारणी, प्रवेश और अन्य कॉलेज की जानकारी में आपकी मदद कर सकता हूँ। आप हिंदी, अंग्रेजी या हमारी किसी भी समर्थित क्षेत्रीय भाषा में मुझसे बात कर सकते हैं!",
-    thinking: "आपके प्रश्न को समझ रहा हूँ...",
-    helpPrompt: "आज मैं आपकी कैसे सहायता कर सकता हूँ?"
-  }
+import React, { useState, useRef, useEffect, useCallback } from "react";
+import { Send, Square, Download, PhoneCall, MessageCircle, Menu, BarChart3, Settings, UserCog } from "lucide-react";
+import { useNavigate } from "react-router-dom";
+import { KnowledgeBase, ChatSession, Conversation, QuickAction, CollegeAsset, HandoffRequest, HandoffMessage, EscalationRule, OfficeHours, ChatbotSettings, User } from "@/entities/all";
+import AnswerEngine from "../services/AnswerEngine";
+import SessionRecorder from "../services/SessionRecorder";
+import ChatHistoryStore from "../services/ChatHistoryStore";
+import HumanHandoffManager from "../services/HumanHandoffManager";
+import { createClientId } from "../services/HandoffTransport";
+import ConversationContextManager from "../services/ConversationContextManager";
+import { DEFAULT_SETTINGS, getHandoffServerUrl, loadSettings } from "../services/SettingsStore";
+import { loadQuickActions, DEFAULT_QUICK_ACTIONS } from "../services/QuickActionStore";
+import { detectLanguage } from "../services/LanguageDetector";
+import { speechOutput } from "../services/SpeechOutput";
+import RatingFollowUp from "../components/chat/RatingFollowUp";
+import TicketContactForm from "../components/chat/TicketContactForm";
+import HandoffStatus from "../components/chat/HandoffStatus";
+import HandoffSurvey from "../components/chat/HandoffSurvey";
+import SatisfactionPrompt from "../components/chat/SatisfactionPrompt";
+import QuickActions from "../components/chat/QuickActions";
+import MessageBubble from "../components/chat/MessageBubble";
+import LanguageSelector from "../components/chat/LanguageSelector";
+import VoiceInputButton from "../components/chat/VoiceInputButton";
+import HistorySidebar from "../components/chat/HistorySidebar";
+import ExportTranscriptDialog from "../components/chat/ExportTranscriptDialog";
+import sampleKnowledge from "../services/sampleKnowledge";
+import { getPreferredLanguage, setPreferredLanguage, translate, translationsOf } from "../i18n";
+import useTranslation from "../i18n/useTranslation";
+
+// Minimum detection confidence before the reply language follows the message
+const LANGUAGE_SWITCH_CONFIDENCE = 0.6;
+
+// Give up on an answer that hasn't finished after this long
+const RESPONSE_TIMEOUT = 20 * 1000;
+
+// How often an open handoff is checked for agent replies and status changes
+const HANDOFF_POLL_INTERVAL = 5 * 1000;
+
+// Receipt states of messages sent to an agent, in the order they happen
+const RECEIPT_ORDER = ["sending", "sent", "delivered", "read"];
+
+// Used when the student asks for a person and nothing in the chat says which department
+const DEFAULT_HANDOFF_RECOMMENDATION = {
+  priority: "medium",
+  department: "general",
+  reason: "Requested by student"
 };
 
 export default function Chat() {
-  const [messages, setMessages] = useState([
+  // Shared admin settings; the defaults apply until they have loaded
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [selectedLanguage, setSelectedLanguage] = useState(() => getPreferredLanguage(DEFAULT_SETTINGS.defaultLanguage));
+  const [messages, setMessages] = useState(() => [
     {
       id: 1,
-      text: sampleResponses.en.greeting,
+      text: translate(selectedLanguage, "chat.greeting"),
       isBot: true,
       timestamp: new Date(),
-      language: "en",
+      language: selectedLanguage,
       confidence: 1.0
     }
   ]);
   const [inputMessage, setInputMessage] = useState("");
   const [isLoading, setIsLoading] = useState(false);
-  const [selectedLanguage, setSelectedLanguage] = useState("en");
   const [showQuickActions, setShowQuickActions] = useState(true);
+  const [quickActions, setQuickActions] = useState([]);
+  const [collegeAssets, setCollegeAssets] = useState([]);
   const [sidebarOpen, setSidebarOpen] = useState(false);
+  const [feedbackMessageId, setFeedbackMessageId] = useState(null);
+  // Ended session the student is asked to rate: on a new chat, a resumed one or going idle
+  const [ratingSession, setRatingSession] = useState(null);
+  const [isListening, setIsListening] = useState(false);
+  const [voiceError, setVoiceError] = useState(null);
+  const [currentUser, setCurrentUser] = useState(null);
+  // session_id the visible messages are saved under in the chat history
+  const [historyId, setHistoryId] = useState(null);
+  const [historySessions, setHistorySessions] = useState([]);
+  const [historyQuery, setHistoryQuery] = useState("");
+  const [historyVersion, setHistoryVersion] = useState(0);
+  const [showExportDialog, setShowExportDialog] = useState(false);
+  const [activeHandoff, setActiveHandoff] = useState(null);
+  const [agentTyping, setAgentTyping] = useState(null);
+  // Queue place, wait and agent of the open handoff, from the manager's status events
+  const [handoffStatus, setHandoffStatus] = useState(null);
+  // Handoff an agent has just resolved, until the student answers or skips its survey
+  const [handoffSurvey, setHandoffSurvey] = useState(null);
+  // Handoff saved as a ticket for a callback, until the student confirms how to reach them
+  const [ticket, setTicket] = useState(null);
   const messagesEndRef = useRef(null);
+  const answerEngineRef = useRef(null);
+  const sessionRecorderRef = useRef(null);
+  const contextManagerRef = useRef(null);
+  const historyStoreRef = useRef(null);
+  const handoffManagerRef = useRef(null);
+  // Set while a handoff is being requested or waiting, so escalation happens once
+  const handoffRef = useRef(null);
+  // Shared HandoffRequest record once the console has it, and agent messages already shown
+  const handoffRecordRef = useRef(null);
+  const seenHandoffMessagesRef = useRef(new Set());
+  // Bot message ids whose Conversation records are already flagged as escalated
+  const escalatedMessagesRef = useRef(new Set());
+  // Messages as last saved to or loaded from history, to skip saving unchanged chats
+  const savedMessagesRef = useRef([]);
+  // AbortController of the answer being generated, if any
+  const activeRequestRef = useRef(null);
+  // Bot message id -> promise of its saved Conversation record
+  const conversationRecordsRef = useRef(new Map());
+  // Language the visit started in, which a new session opens with
+  const initialLanguageRef = useRef(selectedLanguage);
+  // Whether the student picked a language on an earlier visit, which wins over the admin default
+  const languageChosenRef = useRef(getPreferredLanguage(null) !== null);
   const navigate = useNavigate();
+  const t = useTranslation(selectedLanguage);
+
+  if (!answerEngineRef.current) {
+    answerEngineRef.current = new AnswerEngine({
+      knowledgeSource: () => KnowledgeBase.filter({ is_active: true }, "-priority"),
+      fallbackResponses: translationsOf("chat.fallback")
+    });
+  }
+  if (!sessionRecorderRef.current) {
+    sessionRecorderRef.current = new SessionRecorder({ ChatSession, Conversation }, {
+      onInactive: (session) => offerSessionRating(session)
+    });
+  }
+  if (!historyStoreRef.current) {
+    historyStoreRef.current = new ChatHistoryStore();
+  }
+  if (!handoffManagerRef.current) {
+    handoffManagerRef.current = new HumanHandoffManager({
+      HandoffRequest,
+      HandoffMessage,
+      EscalationRule,
+      OfficeHours,
+      serverUrl: getHandoffServerUrl(DEFAULT_SETTINGS)
+    });
+  }
+  if (!contextManagerRef.current) {
+    contextManagerRef.current = new ConversationContextManager({
+      enabled: DEFAULT_SETTINGS.enableContextMemory,
+      maxTurns: DEFAULT_SETTINGS.maxContextTurns
+    });
+  }
+
+  useEffect(() => {
+    loadSettings(ChatbotSettings)
+      .then((loaded) => {
+        contextManagerRef.current.configure({
+          enabled: loaded.enableContextMemory,
+          maxTurns: loaded.maxContextTurns
+        });
+        handoffManagerRef.current.setServerUrl(getHandoffServerUrl(loaded));
+        if (!languageChosenRef.current) {
+          setSelectedLanguage(prev => (prev === initialLanguageRef.current ? loaded.defaultLanguage : prev));
+        }
+        setSettings(loaded);
+      })
+      .catch((error) => console.error("Error loading settings:", error));
+  }, []);
+
+  useEffect(() => {
+    const engine = answerEngineRef.current;
+    engine.loadKnowledge()
+      .then((count) => {
+        // Keep answering common queries on a fresh install with an empty knowledge base
+        if (count === 0) engine.setKnowledge(sampleKnowledge);
+      })
+      .catch((error) => {
+        console.error("Error loading knowledge base:", error);
+        engine.setKnowledge(sampleKnowledge);
+      });
+  }, []);
+
+  useEffect(() => {
+    loadQuickActions(QuickAction)
+      .then(setQuickActions)
+      .catch((error) => {
+        console.error("Error loading quick actions:", error);
+        setQuickActions(DEFAULT_QUICK_ACTIONS);
+      });
+  }, []);
+
+  useEffect(() => {
+    // Rules edited in the admin panel apply to this chat within a minute
+    return handoffManagerRef.current.watchEscalationRules();
+  }, []);
+
+  useEffect(() => {
+    const manager = handoffManagerRef.current;
+    const unsubscribers = [
+      manager.on("queued", setHandoffStatus),
+      manager.on("position", setHandoffStatus),
+      manager.on("agentJoined", setHandoffStatus),
+      manager.on("ended", (ended) => setHandoffStatus(prev => (prev?.handoffId === ended.handoffId ? null : prev)))
+    ];
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, []);
+
+  useEffect(() => {
+    handoffManagerRef.current.loadOfficeHours()
+      .catch((error) => console.error("Error loading office hours:", error));
+  }, []);
+
+  useEffect(() => {
+    // Answers link to uploaded circulars and timetables, shown as cards in the bubble
+    CollegeAsset.list("-created_date")
+      .then(setCollegeAssets)
+      .catch((error) => console.error("Error loading college assets:", error));
+  }, []);
+
+  const showSession = useCallback((saved) => {
+    savedMessagesRef.current = saved.messages;
+    setMessages(prev => [prev[0], ...saved.messages]);
+    contextManagerRef.current.restore(saved.context);
+    // Ratings on resumed answers go to the Conversation records they were saved as
+    conversationRecordsRef.current = new Map(saved.messages
+      .filter(message => message.conversationId)
+      .map(message => [message.id, Promise.resolve({ id: message.conversationId })]));
+    setHistoryId(saved.session_id);
+    setShowQuickActions(false);
+    setFeedbackMessageId(null);
+    if (saved.language) setSelectedLanguage(saved.language);
+  }, []);
+
+  useEffect(() => {
+    const recorder = sessionRecorderRef.current;
+    const contextManager = contextManagerRef.current;
+    const history = historyStoreRef.current;
+    // Set on cleanup, so a mount that is already gone (StrictMode's first one, or a
+    // quick navigation away) doesn't open a session nobody will end
+    let cancelled = false;
+
+    const resumeLastSession = async () => {
+      // A reload picks up the last conversation in this browser, unless it went idle
+      const saved = await history.getSession(recorder.getLastSessionId()).catch((error) => {
+        console.error("Error loading chat history:", error);
+        return null;
+      });
+      if (cancelled) return null;
+      const lastActivity = saved ? new Date(saved.updated_at).getTime() : 0;
+      if (saved && Date.now() - lastActivity <= recorder.inactivityTimeout) {
+        showSession(saved);
+        return recorder.resumeSession(saved.session_id, { language: saved.language, context: saved.context });
+      }
+
+      // Without local history (e.g. private browsing) fall back to the context saved with the session
+      const previousContext = await recorder.findResumableContext().catch((error) => {
+        console.error("Error loading previous chat context:", error);
+        return null;
+      });
+      if (cancelled) return null;
+      contextManager.restore(previousContext);
+      if (contextManager.turns.length > 0) {
+        setMessages(prev => [prev[0], ...contextManager.turns.flatMap((turn, index) => [
+          { id: `resumed-${index}-user`, text: turn.userMessage, isBot: false, timestamp: turn.timestamp },
+          { id: `resumed-${index}-bot`, text: turn.botResponse, isBot: true, timestamp: turn.timestamp, language: turn.language, category: turn.category }
+        ])]);
+        setShowQuickActions(false);
+      }
+      await recorder.closeAbandonedSession().catch((error) => console.error("Error closing previous chat session:", error));
+      if (cancelled) return null;
+      return recorder.startSession({ language: initialLanguageRef.current, context: contextManager.toJSON() });
+    };
+    resumeLastSession().catch((error) => console.error("Error starting chat session:", error));
+
+    // A hidden tab may be closed without another event, so record the end now
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === "hidden") recorder.recordDeparture();
+    };
+    const handlePageHide = () => recorder.recordDeparture();
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+    window.addEventListener("pagehide", handlePageHide);
+
+    return () => {
+      cancelled = true;
+      document.removeEventListener("visibilitychange", handleVisibilityChange);
+      window.removeEventListener("pagehide", handlePageHide);
+      // Also ends a session that is still being opened, once it has been
+      recorder.endSession().catch((error) => console.error("Error ending chat session:", error));
+    };
+  }, [showSession]);
+
+  useEffect(() => {
+    // Signed-in students also get the chats they had on other devices
+    User.me()
+      .catch(() => null)
+      .then((user) => {
+        if (!user) return;
+        setCurrentUser(user);
+        return historyStoreRef.current.syncFromServer({ ChatSession, Conversation }, user.email)
+          .then((count) => count > 0 && setHistoryVersion(v => v + 1));
+      })
+      .catch((error) => console.error("Error syncing chat history:", error));
+  }, []);
+
+  useEffect(() => {
+    historyStoreRef.current.searchSessions(historyQuery)
+      .then(setHistorySessions)
+      .catch((error) => console.error("Error searching chat history:", error));
+  }, [historyQuery, historyVersion]);
+
+  useEffect(() => {
+    // Save once a reply has finished; partial streams and error bubbles aren't history
+    if (messages.some(message => message.streaming)) return;
+    const current = messages.slice(1);
+    const saved = savedMessagesRef.current;
+    if (current.length === saved.length && current.every((message, index) => message === saved[index])) return;
+
+    const sessionMessages = current
+      .filter(message => !message.error)
+      .map(({ retry, ...message }) => message);
+    if (!sessionMessages.some(message => !message.isBot)) return;
+
+    const sessionId = historyId || sessionRecorderRef.current.sessionId;
+    if (!sessionId) return;
+    if (!historyId) setHistoryId(sessionId);
+
+    savedMessagesRef.current = current;
+    historyStoreRef.current.saveSession({
+      session_id: sessionId,
+      language: selectedLanguage,
+      context: contextManagerRef.current.toJSON(),
+      messages: sessionMessages
+    })
+      .then(() => setHistoryVersion(v => v + 1))
+      .catch((error) => console.error("Error saving chat history:", error));
+  }, [messages, historyId, selectedLanguage]);
+
+  useEffect(() => {
+    // Don't keep reading or generating an answer after leaving the chat
+    return () => {
+      speechOutput.stop();
+      activeRequestRef.current?.abort();
+    };
+  }, []);
+
+  const activeHandoffId = activeHandoff?.handoffId;
+
+  useEffect(() => {
+    if (!activeHandoffId) return;
+    const manager = handoffManagerRef.current;
+    const transport = manager.connect(activeHandoffId, { role: "student" });
+    // Agent messages that arrived while the tab was in the background
+    let unread = [];
+    let cancelled = false;
+
+    const markRead = (clientIds) => {
+      if (!transport) return;
+      if (document.visibilityState === "visible") {
+        transport.markRead(clientIds);
+      } else {
+        unread.push(...clientIds);
+      }
+    };
+
+    const showAgentMessages = (incoming) => {
+      // The student's own messages are already on screen
+      const unseen = incoming.filter(message =>
+        message.sender !== "student" && !seenHandoffMessagesRef.current.has(message.clientId));
+      if (unseen.length === 0) return;
+      unseen.forEach(message => seenHandoffMessagesRef.current.add(message.clientId));
+      setMessages(prev => [...prev, ...unseen.map(message => ({
+        id: `agent-${message.clientId}`,
+        text: message.text,
+        isBot: true,
+        timestamp: new Date(message.sentAt),
+        language: message.language,
+        agentName: message.sender === "agent" ? message.senderName : null,
+        handoffId: activeHandoffId
+      }))]);
+      markRead(unseen.filter(message => message.sender === "agent").map(message => message.clientId));
+    };
+
+    const refreshHandoff = async () => {
+      try {
+        let [record, handoffMessages] = await Promise.all([
+          manager.syncHandoffStatus(activeHandoffId),
+          manager.loadMessages(activeHandoffId)
+        ]);
+        if (cancelled) return;
+        // Nobody has picked the student up, likely because no agent console is open
+        if (record && manager.isUnanswered(record)) {
+          record = await manager.convertToTicket(record);
+        }
+
+        showAgentMessages(handoffMessages.map(message => ({
+          clientId: message.client_id || message.id,
+          sender: message.sender,
+          senderName: message.sender_name,
+          text: message.text,
+          language: message.language,
+          sentAt: message.created_date
+        })));
+
+        handoffRecordRef.current = record;
+        const status = record?.status || "pending";
+        if (status === "resolved" && !record.csat_rating) {
+          setHandoffSurvey({
+            handoffId: record.handoff_id,
+            agentName: record.assigned_agent_name,
+            language: record.language
+          });
+        }
+        if (status === "resolved" || status === "cancelled") {
+          handoffRef.current = null;
+          handoffRecordRef.current = null;
+          setActiveHandoff(null);
+          return;
+        }
+        if (status === "ticket") {
+          showTicket({
+            handoffId: record.handoff_id,
+            language: record.language,
+            confirmationMessage: manager.generateTicketConfirmation({
+              handoffId: record.handoff_id,
+              language: record.language,
+              reason: record.ticket_reason,
+              callbackBy: record.callback_by,
+              timezone: manager.getAvailability(record.department).timezone
+            })
+          }, record);
+          handoffRecordRef.current = null;
+          setActiveHandoff(null);
+          return;
+        }
+
+        const agentName = status === "assigned" ? record.assigned_agent_name : null;
+        setActiveHandoff(prev => (prev && prev.agentName !== agentName ? { ...prev, agentName } : prev));
+      } catch (error) {
+        console.error("Error refreshing handoff:", error);
+      }
+    };
+
+    const unsubscribers = transport ? [
+      transport.on("message", (frame) => {
+        showAgentMessages([{ ...frame, language: handoffRef.current?.language }]);
+        // Joins, transfers and closing come as system messages; pick up the new status now
+        if (frame.sender === "system") refreshHandoff();
+      }),
+      transport.on("typing", ({ typing, name }) => setAgentTyping(typing ? name || "" : null)),
+      transport.on("receipt", ({ clientIds, status }) => {
+        setMessages(prev => prev.map(message => (
+          clientIds.includes(message.handoffClientId) &&
+          RECEIPT_ORDER.indexOf(status) > RECEIPT_ORDER.indexOf(message.receipt)
+            ? { ...message, receipt: status }
+            : message
+        )));
+      })
+    ] : [];
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState !== "visible" || unread.length === 0) return;
+      transport.markRead(unread);
+      unread = [];
+    };
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+
+    refreshHandoff();
+    const timer = setInterval(refreshHandoff, HANDOFF_POLL_INTERVAL);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+      document.removeEventListener("visibilitychange", handleVisibilityChange);
+      manager.disconnect(activeHandoffId);
+      setAgentTyping(null);
+    };
+    // Reconnects through the relay once the shared settings name one
+  }, [activeHandoffId, settings.handoffServerUrl]);
 
   useEffect(() => {
     scrollToBottom();
@@ -66,148 +477,418 @@ export default function Chat() {
     setMessages(prev => [
       {
         ...prev[0],
-        text: sampleResponses[selectedLanguage]?.greeting || sampleResponses.en.greeting,
+        text: translate(selectedLanguage, "chat.greeting"),
         language: selectedLanguage
       },
       ...prev.slice(1)
     ]);
+    setPreferredLanguage(selectedLanguage);
   }, [selectedLanguage]);
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
   };
 
-  const handleSendMessage = async (message = inputMessage) => {
-    if (!message.trim()) return;
+  const resetChat = () => {
+    activeRequestRef.current?.abort();
+    speechOutput.stop();
+    setMessages(prev => [prev[0]]);
+    savedMessagesRef.current = [];
+    contextManagerRef.current.clear();
+    conversationRecordsRef.current = new Map();
+    escalatedMessagesRef.current = new Set();
+    setHistoryId(null);
+    setShowQuickActions(true);
+    setFeedbackMessageId(null);
+  };
+
+  // Ask about a session once it is over, if the student asked anything in it
+  const offerSessionRating = (session) => {
+    if (session?.total_messages > 0 && !session.satisfaction_rating) {
+      setRatingSession(session);
+    }
+  };
+
+  const handleNewChat = async () => {
+    const recorder = sessionRecorderRef.current;
+    resetChat();
+    try {
+      offerSessionRating(await recorder.endSession());
+      await recorder.startSession({ language: selectedLanguage });
+    } catch (error) {
+      console.error("Error starting new chat session:", error);
+    }
+  };
+
+  const handleResumeSession = async (sessionId) => {
+    if (sessionId === historyId) return;
+    const recorder = sessionRecorderRef.current;
+    try {
+      const saved = await historyStoreRef.current.getSession(sessionId);
+      if (!saved) return;
+      resetChat();
+      showSession(saved);
+      offerSessionRating(await recorder.endSession());
+      await recorder.resumeSession(saved.session_id, { language: saved.language, context: saved.context });
+    } catch (error) {
+      console.error("Error resuming chat session:", error);
+    }
+  };
+
+  const handleDeleteSession = async (sessionId) => {
+    if (sessionId === historyId) {
+      await handleNewChat();
+    }
+    try {
+      await historyStoreRef.current.deleteSession(sessionId);
+      // Synced sessions would come back from the server on the next sync
+      if (currentUser) {
+        await sessionRecorderRef.current.deleteSession(sessionId);
+      }
+      setRatingSession(prev => (prev?.session_id === sessionId ? null : prev));
+    } catch (error) {
+      console.error("Error deleting chat session:", error);
+    }
+    setHistoryVersion(v => v + 1);
+  };
+
+  const updateMessage = (id, changes) => {
+    setMessages(prev => prev.map(m => m.id === id ? { ...m, ...changes } : m));
+  };
+
+  const requestAnswer = async ({ message, replyLanguage, messageLanguage, category }) => {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, RESPONSE_TIMEOUT);
+    activeRequestRef.current = controller;
+    setIsLoading(true);
+
+    // The bubble is added empty and filled in as the reply streams
+    const botId = Date.now() + 1;
+    setMessages(prev => [...prev, {
+      id: botId,
+      text: "",
+      isBot: true,
+      timestamp: new Date(),
+      language: replyLanguage,
+      streaming: true
+    }]);
+
+    const startedAt = performance.now();
+    let responseTimeMs = null;
+
+    try {
+      const resolved = contextManagerRef.current.resolve(message);
+      const answer = await answerEngineRef.current.streamAnswer(resolved.query, {
+        language: replyLanguage,
+        category,
+        signal: controller.signal,
+        onToken: (text) => {
+          // Response time is how long the student waited for the reply to start
+          responseTimeMs ??= performance.now() - startedAt;
+          updateMessage(botId, { text });
+        }
+      });
+
+      contextManagerRef.current.addTurn({
+        userMessage: message,
+        botResponse: answer.text,
+        category: answer.category,
+        entities: resolved.entities,
+        language: answer.language
+      });
+
+      const conversationRecord = sessionRecorderRef.current.recordExchange({
+        userMessage: message,
+        botResponse: answer.text,
+        language: messageLanguage,
+        category: answer.category,
+        confidence: answer.confidence,
+        responseTimeMs: responseTimeMs ?? performance.now() - startedAt,
+        context: contextManagerRef.current.toJSON()
+      });
+      conversationRecordsRef.current.set(botId, conversationRecord);
+      conversationRecord
+        // Kept on the message so ratings still reach the record after the chat is resumed
+        .then((record) => updateMessage(botId, { conversationId: record.id }))
+        .catch((error) => console.error("Error saving conversation:", error));
+
+      updateMessage(botId, {
+        text: answer.text,
+        language: answer.language,
+        confidence: answer.confidence,
+        category: answer.category,
+        // Cited in exported transcripts
+        source: answer.source ? { id: answer.source.id, question: answer.source.question } : null,
+        streaming: false
+      });
+    } catch (error) {
+      if (controller.signal.aborted && !timedOut) {
+        // Stopped by the student: keep what had arrived, drop an empty bubble
+        setMessages(prev => prev
+          .filter(m => m.id !== botId || m.text)
+          .map(m => m.id === botId ? { ...m, streaming: false, stopped: true } : m));
+      } else {
+        if (!timedOut) console.error("Error answering message:", error);
+        updateMessage(botId, {
+          text: translate(replyLanguage, timedOut ? "chat.timeout" : "chat.failed"),
+          streaming: false,
+          error: true,
+          retry: { message, replyLanguage, messageLanguage, category }
+        });
+      }
+    } finally {
+      clearTimeout(timer);
+      activeRequestRef.current = null;
+      setIsLoading(false);
+    }
+  };
+
+  const startHandoff = async (escalation, language) => {
+    if (handoffRef.current) return;
+    handoffRef.current = "requesting";
+
+    const turns = contextManagerRef.current.turns;
+    const context = turns.map(turn => ({
+      message: turn.userMessage,
+      response: turn.botResponse,
+      category: turn.category,
+      language: turn.language,
+      timestamp: turn.timestamp
+    }));
+    const userId = currentUser?.email || sessionRecorderRef.current.sessionId || "anonymous";
+
+    try {
+      await handoffManagerRef.current.loadOfficeHours();
+      const handoff = await handoffManagerRef.current.initiateHandoff(userId, context, {
+        ...escalation,
+        recommendation: escalation.recommendation || DEFAULT_HANDOFF_RECOMMENDATION,
+        language,
+        sessionId: sessionRecorderRef.current.sessionId,
+        contact: { email: currentUser?.email }
+      });
+      if (handoff.ticket) {
+        showTicket(handoff, { contact_email: currentUser?.email });
+      } else {
+        handoffRef.current = handoff;
+        setActiveHandoff(handoff);
+        setMessages(prev => [...prev, {
+          id: `handoff-${handoff.handoffId}`,
+          text: handoff.confirmationMessage,
+          isBot: true,
+          timestamp: new Date(),
+          language: handoff.language,
+          handoffId: handoff.handoffId
+        }]);
+      }
+
+      // Every answered turn handed over with this request counts as escalated
+      const escalated = [...conversationRecordsRef.current.entries()]
+        .filter(([messageId]) => !escalatedMessagesRef.current.has(messageId));
+      escalated.forEach(([messageId]) => escalatedMessagesRef.current.add(messageId));
+      const records = await Promise.all(escalated.map(([, record]) => record.catch(() => null)));
+      await sessionRecorderRef.current.markEscalated(records.filter(Boolean).map(record => record.id));
+    } catch (error) {
+      console.error("Error requesting human handoff:", error);
+      if (handoffRef.current === "requesting") handoffRef.current = null;
+    }
+  };
+
+  // Tell the student their request is a ticket and ask how to call them back.
+  // The ticket stays in handoffRef so later messages don't open more tickets.
+  const showTicket = (handoff, record = {}) => {
+    handoffRef.current = { ...handoff, ticket: true };
+    setTicket({
+      handoffId: handoff.handoffId,
+      language: handoff.language,
+      email: record.contact_email || "",
+      phone: record.contact_phone || ""
+    });
+    setMessages(prev => (prev.some(message => message.id === `ticket-${handoff.handoffId}`) ? prev : [...prev, {
+      id: `ticket-${handoff.handoffId}`,
+      text: handoff.confirmationMessage,
+      isBot: true,
+      timestamp: new Date(),
+      language: handoff.language,
+      handoffId: handoff.handoffId
+    }]));
+  };
+
+  const handleSaveTicketContact = async (contact) => {
+    try {
+      const record = await handoffManagerRef.current.syncHandoffStatus(ticket.handoffId);
+      await handoffManagerRef.current.updateTicketContact(record, contact);
+      setMessages(prev => [...prev, {
+        id: `ticket-contact-${Date.now()}`,
+        text: translate(ticket.language, "handoff.contactSaved", {
+          contact: [contact.email, contact.phone].filter(Boolean).join(", ")
+        }),
+        isBot: true,
+        timestamp: new Date(),
+        language: ticket.language
+      }]);
+      setTicket(null);
+    } catch (error) {
+      console.error("Error saving callback details:", error);
+    }
+  };
+
+  const handleCancelHandoff = async () => {
+    const { handoffId, language } = handoffStatus;
+    try {
+      await handoffManagerRef.current.cancelHandoff(handoffId);
+      handoffRef.current = null;
+      handoffRecordRef.current = null;
+      setActiveHandoff(null);
+      setHandoffStatus(null);
+      setMessages(prev => [...prev, {
+        id: `handoff-cancelled-${handoffId}`,
+        text: translate(language, "handoff.cancelled"),
+        isBot: true,
+        timestamp: new Date(),
+        language
+      }]);
+    } catch (error) {
+      console.error("Error cancelling handoff:", error);
+    }
+  };
+
+  const handleSurveySubmit = (survey) => {
+    const { handoffId } = handoffSurvey;
+    setTimeout(() => setHandoffSurvey(null), 2000);
+    handoffManagerRef.current.submitSatisfaction(handoffId, survey)
+      .catch((error) => console.error("Error saving handoff survey:", error));
+  };
+
+  const handleHumanHelp = () => {
+    // Asking again after a ticket is a new request, e.g. once the office has opened
+    if (handoffRef.current?.ticket) handoffRef.current = null;
+    const lastQuestion = [...messages].reverse().find(message => !message.isBot);
+    const analysis = lastQuestion
+      ? handoffManagerRef.current.analyzeEscalationNeed(lastQuestion.text, [])
+      : {};
+    // The department comes from the last question when it names one; asking is reason enough
+    startHandoff({ ...analysis, shouldEscalate: true, requestedByUser: true }, selectedLanguage);
+  };
+
+  const handleSendMessage = async (message = inputMessage, { category } = {}) => {
+    if (!message.trim() || activeRequestRef.current) return;
+
+    const detection = detectLanguage(message);
+    const shouldSwitchLanguage = settings.autoDetectLanguage &&
+      detection.confidence >= LANGUAGE_SWITCH_CONFIDENCE &&
+      detection.language !== selectedLanguage &&
+      settings.supportedLanguages.includes(detection.language);
+    const replyLanguage = shouldSwitchLanguage ? detection.language : selectedLanguage;
+    if (shouldSwitchLanguage) {
+      setSelectedLanguage(detection.language);
+    }
+
+    // Once an agent has picked up the request, they answer instead of the assistant
+    const handoffRecord = handoffRecordRef.current?.status === "assigned" ? handoffRecordRef.current : null;
 
     const userMessage = {
       id: Date.now(),
       text: message,
       isBot: false,
-      timestamp: new Date()
+      timestamp: new Date(),
+      language: detection.language,
+      ...(handoffRecord && { handoffClientId: createClientId(), receipt: "sending" })
     };
 
+    // Judged against the earlier turns, before this one is added
+    const escalation = handoffManagerRef.current.analyzeEscalationNeed(
+      message,
+      contextManagerRef.current.turns.map(turn => ({ message: turn.userMessage }))
+    );
+
     setMessages(prev => [...prev, userMessage]);
     setInputMessage("");
-    setIsLoading(true);
     setShowQuickActions(false);
 
-    // Simulate AI response with context management
-    setTimeout(() => {
-      let responseText = "";
-      const currentLang = sampleResponses[selectedLanguage] || sampleResponses.en;
-      
-      // Basic intent recognition simulation
-      const lowerMessage = message.toLowerCase();
-      if (lowerMessage.includes('fee') || lowerMessage.includes('फीस')) {
-        responseText = selectedLanguage === 'hi' 
-          ? "फीस संबंधी जानकारी: शैक्षणिक वर्ष 2024-25 के लिए फीस ₹50,000 है। अंतिम तारीख 15 जनवरी है। ऑनलाइन भुगतान के लिए कॉलेज पोर्टल का उपयोग करें।"
-          : "Fee Information: The academic fee for 2024-25 is ₹50,000. Last date for payment is January 15th. You can pay online through the college portal or visit the accounts office.";
-      } else if (lowerMessage.includes('scholarship') || lowerMessage.includes('छात्रवृत्ति')) {
-        responseText = selectedLanguage === 'hi'
-          ? "छात्रवृत्ति जानकारी: मेधावी छात्रवृत्ति, आर्थिक सहायता, और विशेष श्रेणी छात्रवृत्ति उपलब्ध है। आवेदन की अंतिम तारीख 30 दिसंबर है।"
-          : "Scholarship Information: Merit scholarships, financial aid, and category-specific scholarships are available. Application deadline is December 30th. Visit the scholarship cell for more details.";
-      } else if (lowerMessage.includes('timetable') || lowerMessage.includes('समय')) {
-        responseText = selectedLanguage === 'hi'
-          ? "समय सारणी: कक्षाएं सुबह 9:00 बजे से शुरू होती हैं। नवीनतम समय सारणी कॉलेज वेबसाइट पर उपलब्ध है।"
-          : "Timetable: Classes start at 9:00 AM. The latest timetable is available on the college website and notice board. Check for any updates regularly.";
-      } else {
-        responseText = currentLang.helpPrompt + " I can help you with fees, scholarships, timetables, admissions, exam schedules, and general college information.";
+    if (handoffRecord) {
+      try {
+        await handoffManagerRef.current.postMessage(handoffRecord, {
+          sender: "student",
+          text: message,
+          clientId: userMessage.handoffClientId
+        });
+        setMessages(prev => prev.map(m => (
+          m.id === userMessage.id && m.receipt === "sending" ? { ...m, receipt: "sent" } : m
+        )));
+      } catch (error) {
+        console.error("Error sending message to agent:", error);
       }
-      
-      const botResponse = {
-        id: Date.now() + 1,
-        text: responseText,
-        isBot: true,
-        timestamp: new Date(),
-        language: selectedLanguage,
-        confidence: 0.95
-      };
-      
-      setMessages(prev => [...prev, botResponse]);
-      setIsLoading(false);
-    }, 1500);
+      return;
+    }
+
+    await requestAnswer({ message, replyLanguage, messageLanguage: detection.language, category });
+
+    if (escalation.shouldEscalate) {
+      await startHandoff(escalation, replyLanguage);
+    }
   };
 
-  const handleKeyPress = (e) => {
-    if (e.key === "Enter" && !e.shiftKey) {
-      e.preventDefault();
-      handleSendMessage();
+  const handleInputChange = (value) => {
+    setInputMessage(value);
+    if (handoffRecordRef.current?.status === "assigned") {
+      handoffManagerRef.current.getTransport(activeHandoffId)?.setTyping(value.length > 0);
     }
   };
 
-  const MessageBubble = ({ message, isBot, timestamp, language, confidence }) => {
-    return (
-      <div className={`flex gap-3 mb-4 ${isBot ? '' : 'justify-end'}`}>
-        <div className={`flex gap-3 max-w-[80%] ${isBot ? '' : 'flex-row-reverse'}`}>
-          <div className={`flex-shrink-0 w-8 h-8 rounded-full flex items-center justify-center ${
-            isBot ? 'bg-blue-100' : 'bg-gray-100'
-          }`}>
-            {isBot ? (
-              <Bot className="w-4 h-4 text-blue-600" />
-            ) : (
-              <User className="w-4 h-4 text-gray-600" />
-            )}
-          </div>
+  const handleStop = () => {
+    activeRequestRef.current?.abort();
+  };
 
-          <div className={`rounded-2xl px-4 py-3 ${
-            isBot 
-              ? 'bg-white border border-gray-200 shadow-sm' 
-              : 'bg-blue-500 text-white'
-          }`}>
-            <div className="flex flex-col gap-2">
-              {isBot && language && (
-                <div className="flex items-center gap-2 mb-2">
-                  <span className="text-xs bg-gray-100 text-gray-700 px-2 py-1 rounded">
-                    {languages.find(l => l.code === language)?.name || 'English'}
-                  </span>
-                  {confidence && (
-                    <span className="text-xs bg-blue-100 text-blue-700 px-2 py-1 rounded">
-                      {Math.round(confidence * 100)}% confident
-                    </span>
-                  )}
-                </div>
-              )}
+  const handleRetry = async (failedMessage) => {
+    if (activeRequestRef.current) return;
+    setMessages(prev => prev.filter(m => m.id !== failedMessage.id));
+    await requestAnswer(failedMessage.retry);
+  };
 
-              <p className={`text-sm leading-relaxed ${isBot ? 'text-gray-800' : 'text-white'}`}>
-                {message}
-              </p>
+  const handleRateMessage = async (messageId, rating) => {
+    setMessages(prev => prev.map(m => m.id === messageId ? { ...m, rating } : m));
+    setFeedbackMessageId(rating === 1 ? messageId : null);
 
-              {timestamp && (
-                <span className={`text-xs ${isBot ? 'text-gray-500' : 'text-blue-100'}`}>
-                  {new Date(timestamp).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}
-                </span>
-              )}
+    try {
+      const conversation = await conversationRecordsRef.current.get(messageId);
+      await sessionRecorderRef.current.rateConversation(conversation.id, { rating });
+    } catch (error) {
+      console.error("Error saving rating:", error);
+    }
+  };
 
-              {isBot && (
-                <div className="flex items-center gap-1 mt-2 pt-2 border-t border-gray-100">
-                  <button className="p-1 hover:bg-gray-100 rounded">
-                    <Volume2 className="w-3 h-3 text-gray-500" />
-                  </button>
-                  <button className="p-1 hover:bg-gray-100 rounded">
-                    <Copy className="w-3 h-3 text-gray-500" />
-                  </button>
-                  <div className="flex items-center gap-1 ml-2">
-                    <button className="p-1 hover:bg-gray-100 rounded">
-                      <ThumbsDown className="w-3 h-3 text-gray-400 hover:text-red-500" />
-                    </button>
-                    <button className="p-1 hover:bg-gray-100 rounded">
-                      <ThumbsUp className="w-3 h-3 text-gray-400 hover:text-green-500" />
-                    </button>
-                  </div>
-                </div>
-              )}
-            </div>
-          </div>
-        </div>
-      </div>
-    );
+  const handleFeedbackSubmit = async (messageId, comment) => {
+    setFeedbackMessageId(null);
+    try {
+      const conversation = await conversationRecordsRef.current.get(messageId);
+      await sessionRecorderRef.current.rateConversation(conversation.id, { rating: 1, comment });
+    } catch (error) {
+      console.error("Error saving feedback:", error);
+    }
+  };
+
+  const handleSessionRating = (rating) => {
+    const session = ratingSession;
+    setTimeout(() => setRatingSession(prev => (prev === session ? null : prev)), 2000);
+    sessionRecorderRef.current.rateSession(rating, session)
+      .catch((error) => console.error("Error saving session rating:", error));
+  };
+
+  const handleKeyPress = (e) => {
+    if (e.key === "Enter" && !e.shiftKey) {
+      e.preventDefault();
+      handleSendMessage();
+    }
   };
 
   return (
     <div className="h-screen flex bg-gray-50">
       {/* Sidebar */}
-      <div className={`bg-white border-r border-gray-200 transition-all duration-300 ${
+      <div className={`bg-white border-r border-gray-200 transition-all duration-300 flex flex-col ${
         sidebarOpen ? 'w-64' : 'w-16'
       }`}>
         <div className="p-4">
@@ -219,7 +900,7 @@ export default function Chat() {
               <Menu className="w-5 h-5" />
             </button>
             {sidebarOpen && (
-              <h2 className="font-bold text-gray-900">Campus Assist</h2>
+              <h2 className="font-bold text-gray-900">{t('app.name')}</h2>
             )}
           </div>
         </div>
@@ -231,7 +912,7 @@ export default function Chat() {
               className="w-full flex items-center gap-3 px-3 py-2 text-blue-600 bg-blue-50 rounded-lg"
             >
               <MessageCircle className="w-5 h-5" />
-              {sidebarOpen && <span>Chat</span>}
+              {sidebarOpen && <span>{t('nav.chat')}</span>}
             </button>
             
             <button 
@@ -239,7 +920,7 @@ export default function Chat() {
               className="w-full flex items-center gap-3 px-3 py-2 text-gray-600 hover:bg-gray-100 rounded-lg"
             >
               <BarChart3 className="w-5 h-5" />
-              {sidebarOpen && <span>Analytics</span>}
+              {sidebarOpen && <span>{t('nav.analytics')}</span>}
             </button>
             
             <button 
@@ -247,7 +928,7 @@ export default function Chat() {
               className="w-full flex items-center gap-3 px-3 py-2 text-gray-600 hover:bg-gray-100 rounded-lg"
             >
               <UserCog className="w-5 h-5" />
-              {sidebarOpen && <span>Admin</span>}
+              {sidebarOpen && <span>{t('nav.admin')}</span>}
             </button>
             
             <button 
@@ -255,10 +936,24 @@ export default function Chat() {
               className="w-full flex items-center gap-3 px-3 py-2 text-gray-600 hover:bg-gray-100 rounded-lg"
             >
               <Settings className="w-5 h-5" />
-              {sidebarOpen && <span>Settings</span>}
+              {sidebarOpen && <span>{t('nav.settings')}</span>}
             </button>
           </div>
         </nav>
+
+        <div className="border-t border-gray-200 mt-4 pt-2 flex-1 min-h-0 flex flex-col">
+          <HistorySidebar
+            sessions={historySessions}
+            query={historyQuery}
+            onQueryChange={setHistoryQuery}
+            activeSessionId={historyId}
+            onSelect={handleResumeSession}
+            onDelete={handleDeleteSession}
+            onNewChat={handleNewChat}
+            expanded={sidebarOpen}
+            language={selectedLanguage}
+          />
+        </div>
       </div>
 
       {/* Main Chat Area */}
@@ -267,87 +962,140 @@ export default function Chat() {
         <div className="bg-white border-b border-gray-200 p-4">
           <div className="flex justify-between items-center">
             <div>
-              <h1 className="text-xl font-bold text-gray-900">Multilingual Campus Assistant</h1>
-              <p className="text-sm text-gray-600">Smart India Hackathon 2024 - Campus Query Solution</p>
+              <h1 className="text-xl font-bold text-gray-900">{t('chat.title')}</h1>
+              <p className="text-sm text-gray-600">{t('chat.subtitle')}</p>
             </div>
             <div className="flex items-center gap-3">
-              {/* Language Selector */}
-              <div className="flex items-center gap-2">
-                <Globe className="w-4 h-4 text-gray-500" />
-                <select 
-                  value={selectedLanguage} 
-                  onChange={(e) => setSelectedLanguage(e.target.value)}
-                  className="border border-gray-200 rounded px-3 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
-                >
-                  {languages.map((lang) => (
-                    <option key={lang.code} value={lang.code}>
-                      {lang.nativeName}
-                    </option>
-                  ))}
-                </select>
-              </div>
-              <button className="flex items-center gap-2 px-3 py-2 border border-gray-200 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-50">
+              <LanguageSelector
+                selectedLanguage={selectedLanguage}
+                onLanguageChange={setSelectedLanguage}
+              />
+              <button
+                onClick={() => setShowExportDialog(true)}
+                title={t('transcript.export')}
+                aria-label={t('transcript.export')}
+                className="p-2 border border-gray-200 rounded-lg text-gray-700 hover:bg-gray-50"
+              >
+                <Download className="w-4 h-4" />
+              </button>
+              <button
+                onClick={handleHumanHelp}
+                disabled={!!activeHandoff}
+                className="flex items-center gap-2 px-3 py-2 border border-gray-200 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-60 disabled:cursor-not-allowed"
+              >
                 <PhoneCall className="w-4 h-4" />
-                Human Help
+                {activeHandoff?.agentName
+                  ? t('handoff.withAgent', { name: activeHandoff.agentName })
+                  : activeHandoff ? t('handoff.connecting') : t('chat.humanHelp')}
               </button>
             </div>
           </div>
         </div>
 
+        {handoffStatus && (
+          <HandoffStatus
+            status={handoffStatus}
+            onCancel={handleCancelHandoff}
+            language={selectedLanguage}
+          />
+        )}
+
         {/* Messages Area */}
         <div className="flex-1 overflow-y-auto p-4">
-          {messages.map((message) => (
-            <MessageBubble
-              key={message.id}
-              message={message.text}
-              isBot={message.isBot}
-              timestamp={message.timestamp}
-              language={message.language}
-              confidence={message.confidence}
-            />
+          {messages.filter(message => message.text).map((message) => (
+            <React.Fragment key={message.id}>
+              <MessageBubble
+                messageId={message.id}
+                message={message.text}
+                isBot={message.isBot}
+                timestamp={message.timestamp}
+                language={message.language}
+                confidence={message.confidence}
+                agentName={message.agentName}
+                receipt={message.receipt}
+                uiLanguage={selectedLanguage}
+                assets={collegeAssets}
+                rating={message.rating}
+                streaming={message.streaming}
+                stopped={message.stopped}
+                error={message.error}
+                onRetry={message.retry ? () => handleRetry(message) : undefined}
+                onRate={conversationRecordsRef.current.has(message.id)
+                  ? (rating) => handleRateMessage(message.id, rating)
+                  : undefined}
+              />
+              {feedbackMessageId === message.id && (
+                <RatingFollowUp
+                  language={selectedLanguage}
+                  onSubmit={(comment) => handleFeedbackSubmit(message.id, comment)}
+                  onSkip={() => setFeedbackMessageId(null)}
+                />
+              )}
+              {ticket && message.id === `ticket-${ticket.handoffId}` && (
+                <TicketContactForm
+                  key={ticket.handoffId}
+                  reference={ticket.handoffId}
+                  email={ticket.email}
+                  phone={ticket.phone}
+                  language={ticket.language}
+                  onSave={handleSaveTicketContact}
+                />
+              )}
+            </React.Fragment>
           ))}
 
-          {isLoading && (
+          {isLoading && !messages.some(message => message.streaming && message.text) && (
             <div className="flex justify-start">
               <div className="bg-white border border-gray-200 rounded-2xl px-4 py-3 shadow-sm">
                 <div className="flex items-center gap-2">
                   <div className="w-4 h-4 border-2 border-gray-200 border-t-blue-600 rounded-full animate-spin"></div>
                   <span className="text-sm text-gray-600">
-                    {sampleResponses[selectedLanguage]?.thinking || "Processing your query..."}
+                    {t('chat.thinking')}
                   </span>
                 </div>
               </div>
             </div>
           )}
 
+          {agentTyping !== null && (
+            <p className="text-xs text-gray-500 italic mb-2" aria-live="polite">
+              {t('handoff.agentTyping', { name: agentTyping || activeHandoff?.agentName || "" })}
+            </p>
+          )}
+
+          {handoffSurvey && (
+            <HandoffSurvey
+              key={handoffSurvey.handoffId}
+              agentName={handoffSurvey.agentName}
+              language={handoffSurvey.language}
+              onSubmit={handleSurveySubmit}
+              onSkip={() => setHandoffSurvey(null)}
+            />
+          )}
+
           <div ref={messagesEndRef} />
         </div>
 
         {/* Quick Actions */}
         {showQuickActions && messages.length <= 1 && (
           <div className="p-4">
-            <div className="bg-white rounded-xl p-4 border border-gray-200">
-              <h3 className="text-sm font-semibold text-gray-700 mb-3">
-                {selectedLanguage === 'hi' ? 'त्वरित सहायता' : 'Quick Help'}
-              </h3>
-              <div className="grid grid-cols-2 md:grid-cols-3 gap-2">
-                {quickActions.map((action, index) => {
-                  const Icon = action.icon;
-                  return (
-                    <button
-                      key={index}
-                      onClick={() => handleSendMessage(action.query)}
-                      className="flex items-center gap-2 p-3 text-left border border-gray-200 rounded-lg hover:bg-blue-50 hover:border-blue-300 transition-colors"
-                    >
-                      <Icon className="w-4 h-4 text-blue-500 flex-shrink-0" />
-                      <span className="text-xs font-medium text-gray-700">
-                        {selectedLanguage === 'hi' ? action.labelHi : action.label}
-                      </span>
-                    </button>
-                  );
-                })}
-              </div>
-            </div>
+            <QuickActions
+              actions={quickActions}
+              language={selectedLanguage}
+              onActionClick={(query, category) => handleSendMessage(query, { category })}
+            />
+          </div>
+        )}
+
+        {/* Session Satisfaction */}
+        {ratingSession && (
+          <div className="px-4 pb-2">
+            <SatisfactionPrompt
+              key={ratingSession.session_id}
+              language={selectedLanguage}
+              onRate={handleSessionRating}
+              onDismiss={() => setRatingSession(null)}
+            />
           </div>
         )}
 
@@ -357,28 +1105,59 @@ export default function Chat() {
             <input
               type="text"
               value={inputMessage}
-              onChange={(e) => setInputMessage(e.target.value)}
+              onChange={(e) => handleInputChange(e.target.value)}
               onKeyPress={handleKeyPress}
-              placeholder={selectedLanguage === 'hi' ? 'यहाँ अपना प्रश्न लिखें...' : 'Type your question here...'}
-              disabled={isLoading}
+              placeholder={isListening ? t('voice.listening') : t('chat.placeholder')}
+              disabled={isListening}
               className="flex-1 border border-gray-200 rounded-lg px-4 py-3 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
             />
-            <button
-              onClick={() => handleSendMessage()}
-              disabled={isLoading || !inputMessage.trim()}
-              className="px-4 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-            >
-              <Send className="w-5 h-5" />
-            </button>
+            <VoiceInputButton
+              language={selectedLanguage}
+              onInterim={setInputMessage}
+              onSubmit={(transcript) => handleSendMessage(transcript)}
+              onError={setVoiceError}
+              onListeningChange={setIsListening}
+              disabled={isLoading}
+            />
+            {isLoading ? (
+              <button
+                onClick={handleStop}
+                title={t('chat.stop')}
+                aria-label={t('chat.stop')}
+                className="px-4 py-3 bg-gray-700 text-white rounded-lg hover:bg-gray-800 transition-colors"
+              >
+                <Square className="w-5 h-5" />
+              </button>
+            ) : (
+              <button
+                onClick={() => handleSendMessage()}
+                disabled={isListening || !inputMessage.trim()}
+                className="px-4 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                <Send className="w-5 h-5" />
+              </button>
+            )}
           </div>
-          <p className="text-xs text-gray-500 mt-2 text-center">
-            {selectedLanguage === 'hi' 
-              ? 'आप हिंदी, अंग्रेजी या अन्य भारतीय भाषाओं में प्रश्न पूछ सकते हैं'
-              : 'You can ask questions in Hindi, English, or other Indian languages'
-            }
-          </p>
+          {voiceError ? (
+            <p className="text-xs text-red-600 mt-2 text-center" role="alert">
+              {t(`voice.${voiceError}`)}
+            </p>
+          ) : (
+            <p className="text-xs text-gray-500 mt-2 text-center">
+              {isListening ? t('voice.listening') : t('chat.inputHint')}
+            </p>
+          )}
         </div>
       </div>
+
+      <ExportTranscriptDialog
+        open={showExportDialog}
+        onClose={() => setShowExportDialog(false)}
+        messages={messages.slice(1)}
+        assets={collegeAssets}
+        language={selectedLanguage}
+        supportEmail={settings.humanSupportEmail}
+      />
     </div>
   );
 }
\ No newline at end of file
@@ -1,4 +1,5 @@
-import React, { useState } from "react";
+import React, { useState, useEffect } from "react";
+import { ChatbotSettings } from "@/entities/all";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
@@ -9,46 +10,22 @@ import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import { Badge } from "@/components/ui/badge";
 import { Alert, AlertDescription } from "@/components/ui/alert";
 import { Settings as SettingsIcon, Globe, Bot, Shield, Bell, Save, RefreshCw } from "lucide-react";
+import { BUILD_HANDOFF_SERVER_URL, DEFAULT_SETTINGS, loadSettings, saveSettings } from "../services/SettingsStore";
 
 export default function Settings() {
-  const [settings, setSettings] = useState({
-    // General Settings
-    chatbotName: "Campus Assistant",
-    welcomeMessage: "Hello! I'm your campus assistant. I can help you with fees, scholarships, timetables, and other college information.",
-    defaultLanguage: "en",
-    enableMultilingual: true,
-    maxResponseLength: 500,
-    
-    // Language Settings
-    supportedLanguages: ["en", "hi", "mr", "gu"],
-    autoDetectLanguage: true,
-    
-    // Bot Behavior
-    confidenceThreshold: 0.7,
-    escalationThreshold: 0.5,
-    enableContextMemory: true,
-    maxContextTurns: 5,
-    
-    // Integration Settings
-    humanSupportEmail: "support@college.edu",
-    humanSupportPhone: "+91-XXX-XXXXXXX",
-    officeHours: "9:00 AM - 5:00 PM",
-    
-    // Analytics & Privacy
-    enableAnalytics: true,
-    logConversations: true,
-    retainDataDays: 90,
-    anonymizeData: false,
-    
-    // Notifications
-    enableEmailAlerts: true,
-    lowConfidenceAlert: true,
-    dailySummaryReport: true
-  });
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
 
+  const [isLoading, setIsLoading] = useState(true);
   const [isSaving, setIsSaving] = useState(false);
   const [savedMessage, setSavedMessage] = useState("");
 
+  useEffect(() => {
+    loadSettings(ChatbotSettings)
+      .then(setSettings)
+      .catch((error) => console.error("Error loading settings:", error))
+      .finally(() => setIsLoading(false));
+  }, []);
+
   const languages = [
     { code: "en", name: "English", nativeName: "English" },
     { code: "hi", name: "Hindi", nativeName: "हिंदी" },
@@ -62,9 +39,14 @@ export default function Settings() {
 
   const handleSave = async () => {
     setIsSaving(true);
-    // Simulate API call
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    setSavedMessage("Settings saved successfully!");
+    try {
+      // Empty or out-of-range numbers are saved as the nearest allowed value
+      setSettings(await saveSettings(ChatbotSettings, settings));
+      setSavedMessage("Settings saved successfully!");
+    } catch (error) {
+      console.error("Error saving settings:", error);
+      setSavedMessage("Failed to save settings. Please try again.");
+    }
     setIsSaving(false);
     setTimeout(() => setSavedMessage(""), 3000);
   };
@@ -92,7 +74,7 @@ export default function Settings() {
           </div>
           <Button
             onClick={handleSave}
-            disabled={isSaving}
+            disabled={isSaving || isLoading}
             className="bg-blue-600 hover:bg-blue-700"
           >
             {isSaving ? (
@@ -175,7 +157,7 @@ export default function Settings() {
                     <Input
                       type="number"
                       value={settings.maxResponseLength}
-                      onChange={(e) => handleSettingChange("maxResponseLength", parseInt(e.target.value))}
+                      onChange={(e) => handleSettingChange("maxResponseLength", e.target.value)}
                       min="100"
                       max="1000"
                     />
@@ -268,7 +250,7 @@ export default function Settings() {
                       min="0"
                       max="1"
                       value={settings.confidenceThreshold}
-                      onChange={(e) => handleSettingChange("confidenceThreshold", parseFloat(e.target.value))}
+                      onChange={(e) => handleSettingChange("confidenceThreshold", e.target.value)}
                     />
                     <p className="text-xs text-gray-500 mt-1">
                       Minimum confidence required to provide automated response (0.0-1.0)
@@ -283,7 +265,7 @@ export default function Settings() {
                       min="0"
                       max="1"
                       value={settings.escalationThreshold}
-                      onChange={(e) => handleSettingChange("escalationThreshold", parseFloat(e.target.value))}
+                      onChange={(e) => handleSettingChange("escalationThreshold", e.target.value)}
                     />
                     <p className="text-xs text-gray-500 mt-1">
                       Confidence below which queries are escalated to humans
@@ -310,7 +292,7 @@ export default function Settings() {
                       min="1"
                       max="10"
                       value={settings.maxContextTurns}
-                      onChange={(e) => handleSettingChange("maxContextTurns", parseInt(e.target.value))}
+                      onChange={(e) => handleSettingChange("maxContextTurns", e.target.value)}
                     />
                     <p className="text-xs text-gray-500 mt-1">
                       Number of previous messages to remember
@@ -352,12 +334,23 @@ export default function Settings() {
 
                 <div>
                   <label className="text-sm font-medium mb-2 block">Office Hours</label>
+                  <p className="text-sm text-gray-600">
+                    Weekly hours and holidays for each department are set in Admin → Office Hours.
+                    Handoffs outside them become callback tickets.
+                  </p>
+                </div>
+
+                <div>
+                  <label className="text-sm font-medium mb-2 block">Live Chat Server</label>
                   <Input
-                    value={settings.officeHours}
-                    onChange={(e) => handleSettingChange("officeHours", e.target.value)}
-                    placeholder="9:00 AM - 5:00 PM"
+                    value={settings.handoffServerUrl}
+                    onChange={(e) => handleSettingChange("handoffServerUrl", e.target.value)}
+                    placeholder={BUILD_HANDOFF_SERVER_URL || "http://localhost:8787"}
                   />
-                  <p className="text-xs text-gray-500 mt-1">When human support is available</p>
+                  <p className="text-xs text-gray-500 mt-1">
+                    Relays student and agent messages instantly. Leave empty to use the server the app was built with
+                    (<code>REACT_APP_HANDOFF_SERVER_URL</code>), or, without one, to sync through the database every few seconds.
+                  </p>
                 </div>
               </CardContent>
             </Card>
@@ -404,7 +397,7 @@ export default function Settings() {
                       min="1"
                       max="365"
                       value={settings.retainDataDays}
-                      onChange={(e) => handleSettingChange("retainDataDays", parseInt(e.target.value))}
+                      onChange={(e) => handleSettingChange("retainDataDays", e.target.value)}
                     />
                     <p className="text-xs text-gray-500 mt-1">
                       How long to keep conversation data
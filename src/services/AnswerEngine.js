@@ -0,0 +1,271 @@
+/**
+ * Answer Engine for the Campus Chatbot
+ * Ranks active KnowledgeBase entries against a user message and returns the
+ * best answer with a computed confidence score.
+ * Has no framework dependencies so the React Chat page and demo.html share it.
+ */
+
+const DEFAULT_FALLBACK_RESPONSES = {
+    en: "How can I assist you today? I can help you with fees, scholarships, timetables, admissions, exam schedules, and general college information.",
+    hi: "मैं आपकी सहायता के लिए यहाँ हूँ। मैं फीस, छात्रवृत्ति, समय सारणी, प्रवेश, परीक्षा कार्यक्रम और सामान्य कॉलेज की जानकारी में मदद कर सकता हूँ।"
+};
+
+// Words that carry no topical meaning and would otherwise inflate overlap scores
+const STOP_WORDS = new Set([
+    'a', 'an', 'the', 'is', 'are', 'was', 'be', 'to', 'of', 'for', 'in', 'on', 'at',
+    'and', 'or', 'me', 'my', 'i', 'you', 'your', 'we', 'do', 'does', 'what', 'when',
+    'where', 'how', 'which', 'can', 'about', 'tell', 'show', 'please', 'there', 'any',
+    'है', 'हैं', 'का', 'की', 'के', 'में', 'को', 'क्या', 'कब', 'कैसे', 'और', 'से', 'मुझे'
+]);
+
+// Streamed replies arrive in about this many pieces, however long the answer
+const STREAM_STEPS = 40;
+
+// Single-word Indic keywords shorter than this many code points must be whole words
+const MIN_PREFIX_LENGTH = 4;
+
+/**
+ * Normalize text for keyword matching: NFC, lowercase, joiners removed and
+ * anything that isn't a letter, mark or digit collapsed to single spaces
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalizeText(text = '') {
+    return text
+        .normalize('NFC')
+        .toLowerCase()
+        .replace(/[\u200C\u200D]/g, '')
+        .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+/**
+ * Whether normalized text contains a keyword, matched the way escalation
+ * triggers are: Latin keywords as whole words or phrases ("fee" must not hit
+ * "feedback" or "coffee"), longer Indic ones at the start of a word so case
+ * endings still match ("शुल्क" in "शुल्कों")
+ * @param {string} text - Normalized message
+ * @param {string} keyword - Normalized keyword
+ * @returns {boolean}
+ */
+function containsKeyword(text, keyword) {
+    const shortWord = !keyword.includes(' ') && [...keyword].length < MIN_PREFIX_LENGTH;
+    if (shortWord || /^[\p{Script=Latin}\p{N} ]+$/u.test(keyword)) {
+        return ` ${text} `.includes(` ${keyword} `);
+    }
+    return ` ${text}`.includes(` ${keyword}`);
+}
+
+/**
+ * Reject with the signal's reason once it aborts
+ * @param {AbortSignal} [signal] - Cancellation signal
+ */
+function throwIfAborted(signal) {
+    if (signal?.aborted) {
+        throw signal.reason ?? new DOMException('The answer was cancelled', 'AbortError');
+    }
+}
+
+/**
+ * Settle with a promise, or reject as soon as the signal aborts
+ * @param {Promise} promise - Work to wait for
+ * @param {AbortSignal} [signal] - Cancellation signal
+ * @returns {Promise} The promise's result
+ */
+function abortable(promise, signal) {
+    if (!signal) return promise;
+    throwIfAborted(signal);
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(signal.reason ?? new DOMException('The answer was cancelled', 'AbortError'));
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+/**
+ * Wait, unless the signal aborts first
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} [signal] - Cancellation signal
+ */
+function delay(ms, signal) {
+    let timer;
+    return abortable(new Promise(resolve => { timer = setTimeout(resolve, ms); }), signal)
+        .finally(() => clearTimeout(timer));
+}
+
+export class AnswerEngine {
+    /**
+     * @param {Object} options
+     * @param {Function} [options.knowledgeSource] - Async function resolving to KnowledgeBase records
+     * @param {Object} [options.fallbackResponses] - Replies per language when nothing matches
+     * @param {number} [options.minConfidence] - Matches below this confidence are treated as no answer
+     * @param {number} [options.streamInterval] - Milliseconds between streamed pieces of a reply
+     */
+    constructor(options = {}) {
+        this.knowledgeSource = options.knowledgeSource || null;
+        this.fallbackResponses = { ...DEFAULT_FALLBACK_RESPONSES, ...options.fallbackResponses };
+        this.minConfidence = options.minConfidence ?? 0.2;
+        this.streamInterval = options.streamInterval ?? 30;
+        this.entries = [];
+    }
+
+    /**
+     * Load knowledge entries from the configured source
+     * @returns {Promise<number>} Number of active entries loaded
+     */
+    async loadKnowledge() {
+        if (!this.knowledgeSource) return this.entries.length;
+
+        const records = await this.knowledgeSource();
+        this.setKnowledge(records);
+        return this.entries.length;
+    }
+
+    /**
+     * Replace the in-memory knowledge with the given records
+     * @param {Array} records - KnowledgeBase records
+     */
+    setKnowledge(records = []) {
+        this.entries = records
+            .filter(record => record && record.is_active !== false && record.answer)
+            .map(record => ({
+                record,
+                questionTokens: this.tokenize(record.question || ''),
+                keywords: (record.keywords || [])
+                    .map(keyword => normalizeText(keyword))
+                    .filter(Boolean)
+            }));
+    }
+
+    /**
+     * Split text into lowercase word tokens across all supported scripts
+     * @param {string} text - Text to tokenize
+     * @returns {Array<string>} Tokens without stop words
+     */
+    tokenize(text) {
+        return text
+            .toLowerCase()
+            .split(/[^\p{L}\p{M}\p{N}]+/u)
+            .filter(token => token.length > 1 && !STOP_WORDS.has(token));
+    }
+
+    /**
+     * Score a single knowledge entry against the message
+     * @param {Object} entry - Prepared knowledge entry
+     * @param {Array<string>} tokens - Message tokens
+     * @param {string} normalizedMessage - Message normalized for keyword matching
+     * @param {string} language - Preferred reply language
+     * @param {string} [category] - Category the user picked, e.g. from a quick action
+     * @returns {Object} Confidence and ranking score
+     */
+    scoreEntry(entry, tokens, normalizedMessage, language, category) {
+        const tokenSet = new Set(tokens);
+
+        // Keywords may be phrases, so match them against the whole message
+        // One keyword hit is strong evidence; further hits only add a little
+        const matchedKeywords = entry.keywords.filter(keyword => containsKeyword(normalizedMessage, keyword));
+        const keywordScore = matchedKeywords.length > 0
+            ? Math.min(0.7 + (matchedKeywords.length - 1) * 0.15, 1)
+            : 0;
+
+        const sharedTokens = entry.questionTokens.filter(token => tokenSet.has(token));
+        const questionScore = entry.questionTokens.length > 0
+            ? sharedTokens.length / entry.questionTokens.length
+            : 0;
+
+        // A picked category is enough for a middling match even when the wording differs
+        const categoryScore = category && entry.record.category === category ? 0.5 : 0;
+        const relevance = Math.max(keywordScore * 0.6 + questionScore * 0.4, categoryScore);
+        const languageFactor = (entry.record.language || 'en') === language ? 1 : 0.8;
+        const confidence = Math.min(relevance * languageFactor, 1);
+
+        // Priority only breaks ties between comparably relevant entries
+        const priority = entry.record.priority || 5;
+
+        return {
+            confidence,
+            rank: confidence + priority * 0.01,
+            matchedKeywords
+        };
+    }
+
+    /**
+     * Rank all entries for a message
+     * @param {string} message - User message
+     * @param {string} language - Preferred reply language
+     * @param {string} [category] - Category the user picked
+     * @returns {Array} Matches sorted best first
+     */
+    rank(message, language = 'en', category = null) {
+        const normalizedMessage = normalizeText(message);
+        const tokens = this.tokenize(message);
+
+        return this.entries
+            .map(entry => ({ entry, ...this.scoreEntry(entry, tokens, normalizedMessage, language, category) }))
+            .filter(match => match.confidence > 0)
+            .sort((a, b) => b.rank - a.rank);
+    }
+
+    /**
+     * Answer a user message
+     * @param {string} message - User message
+     * @param {Object} options
+     * @param {string} [options.language] - Preferred reply language
+     * @param {string} [options.category] - Category the user picked, e.g. from a quick action
+     * @returns {Promise<Object>} Answer with text, confidence, category and source entry
+     */
+    async answer(message, { language = 'en', category = null } = {}) {
+        const [best] = this.rank(message, language, category);
+
+        if (!best || best.confidence < this.minConfidence) {
+            return {
+                text: this.fallbackResponses[language] || this.fallbackResponses.en,
+                confidence: best ? best.confidence : 0,
+                category: 'unknown',
+                language: this.fallbackResponses[language] ? language : 'en',
+                source: null,
+                matched: false
+            };
+        }
+
+        const { record } = best.entry;
+        return {
+            text: record.answer,
+            confidence: Math.round(best.confidence * 100) / 100,
+            category: record.category || 'general',
+            language: record.language || 'en',
+            source: record,
+            matched: true
+        };
+    }
+
+    /**
+     * Answer a user message, delivering the reply text piece by piece
+     * @param {string} message - User message
+     * @param {Object} options
+     * @param {string} [options.language] - Preferred reply language
+     * @param {string} [options.category] - Category the user picked
+     * @param {AbortSignal} [options.signal] - Cancels the answer; the promise rejects with the abort reason
+     * @param {Function} [options.onToken] - Called with the reply text received so far
+     * @returns {Promise<Object>} The same answer as answer()
+     */
+    async streamAnswer(message, { language = 'en', category = null, signal, onToken } = {}) {
+        const answer = await abortable(this.answer(message, { language, category }), signal);
+
+        // The knowledge base hands over whole answers; pace them out word by word so
+        // local replies read the same as ones streamed from a remote model
+        const tokens = answer.text.match(/\s*\S+\s*/g) || [answer.text];
+        const perStep = Math.ceil(tokens.length / STREAM_STEPS);
+        for (let i = 0; i < tokens.length; i += perStep) {
+            throwIfAborted(signal);
+            onToken?.(tokens.slice(0, i + perStep).join(''));
+            if (i + perStep < tokens.length) {
+                await delay(this.streamInterval, signal);
+            }
+        }
+        throwIfAborted(signal);
+        return answer;
+    }
+}
+
+export default AnswerEngine;
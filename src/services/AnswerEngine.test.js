@@ -0,0 +1,27 @@
+import AnswerEngine from './AnswerEngine';
+
+describe('keyword matching', () => {
+  const engine = new AnswerEngine();
+  engine.setKnowledge([
+    { question: 'What is the fee structure?', answer: 'Fees', keywords: ['fee', 'fees'], category: 'fees' },
+    { question: 'What is the class schedule?', answer: 'Timetable', keywords: ['time table', 'class schedule'], category: 'timetable' },
+    { question: 'फीस कितनी है?', answer: 'शुल्क', keywords: ['शुल्क'], category: 'fees', language: 'hi' }
+  ]);
+  const matched = (message, language = 'en') => engine.rank(message, language)
+    .filter(match => match.matchedKeywords.length > 0)
+    .map(match => match.entry.record.answer);
+
+  it('matches Latin keywords as whole words only', () => {
+    expect(matched('When is the fee due?')).toEqual(['Fees']);
+    expect(matched('Where do I leave feedback?')).toEqual([]);
+    expect(matched('Is there coffee in the canteen?')).toEqual([]);
+  });
+
+  it('matches keyword phrases across punctuation and case', () => {
+    expect(matched('Time-table for CSE, please')).toEqual(['Timetable']);
+  });
+
+  it('lets longer Indic keywords take case endings', () => {
+    expect(matched('शुल्कों की सूची', 'hi')).toEqual(['शुल्क']);
+  });
+});
@@ -0,0 +1,242 @@
+/**
+ * Chat History Store
+ * Keeps every chat session's messages in IndexedDB so a reload or a later
+ * visit can resume it, and pulls a signed-in student's sessions from
+ * ChatSession/Conversation so history follows them across devices.
+ * Falls back to memory when IndexedDB is unavailable (private browsing).
+ */
+
+const DB_NAME = 'campus-assist';
+const DB_VERSION = 1;
+const STORE_NAME = 'chat-sessions';
+
+// Remote sessions pulled per sync
+const DEFAULT_SYNC_LIMIT = 20;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise} Request result
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Title a session after its first question
+ * @param {Array} messages - Session messages
+ * @returns {string} Title
+ */
+export function sessionTitle(messages = []) {
+    const first = messages.find(message => !message.isBot);
+    if (!first) return '';
+    const text = first.text.replace(/\s+/g, ' ').trim();
+    return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+/**
+ * Convert a session's Conversation records into chat messages
+ * @param {Array} conversations - Conversation records, oldest first
+ * @returns {Array} Messages (user and bot) with the record id kept for ratings
+ */
+export function messagesFromConversations(conversations = []) {
+    return conversations.flatMap(conversation => [
+        {
+            id: `${conversation.id}-user`,
+            text: conversation.user_message,
+            isBot: false,
+            timestamp: conversation.created_date,
+            language: conversation.detected_language
+        },
+        {
+            id: conversation.id,
+            text: conversation.bot_response,
+            isBot: true,
+            timestamp: conversation.created_date,
+            language: conversation.detected_language,
+            confidence: conversation.confidence_score,
+            category: conversation.intent_category,
+            rating: conversation.user_rating,
+            conversationId: conversation.id
+        }
+    ]);
+}
+
+export class ChatHistoryStore {
+    constructor() {
+        this.dbPromise = null;
+        // Used when IndexedDB can't be opened
+        this.memory = new Map();
+    }
+
+    /**
+     * Open the database, creating the store on first use
+     * @returns {Promise<IDBDatabase|null>} Database, or null to use memory
+     */
+    open() {
+        if (!this.dbPromise) {
+            if (typeof indexedDB === 'undefined') {
+                this.dbPromise = Promise.resolve(null);
+            } else {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'session_id' });
+                    store.createIndex('updated_at', 'updated_at');
+                };
+                this.dbPromise = promisify(request).catch(error => {
+                    console.error('Chat history unavailable, keeping it in memory:', error);
+                    return null;
+                });
+            }
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a request against the session store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Receives the object store, returns a request
+     * @returns {Promise} Request result, or undefined when running from memory
+     */
+    async run(mode, operation) {
+        const db = await this.open();
+        if (!db) return undefined;
+        return promisify(operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME)));
+    }
+
+    /**
+     * List saved sessions, most recent first
+     * @returns {Promise<Array>} Sessions
+     */
+    async listSessions() {
+        const db = await this.open();
+        const sessions = db
+            ? await this.run('readonly', store => store.getAll())
+            : [...this.memory.values()];
+        return sessions.sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
+    }
+
+    /**
+     * Load one session
+     * @param {string} sessionId - Session identifier
+     * @returns {Promise<Object|null>} Session or null
+     */
+    async getSession(sessionId) {
+        if (!sessionId) return null;
+        const db = await this.open();
+        const session = db
+            ? await this.run('readonly', store => store.get(sessionId))
+            : this.memory.get(sessionId);
+        return session || null;
+    }
+
+    /**
+     * Save a session, replacing any earlier copy
+     * @param {Object} session
+     * @param {string} session.session_id - Session identifier (matches ChatSession.session_id)
+     * @param {Array} session.messages - Messages without the greeting
+     * @param {string} [session.language] - Language the session was held in
+     * @param {Object} [session.context] - Conversation context for follow-up questions
+     * @param {string} [session.updated_at] - Last activity, now by default
+     * @returns {Promise<Object>} Saved session
+     */
+    async saveSession(session) {
+        const saved = {
+            ...session,
+            title: sessionTitle(session.messages),
+            // Dates don't survive structured cloning consistently across browsers
+            messages: session.messages.map(message => ({
+                ...message,
+                timestamp: message.timestamp ? new Date(message.timestamp).toISOString() : null
+            })),
+            updated_at: session.updated_at || new Date().toISOString()
+        };
+
+        const db = await this.open();
+        if (db) {
+            await this.run('readwrite', store => store.put(saved));
+        } else {
+            this.memory.set(saved.session_id, saved);
+        }
+        return saved;
+    }
+
+    /**
+     * Delete a session
+     * @param {string} sessionId - Session identifier
+     * @returns {Promise<void>}
+     */
+    async deleteSession(sessionId) {
+        const db = await this.open();
+        if (db) {
+            await this.run('readwrite', store => store.delete(sessionId));
+        } else {
+            this.memory.delete(sessionId);
+        }
+    }
+
+    /**
+     * Find sessions with a message containing the query
+     * @param {string} query - Search text
+     * @returns {Promise<Array>} Matching sessions, most recent first, each with a snippet
+     */
+    async searchSessions(query) {
+        const sessions = await this.listSessions();
+        const needle = query.trim().toLowerCase();
+        if (!needle) return sessions;
+
+        return sessions.flatMap(session => {
+            const match = session.messages.find(message => message.text.toLowerCase().includes(needle));
+            if (!match) return [];
+
+            const index = match.text.toLowerCase().indexOf(needle);
+            const start = Math.max(0, index - 30);
+            const snippet = `${start > 0 ? '...' : ''}${match.text.slice(start, index + needle.length + 30).replace(/\s+/g, ' ')}`;
+            return [{ ...session, snippet }];
+        });
+    }
+
+    /**
+     * Pull a signed-in student's recent sessions from the server, so history
+     * started on another device shows up here
+     * @param {Object} entities
+     * @param {Object} entities.ChatSession - ChatSession entity
+     * @param {Object} entities.Conversation - Conversation entity
+     * @param {string} userEmail - Signed-in user's email
+     * @param {Object} [options]
+     * @param {number} [options.limit] - Most recent sessions to check
+     * @returns {Promise<number>} Number of sessions added or refreshed
+     */
+    async syncFromServer({ ChatSession, Conversation }, userEmail, { limit = DEFAULT_SYNC_LIMIT } = {}) {
+        // Filter on the owner explicitly; admins could otherwise read every student's sessions
+        const remoteSessions = await ChatSession.filter({ created_by: userEmail }, '-created_date', limit);
+        let updated = 0;
+
+        for (const remote of remoteSessions) {
+            if (!remote.total_messages) continue;
+
+            const local = await this.getSession(remote.session_id);
+            const remoteUpdatedAt = remote.updated_date || remote.created_date;
+            if (local && new Date(local.updated_at) >= new Date(remoteUpdatedAt)) continue;
+
+            const conversations = await Conversation.filter({ session_id: remote.session_id }, 'created_date');
+            if (conversations.length === 0) continue;
+
+            await this.saveSession({
+                session_id: remote.session_id,
+                remote_id: remote.id,
+                language: remote.preferred_language,
+                context: remote.context,
+                messages: messagesFromConversations(conversations),
+                updated_at: remoteUpdatedAt
+            });
+            updated++;
+        }
+        return updated;
+    }
+}
+
+export default ChatHistoryStore;
@@ -0,0 +1,193 @@
+/**
+ * Conversation Context Manager
+ * Keeps the last N turns of a chat and resolves follow-up questions such as
+ * "what about the hostel one?" or "and the deadline?" against the previous
+ * intent and entities, so the answer engine sees a self-contained query.
+ */
+
+// Things a student asks about; surface forms are kept so carried-over terms match the KB language
+const SUBJECT_TERMS = [
+    'fee', 'fees', 'tuition', 'फीस', 'शुल्क',
+    'scholarship', 'scholarships', 'छात्रवृत्ति',
+    'exam', 'exams', 'परीक्षा', 'result', 'results', 'परिणाम',
+    'admission', 'admissions', 'प्रवेश',
+    'timetable', 'समय सारणी',
+    'hostel', 'छात्रावास', 'हॉस्टल',
+    'transport', 'bus', 'बस',
+    'library', 'पुस्तकालय',
+    'placement', 'placements', 'प्लेसमेंट',
+    'canteen', 'mess'
+];
+
+// Aspects of a subject that follow-ups typically switch between
+const ATTRIBUTE_TERMS = [
+    'deadline', 'last date', 'due date', 'अंतिम तारीख',
+    'amount', 'cost', 'charges', 'कितनी',
+    'eligibility', 'पात्रता',
+    'documents', 'दस्तावेज़',
+    'timing', 'timings', 'schedule', 'समय',
+    'location', 'where', 'कहाँ',
+    'contact', 'संपर्क',
+    'apply', 'process', 'आवेदन'
+];
+
+const DEFAULT_MAX_TURNS = 5;
+
+const FOLLOW_UP_OPENERS = /^(and|what about|how about|what of|also|then|same for|और|तो|उसका|उसकी|इसका|इसकी)(\s|$)/i;
+const BACK_REFERENCES = /\b(it|its|that|this|those|them|one)\b/i;
+
+export class ConversationContextManager {
+    /**
+     * @param {Object} options
+     * @param {number} [options.maxTurns] - Number of turns to remember
+     * @param {boolean} [options.enabled] - Whether context memory is on
+     */
+    constructor({ maxTurns = DEFAULT_MAX_TURNS, enabled = true } = {}) {
+        this.turns = [];
+        this.configure({ maxTurns, enabled });
+    }
+
+    /**
+     * Apply context settings, e.g. once the shared settings have loaded
+     * @param {Object} options
+     * @param {number} [options.maxTurns] - Number of turns to remember; the default when not a number
+     * @param {boolean} [options.enabled] - Whether context memory is on
+     */
+    configure({ maxTurns = this.maxTurns, enabled = this.enabled } = {}) {
+        const turns = typeof maxTurns === 'number' ? maxTurns : parseInt(maxTurns, 10);
+        this.maxTurns = Number.isFinite(turns) ? Math.max(1, Math.round(turns)) : DEFAULT_MAX_TURNS;
+        this.enabled = enabled !== false;
+        this.turns = this.turns.slice(-this.maxTurns);
+    }
+
+    /**
+     * Find subject and attribute terms in a message
+     * @param {string} message - User message
+     * @returns {Object} Matched subjects and attributes
+     */
+    extractEntities(message) {
+        const messageLower = message.toLowerCase();
+        const matchTerms = terms => terms.filter(term => {
+            // Latin terms must match whole words so "one" does not match inside "phone"
+            const pattern = /^[a-z ]+$/.test(term) ? new RegExp(`\\b${term}\\b`) : null;
+            return pattern ? pattern.test(messageLower) : messageLower.includes(term);
+        });
+
+        return {
+            subjects: matchTerms(SUBJECT_TERMS),
+            attributes: matchTerms(ATTRIBUTE_TERMS)
+        };
+    }
+
+    /**
+     * Decide whether a message depends on the previous turn
+     * @param {string} message - User message
+     * @param {Object} entities - Entities found in the message
+     * @returns {boolean} Whether the message is a follow-up
+     */
+    isFollowUp(message, entities) {
+        if (this.turns.length === 0) return false;
+
+        const trimmed = message.trim();
+        if (FOLLOW_UP_OPENERS.test(trimmed)) return true;
+
+        const wordCount = trimmed.split(/\s+/).length;
+        if (wordCount <= 6 && BACK_REFERENCES.test(trimmed)) return true;
+
+        // An aspect with nothing to be an aspect of ("when is the deadline?")
+        return entities.subjects.length === 0 && entities.attributes.length > 0;
+    }
+
+    /**
+     * Resolve a message against the conversation so far
+     * @param {string} message - User message
+     * @returns {Object} Query for the answer engine plus resolved entities
+     */
+    resolve(message) {
+        const entities = this.extractEntities(message);
+
+        if (!this.enabled || !this.isFollowUp(message, entities)) {
+            return { query: message, isFollowUp: false, entities };
+        }
+
+        const previous = this.turns[this.turns.length - 1];
+        const previousEntities = previous.entities || { subjects: [], attributes: [] };
+
+        // "the hostel one" qualifies the previous subject; "what about the library?" replaces it
+        const qualifiesPrevious = entities.subjects.length === 0 || BACK_REFERENCES.test(message);
+        const resolved = {
+            subjects: qualifiesPrevious
+                ? [...new Set([...entities.subjects, ...previousEntities.subjects])]
+                : entities.subjects,
+            attributes: entities.attributes.length > 0 ? entities.attributes : previousEntities.attributes
+        };
+
+        const carried = [...resolved.subjects, ...resolved.attributes]
+            .filter(term => !entities.subjects.includes(term) && !entities.attributes.includes(term));
+
+        // Nothing concrete to carry over, so lean on the previous intent instead
+        if (resolved.subjects.length === 0 && previous.category && previous.category !== 'unknown') {
+            carried.push(previous.category);
+        }
+
+        return {
+            query: carried.length > 0 ? `${message} ${carried.join(' ')}` : message,
+            isFollowUp: true,
+            entities: resolved,
+            previousCategory: previous.category
+        };
+    }
+
+    /**
+     * Remember a completed turn
+     * @param {Object} turn
+     * @param {string} turn.userMessage - Message sent by the user
+     * @param {string} turn.botResponse - Reply shown to the user
+     * @param {string} turn.category - Intent category of the answer
+     * @param {Object} turn.entities - Resolved entities for the turn
+     * @param {string} turn.language - Language of the turn
+     */
+    addTurn({ userMessage, botResponse, category, entities, language }) {
+        if (!this.enabled) return;
+
+        this.turns.push({
+            userMessage,
+            botResponse,
+            category,
+            entities,
+            language,
+            timestamp: new Date().toISOString()
+        });
+        this.turns = this.turns.slice(-this.maxTurns);
+    }
+
+    /**
+     * Restore turns saved in ChatSession.context
+     * @param {Object} context - Previously serialized context
+     */
+    restore(context) {
+        if (!this.enabled || !context || !Array.isArray(context.turns)) return;
+        this.turns = context.turns.slice(-this.maxTurns);
+    }
+
+    /**
+     * Serialize for ChatSession.context
+     * @returns {Object} Context snapshot
+     */
+    toJSON() {
+        return {
+            turns: this.turns,
+            lastIntent: this.turns[this.turns.length - 1]?.category || null,
+            updatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Forget all turns
+     */
+    clear() {
+        this.turns = [];
+    }
+}
+
+export default ConversationContextManager;
@@ -5,6 +5,7 @@
  */
 
 import * as pdfjsLib from 'pdfjs-dist';
+import { languageConfidences, dominantIndicLanguage } from './LanguageDetector';
 
 export class DocumentProcessor {
     constructor() {
@@ -167,7 +168,8 @@ export class DocumentProcessor {
                 ...metadata,
                 processedAt: new Date().toISOString(),
                 contentLength: content.length,
-                language: this.detectPrimaryLanguage(content)
+                language: this.detectPrimaryLanguage(content),
+                languageConfidence: this.detectLanguageConfidence(content)
             }
         };
     }
@@ -328,34 +330,25 @@ export class DocumentProcessor {
         return topics.sort((a, b) => b.relevance - a.relevance);
     }
 
+    /**
+     * Estimate the share of each language in content
+     * @param {string} content - Text content
+     * @returns {Object} Confidence per language code
+     */
+    detectLanguageConfidence(content) {
+        return languageConfidences(content);
+    }
+
     /**
      * Detect primary language of content
      * @param {string} content - Text content
      * @returns {string} Language code
      */
     detectPrimaryLanguage(content) {
-        const patterns = {
-            hi: /[\u0900-\u097F]/g,
-            mr: /[\u0900-\u097F]/g, // Marathi uses Devanagari like Hindi
-            gu: /[\u0A80-\u0AFF]/g,
-            bn: /[\u0980-\u09FF]/g,
-            ta: /[\u0B80-\u0BFF]/g,
-            te: /[\u0C00-\u0C7F]/g,
-            kn: /[\u0C80-\u0CFF]/g
-        };
-        
-        let maxMatches = 0;
-        let detectedLang = 'en';
-        
-        Object.entries(patterns).forEach(([lang, pattern]) => {
-            const matches = (content.match(pattern) || []).length;
-            if (matches > maxMatches) {
-                maxMatches = matches;
-                detectedLang = lang;
-            }
-        });
-        
-        return detectedLang;
+        // Documents mix English headings into regional text, so any Indic language wins over English
+        const [detectedLang, maxConfidence] = dominantIndicLanguage(this.detectLanguageConfidence(content));
+
+        return maxConfidence > 0 ? detectedLang : 'en';
     }
 
     /**
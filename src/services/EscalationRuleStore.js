@@ -0,0 +1,87 @@
+/**
+ * Escalation Rule Store
+ * Turns the admin-configured EscalationRule records into the rules the Human
+ * Handoff Manager matches messages against, with the built-in rules for a
+ * fresh install.
+ */
+
+import { RULE_TRIGGERS } from './EscalationTriggers';
+import { LANGUAGES } from '../i18n/languages';
+
+// Departments every college starts with; rules can add their own
+export const DEFAULT_DEPARTMENTS = ['finance', 'IT', 'academic', 'admissions', 'admin', 'general'];
+
+// What a matching request does outside office hours: become an offline
+// ticket, wait in the queue for opening time, or go to agents at any hour
+export const OFFICE_HOURS_BEHAVIOURS = ['ticket', 'queue', 'always'];
+
+// EscalationRule-shaped records of the rules the assistant ships with
+export const DEFAULT_ESCALATION_RULES = [
+    { name: 'complex_financial', department: 'finance', priority: 'high' },
+    { name: 'technical_issues', department: 'IT', priority: 'urgent' },
+    { name: 'academic_complex', department: 'academic', priority: 'medium' },
+    { name: 'admission_complex', department: 'admissions', priority: 'high' },
+    { name: 'complaints', department: 'admin', priority: 'medium' }
+].map((rule, index) => ({
+    id: `default-${rule.name}`,
+    ...rule,
+    triggers: RULE_TRIGGERS[rule.name],
+    office_hours_behaviour: 'ticket',
+    order: index,
+    is_active: true
+}));
+
+/**
+ * Keep the non-empty trigger phrases of the supported languages
+ * @param {Object} triggers - Phrases keyed by language code
+ * @returns {Object<string, Array<string>>} Cleaned phrases
+ */
+export function cleanTriggers(triggers = {}) {
+    const cleaned = {};
+    LANGUAGES.forEach(({ code }) => {
+        const phrases = (triggers[code] || [])
+            .map(phrase => String(phrase).trim())
+            .filter(Boolean);
+        if (phrases.length > 0) cleaned[code] = [...new Set(phrases)];
+    });
+    return cleaned;
+}
+
+/**
+ * Keep the rules that are switched on, in the order they are checked
+ * @param {Array} records - EscalationRule records
+ * @returns {Array} Active records, first checked first
+ */
+export function selectActiveEscalationRules(records = []) {
+    return records
+        .filter(record => record.is_active !== false && record.name)
+        .sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+}
+
+/**
+ * Convert an EscalationRule record to the rule shape the manager matches with
+ * @param {Object} record - EscalationRule record
+ * @returns {Object} Rule with triggers, department, priority, wait estimate (seconds) and office hours behaviour
+ */
+export function toEscalationRule(record) {
+    return {
+        name: record.name,
+        triggers: cleanTriggers(record.triggers),
+        department: record.department || 'general',
+        priority: record.priority || 'medium',
+        waitEstimate: record.wait_estimate_minutes > 0 ? Math.round(record.wait_estimate_minutes * 60) : null,
+        officeHours: record.office_hours_behaviour || 'ticket'
+    };
+}
+
+/**
+ * Load the escalation rules to match against
+ * @param {Object} EscalationRule - EscalationRule entity
+ * @returns {Promise<Array>} Active records, or the defaults when none are configured
+ */
+export async function loadEscalationRuleRecords(EscalationRule) {
+    const records = await EscalationRule.list('order');
+    if (records.length === 0) return DEFAULT_ESCALATION_RULES;
+
+    return selectActiveEscalationRules(records);
+}
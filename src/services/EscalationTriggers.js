@@ -0,0 +1,185 @@
+/**
+ * Escalation Triggers for the Human Handoff Manager
+ * Words and phrases, per language, that suggest a student needs a person:
+ * general complexity and frustration signals, and the triggers of each
+ * department rule. Also the Unicode-aware text helpers used to match them.
+ */
+
+// Single-word Indic triggers shorter than this many code points must be whole
+// words: "राग" (anger) also starts the name "रागिनी"
+const MIN_PREFIX_LENGTH = 4;
+
+/**
+ * Normalize text for trigger matching: NFC, lowercase, joiners removed and
+ * anything that isn't a letter, mark or digit collapsed to single spaces
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+export function normalizeForMatching(text = '') {
+    return text
+        .normalize('NFC')
+        .toLowerCase()
+        .replace(/[\u200C\u200D]/g, '')
+        .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+/**
+ * Split text into word tokens in any script
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Tokens of two or more characters
+ */
+export function tokenize(text = '') {
+    return normalizeForMatching(text)
+        .split(' ')
+        .filter(token => token.length > 1);
+}
+
+/**
+ * Whether normalized text contains a trigger. Latin-script triggers must be
+ * whole words ("issue" shouldn't fire on "tissue"); longer Indic triggers only
+ * need to start a word, because case endings attach to the noun ("रिफंड" in "रिफंडका").
+ * Short single words are too likely to start unrelated words, so they must match whole.
+ * @param {string} text - Normalized text
+ * @param {string} trigger - Trigger phrase
+ * @returns {boolean}
+ */
+export function containsTrigger(text, trigger) {
+    const phrase = normalizeForMatching(trigger);
+    if (!phrase) return false;
+    const shortWord = !phrase.includes(' ') && [...phrase].length < MIN_PREFIX_LENGTH;
+    if (shortWord || /^[\p{Script=Latin}\p{N} ]+$/u.test(phrase)) {
+        return ` ${text} `.includes(` ${phrase} `);
+    }
+    return ` ${text}`.includes(` ${phrase}`);
+}
+
+/**
+ * Find the triggers of a dictionary that occur in a text
+ * @param {string} text - Normalized text
+ * @param {Object<string, Array<string>>} triggersByLanguage - Language code -> phrases
+ * @returns {Array<{language: string, trigger: string}>} Matches
+ */
+export function findTriggers(text, triggersByLanguage = {}) {
+    const matches = [];
+    Object.entries(triggersByLanguage).forEach(([language, triggers]) => {
+        (triggers || []).forEach(trigger => {
+            if (containsTrigger(text, trigger)) {
+                matches.push({ language, trigger });
+            }
+        });
+    });
+    return matches;
+}
+
+// Signals that a question needs more than a stock answer
+export const SIGNAL_TRIGGERS = {
+    complexity: {
+        en: ['multiple', 'various', 'different', 'complex', 'complicated', 'several', 'many', 'numerous', 'detailed', 'specific'],
+        hi: ['कई', 'अनेक', 'अलग अलग', 'जटिल', 'उलझन', 'विस्तार से', 'विशेष'],
+        mr: ['अनेक', 'बरेच', 'वेगवेगळ्या', 'गुंतागुंतीच', 'क्लिष्ट', 'सविस्तर', 'विशिष्ट'],
+        gu: ['ઘણા', 'અનેક', 'અલગ અલગ', 'જટિલ', 'ગૂંચવણ', 'વિગતવાર', 'ચોક્કસ'],
+        bn: ['একাধিক', 'বিভিন্ন', 'অনেক', 'জটিল', 'বিস্তারিত', 'নির্দিষ্ট'],
+        ta: ['பல்வேறு', 'வெவ்வேறு', 'சிக்கலான', 'விரிவான', 'குறிப்பிட்ட'],
+        te: ['అనేక', 'వివిధ', 'క్లిష్టమైన', 'సంక్లిష్ట', 'వివరంగా', 'నిర్దిష్ట'],
+        kn: ['ಅನೇಕ', 'ವಿವಿಧ', 'ಬೇರೆ ಬೇರೆ', 'ಸಂಕೀರ್ಣ', 'ಜಟಿಲ', 'ವಿವರವಾಗಿ', 'ನಿರ್ದಿಷ್ಟ']
+    },
+    frustration: {
+        en: [
+            'frustrated', 'annoyed', 'angry', 'upset', 'disappointed',
+            'not working', "doesn't work", 'problem', 'problems', 'issue', 'issues', 'error', 'errors',
+            'help me', 'urgent', 'immediately', 'asap'
+        ],
+        hi: [
+            'परेशान', 'नाराज़', 'नाराज', 'गुस्सा', 'निराश',
+            'काम नहीं कर', 'नहीं चल', 'नहीं मिला', 'नहीं मिली', 'समस्या', 'दिक्कत', 'गड़बड़', 'त्रुटि',
+            'मदद करें', 'मदद करो', 'तुरंत', 'जल्दी',
+            // Romanized, as students often type it
+            'pareshan', 'kaam nahi kar', 'nahi chal', 'nahi mila', 'nahi mili', 'dikkat', 'madad karo', 'turant', 'jaldi'
+        ],
+        mr: [
+            'त्रास', 'वैताग', 'राग', 'निराश',
+            'चालत नाही', 'काम करत नाही', 'मिळाले नाही', 'मिळाला नाही', 'समस्या', 'अडचण', 'त्रुटी',
+            'मदत करा', 'ताबडतोब', 'लगेच', 'तातडीने'
+        ],
+        gu: [
+            'પરેશાન', 'ગુસ્સ', 'નિરાશ',
+            'કામ નથી કરતું', 'ચાલતું નથી', 'મળ્યું નથી', 'મળ્યો નથી', 'સમસ્યા', 'તકલીફ', 'ભૂલ',
+            'મદદ કરો', 'તાત્કાલિક', 'તરત', 'જલ્દી'
+        ],
+        bn: [
+            'বিরক্ত', 'রাগ', 'হতাশ',
+            'কাজ করছে না', 'চলছে না', 'পাইনি', 'সমস্যা', 'ত্রুটি',
+            'সাহায্য করুন', 'জরুরি', 'এখনই', 'তাড়াতাড়ি'
+        ],
+        ta: [
+            'எரிச்சல்', 'கோபம்', 'ஏமாற்றம்',
+            'வேலை செய்யவில்லை', 'கிடைக்கவில்லை', 'பிரச்சனை', 'பிரச்சினை', 'சிக்கல்', 'பிழை',
+            'உதவுங்கள்', 'அவசரம்', 'உடனடியாக'
+        ],
+        te: [
+            'విసుగు', 'కోపం', 'నిరాశ',
+            'పని చేయడం లేదు', 'పనిచేయడం లేదు', 'రాలేదు', 'సమస్య', 'ఇబ్బంది', 'లోపం',
+            'సహాయం చేయండి', 'అత్యవసరం', 'వెంటనే'
+        ],
+        kn: [
+            'ಬೇಸರ', 'ಕೋಪ', 'ನಿರಾಶೆ',
+            'ಕೆಲಸ ಮಾಡುತ್ತಿಲ್ಲ', 'ಬಂದಿಲ್ಲ', 'ಸಿಕ್ಕಿಲ್ಲ', 'ಸಮಸ್ಯೆ', 'ತೊಂದರೆ', 'ದೋಷ',
+            'ಸಹಾಯ ಮಾಡಿ', 'ತುರ್ತು', 'ತಕ್ಷಣ'
+        ]
+    }
+};
+
+// Triggers of the department rules in setupEscalationRules, by rule name
+export const RULE_TRIGGERS = {
+    complex_financial: {
+        en: ['loan', 'EMI', 'refund', 'scholarship eligibility', 'financial aid calculation'],
+        hi: ['लोन', 'ऋण', 'ईएमआई', 'रिफंड', 'फीस वापसी', 'शुल्क वापसी', 'छात्रवृत्ति पात्रता', 'वित्तीय सहायता', 'fees wapas', 'paise wapas'],
+        mr: ['कर्ज', 'लोन', 'ईएमआय', 'रिफंड', 'परतावा', 'फी परत', 'शिष्यवृत्ती पात्रता', 'आर्थिक मदत'],
+        gu: ['લોન', 'ઈએમઆઈ', 'રિફંડ', 'ફી પરત', 'શિષ્યવૃત્તિ પાત્રતા', 'નાણાકીય સહાય'],
+        bn: ['ঋণ', 'লোন', 'ইএমআই', 'রিফান্ড', 'টাকা ফেরত', 'ফি ফেরত', 'বৃত্তির যোগ্যতা', 'আর্থিক সহায়তা'],
+        ta: ['கடன்', 'இஎம்ஐ', 'ரீஃபண்ட்', 'பணம் திரும்ப', 'கட்டணம் திரும்ப', 'உதவித்தொகை தகுதி', 'நிதி உதவி'],
+        te: ['రుణం', 'లోన్', 'ఈఎంఐ', 'రీఫండ్', 'ఫీజు తిరిగి', 'డబ్బు తిరిగి', 'స్కాలర్షిప్ అర్హత', 'ఆర్థిక సహాయం'],
+        kn: ['ಶಿಕ್ಷಣ ಸಾಲ', 'ಲೋನ್', 'ಇಎಂಐ', 'ರೀಫಂಡ್', 'ಶುಲ್ಕ ವಾಪಸ್', 'ಹಣ ವಾಪಸ್', 'ವಿದ್ಯಾರ್ಥಿವೇತನ ಅರ್ಹತೆ', 'ಆರ್ಥಿಕ ನೆರವು']
+    },
+    technical_issues: {
+        en: ['portal not working', 'login failed', 'payment error', 'technical problem'],
+        hi: ['पोर्टल नहीं चल', 'पोर्टल काम नहीं', 'लॉगिन नहीं', 'लॉग इन नहीं', 'भुगतान विफल', 'पेमेंट फेल', 'तकनीकी समस्या', 'तकनीकी दिक्कत', 'portal nahi chal', 'login nahi ho'],
+        mr: ['पोर्टल चालत नाही', 'पोर्टल बंद', 'लॉगिन होत नाही', 'लॉग इन होत नाही', 'पेमेंट अयशस्वी', 'पेमेंट फेल', 'तांत्रिक समस्या', 'तांत्रिक अडचण'],
+        gu: ['પોર્ટલ ચાલતું નથી', 'પોર્ટલ કામ નથી', 'લોગિન થતું નથી', 'પેમેન્ટ નિષ્ફળ', 'પેમેન્ટ ફેલ', 'ટેકનિકલ સમસ્યા', 'તકનીકી સમસ્યા'],
+        bn: ['পোর্টাল কাজ করছে না', 'পোর্টাল চলছে না', 'লগইন হচ্ছে না', 'পেমেন্ট ব্যর্থ', 'পেমেন্ট ফেল', 'প্রযুক্তিগত সমস্যা', 'টেকনিক্যাল সমস্যা'],
+        ta: ['போர்டல் வேலை செய்யவில்லை', 'உள்நுழைய முடியவில்லை', 'லாகின் ஆகவில்லை', 'பணம் செலுத்துவதில் பிழை', 'பேமெண்ட் தோல்வி', 'தொழில்நுட்ப பிரச்சனை', 'தொழில்நுட்ப சிக்கல்'],
+        te: ['పోర్టల్ పని చేయడం లేదు', 'లాగిన్ కావడం లేదు', 'లాగిన్ విఫలం', 'చెల్లింపు విఫలం', 'పేమెంట్ ఫెయిల్', 'సాంకేతిక సమస్య'],
+        kn: ['ಪೋರ್ಟಲ್ ಕೆಲಸ ಮಾಡುತ್ತಿಲ್ಲ', 'ಲಾಗಿನ್ ಆಗುತ್ತಿಲ್ಲ', 'ಲಾಗಿನ್ ವಿಫಲ', 'ಪಾವತಿ ವಿಫಲ', 'ಪೇಮೆಂಟ್ ಫೇಲ್', 'ತಾಂತ್ರಿಕ ಸಮಸ್ಯೆ']
+    },
+    academic_complex: {
+        en: ['course change', 'credit transfer', 'grade appeal', 'academic calendar'],
+        hi: ['कोर्स बदल', 'विषय बदल', 'क्रेडिट ट्रांसफर', 'पुनर्मूल्यांकन', 'ग्रेड अपील', 'शैक्षणिक कैलेंडर'],
+        mr: ['कोर्स बदल', 'विषय बदल', 'क्रेडिट ट्रान्सफर', 'पुनर्मूल्यांकन', 'ग्रेड अपील', 'शैक्षणिक दिनदर्शिका', 'शैक्षणिक वेळापत्रक'],
+        gu: ['કોર્સ બદલ', 'વિષય બદલ', 'ક્રેડિટ ટ્રાન્સફર', 'પુનઃમૂલ્યાંકન', 'ગ્રેડ અપીલ', 'શૈક્ષણિક કેલેન્ડર'],
+        bn: ['কোর্স পরিবর্তন', 'বিষয় পরিবর্তন', 'ক্রেডিট ট্রান্সফার', 'পুনর্মূল্যায়ন', 'গ্রেড আপিল', 'একাডেমিক ক্যালেন্ডার'],
+        ta: ['படிப்பு மாற்ற', 'பாடப்பிரிவு மாற்ற', 'கிரெடிட் மாற்ற', 'மறுமதிப்பீடு', 'மதிப்பெண் மேல்முறையீடு', 'கல்வி நாட்காட்டி'],
+        te: ['కోర్సు మార్పు', 'క్రెడిట్ బదిలీ', 'క్రెడిట్ ట్రాన్స్ఫర్', 'పునర్మూల్యాంకనం', 'గ్రేడ్ అప్పీల్', 'అకడమిక్ క్యాలెండర్', 'విద్యా క్యాలెండర్'],
+        kn: ['ಕೋರ್ಸ್ ಬದಲಾವಣೆ', 'ಕ್ರೆಡಿಟ್ ವರ್ಗಾವಣೆ', 'ಮರುಮೌಲ್ಯಮಾಪನ', 'ಗ್ರೇಡ್ ಮೇಲ್ಮನವಿ', 'ಶೈಕ್ಷಣಿಕ ಕ್ಯಾಲೆಂಡರ್']
+    },
+    admission_complex: {
+        en: ['document verification', 'eligibility query', 'admission appeal'],
+        hi: ['दस्तावेज़ सत्यापन', 'दस्तावेज सत्यापन', 'डॉक्यूमेंट वेरिफिकेशन', 'पात्रता संबंधी प्रश्न', 'पात्रता प्रश्न', 'प्रवेश अपील'],
+        mr: ['कागदपत्र पडताळणी', 'दस्तऐवज पडताळणी', 'पात्रतेबाबत प्रश्न', 'पात्रता प्रश्न', 'प्रवेश अपील'],
+        gu: ['દસ્તાવેજ ચકાસણી', 'ડોક્યુમેન્ટ વેરિફિકેશન', 'પાત્રતા અંગે પ્રશ્ન', 'પાત્રતા પ્રશ્ન', 'પ્રવેશ અપીલ'],
+        bn: ['নথি যাচাই', 'ডকুমেন্ট ভেরিফিকেশন', 'যোগ্যতা সংক্রান্ত প্রশ্ন', 'যোগ্যতার প্রশ্ন', 'ভর্তি আপিল'],
+        ta: ['ஆவண சரிபார்ப்பு', 'தகுதி தொடர்பான கேள்வி', 'தகுதி கேள்வி', 'சேர்க்கை மேல்முறையீடு'],
+        te: ['పత్రాల ధృవీకరణ', 'డాక్యుమెంట్ వెరిఫికేషన్', 'అర్హత గురించి ప్రశ్న', 'అర్హత ప్రశ్న', 'ప్రవేశ అప్పీల్'],
+        kn: ['ದಾಖಲೆ ಪರಿಶೀಲನೆ', 'ಅರ್ಹತೆ ಕುರಿತು ಪ್ರಶ್ನೆ', 'ಅರ್ಹತೆ ಪ್ರಶ್ನೆ', 'ಪ್ರವೇಶ ಮೇಲ್ಮನವಿ']
+    },
+    complaints: {
+        en: ['complaint', 'unsatisfied', 'problem with', 'issue with'],
+        hi: ['शिकायत', 'असंतुष्ट', 'संतुष्ट नहीं'],
+        mr: ['तक्रार', 'असमाधानी', 'समाधानी नाही'],
+        gu: ['ફરિયાદ', 'અસંતુષ્ટ', 'સંતુષ્ટ નથી'],
+        bn: ['অভিযোগ', 'অসন্তুষ্ট', 'সন্তুষ্ট নই'],
+        ta: ['புகார்', 'அதிருப்தி', 'திருப்தி இல்லை'],
+        te: ['ఫిర్యాదు', 'అసంతృప్తి', 'సంతృప్తిగా లేను'],
+        kn: ['ದೂರು', 'ಅಸಮಾಧಾನ', 'ತೃಪ್ತಿ ಇಲ್ಲ']
+    }
+};
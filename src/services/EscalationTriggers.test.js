@@ -0,0 +1,51 @@
+import { containsTrigger, findTriggers, normalizeForMatching, RULE_TRIGGERS, SIGNAL_TRIGGERS } from './EscalationTriggers';
+
+const find = (text, triggers) => findTriggers(normalizeForMatching(text), triggers);
+
+describe('containsTrigger', () => {
+  it('matches Latin triggers as whole words only', () => {
+    expect(containsTrigger(normalizeForMatching('There is an issue with my fees'), 'issue')).toBe(true);
+    expect(containsTrigger(normalizeForMatching('Where can I buy tissue paper?'), 'issue')).toBe(false);
+  });
+
+  it('lets longer Indic triggers take case endings', () => {
+    expect(containsTrigger(normalizeForMatching('रिफंडका क्या हुआ?'), 'रिफंड')).toBe(true);
+    expect(containsTrigger(normalizeForMatching('मुझे कोर्स बदलना है'), 'कोर्स बदल')).toBe(true);
+  });
+
+  it('does not let short Indic words match the start of other words', () => {
+    expect(containsTrigger(normalizeForMatching('रागिनी का रोल नंबर क्या है?'), 'राग')).toBe(false);
+    expect(containsTrigger(normalizeForMatching('मला खूप राग आला आहे'), 'राग')).toBe(true);
+  });
+
+  it('ignores zero-width joiners and punctuation', () => {
+    expect(containsTrigger(normalizeForMatching('समस्या!!'), 'समस्या')).toBe(true);
+    expect(containsTrigger(normalizeForMatching('ರೀಫ‌ಂಡ್ ಬೇಕು'), 'ರೀಫಂಡ್')).toBe(true);
+  });
+});
+
+describe('findTriggers', () => {
+  it('reports the language of each trigger found', () => {
+    expect(find('Portal not working, मदद करो', SIGNAL_TRIGGERS.frustration)).toEqual([
+      { language: 'en', trigger: 'not working' },
+      { language: 'hi', trigger: 'मदद करो' }
+    ]);
+  });
+
+  it('finds department triggers in every language', () => {
+    expect(find('मुझे फीस वापसी चाहिए', RULE_TRIGGERS.complex_financial)).toContainEqual({ language: 'hi', trigger: 'फीस वापसी' });
+    expect(find('கட்டணம் திரும்ப கிடைக்குமா?', RULE_TRIGGERS.complex_financial)).toContainEqual({ language: 'ta', trigger: 'கட்டணம் திரும்ப' });
+    expect(find('ಲಾಗಿನ್ ಆಗುತ್ತಿಲ್ಲ', RULE_TRIGGERS.technical_issues)).toContainEqual({ language: 'kn', trigger: 'ಲಾಗಿನ್ ಆಗುತ್ತಿಲ್ಲ' });
+  });
+
+  it('does not treat a plain eligibility question as an admissions escalation', () => {
+    expect(find('What is the eligibility for B.Tech?', RULE_TRIGGERS.admission_complex)).toEqual([]);
+    expect(find('B.Tech के लिए पात्रता क्या है?', RULE_TRIGGERS.admission_complex)).toEqual([]);
+    expect(find('B.Tech-க்கு தகுதி என்ன?', RULE_TRIGGERS.admission_complex)).toEqual([]);
+    expect(find('B.Tech-এর জন্য যোগ্যতা কী?', RULE_TRIGGERS.admission_complex)).toEqual([]);
+  });
+
+  it('returns nothing without triggers', () => {
+    expect(find('anything', undefined)).toEqual([]);
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Handoff Metrics
+ * Measures how human agents and departments handle escalated chats, from the
+ * HandoffRequest records: first response time, handle time, resolution rate
+ * and the students' survey ratings.
+ */
+
+// Survey ratings at or above this count as satisfied, as on the Analytics overview
+const SATISFIED_RATING = 4;
+
+// Statuses of requests that are over, one way or another
+const CLOSED_STATUSES = ['resolved', 'cancelled', 'ticket'];
+
+/**
+ * Seconds between two timestamps
+ * @param {string} from - Start
+ * @param {string} to - End
+ * @returns {number|null} Seconds, or null when either is missing or they are out of order
+ */
+function secondsBetween(from, to) {
+    if (!from || !to) return null;
+    const seconds = (new Date(to) - new Date(from)) / 1000;
+    return seconds >= 0 ? seconds : null;
+}
+
+/**
+ * Median of some numbers
+ * @param {Array<number>} values - Numbers
+ * @returns {number|null} Median, or null for none
+ */
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Metrics of a group of requests
+ * @param {Array} records - HandoffRequest records
+ * @returns {Object} requests, closed, resolved, resolutionRate (0-1), firstResponseTime and
+ *   handleTime (median seconds), csat (mean rating), satisfiedRate (0-1) and surveys
+ */
+export function summarizeHandoffs(records) {
+    const closed = records.filter(record => CLOSED_STATUSES.includes(record.status));
+    const resolved = closed.filter(record => record.status === 'resolved');
+    const firstResponses = records
+        .map(record => secondsBetween(record.created_date, record.first_response_at))
+        .filter(seconds => seconds !== null);
+    const handleTimes = resolved
+        .map(record => secondsBetween(record.claimed_at, record.resolved_at))
+        .filter(seconds => seconds !== null);
+    const ratings = records.map(record => record.csat_rating).filter(Boolean);
+
+    return {
+        requests: records.length,
+        closed: closed.length,
+        resolved: resolved.length,
+        resolutionRate: closed.length > 0 ? resolved.length / closed.length : null,
+        firstResponseTime: median(firstResponses),
+        handleTime: median(handleTimes),
+        csat: ratings.length > 0 ? ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length : null,
+        satisfiedRate: ratings.length > 0 ? ratings.filter(rating => rating >= SATISFIED_RATING).length / ratings.length : null,
+        surveys: ratings.length
+    };
+}
+
+/**
+ * Metrics per agent, per department and overall
+ * @param {Array} records - HandoffRequest records
+ * @returns {{overall: Object, agents: Array, departments: Array}} Rows carry key and name besides the
+ *   summarizeHandoffs fields. Agents are credited with the requests they hold or closed; transferred
+ *   requests count for the agent who finished them.
+ */
+export function computeHandoffMetrics(records = []) {
+    const groupBy = (keyOf, nameOf) => {
+        const groups = new Map();
+        records.forEach(record => {
+            const key = keyOf(record);
+            if (!key) return;
+            if (!groups.has(key)) groups.set(key, { key, name: nameOf(record), records: [] });
+            groups.get(key).records.push(record);
+        });
+        return Array.from(groups.values())
+            .map(({ records: grouped, ...group }) => ({ ...group, ...summarizeHandoffs(grouped) }))
+            .sort((a, b) => b.requests - a.requests);
+    };
+
+    return {
+        overall: summarizeHandoffs(records),
+        agents: groupBy(
+            record => record.assigned_agent,
+            record => record.assigned_agent_name || record.assigned_agent
+        ),
+        departments: groupBy(
+            record => record.department || 'general',
+            record => record.department || 'general'
+        )
+    };
+}
@@ -0,0 +1,417 @@
+/**
+ * Handoff Transport
+ * Live channel between a student's chat and the agent console for one
+ * handoff. Uses a WebSocket when it can and falls back to long polling
+ * against the same relay server; reconnects with backoff and asks the server
+ * to replay whatever was sent while it was away. Carries chat messages,
+ * typing indicators and delivery/read receipts.
+ */
+
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30 * 1000;
+
+// Consecutive WebSocket connections that never opened before switching to long polling
+const WEBSOCKET_ATTEMPTS = 3;
+
+// Typing updates are sent at most this often, and stop after this long without keystrokes
+const TYPING_THROTTLE = 2000;
+const TYPING_IDLE = 3000;
+
+// A remote "typing" that isn't refreshed within this time is treated as stopped
+const REMOTE_TYPING_TIMEOUT = 6000;
+
+/**
+ * Create an id for an outgoing message, used for acks, receipts and de-duplication
+ * @returns {string} Client message id
+ */
+export function createClientId() {
+    return `msg_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+}
+
+/**
+ * Turn the relay's HTTP address into its WebSocket endpoint
+ * @param {string} serverUrl - Relay address, e.g. http://localhost:8787
+ * @returns {string} WebSocket URL
+ */
+export function toWebSocketUrl(serverUrl) {
+    return `${serverUrl.replace(/\/+$/, '').replace(/^http/, 'ws')}/handoff`;
+}
+
+/**
+ * Wait before the next attempt
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export class HandoffTransport {
+    /**
+     * @param {Object} options
+     * @param {string} options.serverUrl - Relay address
+     * @param {string} options.handoffId - Handoff the channel belongs to
+     * @param {string} options.role - 'student' or 'agent'
+     * @param {string} [options.name] - Display name sent with typing indicators
+     * @param {Function} [options.WebSocketImpl] - WebSocket constructor, none forces long polling
+     * @param {Function} [options.fetchImpl] - fetch implementation for long polling
+     */
+    constructor({
+        serverUrl,
+        handoffId,
+        role,
+        name,
+        WebSocketImpl = typeof window !== 'undefined' ? window.WebSocket : undefined,
+        fetchImpl = typeof window !== 'undefined' ? window.fetch.bind(window) : undefined
+    }) {
+        this.serverUrl = serverUrl.replace(/\/+$/, '');
+        this.handoffId = handoffId;
+        this.role = role;
+        this.name = name;
+        this.WebSocketImpl = WebSocketImpl;
+        this.fetchImpl = fetchImpl;
+
+        this.state = 'idle';
+        this.closed = false;
+        this.socket = null;
+        this.pollController = null;
+        this.reconnectTimer = null;
+        this.attempts = 0;
+        this.websocketFailures = 0;
+
+        // Highest server sequence number received, sent back when reconnecting for replay
+        this.lastSeq = 0;
+        // Client ids of messages already handed to listeners (including our own)
+        this.seen = new Set();
+        // Messages not yet acknowledged by the server, resent after a reconnect
+        this.outbox = new Map();
+        // Receipts produced while disconnected
+        this.pendingReceipts = [];
+
+        this.typing = false;
+        this.typingSentAt = 0;
+        this.typingTimer = null;
+        this.remoteTypingTimer = null;
+
+        this.listeners = new Map();
+    }
+
+    /**
+     * Listen for 'message', 'typing', 'receipt' or 'state' events
+     * @param {string} type - Event type
+     * @param {Function} handler - Called with the event payload
+     * @returns {Function} Unsubscribe
+     */
+    on(type, handler) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(handler);
+        return () => this.listeners.get(type).delete(handler);
+    }
+
+    /**
+     * Notify listeners
+     * @param {string} type - Event type
+     * @param {*} payload - Event payload
+     */
+    emit(type, payload) {
+        this.listeners.get(type)?.forEach(handler => {
+            try {
+                handler(payload);
+            } catch (error) {
+                console.error(`Handoff transport ${type} listener failed:`, error);
+            }
+        });
+    }
+
+    /**
+     * Update the connection state
+     * @param {string} state - 'connecting', 'open', 'polling', 'reconnecting' or 'closed'
+     */
+    setState(state) {
+        if (this.state === state) return;
+        this.state = state;
+        this.emit('state', state);
+    }
+
+    /**
+     * Open the channel
+     */
+    connect() {
+        if (this.closed) return;
+        if (!this.WebSocketImpl || this.websocketFailures >= WEBSOCKET_ATTEMPTS) {
+            this.startPolling();
+            return;
+        }
+
+        this.setState(this.attempts > 0 ? 'reconnecting' : 'connecting');
+        let opened = false;
+        let socket;
+        try {
+            socket = new this.WebSocketImpl(toWebSocketUrl(this.serverUrl));
+        } catch (error) {
+            console.error('Failed to open handoff WebSocket:', error);
+            this.websocketFailures++;
+            this.scheduleReconnect();
+            return;
+        }
+        this.socket = socket;
+
+        socket.onopen = () => {
+            opened = true;
+            this.attempts = 0;
+            this.websocketFailures = 0;
+            this.setState('open');
+            this.sendFrame({ type: 'join', name: this.name, since: this.lastSeq });
+            this.flush();
+        };
+        socket.onmessage = (event) => {
+            try {
+                this.handleFrame(JSON.parse(event.data));
+            } catch (error) {
+                console.error('Invalid frame from handoff server:', error);
+            }
+        };
+        // An error is always followed by close, which decides what happens next
+        socket.onerror = () => {};
+        socket.onclose = () => {
+            if (this.socket !== socket) return;
+            this.socket = null;
+            if (!opened) this.websocketFailures++;
+            this.scheduleReconnect();
+        };
+    }
+
+    /**
+     * Try again after an exponential backoff
+     */
+    scheduleReconnect() {
+        if (this.closed) return;
+        this.setState('reconnecting');
+        const wait = Math.min(RECONNECT_BASE_DELAY * 2 ** this.attempts, RECONNECT_MAX_DELAY);
+        this.attempts++;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => this.connect(), wait);
+    }
+
+    /**
+     * Receive frames through long polling until closed
+     */
+    async startPolling() {
+        if (this.pollController) return;
+        this.pollController = new AbortController();
+        const { signal } = this.pollController;
+        // Sending goes through separate requests, so the channel is usable straight away
+        this.setState('polling');
+        this.flush();
+
+        while (!this.closed) {
+            try {
+                const query = new URLSearchParams({
+                    handoffId: this.handoffId,
+                    role: this.role,
+                    since: String(this.lastSeq)
+                });
+                const response = await this.fetchImpl(`${this.serverUrl}/handoff/poll?${query}`, { signal });
+                if (!response.ok) {
+                    throw new Error(`Poll failed with status ${response.status}`);
+                }
+                const { frames = [] } = await response.json();
+                if (this.state !== 'polling') {
+                    this.attempts = 0;
+                    this.setState('polling');
+                    this.flush();
+                }
+                frames.forEach(frame => this.handleFrame(frame));
+            } catch (error) {
+                if (this.closed) return;
+                this.setState('reconnecting');
+                const wait = Math.min(RECONNECT_BASE_DELAY * 2 ** this.attempts, RECONNECT_MAX_DELAY);
+                this.attempts++;
+                await delay(wait);
+            }
+        }
+    }
+
+    /**
+     * Whether frames can be sent right now
+     * @returns {boolean}
+     */
+    isConnected() {
+        return this.state === 'open' || this.state === 'polling';
+    }
+
+    /**
+     * Send a frame over whichever channel is up
+     * @param {Object} frame - Frame without handoff and role
+     * @returns {Promise<boolean>} Whether it was handed to the network
+     */
+    async sendFrame(frame) {
+        const full = { ...frame, handoffId: this.handoffId, role: this.role };
+
+        if (this.socket && this.state === 'open') {
+            this.socket.send(JSON.stringify(full));
+            return true;
+        }
+        if (this.state !== 'polling') return false;
+
+        try {
+            const response = await this.fetchImpl(`${this.serverUrl}/handoff/send`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(full)
+            });
+            if (!response.ok) {
+                throw new Error(`Send failed with status ${response.status}`);
+            }
+            const { frames = [] } = await response.json();
+            frames.forEach(reply => this.handleFrame(reply));
+            return true;
+        } catch (error) {
+            console.error('Failed to send handoff frame:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Resend unacknowledged messages and queued receipts after (re)connecting
+     */
+    flush() {
+        this.outbox.forEach(frame => this.sendFrame(frame));
+        const receipts = this.pendingReceipts;
+        this.pendingReceipts = [];
+        receipts.forEach(receipt => this.sendReceipt(receipt.clientIds, receipt.status));
+    }
+
+    /**
+     * Handle a frame from the server
+     * @param {Object} frame - Server frame
+     */
+    handleFrame(frame) {
+        if (frame.seq > this.lastSeq && frame.type !== 'ack') {
+            this.lastSeq = frame.seq;
+        }
+
+        switch (frame.type) {
+            case 'message': {
+                if (this.seen.has(frame.clientId)) return;
+                this.seen.add(frame.clientId);
+                this.emit('message', frame);
+                if (frame.role !== this.role) {
+                    this.sendReceipt([frame.clientId], 'delivered');
+                }
+                break;
+            }
+            case 'ack':
+                // Not used for replay: an ack can overtake earlier frames when polling
+                if (this.outbox.delete(frame.clientId)) {
+                    this.emit('receipt', { clientIds: [frame.clientId], status: 'sent' });
+                }
+                break;
+            case 'typing':
+                if (frame.role === this.role) return;
+                clearTimeout(this.remoteTypingTimer);
+                this.emit('typing', { typing: frame.typing, name: frame.name, role: frame.role });
+                if (frame.typing) {
+                    this.remoteTypingTimer = setTimeout(() => {
+                        this.emit('typing', { typing: false, name: frame.name, role: frame.role });
+                    }, REMOTE_TYPING_TIMEOUT);
+                }
+                break;
+            case 'receipt':
+                if (frame.role === this.role) return;
+                this.emit('receipt', { clientIds: frame.clientIds, status: frame.status });
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Send a chat message
+     * @param {Object} message
+     * @param {string} [message.clientId] - Id to use, e.g. one already shown on screen
+     * @param {string} [message.sender] - 'student', 'agent' or 'system'; defaults to the role
+     * @param {string} [message.senderName] - Name shown to the other side
+     * @param {string} message.text - Message text
+     * @returns {string} Client message id
+     */
+    send({ clientId = createClientId(), sender = this.role, senderName, text }) {
+        const frame = { type: 'message', clientId, sender, senderName, text };
+        this.seen.add(clientId);
+        this.outbox.set(clientId, frame);
+        this.sendFrame(frame);
+        this.setTyping(false);
+        return clientId;
+    }
+
+    /**
+     * Report that the user is (or stopped) typing; call on every keystroke
+     * @param {boolean} typing - Whether the user is typing
+     */
+    setTyping(typing) {
+        clearTimeout(this.typingTimer);
+        if (typing) {
+            this.typingTimer = setTimeout(() => this.setTyping(false), TYPING_IDLE);
+            if (this.typing && Date.now() - this.typingSentAt < TYPING_THROTTLE) return;
+        } else if (!this.typing) {
+            return;
+        }
+
+        this.typing = typing;
+        this.typingSentAt = Date.now();
+        // Stale typing indicators aren't worth queueing
+        if (this.isConnected()) {
+            this.sendFrame({ type: 'typing', typing, name: this.name });
+        }
+    }
+
+    /**
+     * Tell the other side that messages were delivered or read
+     * @param {Array<string>} clientIds - Client message ids
+     * @param {string} status - 'delivered' or 'read'
+     */
+    sendReceipt(clientIds, status) {
+        if (clientIds.length === 0) return;
+        if (!this.isConnected()) {
+            this.pendingReceipts.push({ clientIds, status });
+            return;
+        }
+        this.sendFrame({ type: 'receipt', clientIds, status }).then(sent => {
+            if (!sent) this.pendingReceipts.push({ clientIds, status });
+        });
+    }
+
+    /**
+     * Mark messages from the other side as read
+     * @param {Array<string>} clientIds - Client message ids
+     */
+    markRead(clientIds) {
+        this.sendReceipt(clientIds, 'read');
+    }
+
+    /**
+     * Close the channel for good
+     */
+    close() {
+        if (this.closed) return;
+        if (this.typing && this.isConnected()) {
+            this.sendFrame({ type: 'typing', typing: false, name: this.name });
+        }
+        this.closed = true;
+        clearTimeout(this.reconnectTimer);
+        clearTimeout(this.typingTimer);
+        clearTimeout(this.remoteTypingTimer);
+        this.pollController?.abort();
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close();
+        }
+        this.setState('closed');
+        this.listeners.clear();
+    }
+}
+
+export default HandoffTransport;
@@ -0,0 +1,134 @@
+import HandoffTransport from './HandoffTransport';
+
+describe('HandoffTransport', () => {
+  let sockets;
+
+  // Stands in for the browser WebSocket; tests open, feed and drop it by hand
+  class FakeSocket {
+    constructor(url) {
+      this.url = url;
+      this.sent = [];
+      sockets.push(this);
+    }
+
+    send(data) {
+      this.sent.push(JSON.parse(data));
+    }
+
+    close() {
+      this.onclose();
+    }
+
+    receive(frame) {
+      this.onmessage({ data: JSON.stringify(frame) });
+    }
+  }
+
+  const createTransport = () => new HandoffTransport({
+    serverUrl: 'http://localhost:8787/',
+    handoffId: 'HO_1',
+    role: 'student',
+    WebSocketImpl: FakeSocket,
+    fetchImpl: jest.fn()
+  });
+  const lastSocket = () => sockets[sockets.length - 1];
+  const sentOfType = (socket, type) => socket.sent.filter(frame => frame.type === type);
+
+  beforeEach(() => {
+    sockets = [];
+    jest.useFakeTimers();
+  });
+  afterEach(() => jest.useRealTimers());
+
+  it('reconnects with a growing backoff after the connection drops', () => {
+    const transport = createTransport();
+    const states = [];
+    transport.on('state', state => states.push(state));
+    transport.connect();
+    expect(lastSocket().url).toBe('ws://localhost:8787/handoff');
+    lastSocket().onopen();
+
+    lastSocket().close();
+    expect(transport.state).toBe('reconnecting');
+    jest.advanceTimersByTime(999);
+    expect(sockets).toHaveLength(1);
+    jest.advanceTimersByTime(1);
+    expect(sockets).toHaveLength(2);
+
+    // Still down: the next attempt waits twice as long
+    lastSocket().close();
+    jest.advanceTimersByTime(1999);
+    expect(sockets).toHaveLength(2);
+    jest.advanceTimersByTime(1);
+    expect(sockets).toHaveLength(3);
+
+    lastSocket().onopen();
+    expect(states).toEqual(['connecting', 'open', 'reconnecting', 'open']);
+    transport.close();
+  });
+
+  it('resends messages the server has not acknowledged once it is back', () => {
+    const transport = createTransport();
+    const receipts = [];
+    transport.on('receipt', receipt => receipts.push(receipt));
+    transport.connect();
+
+    // Written before the socket opened
+    const first = transport.send({ text: 'Hello?' });
+    expect(lastSocket().sent).toEqual([]);
+    lastSocket().onopen();
+    expect(sentOfType(lastSocket(), 'message').map(frame => frame.clientId)).toEqual([first]);
+
+    const second = transport.send({ text: 'Is anyone there?' });
+    lastSocket().receive({ type: 'ack', clientId: first, seq: 1 });
+    expect(receipts).toEqual([{ clientIds: [first], status: 'sent' }]);
+
+    lastSocket().close();
+    jest.advanceTimersByTime(1000);
+    lastSocket().onopen();
+    expect(sentOfType(lastSocket(), 'message').map(frame => frame.clientId)).toEqual([second]);
+    transport.close();
+  });
+
+  it('asks for everything after the last frame it saw when rejoining', () => {
+    const transport = createTransport();
+    transport.connect();
+    lastSocket().onopen();
+    expect(sentOfType(lastSocket(), 'join')).toEqual([expect.objectContaining({ since: 0 })]);
+
+    lastSocket().receive({ type: 'message', seq: 1, clientId: 'a1', role: 'agent', text: 'Hi' });
+    lastSocket().receive({ type: 'typing', seq: 2, role: 'agent', typing: true });
+    // Acks can overtake frames that are still on their way, so they don't move the mark
+    lastSocket().receive({ type: 'ack', seq: 5, clientId: 'mine' });
+
+    lastSocket().close();
+    jest.advanceTimersByTime(1000);
+    lastSocket().onopen();
+    expect(sentOfType(lastSocket(), 'join')).toEqual([expect.objectContaining({ since: 2, handoffId: 'HO_1', role: 'student' })]);
+    transport.close();
+  });
+
+  it('hands each message to listeners once, however often it is replayed', () => {
+    const transport = createTransport();
+    const messages = [];
+    transport.on('message', frame => messages.push(frame.clientId));
+    transport.connect();
+    lastSocket().onopen();
+
+    const mine = transport.send({ text: 'My fee receipt is missing' });
+    const reply = { type: 'message', seq: 1, clientId: 'a1', role: 'agent', text: 'Let me check' };
+    lastSocket().receive(reply);
+    lastSocket().receive({ type: 'message', seq: 2, clientId: mine, role: 'student', text: 'My fee receipt is missing' });
+
+    // The replay after a reconnect repeats what already arrived
+    lastSocket().close();
+    jest.advanceTimersByTime(1000);
+    lastSocket().onopen();
+    lastSocket().receive(reply);
+
+    expect(messages).toEqual(['a1']);
+    const delivered = sockets.flatMap(socket => sentOfType(socket, 'receipt'));
+    expect(delivered).toEqual([expect.objectContaining({ clientIds: ['a1'], status: 'delivered' })]);
+    transport.close();
+  });
+});
@@ -4,12 +4,176 @@
  * Includes queue management, context preservation, and multi-language support
  */
 
+import { translate } from '../i18n';
+import HandoffTransport, { createClientId } from './HandoffTransport';
+import { SIGNAL_TRIGGERS, normalizeForMatching, findTriggers, tokenize } from './EscalationTriggers';
+import {
+    DEFAULT_DEPARTMENTS,
+    DEFAULT_ESCALATION_RULES,
+    selectActiveEscalationRules,
+    toEscalationRule,
+    loadEscalationRuleRecords
+} from './EscalationRuleStore';
+import { getOfficeStatus, formatOfficeTime } from './OfficeHoursCalendar';
+
+const PRIORITY_ORDER = { urgent: 3, high: 2, medium: 1, low: 0 };
+
+// Waiting this long raises a request by one priority level, so low-priority requests don't starve
+const AGING_INTERVAL = 15 * 60 * 1000;
+
+// Handle time in seconds assumed until a department has resolved requests to learn from
+const DEFAULT_HANDLE_TIME = 600;
+
+// Resolved requests sampled for handle times, and how often the sample is reloaded
+const HANDLE_TIME_SAMPLE = 200;
+const HANDLE_TIME_REFRESH = 5 * 60 * 1000;
+
+// Wait in seconds quoted when a matching agent has a free chat slot right away
+const MIN_WAIT_ESTIMATE = 60;
+
+// Published wait estimates only change when they move by at least this many seconds
+const WAIT_ESTIMATE_TOLERANCE = 60;
+
+// How often escalation rules edited by an admin are picked up
+const RULES_REFRESH = 60 * 1000;
+
+// How often office hours edited by an admin are picked up
+const OFFICE_HOURS_REFRESH = 5 * 60 * 1000;
+
+// During office hours, a waiting request no online agent can take becomes a
+// ticket after this long; the student's own chat gives up after the longer
+// timeout (or twice the estimated wait) in case no agent console is open
+const NO_AGENT_GRACE = 2 * 60 * 1000;
+const UNANSWERED_TIMEOUT = 15 * 60 * 1000;
+
+// Repeated questions: how many earlier user turns to compare against, how
+// similar a turn must be to count, and how many repeats escalate on their own
+const REPEAT_WINDOW = 4;
+const REPEAT_SIMILARITY = 0.6;
+const REPEAT_ESCALATION = 2;
+
+// Agents whose console hasn't checked in for this long are treated as offline
+const AGENT_HEARTBEAT_TIMEOUT = 3 * 60 * 1000;
+
+// Statuses after which a handoff no longer waits for or talks to an agent
+const ENDED_STATUSES = ['resolved', 'cancelled', 'ticket'];
+
+// Routing weights: speaking the student's language matters most, then the department
+const ROUTING_WEIGHTS = {
+    language: 4,
+    fallbackLanguage: 1,
+    department: 3,
+    generalDepartment: 1,
+    load: 2
+};
+
+/**
+ * Priority and arrival time of a local request or a HandoffRequest record
+ * @param {Object} item - Local handoff request or HandoffRequest record
+ * @returns {{priority: string, createdAt: number}}
+ */
+function queueEntry(item) {
+    return {
+        priority: item.priority || item.escalationInfo?.recommendation?.priority || 'low',
+        createdAt: new Date(item.created_date || item.timestamp).getTime() || Date.now()
+    };
+}
+
+/**
+ * Priority of a waiting request after aging
+ * @param {Object} item - Local handoff request or HandoffRequest record
+ * @param {number} [now] - Current time in ms
+ * @returns {number} Priority level plus one level per AGING_INTERVAL waited
+ */
+export function effectivePriority(item, now = Date.now()) {
+    const { priority, createdAt } = queueEntry(item);
+    return (PRIORITY_ORDER[priority] ?? 0) + Math.max(0, now - createdAt) / AGING_INTERVAL;
+}
+
+/**
+ * Queue order: highest aged priority first, then first come first served
+ * @param {Object} a - Request
+ * @param {Object} b - Request
+ * @param {number} [now] - Current time in ms
+ * @returns {number} Sort comparison
+ */
+export function compareQueueOrder(a, b, now = Date.now()) {
+    return (effectivePriority(b, now) - effectivePriority(a, now)) ||
+        (queueEntry(a).createdAt - queueEntry(b).createdAt);
+}
+
+/**
+ * Median handle times (claimed to resolved) of resolved requests
+ * @param {Array} records - Resolved HandoffRequest records
+ * @returns {{departments: Object, overall: number|null, samples: number}} Seconds per department and overall
+ */
+export function computeHandleTimes(records) {
+    const median = (values) => {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    };
+
+    const byDepartment = {};
+    const all = [];
+    records.forEach(record => {
+        if (!record.claimed_at || !record.resolved_at) return;
+        const seconds = (new Date(record.resolved_at) - new Date(record.claimed_at)) / 1000;
+        if (!(seconds > 0)) return;
+        const department = record.department || 'general';
+        (byDepartment[department] = byDepartment[department] || []).push(seconds);
+        all.push(seconds);
+    });
+
+    const departments = {};
+    Object.entries(byDepartment).forEach(([department, values]) => {
+        departments[department] = Math.round(median(values));
+    });
+
+    return {
+        departments,
+        overall: all.length > 0 ? Math.round(median(all)) : null,
+        samples: all.length
+    };
+}
+
 export class HumanHandoffManager {
-    constructor() {
+    /**
+     * @param {Object} [entities] - Entity APIs that share the queue with the agent console
+     * @param {Object} [entities.HandoffRequest] - HandoffRequest entity
+     * @param {Object} [entities.HandoffMessage] - HandoffMessage entity
+     * @param {Object} [entities.SupportAgent] - SupportAgent entity for the agent registry
+     * @param {Object} [entities.EscalationRule] - EscalationRule entity; without one the built-in rules apply
+     * @param {Object} [entities.OfficeHours] - OfficeHours entity; without one the default schedule applies
+     * @param {string} [entities.serverUrl] - Live chat relay; without one both sides poll the entities
+     */
+    constructor({
+        HandoffRequest = null,
+        HandoffMessage = null,
+        SupportAgent = null,
+        EscalationRule = null,
+        OfficeHours = null,
+        serverUrl = ''
+    } = {}) {
+        this.HandoffRequest = HandoffRequest;
+        this.HandoffMessage = HandoffMessage;
+        this.SupportAgent = SupportAgent;
+        this.EscalationRule = EscalationRule;
+        this.OfficeHours = OfficeHours;
+        this.serverUrl = serverUrl;
         this.handoffQueue = new Map();
         this.supportAgents = new Map();
+        this.handleTimes = { departments: {}, overall: null, samples: 0 };
+        this.handleTimesLoadedAt = 0;
         this.escalationRules = new Map();
+        this.rulesLoadedAt = 0;
+        this.officeHours = [];
+        this.officeHoursLoadedAt = 0;
         this.conversationLogger = new ConversationLogger();
+        // Status listeners for handoffs made in this browser (see on())
+        this.listeners = new Map();
+        // Handoffs this console has already recorded a first agent reply for
+        this.respondedHandoffs = new Set();
         this.initializeHandoffSystem();
     }
 
@@ -19,62 +183,75 @@ export class HumanHandoffManager {
     initializeHandoffSystem() {
         this.setupEscalationRules();
         this.initializeWebSocketConnection();
-        this.setupUIComponents();
     }
 
     /**
-     * Setup escalation rules for different query types
+     * Setup escalation rules for different query types. The built-in rules
+     * apply until loadEscalationRules brings in the college's own.
      */
     setupEscalationRules() {
-        // Complex financial queries
-        this.escalationRules.set('complex_financial', {
-            triggers: ['loan', 'EMI', 'refund', 'scholarship eligibility', 'financial aid calculation'],
-            priority: 'high',
-            department: 'finance',
-            estimatedWaitTime: 300 // 5 minutes
-        });
+        this.applyEscalationRules(DEFAULT_ESCALATION_RULES);
+    }
 
-        // Technical issues
-        this.escalationRules.set('technical_issues', {
-            triggers: ['portal not working', 'login failed', 'payment error', 'technical problem'],
-            priority: 'urgent',
-            department: 'IT',
-            estimatedWaitTime: 180 // 3 minutes
-        });
+    /**
+     * Replace the escalation rules
+     * @param {Array} records - EscalationRule records
+     */
+    applyEscalationRules(records) {
+        this.escalationRules = new Map(selectActiveEscalationRules(records)
+            .map(toEscalationRule)
+            .map(({ name, ...rule }) => [name, rule]));
+    }
 
-        // Academic matters
-        this.escalationRules.set('academic_complex', {
-            triggers: ['course change', 'credit transfer', 'grade appeal', 'academic calendar'],
-            priority: 'medium',
-            department: 'academic',
-            estimatedWaitTime: 600 // 10 minutes
-        });
+    /**
+     * Load the escalation rules configured by admins, at most once per refresh interval
+     * @param {Object} [options]
+     * @param {boolean} [options.force] - Reload even if loaded recently
+     * @returns {Promise<Map>} Rules by name, in the order they are checked
+     */
+    async loadEscalationRules({ force = false } = {}) {
+        if (!this.EscalationRule) return this.escalationRules;
+        if (!force && Date.now() - this.rulesLoadedAt < RULES_REFRESH) {
+            return this.escalationRules;
+        }
 
-        // Admission issues
-        this.escalationRules.set('admission_complex', {
-            triggers: ['document verification', 'eligibility query', 'admission appeal'],
-            priority: 'high',
-            department: 'admissions',
-            estimatedWaitTime: 450 // 7.5 minutes
-        });
+        this.applyEscalationRules(await loadEscalationRuleRecords(this.EscalationRule));
+        this.rulesLoadedAt = Date.now();
+        return this.escalationRules;
+    }
 
-        // General complaints
-        this.escalationRules.set('complaints', {
-            triggers: ['complaint', 'unsatisfied', 'problem with', 'issue with'],
-            priority: 'medium',
-            department: 'admin',
-            estimatedWaitTime: 720 // 12 minutes
-        });
+    /**
+     * Load the escalation rules now and keep reloading them, so edits reach
+     * open chats without a page reload
+     * @returns {Function} Stops watching
+     */
+    watchEscalationRules() {
+        const reload = () => this.loadEscalationRules({ force: true })
+            .catch(error => console.error('Error loading escalation rules:', error));
+
+        reload();
+        const timer = setInterval(reload, RULES_REFRESH);
+        return () => clearInterval(timer);
     }
 
     /**
-     * Analyze message for escalation triggers
+     * Departments requests can be routed to: the defaults plus any used by a rule
+     * @returns {Array<string>} Department names
+     */
+    getDepartments() {
+        const fromRules = Array.from(this.escalationRules.values(), rule => rule.department);
+        return [...new Set([...DEFAULT_DEPARTMENTS, ...fromRules])];
+    }
+
+    /**
+     * Analyze message for escalation triggers. Triggers of every supported
+     * language are checked, since students mix languages within a message.
      * @param {string} message - User message
-     * @param {Object} context - Conversation context
+     * @param {Array<{message: string}>} context - Earlier user turns, oldest first
      * @returns {Object} Escalation recommendation
      */
     analyzeEscalationNeed(message, context) {
-        const messageLower = message.toLowerCase();
+        const text = normalizeForMatching(message);
         const escalationSignals = {
             complexity: 0,
             frustration: 0,
@@ -82,52 +259,24 @@ export class HumanHandoffManager {
             urgency: 0
         };
 
-        // Check for complexity indicators
-        const complexityTriggers = [
-            'multiple', 'various', 'different', 'complex', 'complicated',
-            'several', 'many', 'numerous', 'detailed', 'specific'
-        ];
-        
-        complexityTriggers.forEach(trigger => {
-            if (messageLower.includes(trigger)) {
-                escalationSignals.complexity += 1;
-            }
-        });
-
-        // Check for frustration indicators
-        const frustrationTriggers = [
-            'frustrated', 'annoyed', 'angry', 'upset', 'disappointed',
-            'not working', 'doesn\\'t work', 'problem', 'issue', 'error',
-            'help me', 'urgent', 'immediately', 'asap'
-        ];
-        
-        frustrationTriggers.forEach(trigger => {
-            if (messageLower.includes(trigger)) {
-                escalationSignals.frustration += 1;
-            }
-        });
+        // Check for complexity and frustration indicators
+        const complexityMatches = findTriggers(text, SIGNAL_TRIGGERS.complexity);
+        const frustrationMatches = findTriggers(text, SIGNAL_TRIGGERS.frustration);
+        escalationSignals.complexity += complexityMatches.length;
+        escalationSignals.frustration += frustrationMatches.length;
 
         // Check conversation history for repeated queries
-        if (context && context.length > 3) {
-            const recentMessages = context.slice(-3);
-            const similarQueries = recentMessages.filter(msg => 
-                this.calculateSimilarity(msg.message, message) > 0.7
-            );
-            
-            if (similarQueries.length >= 2) {
-                escalationSignals.frustration += 2;
-            }
-        }
+        const repeatedQuestions = this.findRepeatedQuestions(message, context).length;
+        escalationSignals.frustration += Math.min(repeatedQuestions, REPEAT_ESCALATION);
 
         // Check for specific escalation rules
         let matchedRule = null;
+        let matches = [...complexityMatches, ...frustrationMatches];
         for (const [ruleName, rule] of this.escalationRules) {
-            const hasMatch = rule.triggers.some(trigger => 
-                messageLower.includes(trigger.toLowerCase())
-            );
-            
-            if (hasMatch) {
+            const ruleMatches = findTriggers(text, rule.triggers);
+            if (ruleMatches.length > 0) {
                 matchedRule = { name: ruleName, ...rule };
+                matches = [...matches, ...ruleMatches];
                 break;
             }
         }
@@ -139,26 +288,29 @@ export class HumanHandoffManager {
             escalationSignals.specificity * 0.2 +
             escalationSignals.urgency * 0.1;
 
-        const shouldEscalate = totalScore >= 2 || matchedRule;
+        const repeated = repeatedQuestions >= REPEAT_ESCALATION;
+        const shouldEscalate = totalScore >= 2 || Boolean(matchedRule) || repeated;
 
         return {
             shouldEscalate,
             confidence: Math.min(totalScore / 5, 1),
             matchedRule,
             signals: escalationSignals,
-            recommendation: this.getEscalationRecommendation(totalScore, matchedRule)
+            repeatedQuestions,
+            triggerLanguages: [...new Set(matches.map(match => match.language))],
+            recommendation: this.getEscalationRecommendation(totalScore, matchedRule, repeated)
         };
     }
 
     /**
      * Get escalation recommendation
      */
-    getEscalationRecommendation(score, matchedRule) {
+    getEscalationRecommendation(score, matchedRule, repeated = false) {
         if (matchedRule) {
             return {
                 priority: matchedRule.priority,
                 department: matchedRule.department,
-                estimatedWaitTime: matchedRule.estimatedWaitTime,
+                officeHours: matchedRule.officeHours,
                 reason: `Matched rule: ${matchedRule.name}`
             };
         }
@@ -167,44 +319,79 @@ export class HumanHandoffManager {
             return {
                 priority: 'urgent',
                 department: 'general',
-                estimatedWaitTime: 180,
                 reason: 'High complexity/frustration detected'
             };
         } else if (score >= 2) {
             return {
                 priority: 'medium',
                 department: 'general',
-                estimatedWaitTime: 600,
                 reason: 'Moderate escalation signals'
             };
+        } else if (repeated) {
+            return {
+                priority: 'medium',
+                department: 'general',
+                reason: 'Student keeps asking the same question'
+            };
         }
 
         return null;
     }
 
     /**
-     * Calculate similarity between two messages
+     * Find recent user turns that ask much the same thing as a message
+     * @param {string} message - User message
+     * @param {Array<{message: string}>} context - Earlier user turns, oldest first
+     * @returns {Array<string>} Similar earlier messages
+     */
+    findRepeatedQuestions(message, context) {
+        if (!Array.isArray(context)) return [];
+
+        return context
+            .slice(-REPEAT_WINDOW)
+            .map(turn => turn && turn.message)
+            .filter(previous => previous && this.calculateSimilarity(previous, message) >= REPEAT_SIMILARITY);
+    }
+
+    /**
+     * Calculate similarity between two messages: the Dice coefficient of
+     * their word sets, so a rephrasing with a few extra words still counts
      */
     calculateSimilarity(msg1, msg2) {
-        const words1 = msg1.toLowerCase().split(/\\s+/);
-        const words2 = msg2.toLowerCase().split(/\\s+/);
-        
-        const intersection = words1.filter(word => words2.includes(word));
-        const union = [...new Set([...words1, ...words2])];
-        
-        return intersection.length / union.length;
+        const words1 = new Set(tokenize(msg1));
+        const words2 = new Set(tokenize(msg2));
+        if (words1.size === 0 || words2.size === 0) return 0;
+
+        const shared = [...words1].filter(word => words2.has(word)).length;
+        return (2 * shared) / (words1.size + words2.size);
     }
 
     /**
      * Initiate handoff to human agent
      * @param {string} userId - User identifier
      * @param {Object} context - Full conversation context
-     * @param {Object} escalationInfo - Escalation details
+     * @param {Object} escalationInfo - Escalation details, optionally with the student's language
      * @returns {Promise<Object>} Handoff result
      */
     async initiateHandoff(userId, context, escalationInfo) {
         const handoffId = this.generateHandoffId();
         const timestamp = new Date().toISOString();
+        const priority = escalationInfo.recommendation?.priority || 'medium';
+        const department = escalationInfo.recommendation?.department || 'general';
+        const language = escalationInfo.language || context[context.length - 1]?.language || 'en';
+
+        // Outside office hours the rule decides: a ticket, or the queue for when agents are back
+        const availability = this.getAvailability(department);
+        const outsideHours = escalationInfo.recommendation?.officeHours || 'ticket';
+        if (!availability.open && outsideHours === 'ticket') {
+            return this.createTicket(userId, context, escalationInfo, {
+                handoffId,
+                priority,
+                department,
+                language,
+                reason: availability.holiday ? 'holiday' : 'closed'
+            });
+        }
         
         const handoffRequest = {
             id: handoffId,
@@ -213,59 +400,708 @@ export class HumanHandoffManager {
             context,
             escalationInfo,
             status: 'pending',
-            queuePosition: this.calculateQueuePosition(escalationInfo.recommendation?.priority),
-            estimatedWaitTime: escalationInfo.recommendation?.estimatedWaitTime || 600,
-            department: escalationInfo.recommendation?.department || 'general',
-            language: context[context.length - 1]?.language || 'en'
+            priority,
+            // The student can only read their own requests, so the place in the queue
+            // and the wait come from an agent console (see publishQueueEstimates)
+            queuePosition: null,
+            estimatedWaitTime: null,
+            department,
+            language
         };
 
         // Add to handoff queue
         this.handoffQueue.set(handoffId, handoffRequest);
 
+        // Agent consoles find the request when they next poll the queue
+        if (this.HandoffRequest) {
+            await this.HandoffRequest.create({
+                handoff_id: handoffId,
+                session_id: escalationInfo.sessionId,
+                user_id: userId,
+                status: 'pending',
+                priority,
+                department: handoffRequest.department,
+                language: handoffRequest.language,
+                reason: escalationInfo.recommendation?.reason,
+                context,
+                contact_email: escalationInfo.contact?.email,
+                contact_phone: escalationInfo.contact?.phone
+            });
+        }
+
+        this.emit('queued', this.getHandoffStatus(handoffId));
+
         // Log the handoff request
         await this.conversationLogger.logHandoffRequest(handoffRequest);
 
-        // Notify available agents
-        this.notifyAgents(handoffRequest);
-
         // Send confirmation to user
-        const confirmationMessage = this.generateHandoffConfirmation(handoffRequest);
+        const confirmationMessage = availability.open || !availability.opens
+            ? this.generateHandoffConfirmation(handoffRequest)
+            : translate(language, 'handoff.queuedUntilOpen', {
+                opens: formatOfficeTime(availability.opens, language, availability.timezone),
+                reference: handoffId
+            });
         
         return {
             success: true,
             handoffId,
             queuePosition: handoffRequest.queuePosition,
             estimatedWaitTime: handoffRequest.estimatedWaitTime,
+            language: handoffRequest.language,
             confirmationMessage
         };
     }
 
+    /**
+     * Save a request nobody can take now as a ticket for a callback
+     * @param {string} userId - User identifier
+     * @param {Array} context - Conversation context
+     * @param {Object} escalationInfo - Escalation details, with the student's contact if known
+     * @param {Object} ticket - handoffId, priority, department, language and reason ('closed', 'holiday', 'no_agents')
+     * @returns {Promise<Object>} Handoff result with ticket: true
+     */
+    async createTicket(userId, context, escalationInfo, { handoffId, priority, department, language, reason }) {
+        const availability = this.getAvailability(department);
+        const callbackBy = availability.closes;
+
+        this.handoffQueue.set(handoffId, {
+            id: handoffId,
+            userId,
+            timestamp: new Date().toISOString(),
+            context,
+            escalationInfo,
+            status: 'ticket',
+            priority,
+            department,
+            language
+        });
+
+        if (this.HandoffRequest) {
+            await this.HandoffRequest.create({
+                handoff_id: handoffId,
+                session_id: escalationInfo.sessionId,
+                user_id: userId,
+                status: 'ticket',
+                priority,
+                department,
+                language,
+                reason: escalationInfo.recommendation?.reason,
+                context,
+                ticket_reason: reason,
+                callback_by: callbackBy?.toISOString(),
+                contact_email: escalationInfo.contact?.email,
+                contact_phone: escalationInfo.contact?.phone
+            });
+        }
+
+        return {
+            success: true,
+            ticket: true,
+            handoffId,
+            callbackBy,
+            language,
+            confirmationMessage: this.generateTicketConfirmation({
+                handoffId,
+                language,
+                reason,
+                holiday: availability.holiday,
+                callbackBy,
+                timezone: availability.timezone
+            })
+        };
+    }
+
+    /**
+     * Turn a waiting request into a ticket because no agent is available
+     * @param {Object} record - HandoffRequest record
+     * @param {string} [reason] - Ticket reason
+     * @returns {Promise<Object>} Updated record
+     */
+    async convertToTicket(record, reason = 'no_agents') {
+        const update = {
+            status: 'ticket',
+            ticket_reason: reason,
+            callback_by: this.getAvailability(record.department).closes?.toISOString() || null,
+            queue_position: null,
+            estimated_wait_time: null
+        };
+        await this.HandoffRequest.update(record.id, update);
+
+        this.updateLocalHandoff(record.handoff_id, { status: 'ticket' });
+        return { ...record, ...update };
+    }
+
+    /**
+     * Record how the student wants to be called back
+     * @param {Object} record - HandoffRequest record
+     * @param {Object} contact
+     * @param {string} [contact.email] - Email address
+     * @param {string} [contact.phone] - Phone number
+     * @returns {Promise<Object>} Updated record
+     */
+    async updateTicketContact(record, { email, phone }) {
+        const update = { contact_email: email || null, contact_phone: phone || null };
+        await this.HandoffRequest.update(record.id, update);
+        return { ...record, ...update };
+    }
+
+    /**
+     * Message telling the student their request is now a ticket
+     * @param {Object} ticket
+     * @param {string} ticket.handoffId - Reference number
+     * @param {string} ticket.language - Student's language
+     * @param {string} ticket.reason - 'closed', 'holiday' or 'no_agents'
+     * @param {string} [ticket.holiday] - Name of today's holiday
+     * @param {Date|string} [ticket.callbackBy] - Promised callback time
+     * @param {string} [ticket.timezone] - Time zone of the office hours
+     * @returns {string} Localized message
+     */
+    generateTicketConfirmation({ handoffId, language, reason, holiday, callbackBy, timezone }) {
+        const key = reason === 'holiday' ? 'handoff.ticketHoliday'
+            : reason === 'no_agents' ? 'handoff.ticketNoAgents'
+                : 'handoff.ticketClosed';
+
+        return translate(language, key, {
+            holiday,
+            reference: handoffId,
+            callback: callbackBy
+                ? formatOfficeTime(callbackBy, language, timezone)
+                : translate(language, 'handoff.callbackSoon')
+        });
+    }
+
+    /**
+     * Load the office hours configured by admins, at most every few minutes
+     * @param {Object} [options]
+     * @param {boolean} [options.force] - Reload even if loaded recently
+     * @returns {Promise<Array>} OfficeHours records
+     */
+    async loadOfficeHours({ force = false } = {}) {
+        if (!this.OfficeHours) return this.officeHours;
+        if (!force && Date.now() - this.officeHoursLoadedAt < OFFICE_HOURS_REFRESH) {
+            return this.officeHours;
+        }
+
+        this.officeHours = await this.OfficeHours.list();
+        this.officeHoursLoadedAt = Date.now();
+        return this.officeHours;
+    }
+
+    /**
+     * Whether a department is staffed now (see getOfficeStatus)
+     * @param {string} department - Department
+     * @param {Date} [now] - Moment to check
+     * @returns {Object} open, holiday, opens, closes and timezone
+     */
+    getAvailability(department, now = new Date()) {
+        return getOfficeStatus(this.officeHours, department, now);
+    }
+
+    /**
+     * Whether a student has waited so long that nobody is going to pick them up
+     * @param {Object} record - HandoffRequest record
+     * @param {number} [now] - Current time in ms
+     * @returns {boolean}
+     */
+    isUnanswered(record, now = Date.now()) {
+        if (record.status !== 'pending' || !this.getAvailability(record.department, new Date(now)).open) {
+            return false;
+        }
+        const waited = now - new Date(record.created_date).getTime();
+        return waited > Math.max(UNANSWERED_TIMEOUT, 2 * (record.estimated_wait_time || 0) * 1000);
+    }
+
+    /**
+     * Turn waiting requests that no online agent could take into tickets.
+     * Outside office hours the queue is left alone: those students chose to wait.
+     * @param {Array} records - Open HandoffRequest records
+     * @param {Object} [options]
+     * @param {Array} [options.agents] - Agents to consider, the registry by default
+     * @returns {Promise<Array>} Records converted to tickets
+     */
+    async ticketUnservedRequests(records, { agents = Array.from(this.supportAgents.values()) } = {}) {
+        const now = Date.now();
+        const online = agents.filter(agent => this.isAgentAvailable(agent, now));
+        const unserved = records.filter(record =>
+            record.status === 'pending' &&
+            now - new Date(record.created_date).getTime() > NO_AGENT_GRACE &&
+            this.getAvailability(record.department, new Date(now)).open &&
+            !online.some(agent => this.scoreAgent({ ...agent, max_concurrent_chats: Infinity }, record, 0) !== null));
+
+        return Promise.all(unserved.map(record => this.convertToTicket(record, 'no_agents')));
+    }
+
+    /**
+     * Tickets waiting for a callback, soonest promised first
+     * @returns {Promise<Array>} HandoffRequest records
+     */
+    async listTickets() {
+        const records = await this.HandoffRequest.filter({ status: 'ticket' }, 'callback_by', 200);
+        return records.sort((a, b) => String(a.callback_by || '\uffff').localeCompare(String(b.callback_by || '\uffff')));
+    }
+
     /**
      * Generate handoff confirmation message
      */
     generateHandoffConfirmation(handoffRequest) {
-        const messages = {
-            en: `You've been connected to our support queue. **Queue position**: ${handoffRequest.queuePosition}. **Estimated wait time**: ${Math.ceil(handoffRequest.estimatedWaitTime / 60)} minutes. A human agent will assist you shortly. Your reference number is **${handoffRequest.id}**.`,
-            hi: `आपको हमारी सपोर्ट क्यू से जोड़ दिया गया है। **क्यू में स्थिति**: ${handoffRequest.queuePosition}। **अनुमानित प्रतीक्षा समय**: ${Math.ceil(handoffRequest.estimatedWaitTime / 60)} मिनट। एक मानव एजेंट जल्द ही आपकी सहायता करेगा। आपका संदर्भ नंबर **${handoffRequest.id}** है।`,
-            mr: `तुम्हाला आमच्या सपोर्ट रांगेत जोडले गेले आहे। **रांगेतील स्थिती**: ${handoffRequest.queuePosition}। **अंदाजे प्रतीक्षा वेळ**: ${Math.ceil(handoffRequest.estimatedWaitTime / 60)} मिनिटे। एक मानवी एजेंट लवकरच तुमची मदत करेल। तुमचा संदर्भ क्रमांक **${handoffRequest.id}** आहे।`
+        return translate(handoffRequest.language, 'handoff.confirmation', {
+            reference: handoffRequest.id
+        });
+    }
+
+    /**
+     * Get a pending request's current place in the queue, as published by an agent console
+     * @param {string} handoffId - Handoff identifier
+     * @returns {number|null} 1-based position, or null while unknown or once the request is no longer pending
+     */
+    getQueuePosition(handoffId) {
+        const request = this.handoffQueue.get(handoffId);
+        if (!request || request.status !== 'pending') return null;
+        return request.sharedQueuePosition || null;
+    }
+
+    /**
+     * Load handle times of recently resolved requests, at most every few minutes
+     * @param {Object} [options]
+     * @param {boolean} [options.force] - Reload even if the sample is recent
+     * @returns {Promise<Object>} Handle times (see computeHandleTimes)
+     */
+    async loadHandleTimes({ force = false } = {}) {
+        if (!this.HandoffRequest) return this.handleTimes;
+        if (!force && Date.now() - this.handleTimesLoadedAt < HANDLE_TIME_REFRESH) {
+            return this.handleTimes;
+        }
+
+        const resolved = await this.HandoffRequest.filter({ status: 'resolved' }, '-resolved_at', HANDLE_TIME_SAMPLE);
+        this.handleTimes = computeHandleTimes(resolved);
+        this.handleTimesLoadedAt = Date.now();
+        return this.handleTimes;
+    }
+
+    /**
+     * Typical time an agent spends on a request of a department: measured from
+     * resolved requests, else the wait estimate of the department's escalation rule
+     * @param {string} department - Department
+     * @returns {number} Seconds
+     */
+    getHandleTime(department) {
+        const configured = Array.from(this.escalationRules.values())
+            .find(rule => rule.department === department && rule.waitEstimate);
+        return this.handleTimes.departments[department] ??
+            configured?.waitEstimate ??
+            this.handleTimes.overall ??
+            DEFAULT_HANDLE_TIME;
+    }
+
+    /**
+     * Estimate how long a waiting request will wait for an agent
+     * @param {Object} request - Local request or HandoffRequest record (department, language, priority)
+     * @param {number} ahead - Requests ahead of it in the queue
+     * @param {Object} [options]
+     * @param {Array} [options.agents] - Agents to consider, the registry by default
+     * @param {Map<string, number>} [options.loads] - Open chats per agent
+     * @returns {number} Seconds
+     */
+    estimateWaitTime(request, ahead, { agents = Array.from(this.supportAgents.values()), loads = new Map() } = {}) {
+        const handleTime = this.getHandleTime(request.department);
+        const now = Date.now();
+        const matching = agents.filter(agent =>
+            this.isAgentAvailable(agent, now) && this.scoreAgent(agent, request, 0) !== null);
+
+        // Nobody who could take it is online: assume one agent working through the queue
+        if (matching.length === 0) {
+            return Math.round((ahead + 1) * handleTime);
+        }
+
+        const capacity = matching.reduce((sum, agent) => sum + (agent.max_concurrent_chats || 3), 0);
+        const free = matching.reduce((sum, agent) =>
+            sum + Math.max(0, (agent.max_concurrent_chats || 3) - (loads.get(agent.email) || 0)), 0);
+        if (ahead < free) {
+            return MIN_WAIT_ESTIMATE;
+        }
+
+        // Each open chat slot frees up about once per handle time
+        return Math.round((ahead - free + 1) * handleTime / capacity);
+    }
+
+    /**
+     * Recompute positions and wait estimates of the waiting requests and save
+     * the ones that changed, so students see where they stand
+     * @param {Array} records - Open HandoffRequest records
+     * @param {Object} [options]
+     * @param {Array} [options.agents] - Agents to consider, the registry by default
+     * @returns {Promise<Array>} Records with updated positions and estimates
+     */
+    async publishQueueEstimates(records, { agents = Array.from(this.supportAgents.values()) } = {}) {
+        const now = Date.now();
+        const loads = this.getAgentLoads(records);
+        const pending = records
+            .filter(record => record.status === 'pending')
+            .sort((a, b) => compareQueueOrder(a, b, now));
+
+        const estimates = new Map(pending.map((record, index) => [record.id, {
+            queue_position: index + 1,
+            estimated_wait_time: this.estimateWaitTime(record, index, { agents, loads })
+        }]));
+
+        const changed = pending.filter(record => {
+            const estimate = estimates.get(record.id);
+            return record.queue_position !== estimate.queue_position ||
+                Math.abs((record.estimated_wait_time || 0) - estimate.estimated_wait_time) >= WAIT_ESTIMATE_TOLERANCE;
+        });
+        await Promise.all(changed.map(record => this.HandoffRequest.update(record.id, estimates.get(record.id))));
+
+        return records.map(record => (estimates.has(record.id) ? { ...record, ...estimates.get(record.id) } : record));
+    }
+
+    /**
+     * Load the shared record of a handoff and mirror its status locally
+     * @param {string} handoffId - Handoff identifier
+     * @returns {Promise<Object|null>} HandoffRequest record
+     */
+    async syncHandoffStatus(handoffId) {
+        if (!this.HandoffRequest) return null;
+
+        const [record] = await this.HandoffRequest.filter({ handoff_id: handoffId });
+        const local = this.handoffQueue.get(handoffId);
+        if (record && local) {
+            this.updateLocalHandoff(handoffId, {
+                status: record.status,
+                department: record.department,
+                agentName: record.status === 'assigned' ? record.assigned_agent_name || record.assigned_agent : null,
+                sharedQueuePosition: record.queue_position || null,
+                estimatedWaitTime: record.estimated_wait_time ?? local.estimatedWaitTime
+            });
+        }
+        return record || null;
+    }
+
+    /**
+     * List open handoffs for the agent console in queue order
+     * @param {Object} [filters]
+     * @param {string} [filters.department] - Only this department
+     * @returns {Promise<Array>} Pending and assigned HandoffRequest records
+     */
+    async listQueue({ department } = {}) {
+        const now = Date.now();
+        const records = await this.HandoffRequest.list('created_date', 200);
+        return records
+            .filter(record => record.status === 'pending' || record.status === 'assigned')
+            .filter(record => !department || record.department === department)
+            .sort((a, b) => compareQueueOrder(a, b, now));
+    }
+
+    /**
+     * Assign a handoff to an agent, either the agent claiming it or a colleague
+     * @param {Object} record - HandoffRequest record
+     * @param {Object} agent - Agent to assign ({ email, full_name })
+     * @param {Object} [options]
+     * @param {boolean} [options.force] - Reassign even if another agent holds it
+     * @returns {Promise<Object>} Updated record
+     */
+    async assignHandoff(record, agent, { force = false } = {}) {
+        // Re-read so an agent doesn't take a request a colleague already has
+        const current = await this.syncHandoffStatus(record.handoff_id);
+        if (!current || current.status === 'resolved' || current.status === 'cancelled') {
+            throw new Error('This request is no longer open');
+        }
+        if (current.status === 'assigned' && current.assigned_agent === agent.email) {
+            // Claiming again would restart claimed_at and announce the agent twice
+            throw new Error(`Already assigned to ${current.assigned_agent_name || current.assigned_agent}`);
+        }
+        if (!force && current.status === 'assigned') {
+            throw new Error(`Already claimed by ${current.assigned_agent_name || current.assigned_agent}`);
+        }
+
+        const update = {
+            status: 'assigned',
+            assigned_agent: agent.email,
+            assigned_agent_name: agent.full_name || agent.email,
+            claimed_at: new Date().toISOString()
+        };
+        await this.HandoffRequest.update(current.id, update);
+
+        // Updates aren't atomic: when two agents claim at once the last write wins,
+        // so check whose claim was kept. Each agent sees the other's claim only if
+        // it landed before this read, so this narrows the race but can't close it.
+        const saved = await this.syncHandoffStatus(record.handoff_id);
+        if (saved && (saved.assigned_agent !== update.assigned_agent || saved.claimed_at !== update.claimed_at)) {
+            throw new Error(`Already claimed by ${saved.assigned_agent_name || saved.assigned_agent}`);
+        }
+        return { ...current, ...update };
+    }
+
+    /**
+     * Send a handoff back to the queue of another department
+     * @param {Object} record - HandoffRequest record
+     * @param {string} department - Department to transfer to
+     * @param {Object} agent - Agent making the transfer
+     * @returns {Promise<Object>} Updated record
+     */
+    async transferHandoff(record, department, agent) {
+        const update = {
+            status: 'pending',
+            department,
+            assigned_agent: null,
+            assigned_agent_name: null,
+            transfer_history: [
+                ...(record.transfer_history || []),
+                { from: record.department, to: department, by: agent.email, at: new Date().toISOString() }
+            ]
+        };
+        await this.HandoffRequest.update(record.id, update);
+        await this.postMessage(record, { sender: 'system', text: translate(record.language, 'handoff.transferred') });
+        return { ...record, ...update };
+    }
+
+    /**
+     * Close a handoff
+     * @param {Object} record - HandoffRequest record
+     * @param {string} [status] - 'resolved' by an agent or 'cancelled' by the student
+     * @returns {Promise<Object>} Updated record
+     */
+    async closeHandoff(record, status = 'resolved') {
+        const update = { status, resolved_at: new Date().toISOString() };
+        await this.HandoffRequest.update(record.id, update);
+
+        this.updateLocalHandoff(record.handoff_id, { status });
+        return { ...record, ...update };
+    }
+
+    /**
+     * Save the student's survey answer about a resolved handoff
+     * @param {string} handoffId - Handoff identifier
+     * @param {Object} survey
+     * @param {number} survey.rating - 1 to 5
+     * @param {string} [survey.comment] - Optional comment
+     * @returns {Promise<Object|null>} Updated record
+     */
+    async submitSatisfaction(handoffId, { rating, comment = '' }) {
+        const record = await this.syncHandoffStatus(handoffId);
+        if (!record) return null;
+
+        const update = {
+            csat_rating: rating,
+            csat_comment: comment || null,
+            csat_submitted_at: new Date().toISOString()
         };
+        await this.HandoffRequest.update(record.id, update);
+        return { ...record, ...update };
+    }
+
+    /**
+     * Add a message to a handoff conversation
+     * @param {Object} record - HandoffRequest record
+     * @param {Object} message
+     * @param {string} message.sender - 'student', 'agent' or 'system'
+     * @param {string} message.text - Message text
+     * @param {string} [message.senderName] - Agent name shown to the student
+     * @param {string} [message.clientId] - Id for receipts and de-duplication
+     * @returns {Promise<Object>} Created HandoffMessage record
+     */
+    async postMessage(record, { sender, text, senderName, clientId = createClientId() }) {
+        // Live delivery first; the record is the copy that survives the relay
+        this.transports.get(record.handoff_id)?.send({ clientId, sender, senderName, text });
+
+        // The console's copy of the record can be a poll behind, so remember replies made here too
+        if (sender === 'agent' && !record.first_response_at && !this.respondedHandoffs.has(record.handoff_id)) {
+            this.respondedHandoffs.add(record.handoff_id);
+            await this.HandoffRequest.update(record.id, { first_response_at: new Date().toISOString() });
+        }
+
+        return this.HandoffMessage.create({
+            handoff_id: record.handoff_id,
+            client_id: clientId,
+            sender,
+            sender_name: senderName,
+            text,
+            language: record.language,
+            student_email: record.created_by
+        });
+    }
+
+    /**
+     * Load a handoff conversation
+     * @param {string} handoffId - Handoff identifier
+     * @returns {Promise<Array>} HandoffMessage records, oldest first
+     */
+    async loadMessages(handoffId) {
+        if (!this.HandoffMessage) return [];
+        return this.HandoffMessage.filter({ handoff_id: handoffId }, 'created_date');
+    }
+
+    /**
+     * Load the agent registry
+     * @returns {Promise<Array>} SupportAgent records
+     */
+    async loadAgents() {
+        if (!this.SupportAgent) return [];
+        const agents = await this.SupportAgent.list();
+        this.supportAgents = new Map(agents.map(agent => [agent.email, agent]));
+        return agents;
+    }
+
+    /**
+     * Register an agent or update their profile
+     * @param {Object} profile
+     * @param {string} profile.email - Staff account
+     * @param {string} [profile.full_name] - Name shown to students
+     * @param {Array<string>} profile.departments - Departments they answer for
+     * @param {Array<string>} profile.languages - Languages they chat in
+     * @param {number} [profile.max_concurrent_chats] - Chats they take at once
+     * @param {string} [profile.status] - 'online', 'away' or 'offline'
+     * @returns {Promise<Object>} Saved SupportAgent record
+     */
+    async registerAgent(profile) {
+        const update = { ...profile, last_seen: new Date().toISOString() };
+        const [existing] = await this.SupportAgent.filter({ email: profile.email });
+        const agent = existing
+            ? { ...existing, ...update }
+            : await this.SupportAgent.create(update);
+        if (existing) {
+            await this.SupportAgent.update(existing.id, update);
+        }
+        this.supportAgents.set(agent.email, agent);
+        return agent;
+    }
+
+    /**
+     * Change an agent's availability
+     * @param {Object} agent - SupportAgent record
+     * @param {string} status - 'online', 'away' or 'offline'
+     * @returns {Promise<Object>} Updated record
+     */
+    async setAgentStatus(agent, status) {
+        const update = { status, last_seen: new Date().toISOString() };
+        await this.SupportAgent.update(agent.id, update);
+        const updated = { ...agent, ...update };
+        this.supportAgents.set(updated.email, updated);
+        return updated;
+    }
+
+    /**
+     * Record that an agent's console is still open
+     * @param {Object} agent - SupportAgent record
+     * @returns {Promise<Object>} Updated record
+     */
+    async heartbeat(agent) {
+        return this.setAgentStatus(agent, agent.status);
+    }
 
-        return messages[handoffRequest.language] || messages.en;
+    /**
+     * Whether an agent can be given new chats
+     * @param {Object} agent - SupportAgent record
+     * @param {number} [now] - Current time in ms
+     * @returns {boolean}
+     */
+    isAgentAvailable(agent, now = Date.now()) {
+        return agent.status === 'online' &&
+            !!agent.last_seen &&
+            now - new Date(agent.last_seen).getTime() < AGENT_HEARTBEAT_TIMEOUT;
+    }
+
+    /**
+     * Open chats per agent
+     * @param {Array} records - HandoffRequest records
+     * @returns {Map<string, number>} Agent email -> assigned chats
+     */
+    getAgentLoads(records) {
+        const loads = new Map();
+        records
+            .filter(record => record.status === 'assigned' && record.assigned_agent)
+            .forEach(record => loads.set(record.assigned_agent, (loads.get(record.assigned_agent) || 0) + 1));
+        return loads;
     }
 
     /**
-     * Calculate queue position based on priority
+     * Score how well an agent fits a request
+     * @param {Object} agent - SupportAgent record
+     * @param {Object} record - HandoffRequest record
+     * @param {number} load - Chats the agent already has
+     * @returns {number|null} Score, or null when the agent can't take it
      */
-    calculateQueuePosition(priority) {
-        const queueArray = Array.from(this.handoffQueue.values())
-            .filter(req => req.status === 'pending')
-            .sort((a, b) => {
-                const priorityOrder = { urgent: 3, high: 2, medium: 1, low: 0 };
-                return priorityOrder[b.escalationInfo?.recommendation?.priority || 'low'] - 
-                       priorityOrder[a.escalationInfo?.recommendation?.priority || 'low'];
+    scoreAgent(agent, record, load) {
+        const capacity = agent.max_concurrent_chats || 3;
+        if (load >= capacity) return null;
+
+        const languages = agent.languages || [];
+        const departments = agent.departments || [];
+        const urgent = PRIORITY_ORDER[record.priority] >= PRIORITY_ORDER.high;
+
+        // Students can usually fall back to English; urgent ones take whoever is free
+        let languageScore;
+        if (languages.includes(record.language)) {
+            languageScore = ROUTING_WEIGHTS.language;
+        } else if (languages.includes('en')) {
+            languageScore = ROUTING_WEIGHTS.fallbackLanguage;
+        } else if (urgent) {
+            languageScore = 0;
+        } else {
+            return null;
+        }
+
+        let departmentScore;
+        if (departments.includes(record.department)) {
+            departmentScore = ROUTING_WEIGHTS.department;
+        } else if (departments.includes('general')) {
+            departmentScore = ROUTING_WEIGHTS.generalDepartment;
+        } else if (urgent) {
+            departmentScore = 0;
+        } else {
+            return null;
+        }
+
+        return languageScore + departmentScore - ROUTING_WEIGHTS.load * (load / capacity);
+    }
+
+    /**
+     * Find the best available agent for a request
+     * @param {Object} record - HandoffRequest record
+     * @param {Object} [options]
+     * @param {Array} [options.agents] - Agents to choose from, the registry by default
+     * @param {Map<string, number>} [options.loads] - Open chats per agent
+     * @returns {Object|null} SupportAgent record
+     */
+    findBestAgent(record, { agents = Array.from(this.supportAgents.values()), loads = new Map() } = {}) {
+        const now = Date.now();
+        let best = null;
+        let bestScore = -Infinity;
+
+        agents
+            .filter(agent => this.isAgentAvailable(agent, now))
+            .forEach(agent => {
+                const score = this.scoreAgent(agent, record, loads.get(agent.email) || 0);
+                if (score !== null && score > bestScore) {
+                    best = agent;
+                    bestScore = score;
+                }
             });
-        
-        return queueArray.length + 1;
+
+        return best;
+    }
+
+    /**
+     * Work out who should take each waiting request, most urgent and oldest first
+     * @param {Array} records - Open HandoffRequest records
+     * @param {Object} [options]
+     * @param {Array} [options.agents] - Agents to choose from, the registry by default
+     * @returns {Array<{record: Object, agent: Object}>} Planned assignments
+     */
+    planRouting(records, { agents = Array.from(this.supportAgents.values()) } = {}) {
+        const now = Date.now();
+        const loads = this.getAgentLoads(records);
+        const pending = records
+            .filter(record => record.status === 'pending')
+            .sort((a, b) => compareQueueOrder(a, b, now));
+
+        const plan = [];
+        pending.forEach(record => {
+            const agent = this.findBestAgent(record, { agents, loads });
+            if (!agent) return;
+            plan.push({ record, agent });
+            loads.set(agent.email, (loads.get(agent.email) || 0) + 1);
+        });
+        return plan;
     }
 
     /**
@@ -276,81 +1112,147 @@ export class HumanHandoffManager {
     }
 
     /**
-     * Initialize WebSocket connection for real-time agent communication
+     * Initialize real-time agent communication; channels open per handoff in connect()
      */
     initializeWebSocketConnection() {
-        // In production, this would connect to your backend WebSocket server
-        console.log('WebSocket connection initialized for agent communication');
+        this.transports = new Map();
     }
 
     /**
-     * Notify available agents about new handoff request
+     * Change the live chat relay, e.g. once the shared settings have loaded.
+     * Channels already open keep the relay they were opened with.
+     * @param {string} serverUrl - Relay address; empty to poll the entities
      */
-    notifyAgents(handoffRequest) {
-        // In production, this would send notifications to available agents
-        console.log('Notifying agents about handoff request:', handoffRequest.id);
+    setServerUrl(serverUrl) {
+        this.serverUrl = serverUrl || '';
     }
 
     /**
-     * Setup UI components for handoff
+     * Open the live channel of a handoff
+     * @param {string} handoffId - Handoff identifier
+     * @param {Object} options
+     * @param {string} options.role - 'student' or 'agent'
+     * @param {string} [options.name] - Name shown with typing indicators
+     * @returns {HandoffTransport|null} Channel, or null when no relay is configured
      */
-    setupUIComponents() {
-        // Add handoff status indicator to chat interface
-        this.createHandoffStatusUI();
+    connect(handoffId, { role, name }) {
+        if (!this.serverUrl) return null;
+        if (!this.transports.has(handoffId)) {
+            const transport = new HandoffTransport({ serverUrl: this.serverUrl, handoffId, role, name });
+            this.transports.set(handoffId, transport);
+            transport.connect();
+        }
+        return this.transports.get(handoffId);
     }
 
     /**
-     * Create handoff status UI component
+     * Live channel of a handoff, if open
+     * @param {string} handoffId - Handoff identifier
+     * @returns {HandoffTransport|null}
      */
-    createHandoffStatusUI() {
-        const statusContainer = document.createElement('div');
-        statusContainer.id = 'handoff-status';
-        statusContainer.style.cssText = `
-            display: none;
-            position: fixed;
-            top: 20px;
-            right: 20px;
-            background: #1f2937;
-            color: white;
-            padding: 16px;
-            border-radius: 8px;
-            box-shadow: 0 4px 12px rgba(0,0,0,0.15);
-            z-index: 1000;
-            max-width: 300px;
-        `;
-        
-        document.body.appendChild(statusContainer);
-    }
-
-    /**
-     * Show handoff status to user
-     */
-    showHandoffStatus(handoffInfo) {
-        const statusContainer = document.getElementById('handoff-status');
-        if (statusContainer) {
-            statusContainer.innerHTML = `
-                <div style=\"display: flex; align-items: center; gap: 8px; margin-bottom: 8px;\">
-                    <div style=\"width: 8px; height: 8px; background: #f59e0b; border-radius: 50%; animation: pulse 2s infinite;\"></div>
-                    <strong>Connecting to Human Agent</strong>
-                </div>
-                <div style=\"font-size: 12px; opacity: 0.8;\">
-                    Queue Position: ${handoffInfo.queuePosition}<br>
-                    Est. Wait: ${Math.ceil(handoffInfo.estimatedWaitTime / 60)} min<br>
-                    Reference: ${handoffInfo.handoffId}
-                </div>
-            `;
-            statusContainer.style.display = 'block';
+    getTransport(handoffId) {
+        return this.transports.get(handoffId) || null;
+    }
+
+    /**
+     * Close the live channel of a handoff
+     * @param {string} handoffId - Handoff identifier
+     */
+    disconnect(handoffId) {
+        this.transports.get(handoffId)?.close();
+        this.transports.delete(handoffId);
+    }
+
+    /**
+     * Listen for status changes of handoffs made in this browser
+     * @param {string} type - 'queued', 'position' (place or wait changed), 'agentJoined' or 'ended'
+     * @param {Function} handler - Called with the handoff status (see getHandoffStatus)
+     * @returns {Function} Unsubscribe
+     */
+    on(type, handler) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(handler);
+        return () => this.listeners.get(type).delete(handler);
+    }
+
+    /**
+     * Notify status listeners
+     * @param {string} type - Event type
+     * @param {Object} status - Handoff status
+     */
+    emit(type, status) {
+        this.listeners.get(type)?.forEach(handler => {
+            try {
+                handler(status);
+            } catch (error) {
+                console.error(`Handoff ${type} listener failed:`, error);
+            }
+        });
+    }
+
+    /**
+     * Status of a handoff made in this browser, as shown to the student
+     * @param {string} handoffId - Handoff identifier
+     * @returns {Object|null} handoffId, status, language, queuePosition, estimatedWaitTime (seconds) and agentName
+     */
+    getHandoffStatus(handoffId) {
+        const request = this.handoffQueue.get(handoffId);
+        if (!request) return null;
+
+        return {
+            handoffId,
+            status: request.status,
+            language: request.language,
+            queuePosition: this.getQueuePosition(handoffId),
+            estimatedWaitTime: request.estimatedWaitTime ?? null,
+            agentName: request.agentName || null
+        };
+    }
+
+    /**
+     * Apply changes to a handoff made in this browser and announce what they mean
+     * @param {string} handoffId - Handoff identifier
+     * @param {Object} changes - Fields of the local request to update
+     */
+    updateLocalHandoff(handoffId, changes) {
+        const request = this.handoffQueue.get(handoffId);
+        if (!request) return;
+
+        const before = this.getHandoffStatus(handoffId);
+        Object.assign(request, changes);
+        const after = this.getHandoffStatus(handoffId);
+
+        if (ENDED_STATUSES.includes(after.status)) {
+            if (before.status !== after.status) this.emit('ended', after);
+        } else if (after.status === 'assigned') {
+            if (before.status !== 'assigned' || before.agentName !== after.agentName) this.emit('agentJoined', after);
+        } else if (
+            before.status !== after.status ||
+            before.queuePosition !== after.queuePosition ||
+            before.estimatedWaitTime !== after.estimatedWaitTime
+        ) {
+            this.emit('position', after);
         }
     }
 
     /**
-     * Hide handoff status
+     * Withdraw a handoff at the student's request and drop it from the queue
+     * @param {string} handoffId - Handoff identifier
+     * @returns {Promise<Object|null>} Updated HandoffRequest record
      */
-    hideHandoffStatus() {
-        const statusContainer = document.getElementById('handoff-status');
-        if (statusContainer) {
-            statusContainer.style.display = 'none';
+    async cancelHandoff(handoffId) {
+        let record = await this.syncHandoffStatus(handoffId);
+        if (record && !ENDED_STATUSES.includes(record.status)) {
+            record = await this.closeHandoff(record, 'cancelled');
+        } else if (!record) {
+            this.updateLocalHandoff(handoffId, { status: 'cancelled' });
         }
+
+        this.handoffQueue.delete(handoffId);
+        this.disconnect(handoffId);
+        return record;
     }
 
     /**
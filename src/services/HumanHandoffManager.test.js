@@ -0,0 +1,269 @@
+import HumanHandoffManager, { effectivePriority, compareQueueOrder, computeHandleTimes } from './HumanHandoffManager';
+
+// In-memory stand-in for an entity API; reads hand out copies like the real client,
+// and onUpdate lets a test change a record right after it is saved
+const createEntity = (records = [], { onUpdate } = {}) => {
+  const matches = (record, query) => Object.entries(query).every(([key, value]) => record[key] === value);
+  return {
+    records,
+    list: async () => records.map(record => ({ ...record })),
+    filter: async (query = {}) => records.filter(record => matches(record, query)).map(record => ({ ...record })),
+    create: async (data) => {
+      const record = { id: `rec-${records.length + 1}`, created_date: new Date().toISOString(), ...data };
+      records.push(record);
+      return { ...record };
+    },
+    update: async (id, changes) => {
+      const record = records.find(item => item.id === id);
+      Object.assign(record, changes);
+      if (onUpdate) onUpdate(record);
+      return { ...record };
+    }
+  };
+};
+
+describe('calculateSimilarity', () => {
+  const manager = new HumanHandoffManager();
+
+  it('is 1 for the same words in any order and case', () => {
+    expect(manager.calculateSimilarity('When is the fee deadline?', 'the FEE deadline is when')).toBe(1);
+  });
+
+  it('still counts a rephrasing with a few extra words', () => {
+    expect(manager.calculateSimilarity('fee payment deadline', 'what is the fee payment deadline')).toBeGreaterThanOrEqual(0.6);
+  });
+
+  it('is low for different questions', () => {
+    expect(manager.calculateSimilarity('fee payment deadline', 'hostel room allotment')).toBe(0);
+  });
+
+  it('compares Indic words', () => {
+    expect(manager.calculateSimilarity('फीस कब जमा करनी है', 'फीस कब जमा करनी है?')).toBe(1);
+  });
+
+  it('is 0 when either message has no words', () => {
+    expect(manager.calculateSimilarity('', 'fee deadline')).toBe(0);
+    expect(manager.calculateSimilarity('?!', 'fee deadline')).toBe(0);
+  });
+});
+
+describe('analyzeEscalationNeed', () => {
+  const manager = new HumanHandoffManager();
+
+  it('escalates on a department rule in any language', () => {
+    const analysis = manager.analyzeEscalationNeed('मुझे फीस वापसी चाहिए', []);
+    expect(analysis.shouldEscalate).toBe(true);
+    expect(analysis.recommendation.department).toBe('finance');
+    expect(analysis.triggerLanguages).toEqual(['hi']);
+  });
+
+  it('does not escalate a simple eligibility question', () => {
+    expect(manager.analyzeEscalationNeed('B.Tech के लिए पात्रता क्या है?', []).shouldEscalate).toBe(false);
+    expect(manager.analyzeEscalationNeed('What is the eligibility for B.Tech?', []).shouldEscalate).toBe(false);
+  });
+
+  it('escalates when the same question keeps coming back', () => {
+    const context = [{ message: 'when is the fee deadline' }, { message: 'fee deadline when is it' }];
+    const analysis = manager.analyzeEscalationNeed('when is the fee deadline?', context);
+    expect(analysis.repeatedQuestions).toBe(2);
+    expect(analysis.shouldEscalate).toBe(true);
+  });
+});
+
+describe('assignHandoff', () => {
+  const asha = { email: 'asha@college.edu', full_name: 'Asha' };
+  const ravi = { email: 'ravi@college.edu', full_name: 'Ravi' };
+
+  it('assigns an open request', async () => {
+    const record = { id: 'rec-1', handoff_id: 'HO_1', status: 'pending' };
+    const manager = new HumanHandoffManager({ HandoffRequest: createEntity([record]) });
+
+    const assigned = await manager.assignHandoff(record, asha);
+    expect(assigned).toMatchObject({ status: 'assigned', assigned_agent: asha.email, assigned_agent_name: 'Asha' });
+  });
+
+  it('refuses a request a colleague already has', async () => {
+    const record = { id: 'rec-1', handoff_id: 'HO_1', status: 'assigned', assigned_agent: ravi.email, assigned_agent_name: 'Ravi' };
+    const manager = new HumanHandoffManager({ HandoffRequest: createEntity([record]) });
+
+    await expect(manager.assignHandoff(record, asha)).rejects.toThrow('Already claimed by Ravi');
+  });
+
+  it('does not claim a request again for the agent who has it', async () => {
+    const claimedAt = '2026-10-19T05:00:00.000Z';
+    const record = { id: 'rec-1', handoff_id: 'HO_1', status: 'assigned', assigned_agent: asha.email, assigned_agent_name: 'Asha', claimed_at: claimedAt };
+    const manager = new HumanHandoffManager({ HandoffRequest: createEntity([record]) });
+
+    await expect(manager.assignHandoff(record, asha)).rejects.toThrow('Already assigned to Asha');
+    await expect(manager.assignHandoff(record, asha, { force: true })).rejects.toThrow('Already assigned to Asha');
+    expect(record.claimed_at).toBe(claimedAt);
+  });
+
+  it('notices when a colleague claimed it at the same moment', async () => {
+    const record = { id: 'rec-1', handoff_id: 'HO_1', status: 'pending' };
+    // Ravi's claim is written right after Asha's
+    const onUpdate = (saved) => Object.assign(saved, {
+      assigned_agent: ravi.email,
+      assigned_agent_name: 'Ravi',
+      claimed_at: new Date(Date.now() + 1).toISOString()
+    });
+    const manager = new HumanHandoffManager({ HandoffRequest: createEntity([record], { onUpdate }) });
+
+    await expect(manager.assignHandoff(record, asha)).rejects.toThrow('Already claimed by Ravi');
+  });
+});
+
+describe('queue estimates for the student', () => {
+  // A Monday morning in India, inside the default office hours
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2026-10-19T05:30:00Z'));
+  });
+  afterEach(() => jest.useRealTimers());
+
+  it('waits for an agent console to publish the place and wait', async () => {
+    const HandoffRequest = createEntity();
+    const manager = new HumanHandoffManager({ HandoffRequest });
+    const positions = [];
+    manager.on('position', status => positions.push(status));
+
+    const handoff = await manager.initiateHandoff('student@example.edu', [], {
+      recommendation: { department: 'finance', priority: 'medium' },
+      language: 'en'
+    });
+    expect(handoff.queuePosition).toBeNull();
+    expect(handoff.estimatedWaitTime).toBeNull();
+    expect(handoff.confirmationMessage).not.toMatch(/position|minute/i);
+    expect(HandoffRequest.records[0].queue_position).toBeUndefined();
+
+    Object.assign(HandoffRequest.records[0], { queue_position: 4, estimated_wait_time: 900 });
+    await manager.syncHandoffStatus(handoff.handoffId);
+    expect(positions).toHaveLength(1);
+    expect(positions[0]).toMatchObject({ queuePosition: 4, estimatedWaitTime: 900 });
+  });
+});
+
+describe('queue order', () => {
+  const now = new Date('2026-10-19T05:30:00Z').getTime();
+  const waiting = (priority, minutes) => ({ priority, created_date: new Date(now - minutes * 60 * 1000).toISOString() });
+
+  it('raises a request one level for every 15 minutes it waits', () => {
+    expect(effectivePriority(waiting('low', 0), now)).toBe(0);
+    expect(effectivePriority(waiting('low', 15), now)).toBe(1);
+    expect(effectivePriority(waiting('medium', 30), now)).toBe(3);
+  });
+
+  it('reads the recommended priority of a local request', () => {
+    const request = { timestamp: new Date(now).toISOString(), escalationInfo: { recommendation: { priority: 'urgent' } } };
+    expect(effectivePriority(request, now)).toBe(3);
+  });
+
+  it('serves higher priority first, then whoever came first', () => {
+    const [newLow, high, olderLow] = [waiting('low', 1), waiting('high', 1), waiting('low', 2)];
+    expect([newLow, high, olderLow].sort((a, b) => compareQueueOrder(a, b, now))).toEqual([high, olderLow, newLow]);
+  });
+
+  it('lets a long-waiting request overtake a new urgent one', () => {
+    const patient = waiting('low', 50);
+    const urgent = waiting('high', 0);
+    expect(compareQueueOrder(patient, urgent, now)).toBeLessThan(0);
+  });
+});
+
+describe('computeHandleTimes', () => {
+  const resolved = (department, seconds) => ({
+    department,
+    claimed_at: '2026-10-19T05:00:00.000Z',
+    resolved_at: new Date(new Date('2026-10-19T05:00:00Z').getTime() + seconds * 1000).toISOString()
+  });
+
+  it('takes the median per department and overall', () => {
+    const times = computeHandleTimes([
+      resolved('finance', 300), resolved('finance', 900), resolved('finance', 600),
+      resolved('academic', 200), resolved('academic', 400)
+    ]);
+    expect(times).toEqual({ departments: { finance: 600, academic: 300 }, overall: 400, samples: 5 });
+  });
+
+  it('skips requests never claimed or resolved before their claim, and files the rest under general', () => {
+    const times = computeHandleTimes([
+      { department: 'finance', resolved_at: '2026-10-19T05:10:00.000Z' },
+      resolved('finance', -60),
+      resolved(undefined, 120)
+    ]);
+    expect(times).toEqual({ departments: { general: 120 }, overall: 120, samples: 1 });
+  });
+
+  it('has no overall time without samples', () => {
+    expect(computeHandleTimes([])).toEqual({ departments: {}, overall: null, samples: 0 });
+  });
+});
+
+describe('publishQueueEstimates', () => {
+  const now = new Date('2026-10-19T05:30:00Z').getTime();
+  const minutesAgo = (minutes) => new Date(now - minutes * 60 * 1000).toISOString();
+  const asha = {
+    email: 'asha@college.edu',
+    status: 'online',
+    last_seen: minutesAgo(0),
+    languages: ['en'],
+    departments: ['finance'],
+    max_concurrent_chats: 2
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(now);
+  });
+  afterEach(() => jest.useRealTimers());
+
+  const createQueue = () => createEntity([
+    { id: 'rec-1', status: 'resolved', department: 'finance', claimed_at: minutesAgo(60), resolved_at: minutesAgo(55) },
+    { id: 'rec-2', status: 'resolved', department: 'finance', claimed_at: minutesAgo(50), resolved_at: minutesAgo(45) },
+    { id: 'rec-3', status: 'resolved', department: 'finance', claimed_at: minutesAgo(40), resolved_at: minutesAgo(30) },
+    { id: 'rec-4', status: 'assigned', department: 'finance', assigned_agent: asha.email, created_date: minutesAgo(20) },
+    { id: 'rec-5', status: 'pending', department: 'finance', language: 'en', priority: 'medium', created_date: minutesAgo(10), queue_position: 2, estimated_wait_time: 280 },
+    { id: 'rec-6', status: 'pending', department: 'finance', language: 'en', priority: 'low', created_date: minutesAgo(40), queue_position: 2, estimated_wait_time: 600 }
+  ]);
+
+  it('orders the queue with aging and quotes waits from the median handle time', async () => {
+    const HandoffRequest = createQueue();
+    const manager = new HumanHandoffManager({ HandoffRequest });
+    await manager.loadHandleTimes({ force: true });
+
+    const open = HandoffRequest.records.filter(record => record.status !== 'resolved');
+    const published = await manager.publishQueueEstimates(open, { agents: [asha] });
+    const estimates = Object.fromEntries(published
+      .filter(record => record.status === 'pending')
+      .map(record => [record.id, [record.queue_position, record.estimated_wait_time]]));
+
+    // The low request has waited long enough to go first and takes Asha's free slot;
+    // the next one waits for one of her two chats, 5 minutes each at the median
+    expect(estimates).toEqual({ 'rec-6': [1, 60], 'rec-5': [2, 150] });
+  });
+
+  it('saves only the estimates that moved', async () => {
+    const HandoffRequest = createQueue();
+    const manager = new HumanHandoffManager({ HandoffRequest });
+    await manager.loadHandleTimes({ force: true });
+    HandoffRequest.records.find(record => record.id === 'rec-5').estimated_wait_time = 120;
+
+    const open = HandoffRequest.records.filter(record => record.status !== 'resolved');
+    await manager.publishQueueEstimates(open, { agents: [asha] });
+
+    // rec-5 kept its place and moved by less than a minute
+    expect(HandoffRequest.records.find(record => record.id === 'rec-5').estimated_wait_time).toBe(120);
+    expect(HandoffRequest.records.find(record => record.id === 'rec-6')).toMatchObject({ queue_position: 1, estimated_wait_time: 60 });
+  });
+
+  it('assumes one agent working through the queue when nobody who could take it is online', async () => {
+    const HandoffRequest = createQueue();
+    const manager = new HumanHandoffManager({ HandoffRequest });
+    await manager.loadHandleTimes({ force: true });
+
+    const open = HandoffRequest.records.filter(record => record.status !== 'resolved');
+    const published = await manager.publishQueueEstimates(open, { agents: [{ ...asha, status: 'offline' }] });
+    expect(published.filter(record => record.status === 'pending').map(record => record.estimated_wait_time))
+      .toEqual([600, 300]);
+  });
+});
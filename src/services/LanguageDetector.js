@@ -0,0 +1,155 @@
+/**
+ * Language Detection for Multilingual Campus Chatbot
+ * Detects the language of short chat messages and longer documents using
+ * Unicode script ranges, plus a word list for romanized Hindi (Hinglish).
+ */
+
+// Unicode blocks for each supported Indic script
+export const SCRIPT_PATTERNS = {
+    hi: /[\u0900-\u097F]/g, // Devanagari, split into hi/mr by scoreDevanagari
+    gu: /[\u0A80-\u0AFF]/g,
+    bn: /[\u0980-\u09FF]/g,
+    ta: /[\u0B80-\u0BFF]/g,
+    te: /[\u0C00-\u0C7F]/g,
+    kn: /[\u0C80-\u0CFF]/g
+};
+
+const LATIN_PATTERN = /[a-z]/gi;
+
+// Common Hindi function words and campus terms as students type them in Latin script
+const ROMANIZED_HINDI_WORDS = new Set([
+    'kya', 'kyu', 'kyun', 'kaise', 'kab', 'kahan', 'kaha', 'kitna', 'kitni', 'kitne', 'kaun',
+    'hai', 'hain', 'ho', 'hoga', 'hogi', 'tha', 'thi', 'nahi', 'nahin', 'haan',
+    'mujhe', 'mera', 'meri', 'mere', 'humko', 'hume', 'aap', 'aapka', 'tum',
+    'ka', 'ki', 'ke', 'ko', 'se', 'mein', 'me', 'par', 'aur', 'ya', 'bhi', 'tak',
+    'chahiye', 'batao', 'bataiye', 'bataye', 'karna', 'karni', 'karein', 'kripya', 'dijiye',
+    'padhai', 'pariksha', 'chhatravritti', 'shulk', 'samay', 'jankari', 'milega', 'milegi', 'mila'
+]);
+
+// Words that are common in one of Hindi/Marathi and rare or absent in the other
+const HINDI_MARKERS = new Set([
+    'है', 'हैं', 'था', 'थी', 'थे', 'का', 'की', 'के', 'में', 'और', 'नहीं', 'लिए',
+    'यह', 'वह', 'गया', 'किया', 'क्या', 'कैसे', 'कब', 'कहाँ', 'आप', 'हम', 'से', 'को', 'भी'
+]);
+const MARATHI_MARKERS = new Set([
+    'आहे', 'आहेत', 'होते', 'होता', 'नाही', 'आणि', 'मध्ये', 'साठी', 'तुम्ही', 'आम्ही',
+    'काय', 'कसे', 'कधी', 'कुठे', 'झाले', 'केले', 'येथे', 'असेल', 'करावे', 'करा', 'पण', 'व',
+    'मला', 'तुला', 'आम्हाला', 'तुम्हाला'
+]);
+
+// Marathi attaches postpositions to the noun ("कॉलेजच्या"); Hindi writes them as separate words.
+// The dative -ला/-ना are left out: every Hindi infinitive ("भरना") and many nouns end that way.
+const MARATHI_SUFFIXES = ['च्या', 'चा', 'ची', 'चे', 'मध्ये', 'साठी'];
+
+// ळ is part of everyday Marathi but essentially unused in Hindi
+const MARATHI_LLA = /ळ/g;
+
+/**
+ * Count characters of each supported script in a text
+ * @param {string} text - Text to analyze
+ * @returns {Object} Character count per language code plus Latin
+ */
+export function countScripts(text) {
+    const counts = { latin: (text.match(LATIN_PATTERN) || []).length };
+    Object.entries(SCRIPT_PATTERNS).forEach(([lang, pattern]) => {
+        counts[lang] = (text.match(pattern) || []).length;
+    });
+    return counts;
+}
+
+/**
+ * Weigh Hindi against Marathi for Devanagari text
+ * @param {string} text - Text to analyze
+ * @returns {Object} Confidence for hi and mr, summing to 1
+ */
+export function scoreDevanagari(text) {
+    // Danda and double danda (U+0964-5) end sentences, so they separate words too
+    const words = text.split(/[^\u0900-\u0963\u0966-\u097F]+/).filter(Boolean);
+    let hindiScore = 0;
+    let marathiScore = 0;
+
+    words.forEach(word => {
+        if (HINDI_MARKERS.has(word)) hindiScore += 1;
+        if (MARATHI_MARKERS.has(word)) {
+            marathiScore += 1;
+        } else if (word.length > 3 && MARATHI_SUFFIXES.some(suffix => word.endsWith(suffix))) {
+            marathiScore += 0.5;
+        }
+    });
+    marathiScore += (text.match(MARATHI_LLA) || []).length * 0.5;
+
+    // Laplace smoothing keeps marker-free text at an even split that leans Hindi on ties
+    const hi = (hindiScore + 1.01) / (hindiScore + marathiScore + 2.01);
+    return { hi, mr: 1 - hi };
+}
+
+/**
+ * Estimate how much of a text is in each supported language
+ * @param {string} text - Text to analyze
+ * @returns {Object} Share of letters per language code, summing to 1 (empty for no letters)
+ */
+export function languageConfidences(text = '') {
+    const { latin, hi: devanagari, ...otherScripts } = countScripts(text);
+    const totalLetters = latin + devanagari + Object.values(otherScripts).reduce((sum, count) => sum + count, 0);
+    if (totalLetters === 0) return {};
+
+    const confidences = { en: latin / totalLetters };
+    if (devanagari > 0) {
+        const split = scoreDevanagari(text);
+        confidences.hi = split.hi * devanagari / totalLetters;
+        confidences.mr = split.mr * devanagari / totalLetters;
+    }
+    Object.entries(otherScripts).forEach(([lang, count]) => {
+        if (count > 0) confidences[lang] = count / totalLetters;
+    });
+
+    return confidences;
+}
+
+/**
+ * Pick the dominant Indic language, comparing Hindi and Marathi as one script
+ * first so a Devanagari text is not outweighed by a smaller share of another script
+ * @param {Object} confidences - Result of languageConfidences
+ * @returns {Array} [language code, share of letters in its script] or [] when there is none
+ */
+export function dominantIndicLanguage(confidences) {
+    const { en, hi = 0, mr = 0, ...otherScripts } = confidences;
+    const scripts = Object.entries(otherScripts);
+    if (hi + mr > 0) {
+        scripts.push([hi >= mr ? 'hi' : 'mr', hi + mr]);
+    }
+
+    return scripts.sort((a, b) => b[1] - a[1])[0] || [];
+}
+
+/**
+ * Detect the language of a chat message or document
+ * @param {string} text - Text to analyze
+ * @returns {Object} Language code, confidence (0-1), whether it was romanized and per-language confidences
+ */
+export function detectLanguage(text = '') {
+    const confidences = languageConfidences(text);
+    const latinShare = confidences.en || 0;
+
+    if (Object.keys(confidences).length === 0) {
+        return { language: 'en', confidence: 0, romanized: false, confidences };
+    }
+
+    const [topLang, topShare] = dominantIndicLanguage(confidences);
+    if (topShare > 0 && topShare >= latinShare) {
+        // Confidence is for the script; the Hindi/Marathi split is in confidences
+        return { language: topLang, confidence: topShare, romanized: false, confidences };
+    }
+
+    const words = text.toLowerCase().match(/[a-z]+/g) || [];
+    const hindiHits = words.filter(word => ROMANIZED_HINDI_WORDS.has(word)).length;
+
+    // Two or more Hindi function words is a reliable Hinglish signal even in short messages
+    if (hindiHits >= 2 && hindiHits / words.length >= 0.25) {
+        return { language: 'hi', confidence: Math.min(hindiHits / 3, 1) * latinShare, romanized: true, confidences };
+    }
+
+    return { language: 'en', confidence: Math.min(words.length / 3, 1) * latinShare, romanized: false, confidences };
+}
+
+export default detectLanguage;
@@ -0,0 +1,45 @@
+import { detectLanguage, scoreDevanagari } from './LanguageDetector';
+
+describe('detectLanguage', () => {
+  it.each([
+    ['मुझे फीस भरना है।', 'hi'],
+    ['परीक्षा का समय क्या है?', 'hi'],
+    ['मुझे छात्रवृत्ति के लिए आवेदन करना है।', 'hi'],
+    ['हॉस्टल में कमरा कैसे मिलेगा॥', 'hi'],
+    ['मला फी भरायची आहे.', 'mr'],
+    ['परीक्षेचे वेळापत्रक काय आहे?', 'mr'],
+    ['कॉलेजच्या ग्रंथालयात पुस्तके कुठे मिळतील?', 'mr'],
+    ['शिष्यवृत्तीसाठी अर्ज कसा करायचा आहे।', 'mr']
+  ])('detects %s as %s', (text, language) => {
+    expect(detectLanguage(text).language).toBe(language);
+  });
+
+  it('detects the other Indic scripts', () => {
+    expect(detectLanguage('கட்டணம் எப்போது செலுத்த வேண்டும்?').language).toBe('ta');
+    expect(detectLanguage('ফি কবে জমা দিতে হবে?').language).toBe('bn');
+    expect(detectLanguage('ఫీజు ఎప్పుడు చెల్లించాలి?').language).toBe('te');
+    expect(detectLanguage('ಶುಲ್ಕ ಯಾವಾಗ ಪಾವತಿಸಬೇಕು?').language).toBe('kn');
+    expect(detectLanguage('ફી ક્યારે ભરવાની છે?').language).toBe('gu');
+  });
+
+  it('detects romanized Hindi', () => {
+    const result = detectLanguage('mujhe fees kab tak bharni hai');
+    expect(result.language).toBe('hi');
+    expect(result.romanized).toBe(true);
+  });
+
+  it('keeps English as English', () => {
+    expect(detectLanguage('When is the last date to pay the fees?').language).toBe('en');
+  });
+});
+
+describe('scoreDevanagari', () => {
+  it('reads words ending in a danda', () => {
+    expect(scoreDevanagari('फीस कब तक भरनी है।').hi).toBeGreaterThan(0.6);
+    expect(scoreDevanagari('फी कधी भरायची आहे।').mr).toBeGreaterThan(0.6);
+  });
+
+  it('does not count Hindi infinitives as Marathi', () => {
+    expect(scoreDevanagari('भरना लेना देना').hi).toBeGreaterThanOrEqual(0.5);
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * Markdown Parser for Chat Messages
+ * Parses the small markdown subset used in knowledge-base answers and handoff
+ * confirmations (bold, italics, code, links, lists, tables, headings) into a
+ * plain block/inline tree. The tree is rendered as React elements, never as
+ * HTML, and any HTML in the source is stripped first.
+ */
+
+// Schemes a rendered link may use; everything else (javascript:, data:, ...) becomes plain text
+const SAFE_URL = /^(https?:|mailto:|tel:|asset:)/i;
+const RELATIVE_URL = /^[/#]/;
+
+const TABLE_SEPARATOR = /^\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?$/;
+const UNORDERED_ITEM = /^\s*[-*•]\s+(.*)$/;
+const ORDERED_ITEM = /^\s*\d+[.)]\s+(.*)$/;
+const HEADING = /^(#{1,3})\s+(.*)$/;
+
+// Bold, inline code, [text](url), bare URLs and italics, in priority order
+const INLINE_PATTERN = /\*\*(.+?)\*\*|`([^`]+)`|\[([^\]]+)\]\(([^)\s]+)\)|(https?:\/\/[^\s<]+[^\s<.,;:!?)\]'"])|\*([^*\s][^*]*?)\*/g;
+
+/**
+ * Remove HTML from text, dropping script and style blocks entirely
+ * @param {string} text - Untrusted text
+ * @returns {string} Text without tags
+ */
+export function stripHtml(text = '') {
+    return text
+        .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1\s*>/gi, '')
+        .replace(/<\/?[a-z][^>]*>/gi, '')
+        .replace(/<!--[\s\S]*?-->/g, '');
+}
+
+/**
+ * Check a link target against the allowed schemes
+ * @param {string} url - Link target from the message
+ * @returns {string|null} The URL when safe, otherwise null
+ */
+export function sanitizeUrl(url = '') {
+    // Browsers ignore control characters and whitespace inside schemes ("java\tscript:")
+    const trimmed = url.trim();
+    const normalized = [...trimmed].filter(char => char.charCodeAt(0) > 32).join('');
+    if (SAFE_URL.test(normalized) || RELATIVE_URL.test(normalized)) {
+        return trimmed;
+    }
+    return null;
+}
+
+/**
+ * Parse inline markdown
+ * @param {string} text - One line or cell of text
+ * @returns {Array} Inline nodes
+ */
+export function parseInline(text) {
+    const nodes = [];
+    let lastIndex = 0;
+
+    text.replace(INLINE_PATTERN, (match, bold, code, linkText, linkUrl, bareUrl, italic, offset) => {
+        if (offset > lastIndex) {
+            nodes.push({ type: 'text', text: text.slice(lastIndex, offset) });
+        }
+
+        if (bold !== undefined) {
+            nodes.push({ type: 'bold', children: parseInline(bold) });
+        } else if (code !== undefined) {
+            nodes.push({ type: 'code', text: code });
+        } else if (linkText !== undefined) {
+            const href = sanitizeUrl(linkUrl);
+            nodes.push(href
+                ? { type: 'link', href, children: parseInline(linkText) }
+                : { type: 'text', text: linkText });
+        } else if (bareUrl !== undefined) {
+            nodes.push({ type: 'link', href: bareUrl, children: [{ type: 'text', text: bareUrl }] });
+        } else {
+            nodes.push({ type: 'italic', children: parseInline(italic) });
+        }
+
+        lastIndex = offset + match.length;
+        return match;
+    });
+
+    if (lastIndex < text.length) {
+        nodes.push({ type: 'text', text: text.slice(lastIndex) });
+    }
+    return nodes;
+}
+
+/**
+ * Split a markdown table row into cells
+ * @param {string} line - Table row
+ * @returns {Array<string>} Cell texts
+ */
+function splitTableRow(line) {
+    return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+}
+
+/**
+ * Parse a message into blocks
+ * @param {string} text - Message text, possibly containing markdown
+ * @returns {Array} Block nodes (paragraph, heading, list, table)
+ */
+export function parseMarkdown(text = '') {
+    const lines = stripHtml(text).replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let paragraph = [];
+
+    const flushParagraph = () => {
+        if (paragraph.length > 0) {
+            blocks.push({ type: 'paragraph', lines: paragraph.map(parseInline) });
+            paragraph = [];
+        }
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+            flushParagraph();
+            continue;
+        }
+
+        const heading = line.match(HEADING);
+        if (heading) {
+            flushParagraph();
+            blocks.push({ type: 'heading', level: heading[1].length, children: parseInline(heading[2]) });
+            continue;
+        }
+
+        if (line.trim().startsWith('|') && TABLE_SEPARATOR.test((lines[i + 1] || '').trim())) {
+            flushParagraph();
+            const header = splitTableRow(line).map(parseInline);
+            const rows = [];
+            i += 2;
+            while (i < lines.length && lines[i].trim().startsWith('|')) {
+                rows.push(splitTableRow(lines[i]).map(parseInline));
+                i++;
+            }
+            i--;
+            blocks.push({ type: 'table', header, rows });
+            continue;
+        }
+
+        const listPattern = UNORDERED_ITEM.test(line) ? UNORDERED_ITEM : ORDERED_ITEM.test(line) ? ORDERED_ITEM : null;
+        if (listPattern) {
+            flushParagraph();
+            const items = [];
+            while (i < lines.length && listPattern.test(lines[i])) {
+                items.push(parseInline(lines[i].match(listPattern)[1]));
+                i++;
+            }
+            i--;
+            blocks.push({ type: 'list', ordered: listPattern === ORDERED_ITEM, items });
+            continue;
+        }
+
+        paragraph.push(line);
+    }
+
+    flushParagraph();
+    return blocks;
+}
+
+/**
+ * Collect every link target in a parsed message
+ * @param {Array} blocks - Result of parseMarkdown
+ * @returns {Array<string>} Link hrefs in order of appearance
+ */
+export function collectLinks(blocks) {
+    const links = [];
+    const walk = nodes => nodes.forEach(node => {
+        if (node.type === 'link') links.push(node.href);
+        if (node.children) walk(node.children);
+    });
+
+    blocks.forEach(block => {
+        if (block.type === 'paragraph') block.lines.forEach(walk);
+        if (block.type === 'heading') walk(block.children);
+        if (block.type === 'list') block.items.forEach(walk);
+        if (block.type === 'table') [block.header, ...block.rows].forEach(row => row.forEach(walk));
+    });
+    return links;
+}
+
+/**
+ * Flatten a message to plain text for copying, speech and exports
+ * @param {string} text - Message text, possibly containing markdown
+ * @returns {string} Text without markdown or HTML
+ */
+export function toPlainText(text = '') {
+    const inlineText = nodes => nodes
+        .map(node => (node.children ? inlineText(node.children) : node.text))
+        .join('');
+
+    return parseMarkdown(text).map(block => {
+        switch (block.type) {
+            case 'heading':
+                return inlineText(block.children);
+            case 'list':
+                return block.items
+                    .map((item, index) => `${block.ordered ? `${index + 1}.` : '-'} ${inlineText(item)}`)
+                    .join('\n');
+            case 'table':
+                return [block.header, ...block.rows]
+                    .map(row => row.map(inlineText).join('\t'))
+                    .join('\n');
+            default:
+                return block.lines.map(inlineText).join('\n');
+        }
+    }).join('\n\n');
+}
@@ -0,0 +1,175 @@
+/**
+ * Office Hours Calendar
+ * Works out from the OfficeHours records whether a department is staffed at a
+ * given moment and when it opens next. Schedules are read in the college's
+ * time zone, not the student's.
+ */
+
+import { getLocale } from '../i18n/languages';
+
+// Day keys of OfficeHours.weekly_hours, in Date#getDay order
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+export const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+// OfficeHours-shaped schedule used until an admin sets one up
+export const DEFAULT_OFFICE_HOURS = {
+    department: 'general',
+    timezone: DEFAULT_TIMEZONE,
+    weekly_hours: {
+        mon: { open: '09:00', close: '17:00' },
+        tue: { open: '09:00', close: '17:00' },
+        wed: { open: '09:00', close: '17:00' },
+        thu: { open: '09:00', close: '17:00' },
+        fri: { open: '09:00', close: '17:00' }
+    },
+    holidays: []
+};
+
+// How many days ahead to look for the next opening
+const LOOKAHEAD_DAYS = 21;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Convert "HH:MM" to minutes after midnight
+ * @param {string} time - Time of day
+ * @returns {number|null} Minutes, or null when the time is missing or malformed
+ */
+function toMinutes(time) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+    return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+/**
+ * Whether Intl knows a time zone, e.g. "Asia/Kolkata" but not "Asia/Kolkatta"
+ * @param {string} timeZone - IANA time zone
+ * @returns {boolean} True when dates can be read in it
+ */
+export function isValidTimeZone(timeZone) {
+    if (!timeZone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Calendar date, weekday and time of day of a moment in a time zone
+ * @param {Date} date - Moment
+ * @param {string} timeZone - IANA time zone
+ * @returns {{date: string, day: string, minutes: number, offset: number}} Local parts; offset is ms ahead of UTC
+ */
+export function zonedParts(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = value;
+    });
+
+    const localAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        day: WEEKDAYS[new Date(localAsUtc).getUTCDay()],
+        minutes: Number(parts.hour) * 60 + Number(parts.minute),
+        offset: localAsUtc - Math.floor(date.getTime() / 1000) * 1000
+    };
+}
+
+/**
+ * The moment a local date and time happen in a time zone
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} minutes - Minutes after local midnight
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Moment
+ */
+function zonedTime(date, minutes, timeZone) {
+    const [year, month, day] = date.split('-').map(Number);
+    const localAsUtc = Date.UTC(year, month - 1, day, 0, minutes);
+    const { offset } = zonedParts(new Date(localAsUtc), timeZone);
+    return new Date(localAsUtc - offset);
+}
+
+/**
+ * Schedule that applies to a department: its own, else the college-wide one.
+ * College-wide holidays apply to every department.
+ * @param {Array} schedules - OfficeHours records
+ * @param {string} department - Department
+ * @returns {Object} OfficeHours record with holidays merged
+ */
+export function scheduleForDepartment(schedules = [], department = 'general') {
+    const general = schedules.find(schedule => schedule.department === 'general') || DEFAULT_OFFICE_HOURS;
+    const own = schedules.find(schedule => schedule.department === department) || general;
+    if (own === general) return general;
+
+    return { ...own, holidays: [...(own.holidays || []), ...(general.holidays || [])] };
+}
+
+/**
+ * Whether a department is staffed at a moment, and its current or next session
+ * @param {Array} schedules - OfficeHours records
+ * @param {string} department - Department
+ * @param {Date} [now] - Moment to check
+ * @returns {{open: boolean, holiday: string|null, opens: Date|null, closes: Date|null, timezone: string}}
+ *   opens/closes bound the session under way, or the next one when closed
+ */
+export function getOfficeStatus(schedules, department, now = new Date()) {
+    const schedule = scheduleForDepartment(schedules, department);
+    // A mistyped zone would make every lookup throw; read the hours in the default one instead
+    const timezone = isValidTimeZone(schedule.timezone) ? schedule.timezone : DEFAULT_TIMEZONE;
+    const holidays = new Map((schedule.holidays || []).map(holiday => [holiday.date, holiday.name || '']));
+    const today = zonedParts(now, timezone);
+
+    for (let offset = 0; offset <= LOOKAHEAD_DAYS; offset++) {
+        const { date, day } = offset === 0 ? today : zonedParts(new Date(now.getTime() + offset * DAY_MS), timezone);
+        const hours = (schedule.weekly_hours || {})[day];
+        const open = toMinutes(hours?.open);
+        const close = toMinutes(hours?.close);
+        if (holidays.has(date) || open === null || close === null || close <= open) continue;
+        if (offset === 0 && today.minutes >= close) continue;
+
+        return {
+            open: offset === 0 && today.minutes >= open,
+            holiday: holidays.has(today.date) ? holidays.get(today.date) || today.date : null,
+            opens: zonedTime(date, open, timezone),
+            closes: zonedTime(date, close, timezone),
+            timezone
+        };
+    }
+
+    return {
+        open: false,
+        holiday: holidays.has(today.date) ? holidays.get(today.date) || today.date : null,
+        opens: null,
+        closes: null,
+        timezone
+    };
+}
+
+/**
+ * Format a moment for a student, in the college's time zone
+ * @param {Date|string} moment - Moment
+ * @param {string} language - Language code
+ * @param {string} [timeZone] - IANA time zone
+ * @returns {string} E.g. "Mon, 20 Oct, 09:00"
+ */
+export function formatOfficeTime(moment, language, timeZone = DEFAULT_TIMEZONE) {
+    return new Date(moment).toLocaleString(getLocale(language), {
+        timeZone,
+        weekday: 'short',
+        day: 'numeric',
+        month: 'short',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
@@ -0,0 +1,88 @@
+import { DEFAULT_TIMEZONE, getOfficeStatus, isValidTimeZone, scheduleForDepartment } from './OfficeHoursCalendar';
+
+const weekdays = (open, close) => Object.fromEntries(
+  ['mon', 'tue', 'wed', 'thu', 'fri'].map(day => [day, { open, close }])
+);
+
+describe('getOfficeStatus', () => {
+  it('reads the default hours in India time', () => {
+    // Monday 11:00 in Kolkata
+    const status = getOfficeStatus([], 'finance', new Date('2026-10-19T05:30:00Z'));
+    expect(status).toMatchObject({ open: true, holiday: null, timezone: DEFAULT_TIMEZONE });
+    expect(status.opens.toISOString()).toBe('2026-10-19T03:30:00.000Z');
+    expect(status.closes.toISOString()).toBe('2026-10-19T11:30:00.000Z');
+  });
+
+  it('uses the college date, not the UTC one', () => {
+    // Still Sunday in UTC, but 01:30 on Monday in Kolkata
+    const status = getOfficeStatus([], 'general', new Date('2026-10-18T20:00:00Z'));
+    expect(status.open).toBe(false);
+    expect(status.opens.toISOString()).toBe('2026-10-19T03:30:00.000Z');
+  });
+
+  it('finds the next opening across a daylight saving change', () => {
+    const schedules = [{ department: 'general', timezone: 'America/New_York', weekly_hours: weekdays('09:00', '17:00') }];
+    // Friday 18:00 EDT; clocks go back on Sunday, so Monday 09:00 is EST
+    const status = getOfficeStatus(schedules, 'general', new Date('2026-10-30T22:00:00Z'));
+    expect(status.open).toBe(false);
+    expect(status.opens.toISOString()).toBe('2026-11-02T14:00:00.000Z');
+    expect(status.closes.toISOString()).toBe('2026-11-02T22:00:00.000Z');
+  });
+
+  it('falls back to the default time zone when the schedule names an unknown one', () => {
+    const schedules = [{ department: 'general', timezone: 'Asia/Kolkatta', weekly_hours: weekdays('09:00', '17:00') }];
+    const status = getOfficeStatus(schedules, 'general', new Date('2026-10-19T05:30:00Z'));
+    expect(status).toMatchObject({ open: true, timezone: DEFAULT_TIMEZONE });
+  });
+
+  it('skips college-wide and department holidays', () => {
+    const schedules = [
+      { department: 'general', weekly_hours: weekdays('09:00', '17:00'), holidays: [{ date: '2026-10-20', name: 'Diwali' }] },
+      { department: 'finance', weekly_hours: weekdays('10:00', '16:00'), holidays: [{ date: '2026-10-21', name: 'Audit' }] }
+    ];
+
+    const onHoliday = getOfficeStatus(schedules, 'finance', new Date('2026-10-20T05:30:00Z'));
+    expect(onHoliday).toMatchObject({ open: false, holiday: 'Diwali' });
+    // Wednesday is the finance office's own holiday, so it opens on Thursday at 10:00
+    expect(onHoliday.opens.toISOString()).toBe('2026-10-22T04:30:00.000Z');
+
+    // Other departments follow general and are back on Wednesday
+    expect(getOfficeStatus(schedules, 'IT', new Date('2026-10-20T05:30:00Z')).opens.toISOString())
+      .toBe('2026-10-21T03:30:00.000Z');
+  });
+
+  it('names a holiday by its date when it has no name', () => {
+    const schedules = [{ department: 'general', weekly_hours: weekdays('09:00', '17:00'), holidays: [{ date: '2026-10-19' }] }];
+    expect(getOfficeStatus(schedules, 'general', new Date('2026-10-19T05:30:00Z')).holiday).toBe('2026-10-19');
+  });
+
+  it('looks three weeks ahead for the next opening', () => {
+    const saturdays = (dates) => [{
+      department: 'general',
+      weekly_hours: { sat: { open: '09:00', close: '13:00' } },
+      holidays: dates.map(date => ({ date }))
+    }];
+    const monday = new Date('2026-10-19T05:30:00Z');
+
+    expect(getOfficeStatus(saturdays(['2026-10-24', '2026-10-31']), 'general', monday).opens.toISOString())
+      .toBe('2026-11-07T03:30:00.000Z');
+    expect(getOfficeStatus(saturdays(['2026-10-24', '2026-10-31', '2026-11-07']), 'general', monday))
+      .toMatchObject({ open: false, opens: null, closes: null });
+  });
+});
+
+describe('scheduleForDepartment', () => {
+  it('keeps the college-wide schedule as is for departments without their own', () => {
+    const general = { department: 'general', weekly_hours: weekdays('09:00', '17:00'), holidays: [{ date: '2026-10-20' }] };
+    expect(scheduleForDepartment([general], 'finance')).toBe(general);
+  });
+});
+
+describe('isValidTimeZone', () => {
+  it('accepts IANA names and rejects typos and blanks', () => {
+    expect(isValidTimeZone('Asia/Kolkata')).toBe(true);
+    expect(isValidTimeZone('Asia/Kolkatta')).toBe(false);
+    expect(isValidTimeZone('')).toBe(false);
+    expect(isValidTimeZone(undefined)).toBe(false);
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Quick Action Store
+ * Loads the admin-configured QuickAction records shown under the chat greeting,
+ * keeping only those active today, with built-in defaults for a fresh install.
+ */
+
+import { translationsOf } from '../i18n';
+
+const DEFAULT_CATEGORIES = [
+    { category: 'fees', icon: 'CreditCard' },
+    { category: 'scholarships', icon: 'GraduationCap' },
+    { category: 'timetable', icon: 'Calendar' },
+    { category: 'admissions', icon: 'FileText' },
+    { category: 'exams', icon: 'Clock' },
+    { category: 'general', icon: 'HelpCircle' }
+];
+
+// QuickAction-shaped records built from the message catalogs
+export const DEFAULT_QUICK_ACTIONS = DEFAULT_CATEGORIES.map(({ category, icon }, index) => ({
+    id: `default-${category}`,
+    labels: translationsOf(`quickActions.${category}.label`),
+    queries: translationsOf(`quickActions.${category}.query`),
+    icon,
+    category,
+    order: index,
+    is_active: true
+}));
+
+/**
+ * Format a date as YYYY-MM-DD in local time, matching QuickAction date fields
+ * @param {Date} date - Date to format
+ * @returns {string} Local calendar date
+ */
+function toLocalDate(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Check whether a quick action should be shown on a given day
+ * @param {Object} action - QuickAction record
+ * @param {Date} [now] - Day to check
+ * @returns {boolean} Whether the action is active
+ */
+export function isQuickActionActive(action, now = new Date()) {
+    if (action.is_active === false) return false;
+
+    const today = toLocalDate(now);
+    if (action.start_date && action.start_date.slice(0, 10) > today) return false;
+    if (action.end_date && action.end_date.slice(0, 10) < today) return false;
+    return true;
+}
+
+/**
+ * Keep the quick actions active on a given day, in display order
+ * @param {Array} actions - QuickAction records
+ * @param {Date} [now] - Day to check
+ * @returns {Array} Active actions sorted by order
+ */
+export function selectActiveQuickActions(actions = [], now = new Date()) {
+    return actions
+        .filter(action => isQuickActionActive(action, now))
+        .sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+}
+
+/**
+ * Pick the text for a language from a per-language map
+ * @param {Object} texts - Text keyed by language code
+ * @param {string} language - Language code
+ * @returns {string} Text in the language, or English
+ */
+export function quickActionText(texts = {}, language) {
+    return texts[language] || texts.en || '';
+}
+
+/**
+ * Load the quick actions to show today
+ * @param {Object} QuickAction - QuickAction entity
+ * @returns {Promise<Array>} Active actions, or the defaults when none are configured
+ */
+export async function loadQuickActions(QuickAction) {
+    const records = await QuickAction.list('order');
+    if (records.length === 0) return DEFAULT_QUICK_ACTIONS;
+
+    return selectActiveQuickActions(records);
+}
@@ -0,0 +1,319 @@
+/**
+ * Session Recorder for Chat Analytics
+ * Opens a ChatSession per visit, writes one Conversation record per exchange
+ * and closes the session on unload or after a period of inactivity. A session
+ * whose closing write was cut off with its tab is closed on the next visit.
+ */
+
+const DEFAULT_INACTIVITY_TIMEOUT = 15 * 60 * 1000; // 15 minutes
+const LAST_SESSION_KEY = 'campus-assist:last-session';
+
+export class SessionRecorder {
+    /**
+     * @param {Object} entities - Entity APIs used for persistence
+     * @param {Object} entities.ChatSession - ChatSession entity
+     * @param {Object} entities.Conversation - Conversation entity
+     * @param {Object} [options]
+     * @param {number} [options.inactivityTimeout] - Idle time in ms before the session is closed
+     * @param {Function} [options.onInactive] - Called with the session the inactivity timeout closed
+     */
+    constructor({ ChatSession, Conversation }, options = {}) {
+        this.ChatSession = ChatSession;
+        this.Conversation = Conversation;
+        this.inactivityTimeout = options.inactivityTimeout || DEFAULT_INACTIVITY_TIMEOUT;
+        this.onInactive = options.onInactive || null;
+        this.session = null;
+        this.sessionId = null;
+        this.sessionPromise = null;
+        this.inactivityTimer = null;
+    }
+
+    /**
+     * Open a new chat session
+     * @param {Object} details
+     * @param {string} [details.language] - Preferred language at session start
+     * @param {Object} [details.context] - Conversation context carried into the session
+     * @param {string} [details.sessionId] - Identifier to use instead of a new one
+     * @returns {Promise<Object>} Created ChatSession record
+     */
+    startSession({ language = 'en', context = {}, sessionId = this.generateSessionId() } = {}) {
+        const startedAt = Date.now();
+        this.sessionId = sessionId;
+
+        this.sessionPromise = this.ChatSession.create({
+            session_id: sessionId,
+            user_agent: typeof navigator !== 'undefined' ? navigator.userAgent : undefined,
+            preferred_language: language,
+            total_messages: 0,
+            context
+        }).then(record => {
+            this.session = { ...record, session_id: sessionId, startedAt, ended: false };
+            localStorage.setItem(LAST_SESSION_KEY, sessionId);
+            return this.session;
+        }).catch(error => {
+            // Let the next exchange try to open a session again
+            this.sessionPromise = null;
+            throw error;
+        });
+
+        this.resetInactivityTimer();
+        return this.sessionPromise;
+    }
+
+    /**
+     * Continue an earlier session, e.g. one picked from the chat history.
+     * Later exchanges are added to its ChatSession record; if that record is
+     * gone a new one is opened under the same identifier.
+     * @param {string} sessionId - Session identifier
+     * @param {Object} [details]
+     * @param {string} [details.language] - Language to open a new record with
+     * @param {Object} [details.context] - Context to open a new record with
+     * @returns {Promise<Object>} Resumed session
+     */
+    resumeSession(sessionId, { language = 'en', context = {} } = {}) {
+        clearTimeout(this.inactivityTimer);
+        this.sessionId = sessionId;
+
+        this.sessionPromise = this.ChatSession.filter({ session_id: sessionId }).then(([record]) => {
+            if (!record) return this.startSession({ language, context, sessionId });
+
+            // Keep counting from when the session first opened, so its duration spans every visit
+            this.session = { ...record, startedAt: new Date(record.created_date).getTime(), ended: false };
+            localStorage.setItem(LAST_SESSION_KEY, sessionId);
+            return this.session;
+        }).catch(error => {
+            this.sessionPromise = null;
+            throw error;
+        });
+
+        this.resetInactivityTimer();
+        return this.sessionPromise;
+    }
+
+    /**
+     * Delete a session and its conversations from the server
+     * @param {string} sessionId - Session identifier
+     * @returns {Promise<void>}
+     */
+    async deleteSession(sessionId) {
+        if (sessionId === this.sessionId) {
+            clearTimeout(this.inactivityTimer);
+            this.session = null;
+            this.sessionId = null;
+            this.sessionPromise = null;
+        }
+
+        const [record] = await this.ChatSession.filter({ session_id: sessionId });
+        const conversations = await this.Conversation.filter({ session_id: sessionId });
+        await Promise.all(conversations.map(conversation => this.Conversation.delete(conversation.id)));
+        if (record) {
+            await this.ChatSession.delete(record.id);
+        }
+    }
+
+    /**
+     * Get the identifier of the last session opened in this browser
+     * @returns {string|null} Session identifier
+     */
+    getLastSessionId() {
+        return localStorage.getItem(LAST_SESSION_KEY);
+    }
+
+    /**
+     * Load the context of the previous session in this browser so a reload
+     * resumes the thread. Sessions idle for longer than the inactivity
+     * timeout are not resumed.
+     * @returns {Promise<Object|null>} Saved context or null
+     */
+    async findResumableContext() {
+        const sessionId = this.getLastSessionId();
+        if (!sessionId) return null;
+
+        const [previous] = await this.ChatSession.filter({ session_id: sessionId });
+        if (!previous || !previous.context) return null;
+
+        const lastActivity = new Date(previous.ended_at || previous.updated_date || previous.created_date).getTime();
+        if (Date.now() - lastActivity > this.inactivityTimeout) return null;
+
+        return previous.context;
+    }
+
+    /**
+     * Close the previous session in this browser if it was left open, as of
+     * its last activity
+     * @returns {Promise<Object|null>} Closed ChatSession record, if any
+     */
+    async closeAbandonedSession() {
+        const sessionId = this.getLastSessionId();
+        if (!sessionId || sessionId === this.sessionId) return null;
+
+        const [previous] = await this.ChatSession.filter({ session_id: sessionId });
+        if (!previous || previous.ended_at) return null;
+
+        const lastActivity = new Date(previous.updated_date || previous.created_date);
+        const update = this.closingFields(new Date(previous.created_date).getTime(), lastActivity);
+        await this.ChatSession.update(previous.id, update);
+        return { ...previous, ...update };
+    }
+
+    /**
+     * Get the open session, starting a new one if the previous one ended
+     * @param {string} language - Language to open a new session with
+     * @param {Object} [context] - Context to open a new session with
+     * @returns {Promise<Object>} Active session
+     */
+    async ensureSession(language, context) {
+        if (!this.sessionPromise) {
+            return this.startSession({ language, context });
+        }
+
+        const session = await this.sessionPromise;
+        if (session.ended) {
+            return this.startSession({ language, context });
+        }
+        return session;
+    }
+
+    /**
+     * Persist a single user/bot exchange
+     * @param {Object} exchange
+     * @param {string} exchange.userMessage - Message sent by the user
+     * @param {string} exchange.botResponse - Reply shown to the user
+     * @param {string} exchange.language - Detected language of the user message
+     * @param {string} exchange.category - Intent category of the answer
+     * @param {number} exchange.confidence - Confidence of the answer
+     * @param {number} exchange.responseTimeMs - Measured time to produce the reply
+     * @param {Object} [exchange.context] - Conversation context after this exchange
+     * @returns {Promise<Object>} Created Conversation record
+     */
+    async recordExchange({ userMessage, botResponse, language = 'en', category = 'general', confidence, responseTimeMs, context }) {
+        const session = await this.ensureSession(language, context);
+        this.resetInactivityTimer();
+
+        const conversation = await this.Conversation.create({
+            session_id: session.session_id,
+            user_message: userMessage,
+            bot_response: botResponse,
+            detected_language: language,
+            intent_category: category,
+            confidence_score: confidence,
+            response_time_ms: Math.round(responseTimeMs),
+            escalated_to_human: false
+        });
+
+        // Counts user messages, i.e. queries asked in this session
+        session.total_messages = (session.total_messages || 0) + 1;
+        const sessionUpdate = { total_messages: session.total_messages };
+        if (context) {
+            sessionUpdate.context = context;
+        }
+        await this.ChatSession.update(session.id, sessionUpdate);
+
+        return conversation;
+    }
+
+    /**
+     * Store a user's rating for a single answer
+     * @param {string} conversationId - Conversation record ID
+     * @param {Object} feedback
+     * @param {number} feedback.rating - Rating from 1 to 5
+     * @param {string} [feedback.comment] - What the user said was wrong
+     * @returns {Promise<void>}
+     */
+    async rateConversation(conversationId, { rating, comment }) {
+        const update = { user_rating: rating };
+        if (comment) {
+            update.feedback_comment = comment;
+        }
+        await this.Conversation.update(conversationId, update);
+    }
+
+    /**
+     * Flag exchanges that were handed over to a human agent
+     * @param {Array<string>} conversationIds - Conversation record IDs
+     * @returns {Promise<void>}
+     */
+    async markEscalated(conversationIds) {
+        await Promise.all(conversationIds.map(id =>
+            this.Conversation.update(id, { escalated_to_human: true })
+        ));
+    }
+
+    /**
+     * Store the overall satisfaction rating for a session
+     * @param {number} rating - Rating from 1 to 5
+     * @param {Object} [session] - Session to rate, e.g. one endSession closed; the current one by default
+     * @returns {Promise<void>}
+     */
+    async rateSession(rating, session = null) {
+        const rated = session || (this.sessionPromise && await this.sessionPromise);
+        if (!rated) return;
+
+        rated.satisfaction_rating = rating;
+        await this.ChatSession.update(rated.id, { satisfaction_rating: rating });
+    }
+
+    /**
+     * Close the current session
+     * @returns {Promise<Object|null>} The session closed, or null if none was open
+     */
+    async endSession() {
+        clearTimeout(this.inactivityTimer);
+        if (!this.sessionPromise) return null;
+
+        const session = await this.sessionPromise;
+        if (session.ended) return null;
+        session.ended = true;
+
+        await this.ChatSession.update(session.id, this.closingFields(session.startedAt, new Date()));
+        return session;
+    }
+
+    /**
+     * Write the session's end as of now while the page is hidden or unloaded.
+     * The write is sent straight from the event, since anything queued behind
+     * an await is dropped with the page. The session stays open in case the
+     * student comes back; a later endSession overwrites the end time.
+     */
+    recordDeparture() {
+        const session = this.session;
+        if (!session || session.ended || session.session_id !== this.sessionId) return;
+
+        this.ChatSession.update(session.id, this.closingFields(session.startedAt, new Date()))
+            .catch(error => console.error('Failed to record the end of the chat session:', error));
+    }
+
+    /**
+     * Build the fields that close a ChatSession record
+     * @param {number} startedAt - Session start in ms
+     * @param {Date} endedAt - Session end
+     * @returns {Object} ended_at and session_duration (minutes)
+     */
+    closingFields(startedAt, endedAt) {
+        return {
+            ended_at: endedAt.toISOString(),
+            session_duration: Math.round((endedAt.getTime() - startedAt) / 60000 * 100) / 100
+        };
+    }
+
+    /**
+     * Restart the inactivity countdown
+     */
+    resetInactivityTimer() {
+        clearTimeout(this.inactivityTimer);
+        this.inactivityTimer = setTimeout(() => {
+            this.endSession()
+                .then(session => session && this.onInactive?.(session))
+                .catch(error => console.error('Failed to close idle session:', error));
+        }, this.inactivityTimeout);
+    }
+
+    /**
+     * Generate unique session ID
+     */
+    generateSessionId() {
+        return `CS_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+}
+
+export default SessionRecorder;
@@ -0,0 +1,177 @@
+/**
+ * Settings Store for the Campus Chatbot
+ * Keeps the admin Settings page in a single shared ChatbotSettings record so
+ * the Chat, Agent Console and navigation read the same configuration in every
+ * browser.
+ */
+
+import { LANGUAGES } from '../i18n/languages';
+
+// Where the Settings page kept its values before they were shared
+const LEGACY_STORAGE_KEY = 'campus-assist:settings';
+
+// Relay the app was built with (see server/handoff-server.js), used unless the settings name another
+export const BUILD_HANDOFF_SERVER_URL = process.env.REACT_APP_HANDOFF_SERVER_URL || '';
+
+export const DEFAULT_SETTINGS = {
+    // General Settings
+    chatbotName: "Campus Assistant",
+    welcomeMessage: "Hello! I'm your campus assistant. I can help you with fees, scholarships, timetables, and other college information.",
+    defaultLanguage: "en",
+    enableMultilingual: true,
+    maxResponseLength: 500,
+
+    // Language Settings: every language the chat is translated into, until an admin narrows it
+    supportedLanguages: LANGUAGES.map(lang => lang.code),
+    autoDetectLanguage: true,
+
+    // Bot Behavior
+    confidenceThreshold: 0.7,
+    escalationThreshold: 0.5,
+    enableContextMemory: true,
+    maxContextTurns: 5,
+
+    // Integration Settings
+    humanSupportEmail: "support@college.edu",
+    humanSupportPhone: "+91-XXX-XXXXXXX",
+    // Live chat relay for handoffs; empty uses the one the app was built with (see getHandoffServerUrl)
+    handoffServerUrl: "",
+
+    // Analytics & Privacy
+    enableAnalytics: true,
+    logConversations: true,
+    retainDataDays: 90,
+    anonymizeData: false,
+
+    // Notifications
+    enableEmailAlerts: true,
+    lowConfidenceAlert: true,
+    dailySummaryReport: true
+};
+
+// Allowed range of each numeric setting, matching the inputs on the Settings page
+export const NUMBER_LIMITS = {
+    maxResponseLength: { min: 100, max: 1000, integer: true },
+    confidenceThreshold: { min: 0, max: 1 },
+    escalationThreshold: { min: 0, max: 1 },
+    maxContextTurns: { min: 1, max: 10, integer: true },
+    retainDataDays: { min: 1, max: 365, integer: true }
+};
+
+/**
+ * Convert a setting name to its ChatbotSettings field, e.g. maxContextTurns -> max_context_turns
+ * @param {string} key - Setting name
+ * @returns {string} Field name
+ */
+function toFieldName(key) {
+    return key.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+}
+
+/**
+ * Bring settings into range: numbers within their limits (the default when a
+ * field was left empty) and only supported languages
+ * @param {Object} settings - Settings, possibly with numbers typed as text
+ * @returns {Object} Settings safe to apply
+ */
+export function normalizeSettings(settings) {
+    const normalized = { ...DEFAULT_SETTINGS, ...settings };
+
+    Object.entries(NUMBER_LIMITS).forEach(([key, { min, max, integer }]) => {
+        const value = settings[key] === '' || settings[key] === null ? NaN : Number(settings[key]);
+        if (!Number.isFinite(value)) {
+            normalized[key] = DEFAULT_SETTINGS[key];
+            return;
+        }
+        normalized[key] = Math.min(max, Math.max(min, integer ? Math.round(value) : value));
+    });
+
+    const codes = LANGUAGES.map(lang => lang.code);
+    normalized.supportedLanguages = Array.isArray(normalized.supportedLanguages)
+        ? normalized.supportedLanguages.filter(code => codes.includes(code))
+        : DEFAULT_SETTINGS.supportedLanguages;
+    if (!codes.includes(normalized.defaultLanguage)) {
+        normalized.defaultLanguage = DEFAULT_SETTINGS.defaultLanguage;
+    }
+    normalized.handoffServerUrl = String(normalized.handoffServerUrl || '').trim();
+    return normalized;
+}
+
+/**
+ * Live chat relay to use: the one in the settings, else the one the app was built with
+ * @param {Object} settings - Settings
+ * @returns {string} Relay address, empty when chats sync through the database
+ */
+export function getHandoffServerUrl(settings) {
+    return settings.handoffServerUrl || BUILD_HANDOFF_SERVER_URL;
+}
+
+/**
+ * Read settings from a ChatbotSettings record
+ * @param {Object} record - ChatbotSettings record
+ * @returns {Object} Settings
+ */
+export function fromSettingsRecord(record) {
+    const settings = {};
+    Object.keys(DEFAULT_SETTINGS).forEach(key => {
+        const value = record[toFieldName(key)];
+        if (value !== undefined && value !== null) settings[key] = value;
+    });
+    return normalizeSettings(settings);
+}
+
+/**
+ * Build the ChatbotSettings fields for settings
+ * @param {Object} settings - Settings
+ * @returns {Object} Record fields
+ */
+export function toSettingsRecord(settings) {
+    const normalized = normalizeSettings(settings);
+    const record = {};
+    Object.keys(DEFAULT_SETTINGS).forEach(key => {
+        record[toFieldName(key)] = normalized[key];
+    });
+    return record;
+}
+
+/**
+ * Settings the Settings page saved in this browser before they were shared
+ * @returns {Object} Saved settings, or none
+ */
+function loadLegacySettings() {
+    try {
+        return JSON.parse(localStorage.getItem(LEGACY_STORAGE_KEY) || '{}');
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Load the shared settings
+ * @param {Object} ChatbotSettings - ChatbotSettings entity
+ * @returns {Promise<Object>} Settings, the defaults until an admin saves some
+ */
+export async function loadSettings(ChatbotSettings) {
+    const [record] = await ChatbotSettings.list('-updated_date', 1);
+    if (record) return fromSettingsRecord(record);
+
+    // Offer what an admin set up on this browser until the first shared save
+    return normalizeSettings(loadLegacySettings());
+}
+
+/**
+ * Save the shared settings
+ * @param {Object} ChatbotSettings - ChatbotSettings entity
+ * @param {Object} settings - Full settings object
+ * @returns {Promise<Object>} Settings as saved
+ */
+export async function saveSettings(ChatbotSettings, settings) {
+    const [record] = await ChatbotSettings.list('-updated_date', 1);
+    const fields = toSettingsRecord(settings);
+    if (record) {
+        await ChatbotSettings.update(record.id, fields);
+    } else {
+        await ChatbotSettings.create(fields);
+    }
+    localStorage.removeItem(LEGACY_STORAGE_KEY);
+    return fromSettingsRecord(fields);
+}
@@ -0,0 +1,54 @@
+import { DEFAULT_SETTINGS, loadSettings, normalizeSettings, saveSettings } from './SettingsStore';
+
+describe('normalizeSettings', () => {
+  it('falls back to the default for a number left empty', () => {
+    expect(normalizeSettings({ maxContextTurns: '' }).maxContextTurns).toBe(5);
+    expect(normalizeSettings({ maxContextTurns: NaN }).maxContextTurns).toBe(5);
+  });
+
+  it('clamps numbers typed as text into range', () => {
+    const settings = normalizeSettings({ maxContextTurns: '40', confidenceThreshold: '-1', retainDataDays: '30.4' });
+    expect(settings).toMatchObject({ maxContextTurns: 10, confidenceThreshold: 0, retainDataDays: 30 });
+  });
+
+  it('drops languages the chat does not support', () => {
+    expect(normalizeSettings({ supportedLanguages: ['en', 'fr', 'hi'] }).supportedLanguages).toEqual(['en', 'hi']);
+  });
+});
+
+describe('shared settings', () => {
+  const createEntity = () => {
+    const records = [];
+    return {
+      records,
+      list: async () => [...records],
+      create: async (data) => {
+        const record = { id: `rec-${records.length + 1}`, ...data };
+        records.push(record);
+        return record;
+      },
+      update: async (id, changes) => Object.assign(records.find(record => record.id === id), changes)
+    };
+  };
+
+  beforeEach(() => localStorage.clear());
+
+  it('uses the defaults until an admin saves', async () => {
+    expect(await loadSettings(createEntity())).toEqual(DEFAULT_SETTINGS);
+  });
+
+  it('keeps a single record that every page reads', async () => {
+    const ChatbotSettings = createEntity();
+    await saveSettings(ChatbotSettings, { ...DEFAULT_SETTINGS, maxContextTurns: '3' });
+    await saveSettings(ChatbotSettings, { ...DEFAULT_SETTINGS, maxContextTurns: 3, handoffServerUrl: 'https://relay.college.edu' });
+
+    expect(ChatbotSettings.records).toHaveLength(1);
+    expect(ChatbotSettings.records[0]).toMatchObject({ max_context_turns: 3, handoff_server_url: 'https://relay.college.edu' });
+    expect(await loadSettings(ChatbotSettings)).toMatchObject({ maxContextTurns: 3, handoffServerUrl: 'https://relay.college.edu' });
+  });
+
+  it('offers settings saved in this browser before they were shared', async () => {
+    localStorage.setItem('campus-assist:settings', JSON.stringify({ humanSupportEmail: 'help@college.edu' }));
+    expect((await loadSettings(createEntity())).humanSupportEmail).toBe('help@college.edu');
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Speech Input for the Chat
+ * Wraps the browser SpeechRecognition API: listens in the locale of the chosen
+ * language, reports interim transcripts while the student speaks and delivers
+ * the final transcript after a pause.
+ */
+
+import { getLocale } from '../i18n/languages';
+
+// Pause after the last recognized word before the transcript is submitted
+const DEFAULT_SILENCE_TIMEOUT = 1500;
+
+// Longer wait for the first word, since students often pause before speaking
+const FIRST_WORD_TIMEOUT = 8000;
+
+// SpeechRecognition error codes grouped into the messages we show
+const ERROR_TYPES = {
+    'not-allowed': 'permissionDenied',
+    'service-not-allowed': 'permissionDenied',
+    'audio-capture': 'permissionDenied',
+    'no-speech': 'noSpeech',
+    'language-not-supported': 'unsupported'
+};
+
+/**
+ * Get the browser's SpeechRecognition constructor
+ * @returns {Function|null} Constructor, or null when unsupported
+ */
+function getRecognitionClass() {
+    if (typeof window === 'undefined') return null;
+    return window.SpeechRecognition || window.webkitSpeechRecognition || null;
+}
+
+export class SpeechInput {
+    /**
+     * @param {Object} handlers
+     * @param {Function} [handlers.onInterim] - Called with the transcript so far
+     * @param {Function} [handlers.onFinal] - Called with the transcript after a pause
+     * @param {Function} [handlers.onError] - Called with an error type (permissionDenied, noSpeech, unsupported, failed)
+     * @param {Function} [handlers.onStateChange] - Called with true/false when listening starts/stops
+     * @param {number} [handlers.silenceTimeout] - Milliseconds of silence before submitting
+     */
+    constructor({ onInterim, onFinal, onError, onStateChange, silenceTimeout = DEFAULT_SILENCE_TIMEOUT } = {}) {
+        this.handlers = { onInterim, onFinal, onError, onStateChange };
+        this.silenceTimeout = silenceTimeout;
+        this.recognition = null;
+        this.silenceTimer = null;
+        this.transcript = '';
+        this.listening = false;
+    }
+
+    /**
+     * Check whether the browser can recognize speech
+     * @returns {boolean} Whether SpeechRecognition is available
+     */
+    static isSupported() {
+        return getRecognitionClass() !== null;
+    }
+
+    /**
+     * Start listening
+     * @param {string} language - Language code of the chat
+     */
+    start(language) {
+        const Recognition = getRecognitionClass();
+        if (!Recognition) {
+            this.handlers.onError?.('unsupported');
+            return;
+        }
+        if (this.listening) this.abort();
+
+        const recognition = new Recognition();
+        recognition.lang = getLocale(language);
+        recognition.continuous = true;
+        recognition.interimResults = true;
+        recognition.maxAlternatives = 1;
+
+        recognition.onresult = (event) => {
+            // Results accumulate over the session; rebuild so corrections to earlier words show up
+            this.transcript = Array.from(event.results)
+                .map(result => result[0].transcript)
+                .join('')
+                .trim();
+            this.handlers.onInterim?.(this.transcript);
+            this.resetSilenceTimer();
+        };
+
+        recognition.onerror = (event) => {
+            // Aborting is our own doing, not a failure
+            if (event.error === 'aborted') return;
+            this.handlers.onError?.(ERROR_TYPES[event.error] || 'failed');
+        };
+
+        recognition.onend = () => {
+            // An aborted session has already been cleaned up and may have been replaced
+            if (this.recognition !== recognition) return;
+
+            clearTimeout(this.silenceTimer);
+            this.listening = false;
+            this.recognition = null;
+            this.handlers.onStateChange?.(false);
+            this.finish();
+        };
+
+        this.transcript = '';
+        this.recognition = recognition;
+        this.listening = true;
+        try {
+            recognition.start();
+        } catch (error) {
+            console.error('Failed to start speech recognition:', error);
+            this.listening = false;
+            this.recognition = null;
+            this.handlers.onError?.('failed');
+            return;
+        }
+        this.handlers.onStateChange?.(true);
+        this.resetSilenceTimer(FIRST_WORD_TIMEOUT);
+    }
+
+    /**
+     * Stop listening and submit what was heard
+     */
+    stop() {
+        clearTimeout(this.silenceTimer);
+        this.recognition?.stop();
+    }
+
+    /**
+     * Stop listening and discard what was heard
+     */
+    abort() {
+        clearTimeout(this.silenceTimer);
+        this.transcript = '';
+        if (this.recognition) {
+            this.listening = false;
+            this.recognition.abort();
+            this.recognition = null;
+            this.handlers.onStateChange?.(false);
+        }
+    }
+
+    /**
+     * Restart the countdown that ends listening after a pause
+     * @param {number} [delay] - Milliseconds to wait
+     */
+    resetSilenceTimer(delay = this.silenceTimeout) {
+        clearTimeout(this.silenceTimer);
+        this.silenceTimer = setTimeout(() => this.stop(), delay);
+    }
+
+    /**
+     * Deliver the final transcript, if any
+     */
+    finish() {
+        const transcript = this.transcript;
+        this.transcript = '';
+        if (transcript) {
+            this.handlers.onFinal?.(transcript);
+        }
+    }
+}
+
+export default SpeechInput;
@@ -0,0 +1,346 @@
+/**
+ * Speech Output for Chat Answers
+ * Reads answers aloud with the best installed voice for their language, one
+ * sentence at a time so the bubble can highlight what is being read and
+ * playback can be paused, resumed, stopped or sped up midway. The chosen
+ * voice per language and the playback rate are remembered.
+ */
+
+import { getLocale } from '../i18n/languages';
+
+const STORAGE_KEY = 'campus-assist:speech';
+
+export const SPEECH_RATES = [0.75, 1, 1.25, 1.5];
+
+const DEFAULT_PREFERENCES = {
+    rate: 1,
+    // Language code -> voiceURI picked by the user
+    voices: {}
+};
+
+// Languages whose script another installed voice can read when no native voice exists
+const VOICE_FALLBACKS = {
+    mr: 'hi'
+};
+
+const IDLE_STATE = {
+    status: 'idle',
+    messageId: null,
+    language: null,
+    sentences: [],
+    sentenceIndex: -1
+};
+
+/**
+ * Load saved speech preferences merged over the defaults
+ * @returns {Object} Preferences ({ rate, voices })
+ */
+export function loadSpeechPreferences() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+        return {
+            ...DEFAULT_PREFERENCES,
+            ...saved,
+            voices: { ...DEFAULT_PREFERENCES.voices, ...saved.voices }
+        };
+    } catch (error) {
+        console.error('Failed to read speech preferences:', error);
+        return { ...DEFAULT_PREFERENCES, voices: {} };
+    }
+}
+
+/**
+ * Save speech preferences
+ * @param {Object} preferences - Full preferences object
+ */
+export function saveSpeechPreferences(preferences) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(preferences));
+    } catch (error) {
+        console.error('Failed to save speech preferences:', error);
+    }
+}
+
+/**
+ * Split text into sentences for reading aloud
+ * @param {string} text - Plain text
+ * @returns {Array<string>} Sentences in order
+ */
+export function splitSentences(text = '') {
+    return text
+        // Latin punctuation and the danda end sentences; "Rs. 45,000" and "3.5" do not
+        .replace(/([.!?।॥]+)\s+(?=\D)/g, '$1\n')
+        .split(/\n+/)
+        .map(sentence => sentence.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Normalize a voice's language tag ("ta_IN" on some Android builds)
+ * @param {string} lang - Voice language tag
+ * @returns {string} Lower-case BCP-47 tag
+ */
+function normalizeLang(lang = '') {
+    return lang.replace('_', '-').toLowerCase();
+}
+
+/**
+ * List the installed voices that can read a language, best first
+ * @param {Array<SpeechSynthesisVoice>} voices - Installed voices
+ * @param {string} language - Language code
+ * @returns {Array<SpeechSynthesisVoice>} Matching voices
+ */
+export function voicesForLanguage(voices, language) {
+    const locale = getLocale(language).toLowerCase();
+    const base = locale.split('-')[0];
+
+    const rank = voice => {
+        const lang = normalizeLang(voice.lang);
+        if (lang === locale) return 3;
+        if (lang.split('-')[0] === base) return 2;
+        return 0;
+    };
+
+    const matching = voices
+        .filter(voice => rank(voice) > 0)
+        .sort((a, b) => (rank(b) - rank(a)) || (Number(b.default) - Number(a.default)));
+
+    if (matching.length === 0 && VOICE_FALLBACKS[language]) {
+        return voicesForLanguage(voices, VOICE_FALLBACKS[language]);
+    }
+    return matching;
+}
+
+/**
+ * Pick the voice to read a language with
+ * @param {Array<SpeechSynthesisVoice>} voices - Installed voices
+ * @param {string} language - Language code
+ * @param {string} [preferredVoiceURI] - Voice the user picked for this language
+ * @returns {SpeechSynthesisVoice|null} Voice, or null to let the browser choose from the locale
+ */
+export function selectVoice(voices, language, preferredVoiceURI) {
+    const candidates = voicesForLanguage(voices, language);
+    return candidates.find(voice => voice.voiceURI === preferredVoiceURI) || candidates[0] || null;
+}
+
+export class SpeechOutput {
+    /**
+     * @param {SpeechSynthesis} [synth] - Speech engine, the browser's by default
+     */
+    constructor(synth = typeof window !== 'undefined' ? window.speechSynthesis : undefined) {
+        this.synth = synth || null;
+        this.preferences = loadSpeechPreferences();
+        this.voices = [];
+        this.listeners = new Set();
+        // Bumped whenever playback is interrupted so callbacks from old utterances are ignored
+        this.session = 0;
+        this.state = this.snapshot(IDLE_STATE);
+
+        if (this.synth) {
+            this.voices = this.synth.getVoices();
+            // Chrome fills the voice list asynchronously
+            this.synth.addEventListener?.('voiceschanged', () => {
+                this.voices = this.synth.getVoices();
+                this.setState({});
+            });
+        }
+    }
+
+    /**
+     * Check whether the browser can speak
+     * @returns {boolean} Whether speechSynthesis is available
+     */
+    static isSupported() {
+        return typeof window !== 'undefined' && 'speechSynthesis' in window;
+    }
+
+    /**
+     * Build an immutable state object for subscribers
+     * @param {Object} state - Playback state
+     * @returns {Object} State with the current preferences
+     */
+    snapshot(state) {
+        return {
+            ...state,
+            rate: this.preferences.rate,
+            voices: this.preferences.voices,
+            availableVoices: this.voices
+        };
+    }
+
+    /**
+     * Update the playback state and notify subscribers
+     * @param {Object} changes - Fields to change
+     */
+    setState(changes) {
+        this.state = this.snapshot({ ...this.state, ...changes });
+        this.listeners.forEach(listener => listener(this.state));
+    }
+
+    /**
+     * Get the current playback state
+     * @returns {Object} State ({ status, messageId, sentences, sentenceIndex, rate, voices, availableVoices })
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Listen for playback changes
+     * @param {Function} listener - Called with the new state
+     * @returns {Function} Unsubscribe
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Read text aloud, replacing anything currently being read
+     * @param {string} text - Plain text
+     * @param {Object} options
+     * @param {string} options.language - Language code of the text
+     * @param {string} [options.messageId] - Message being read, for highlighting
+     */
+    speak(text, { language, messageId = null } = {}) {
+        if (!this.synth) return;
+        this.stop();
+
+        const sentences = splitSentences(text);
+        if (sentences.length === 0) return;
+
+        this.setState({ status: 'speaking', messageId, language, sentences, sentenceIndex: 0 });
+        this.speakSentence(0);
+    }
+
+    /**
+     * Speak one sentence and continue with the next when it ends
+     * @param {number} index - Sentence index
+     */
+    speakSentence(index) {
+        const { sentences, language } = this.state;
+        if (index >= sentences.length) {
+            this.setState(IDLE_STATE);
+            return;
+        }
+
+        const session = this.session;
+        const utterance = new SpeechSynthesisUtterance(sentences[index]);
+        const voice = this.getVoice(language);
+        utterance.lang = voice ? voice.lang : getLocale(language);
+        if (voice) utterance.voice = voice;
+        utterance.rate = this.preferences.rate;
+
+        utterance.onend = () => {
+            if (session !== this.session) return;
+            this.speakSentence(index + 1);
+        };
+        utterance.onerror = (event) => {
+            if (session !== this.session) return;
+            console.error('Speech synthesis failed:', event.error);
+            this.stop();
+        };
+
+        this.setState({ status: 'speaking', sentenceIndex: index });
+        this.synth.speak(utterance);
+    }
+
+    /**
+     * Cut off the current utterance without firing its callbacks
+     */
+    interrupt() {
+        this.session++;
+        this.synth?.cancel();
+    }
+
+    /**
+     * Pause playback
+     */
+    pause() {
+        if (this.state.status !== 'speaking') return;
+        // speechSynthesis.pause() is a no-op on Android, so cancel and restart the sentence on resume
+        this.interrupt();
+        this.setState({ status: 'paused' });
+    }
+
+    /**
+     * Resume playback from the start of the paused sentence
+     */
+    resume() {
+        if (this.state.status !== 'paused') return;
+        this.speakSentence(this.state.sentenceIndex);
+    }
+
+    /**
+     * Stop playback
+     */
+    stop() {
+        this.interrupt();
+        if (this.state.status !== 'idle') {
+            this.setState(IDLE_STATE);
+        }
+    }
+
+    /**
+     * Restart the current sentence so a changed voice or rate takes effect
+     */
+    restartSentence() {
+        if (this.state.status !== 'speaking') return;
+        this.interrupt();
+        this.speakSentence(this.state.sentenceIndex);
+    }
+
+    /**
+     * Change and remember the playback rate
+     * @param {number} rate - Rate multiplier (1 is normal speed)
+     */
+    setRate(rate) {
+        this.preferences = { ...this.preferences, rate };
+        saveSpeechPreferences(this.preferences);
+        this.setState({});
+        this.restartSentence();
+    }
+
+    /**
+     * Change and remember the voice for a language
+     * @param {string} language - Language code
+     * @param {string|null} voiceURI - Voice to use, or null for automatic selection
+     */
+    setVoice(language, voiceURI) {
+        const voices = { ...this.preferences.voices };
+        if (voiceURI) {
+            voices[language] = voiceURI;
+        } else {
+            delete voices[language];
+        }
+        this.preferences = { ...this.preferences, voices };
+        saveSpeechPreferences(this.preferences);
+        this.setState({});
+        if (this.state.language === language) {
+            this.restartSentence();
+        }
+    }
+
+    /**
+     * Get the voice a language will be read with
+     * @param {string} language - Language code
+     * @returns {SpeechSynthesisVoice|null} Voice, or null when none is installed
+     */
+    getVoice(language) {
+        return selectVoice(this.voices, language, this.preferences.voices[language]);
+    }
+
+    /**
+     * List the voices the user can pick from for a language
+     * @param {string} language - Language code
+     * @returns {Array<SpeechSynthesisVoice>} Voices, best first
+     */
+    getVoices(language) {
+        return voicesForLanguage(this.voices, language);
+    }
+}
+
+// speechSynthesis is shared by the whole page, so every bubble talks to one instance
+export const speechOutput = new SpeechOutput();
+
+export default SpeechOutput;
@@ -0,0 +1,237 @@
+/**
+ * Transcript Exporter for Chat Conversations
+ * Turns the messages on screen into a transcript students can keep or show a
+ * counsellor: plain text, a printable page saved as PDF from the browser's
+ * print dialog, an uploaded copy behind a shareable link, or an email to the
+ * support desk.
+ */
+
+import { translate } from '../i18n';
+import { getLanguage, getLocale } from '../i18n/languages';
+import { toPlainText, parseMarkdown, collectLinks } from './MarkdownParser';
+
+/**
+ * Escape text for HTML output
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text = '') {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Format a timestamp in the transcript's language
+ * @param {Date|string} timestamp - Message time
+ * @param {string} language - Language code
+ * @returns {string} Formatted date and time
+ */
+function formatTime(timestamp, language) {
+    if (!timestamp) return '';
+    return new Date(timestamp).toLocaleString(getLocale(language), {
+        dateStyle: 'medium',
+        timeStyle: 'short'
+    });
+}
+
+/**
+ * Describe where an answer came from
+ * @param {Object} message - Bot message
+ * @param {Array} assets - CollegeAsset records for resolving asset links
+ * @returns {Array<string>} Source descriptions
+ */
+function citeSources(message, assets) {
+    const sources = [];
+    if (message.source?.question) {
+        sources.push(message.source.question);
+    }
+    collectLinks(parseMarkdown(message.text)).forEach(href => {
+        const asset = href.startsWith('asset:')
+            ? assets.find(item => item.id === href.slice('asset:'.length))
+            : assets.find(item => item.file_url === href);
+        sources.push(asset ? `${asset.file_name} (${asset.file_url})` : href);
+    });
+    return [...new Set(sources)];
+}
+
+/**
+ * Build a transcript from chat messages
+ * @param {Array} messages - Chat messages as shown on screen
+ * @param {Object} [options]
+ * @param {string} [options.language] - Language for headings and dates
+ * @param {Array} [options.assets] - CollegeAsset records for citing linked documents
+ * @param {Date} [options.exportedAt] - Export time
+ * @returns {Object} Transcript ({ language, title, exportedAt, entries })
+ */
+export function buildTranscript(messages, { language = 'en', assets = [], exportedAt = new Date() } = {}) {
+    const entries = messages
+        .filter(message => message.text && !message.streaming && !message.error)
+        .map(message => ({
+            speaker: translate(language, message.isBot ? 'transcript.assistant' : 'transcript.student'),
+            isBot: message.isBot,
+            time: formatTime(message.timestamp, language),
+            language: message.language ? getLanguage(message.language).nativeName : null,
+            text: message.isBot ? toPlainText(message.text) : message.text,
+            sources: message.isBot ? citeSources(message, assets) : []
+        }));
+
+    return {
+        language,
+        title: translate(language, 'transcript.title', { name: translate(language, 'app.name') }),
+        exportedAt: formatTime(exportedAt, language),
+        entries
+    };
+}
+
+/**
+ * Render a transcript as plain text
+ * @param {Object} transcript - Result of buildTranscript
+ * @returns {string} Text transcript
+ */
+export function transcriptToText(transcript) {
+    const { language } = transcript;
+    const header = [
+        transcript.title,
+        translate(language, 'transcript.exportedAt', { time: transcript.exportedAt }),
+        ''
+    ];
+
+    const body = transcript.entries.map(entry => {
+        const lines = [`[${entry.time}] ${entry.speaker}${entry.language ? ` (${entry.language})` : ''}`, entry.text];
+        if (entry.sources.length > 0) {
+            lines.push(`${translate(language, 'transcript.sources')}:`, ...entry.sources.map(source => `  - ${source}`));
+        }
+        return lines.join('\n');
+    });
+
+    return [...header, body.join('\n\n'), ''].join('\n');
+}
+
+/**
+ * Render a transcript as a printable HTML page
+ * @param {Object} transcript - Result of buildTranscript
+ * @returns {string} HTML document
+ */
+export function transcriptToHtml(transcript) {
+    const { language } = transcript;
+    const entries = transcript.entries.map(entry => `
+    <section class="entry ${entry.isBot ? 'bot' : 'user'}">
+      <header>
+        <strong>${escapeHtml(entry.speaker)}</strong>
+        ${entry.language ? `<span class="badge">${escapeHtml(entry.language)}</span>` : ''}
+        <time>${escapeHtml(entry.time)}</time>
+      </header>
+      <p>${escapeHtml(entry.text).replace(/\n/g, '<br>')}</p>
+      ${entry.sources.length > 0 ? `
+      <div class="sources">${escapeHtml(translate(language, 'transcript.sources'))}:
+        <ul>${entry.sources.map(source => `<li>${escapeHtml(source)}</li>`).join('')}</ul>
+      </div>` : ''}
+    </section>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(getLocale(language))}">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(transcript.title)}</title>
+  <style>
+    body { font-family: system-ui, "Noto Sans", sans-serif; color: #1f2937; max-width: 720px; margin: 2rem auto; padding: 0 1rem; }
+    h1 { font-size: 1.25rem; margin-bottom: 0.25rem; }
+    .meta { color: #6b7280; font-size: 0.85rem; margin-bottom: 1.5rem; }
+    .entry { border-left: 3px solid #d1d5db; padding: 0.5rem 0.75rem; margin-bottom: 1rem; page-break-inside: avoid; }
+    .entry.bot { border-color: #3b82f6; }
+    header { display: flex; gap: 0.5rem; align-items: center; font-size: 0.85rem; }
+    time { color: #6b7280; margin-left: auto; }
+    .badge { background: #e5e7eb; border-radius: 9999px; padding: 0 0.5rem; font-size: 0.75rem; }
+    p { margin: 0.5rem 0 0; white-space: normal; }
+    .sources { font-size: 0.8rem; color: #4b5563; margin-top: 0.5rem; }
+    .sources ul { margin: 0.25rem 0 0; padding-left: 1.25rem; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(transcript.title)}</h1>
+  <div class="meta">${escapeHtml(translate(language, 'transcript.exportedAt', { time: transcript.exportedAt }))}</div>
+  ${entries}
+</body>
+</html>`;
+}
+
+/**
+ * File name for an exported transcript
+ * @param {string} extension - File extension without the dot
+ * @returns {string} File name
+ */
+export function transcriptFileName(extension) {
+    const date = new Date().toISOString().slice(0, 10);
+    return `campus-assistant-chat-${date}.${extension}`;
+}
+
+/**
+ * Download a transcript as a .txt file
+ * @param {Object} transcript - Result of buildTranscript
+ */
+export function downloadTranscriptText(transcript) {
+    const blob = new Blob([transcriptToText(transcript)], { type: 'text/plain;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = transcriptFileName('txt');
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Open the transcript in a print window so it can be saved as PDF.
+ * Browsers render Indic scripts correctly here, which bundled PDF fonts don't.
+ * @param {Object} transcript - Result of buildTranscript
+ * @returns {boolean} False when the pop-up was blocked
+ */
+export function printTranscript(transcript) {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) return false;
+
+    printWindow.document.open();
+    printWindow.document.write(transcriptToHtml(transcript));
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+    return true;
+}
+
+/**
+ * Upload the transcript and return a link that can be shared
+ * @param {Object} transcript - Result of buildTranscript
+ * @param {Function} UploadFile - File upload integration
+ * @returns {Promise<string>} URL of the uploaded transcript page
+ */
+export async function shareTranscript(transcript, UploadFile) {
+    const file = new File([transcriptToHtml(transcript)], transcriptFileName('html'), { type: 'text/html' });
+    const { file_url } = await UploadFile({ file });
+    if (!file_url) {
+        throw new Error('No file URL returned from upload service');
+    }
+    return file_url;
+}
+
+/**
+ * Email the transcript, e.g. to the support desk when a student asks for a person
+ * @param {Object} transcript - Result of buildTranscript
+ * @param {Object} options
+ * @param {string} options.to - Recipient address
+ * @param {Function} options.SendEmail - Email integration
+ * @param {string} [options.note] - Text to put above the transcript
+ * @returns {Promise<void>}
+ */
+export async function emailTranscript(transcript, { to, SendEmail, note }) {
+    const { language } = transcript;
+    await SendEmail({
+        to,
+        subject: translate(language, 'transcript.emailSubject', { time: transcript.exportedAt }),
+        body: [note, transcriptToText(transcript)].filter(Boolean).join('\n\n')
+    });
+}
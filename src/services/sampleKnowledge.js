@@ -0,0 +1,64 @@
+/**
+ * Sample KnowledgeBase records
+ * Used by demo.html and as a fallback when the KnowledgeBase entity is empty
+ * or unreachable, so a fresh install still answers the common campus queries.
+ */
+
+export const sampleKnowledge = [
+    {
+        category: 'fees',
+        question: 'What is the fee structure and payment deadline?',
+        answer: 'Fee Information: The academic fee for 2024-25 is ₹50,000. Last date for payment is January 15th. You can pay online through the college portal or visit the accounts office.',
+        keywords: ['fee', 'fees', 'payment', 'tuition'],
+        language: 'en',
+        priority: 5,
+        is_active: true
+    },
+    {
+        category: 'fees',
+        question: 'फीस कितनी है और भुगतान की अंतिम तारीख क्या है?',
+        answer: 'फीस संबंधी जानकारी: शैक्षणिक वर्ष 2024-25 के लिए फीस ₹50,000 है। अंतिम तारीख 15 जनवरी है। ऑनलाइन भुगतान के लिए कॉलेज पोर्टल का उपयोग करें।',
+        keywords: ['फीस', 'शुल्क', 'भुगतान'],
+        language: 'hi',
+        priority: 5,
+        is_active: true
+    },
+    {
+        category: 'scholarships',
+        question: 'What scholarships are available for students?',
+        answer: 'Scholarship Information: Merit scholarships, financial aid, and category-specific scholarships are available. Application deadline is December 30th. Visit the scholarship cell for more details.',
+        keywords: ['scholarship', 'scholarships', 'financial aid'],
+        language: 'en',
+        priority: 5,
+        is_active: true
+    },
+    {
+        category: 'scholarships',
+        question: 'कौन सी छात्रवृत्ति उपलब्ध है?',
+        answer: 'छात्रवृत्ति जानकारी: मेधावी छात्रवृत्ति, आर्थिक सहायता, और विशेष श्रेणी छात्रवृत्ति उपलब्ध है। आवेदन की अंतिम तारीख 30 दिसंबर है।',
+        keywords: ['छात्रवृत्ति', 'आर्थिक सहायता'],
+        language: 'hi',
+        priority: 5,
+        is_active: true
+    },
+    {
+        category: 'timetable',
+        question: 'Show me the current class timetable and schedule',
+        answer: 'Timetable: Classes start at 9:00 AM. The latest timetable is available on the college website and notice board. Check for any updates regularly.',
+        keywords: ['timetable', 'time table', 'class schedule'],
+        language: 'en',
+        priority: 5,
+        is_active: true
+    },
+    {
+        category: 'timetable',
+        question: 'कक्षाओं की समय सारणी क्या है?',
+        answer: 'समय सारणी: कक्षाएं सुबह 9:00 बजे से शुरू होती हैं। नवीनतम समय सारणी कॉलेज वेबसाइट पर उपलब्ध है।',
+        keywords: ['समय सारणी', 'समय'],
+        language: 'hi',
+        priority: 5,
+        is_active: true
+    }
+];
+
+export default sampleKnowledge;